@@ -7,5 +7,33 @@
 import Sdk from './src/lib/SDK/sdk.js';
 import Auth from './src/lib/Auth/Auth.js';
 import { TEMPLATES } from './src/lib/NFT/constants.js';
+import TemplateRegistry from './src/lib/NFT/templateRegistry.js';
+import { ChainRegistry } from './src/lib/Auth/availableChains.js';
+import SignerAdapter from './src/lib/Signer/SignerAdapter.js';
+import LocalSigner from './src/lib/Signer/LocalSigner.js';
+import TransactionQueue from './src/lib/Transaction/TransactionQueue.js';
+import {
+  SDKError,
+  ValidationError,
+  ChainNotSupportedError,
+  ContractError,
+  NetworkError,
+  ApiError,
+} from './src/lib/error/errors.js';
 
-export { Sdk as SDK, Auth, TEMPLATES };
+export {
+  Sdk as SDK,
+  Auth,
+  TEMPLATES,
+  TemplateRegistry,
+  ChainRegistry,
+  SignerAdapter,
+  LocalSigner,
+  TransactionQueue,
+  SDKError,
+  ValidationError,
+  ChainNotSupportedError,
+  ContractError,
+  NetworkError,
+  ApiError,
+};
@@ -0,0 +1,133 @@
+import { config as loadEnv } from 'dotenv';
+import { BigNumber, utils } from 'ethers';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+
+loadEnv();
+let sdk;
+let account;
+let contractObject;
+let publicAddress;
+let owner;
+
+describe('E2E Test: ERC1155 (mint & transfer)', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // grab the first account
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, publicAddress] = Object.keys(addr);
+    const privateKey = pk[owner];
+
+    const rpcUrl = 'http://0.0.0.0:8545';
+    const chainId = 5;
+    const projectId = process.env.INFURA_PROJECT_ID;
+    const secretId = process.env.INFURA_PROJECT_SECRET;
+
+    account = new Auth({
+      privateKey,
+      projectId,
+      secretId,
+      rpcUrl,
+      chainId,
+    });
+
+    sdk = new SDK(account);
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC1155Mintable,
+      params: {
+        name: 'Cool Items',
+        symbol: 'CI',
+        contractURI: 'https://infura.io/contract.json',
+        baseURI: 'https://infura.io/{id}.json',
+      },
+    });
+  });
+
+  it('should mint tokens', async () => {
+    const tx = await contractObject.mint({ publicAddress: owner, tokenId: 1, quantity: 10 });
+    const receipt = await tx.wait();
+
+    const { args } = receipt.events.find(event => event.event === 'TransferSingle');
+    expect(receipt.status).toEqual(1);
+    expect(args.to).toEqual(utils.getAddress(owner));
+    expect(args.value).toEqual(BigNumber.from(10));
+  });
+
+  it('should mint a batch of tokens', async () => {
+    const tx = await contractObject.mintBatch({
+      publicAddress: owner,
+      ids: [2, 3],
+      quantities: [5, 6],
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+    expect(receipt.events.some(event => event.event === 'TransferBatch')).toBe(true);
+  });
+
+  it('should return the tokens minted', async () => {
+    const { tokens, receipt } = await contractObject.mintBatchAndWait({
+      publicAddress: owner,
+      ids: [4, 5],
+      quantities: [7, 8],
+    });
+
+    expect(receipt.status).toEqual(1);
+    expect(tokens).toEqual([
+      { tokenId: '4', quantity: '7' },
+      { tokenId: '5', quantity: '8' },
+    ]);
+  });
+
+  it('should transfer tokens', async () => {
+    const tx = await contractObject.transfer({
+      from: owner,
+      to: publicAddress,
+      tokenId: 1,
+      quantity: 4,
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+  });
+
+  it('should transfer a batch of tokens', async () => {
+    const tx = await contractObject.transferBatch({
+      from: owner,
+      to: publicAddress,
+      ids: [2, 3],
+      quantities: [1, 1],
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+  });
+
+  it('should load the contract and check roles', async () => {
+    const loaded = await sdk.loadContract({
+      template: TEMPLATES.ERC1155Mintable,
+      contractAddress: contractObject.contractAddress,
+    });
+
+    expect(await loaded.isMinter({ publicAddress: owner })).toBe(true);
+    expect(await loaded.isAdmin({ publicAddress })).toBe(false);
+  });
+
+  it('should set royalties', async () => {
+    const tx = await contractObject.setRoyalties({ publicAddress, fee: 1000 });
+    await tx.wait();
+    const infos = await contractObject.royaltyInfo({ tokenId: 1, sellPrice: 10 });
+
+    expect(infos).toStrictEqual([utils.getAddress(publicAddress), BigNumber.from('1')]);
+  });
+
+  it('should set the base URI', async () => {
+    const tx = await contractObject.setURI({ baseURI: 'ipfs://QmBase/{id}.json' });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+  });
+});
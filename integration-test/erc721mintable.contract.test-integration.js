@@ -74,6 +74,152 @@ describe('E2E Test: Basic NFT (mint)', () => {
     expect(receipt.status).toEqual(1);
   });
 
+  it('should send the transaction with the txOptions', async () => {
+    const signer = await account.getSigner();
+    const nonce = await signer.getTransactionCount();
+
+    const tx = await contractObject.setContractURI({
+      contractURI: 'https://infura.io/contract.json',
+      txOptions: { nonce, maxPriorityFeePerGas: utils.parseUnits('3', 'gwei') },
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+    expect(tx.nonce).toEqual(nonce);
+    expect(tx.maxPriorityFeePerGas.toString()).toEqual(utils.parseUnits('3', 'gwei').toString());
+  });
+
+  it('should send the transactions of the queue with consecutive nonces', async () => {
+    const signer = await account.getSigner();
+    const nonce = await signer.getTransactionCount();
+    const queue = await sdk.getTransactionQueue({ concurrency: 3 });
+
+    const txs = await Promise.all(
+      [1, 2, 3, 4].map(index =>
+        queue.add(txOptions =>
+          contractObject.mint({
+            publicAddress,
+            tokenURI: `https://infura.io/${index}.json`,
+            txOptions,
+          }),
+        ),
+      ),
+    );
+    const receipts = await Promise.all(txs.map(tx => tx.wait()));
+
+    expect(txs.map(tx => tx.nonce)).toEqual([nonce, nonce + 1, nonce + 2, nonce + 3]);
+    expect(receipts.every(receipt => receipt.status === 1)).toBe(true);
+    expect(queue.getFailed()).toEqual([]);
+  });
+
+  it('should mint a batch of tokens', async () => {
+    const recipients = [publicAddress, thirdUser, publicAddress, thirdUser, publicAddress];
+    const tokenURIs = recipients.map((_, index) => `https://infura.io/batch/${index}.json`);
+    const reported = [];
+
+    const results = await contractObject.mintBatch({
+      recipients,
+      tokenURIs,
+      chunkSize: 2,
+      concurrency: 2,
+      onProgress: item => reported.push(item),
+    });
+
+    expect(results.map(({ status }) => status)).toEqual(Array(5).fill('minted'));
+    const tokenIds = results.map(({ tokenId }) => tokenId);
+    expect(tokenIds).toEqual(tokenIds.map((_, index) => String(Number(tokenIds[0]) + index)));
+    expect(await contractObject.ownerOf({ tokenId: tokenIds[1] })).toEqual(
+      utils.getAddress(thirdUser),
+    );
+
+    // nothing is minted again when the batch is resumed
+    const resumed = await contractObject.mintBatch({ recipients, tokenURIs, resume: reported });
+    expect(resumed.map(({ tokenId }) => tokenId)).toEqual(tokenIds);
+  });
+
+  it('should return the ID of the token minted', async () => {
+    const { tokenId, txHash, receipt } = await contractObject.mintAndWait({
+      publicAddress: thirdUser,
+      tokenURI: 'https://infura.io/wait.json',
+    });
+
+    expect(receipt.status).toEqual(1);
+    expect(txHash).toEqual(receipt.transactionHash);
+    expect(await contractObject.ownerOf({ tokenId })).toEqual(utils.getAddress(thirdUser));
+  });
+
+  it('should deliver the events of the contract matching the filter', async () => {
+    const transfer = new Promise((resolve, reject) => {
+      contractObject.once({
+        event: 'Transfer',
+        filter: { to: thirdUser },
+        listener: resolve,
+        onError: reject,
+      });
+    });
+
+    await contractObject.mintAndWait({ publicAddress, tokenURI: 'https://infura.io/other.json' });
+    const { tokenId } = await contractObject.mintAndWait({
+      publicAddress: thirdUser,
+      tokenURI: 'https://infura.io/event.json',
+    });
+    const event = await transfer;
+
+    expect(event.event).toEqual('Transfer');
+    expect(event.args.to).toEqual(utils.getAddress(thirdUser));
+    expect(event.args.tokenId.toString()).toEqual(tokenId);
+  });
+
+  it('should query the past events of the contract', async () => {
+    const events = await contractObject.queryEvents({
+      event: 'Transfer',
+      filter: { to: thirdUser },
+    });
+    const tokenIds = events.map(({ args }) => args.tokenId.toNumber());
+
+    // 2 tokens of the batch, then those of the previous tests
+    expect(tokenIds).toHaveLength(4);
+    expect(tokenIds).toEqual([...tokenIds].sort((a, b) => a - b));
+    expect(await contractObject.ownerOf({ tokenId: tokenIds[3] })).toEqual(
+      utils.getAddress(thirdUser),
+    );
+  });
+
+  it('should speed up a pending transaction', async () => {
+    const { provider } = await account.getSigner();
+    await provider.send('miner_stop', []);
+
+    const tx = await contractObject.mint({ publicAddress, tokenURI: 'https://infura.io/5.json' });
+    const speedUp = await sdk.speedUpTransaction({ txHash: tx.hash, bumpPercent: 20 });
+    expect(await sdk.getMinedTransaction({ txHash: tx.hash })).toBe(null);
+
+    await provider.send('miner_start', []);
+    await speedUp.wait();
+    const mined = await sdk.getMinedTransaction({ txHash: tx.hash });
+
+    expect(speedUp.nonce).toEqual(tx.nonce);
+    expect(mined.txHash).toEqual(speedUp.hash);
+    expect(mined.replaced).toBe(true);
+    expect(mined.cancelled).toBe(false);
+    expect(mined.receipt.status).toEqual(1);
+  });
+
+  it('should cancel a pending transaction', async () => {
+    const { provider } = await account.getSigner();
+    await provider.send('miner_stop', []);
+
+    const tx = await contractObject.mint({ publicAddress, tokenURI: 'https://infura.io/6.json' });
+    const cancel = await sdk.cancelTransaction({ txHash: tx.hash });
+
+    await provider.send('miner_start', []);
+    await cancel.wait();
+    const mined = await sdk.getMinedTransaction({ txHash: tx.hash });
+
+    expect(mined.txHash).toEqual(cancel.hash);
+    expect(mined.cancelled).toBe(true);
+    expect(mined.receipt.to).toEqual(mined.receipt.from);
+  });
+
   it('should renounce contract ownership', async () => {
     const result = await contractObject.renounceOwnership();
     const receipt = await result.wait();
@@ -0,0 +1,73 @@
+import { config as loadEnv } from 'dotenv';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+
+loadEnv();
+let sdk;
+let contractObject;
+let owner;
+let operator;
+
+describe('E2E Test: Basic NFT (on-chain read)', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // grab the first account
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, operator] = Object.keys(addr);
+
+    const account = new Auth({
+      privateKey: pk[owner],
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: 'http://0.0.0.0:8545',
+      chainId: 5,
+    });
+
+    sdk = new SDK(account);
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC721Mintable,
+      params: { name: 'Cool Contract', symbol: 'CC', contractURI: 'https://infura.io' },
+    });
+
+    const tx = await contractObject.mint({
+      publicAddress: owner,
+      tokenURI: 'https://infura.io/token.json',
+    });
+    await tx.wait();
+  });
+
+  it('should read the contract metadata', async () => {
+    expect(await contractObject.name()).toEqual('Cool Contract');
+    expect(await contractObject.symbol()).toEqual('CC');
+    expect(await contractObject.contractURI()).toEqual('https://infura.io');
+    expect((await contractObject.owner()).toLowerCase()).toEqual(owner);
+  });
+
+  it('should read the token information', async () => {
+    expect((await contractObject.balanceOf({ publicAddress: owner })).toNumber()).toEqual(1);
+    expect((await contractObject.ownerOf({ tokenId: 0 })).toLowerCase()).toEqual(owner);
+    expect(await contractObject.tokenURI({ tokenId: 0 })).toEqual('https://infura.io/token.json');
+  });
+
+  it('should read the approvals', async () => {
+    const tx = await contractObject.approveTransfer({ to: operator, tokenId: 0 });
+    await tx.wait();
+
+    expect((await contractObject.getApproved({ tokenId: 0 })).toLowerCase()).toEqual(operator);
+    expect(await contractObject.isApprovedForAll({ owner, operator })).toBe(false);
+  });
+
+  it('should check the supported interfaces', async () => {
+    expect(await contractObject.supportsInterface({ interfaceId: '0x80ac58cd' })).toBe(true);
+    expect(await contractObject.supportsInterface({ interfaceId: '0xd9b67a26' })).toBe(false);
+  });
+
+  it('should return an Error when reading a token that does not exist', async () => {
+    await expect(() => contractObject.ownerOf({ tokenId: 42 })).rejects.toThrow(
+      '[ERC721Mintable.ownerOf] An error occured',
+    );
+  });
+});
@@ -1,5 +1,6 @@
 import { config as loadEnv } from 'dotenv';
 import ganache from 'ganache';
+import { utils } from 'ethers';
 import Auth from '../src/lib/Auth/Auth';
 import SDK from '../src/lib/SDK/sdk';
 import { TEMPLATES } from '../src/lib/NFT/constants';
@@ -67,7 +68,35 @@ describe('E2E Test: Basic NFT (mint)', () => {
 
   it('should return details of transaction', async () => {
     const txStatus = await sdk.getStatus({ txHash: successfulTx });
-    expect(txStatus.status).toEqual(1);
+
+    expect(txStatus.status).toEqual('mined');
+    expect(txStatus.confirmations).toBeGreaterThanOrEqual(1);
+    expect(txStatus.fee.gt(0)).toBe(true);
+    expect(txStatus.events.map(({ event }) => event)).toEqual(['Transfer']);
+    expect(txStatus.events[0].args.to).toEqual(utils.getAddress(owner));
+  });
+
+  it('should wait for the confirmations of a transaction', async () => {
+    const { provider } = await account.getSigner();
+    const tx = await contractObject.mint({
+      publicAddress: owner,
+      tokenURI: 'https://ipfs.io/ipfs/QmRfModHffFedTkHSW1ZEn8f19MdPztn9WV3kY1yjaKvBy',
+    });
+    const onProgress = jest.fn();
+
+    const waiting = sdk.waitFor({
+      txHash: tx.hash,
+      confirmations: 2,
+      onProgress,
+      pollingInterval: 100,
+      timeout: 30000,
+    });
+    await provider.send('evm_mine', []);
+    const txStatus = await waiting;
+
+    expect(txStatus.status).toEqual('mined');
+    expect(txStatus.confirmations).toBeGreaterThanOrEqual(2);
+    expect(onProgress).toHaveBeenLastCalledWith(txStatus);
   });
 
   it('should not transfer nft if your are not the owner', async () => {
@@ -75,11 +104,13 @@ describe('E2E Test: Basic NFT (mint)', () => {
       from: thirdUser,
       to: publicAddress,
       tokenId: 0,
+      // mined and reverted, instead of rejected by the gas estimation
+      gasOptions: { gasLimit: 300000 },
     });
 
     const txDetails = await sdk.getStatus({ txHash: tx.hash });
 
-    expect(txDetails.status).toEqual(0);
+    expect(txDetails.status).toEqual('failed');
   });
 
   it('should transfer nft', async () => {
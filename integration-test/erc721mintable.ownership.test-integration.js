@@ -0,0 +1,69 @@
+import { config as loadEnv } from 'dotenv';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+
+loadEnv();
+let sdk;
+let contractObject;
+let owner;
+let newOwner;
+let thirdUser;
+
+describe('E2E Test: Basic NFT (ownership)', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // grab the first account
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, newOwner, thirdUser] = Object.keys(addr);
+
+    const account = new Auth({
+      privateKey: pk[owner],
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: 'http://0.0.0.0:8545',
+      chainId: 5,
+    });
+
+    sdk = new SDK(account);
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC721Mintable,
+      params: { name: 'Cool Contract', symbol: 'CC', contractURI: 'URI' },
+    });
+  });
+
+  it('should return the owner of the contract', async () => {
+    expect((await contractObject.owner()).toLowerCase()).toEqual(owner);
+  });
+
+  it('should refuse to hand over the ownership to an address without the admin role', async () => {
+    await contractObject.proposeOwnership({ publicAddress: newOwner });
+
+    await expect(() => contractObject.acceptOwnership()).rejects.toThrow(
+      'must have the admin role before accepting the ownership',
+    );
+    expect((await contractObject.owner()).toLowerCase()).toEqual(owner);
+  });
+
+  it('should hand over the ownership once the proposed owner is an admin', async () => {
+    const adminTx = await contractObject.addAdmin({ publicAddress: newOwner });
+    await adminTx.wait();
+
+    const tx = await contractObject.acceptOwnership();
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+    expect((await contractObject.owner()).toLowerCase()).toEqual(newOwner);
+    expect(contractObject.getPendingOwner()).toBe(null);
+  });
+
+  it('should not let a former owner propose a new owner', async () => {
+    await expect(() =>
+      contractObject.proposeOwnership({ publicAddress: thirdUser }),
+    ).rejects.toThrow(
+      '[ERC721Mintable.proposeOwnership] Only the current owner can propose a new owner.',
+    );
+  });
+});
@@ -52,6 +52,20 @@ describe('E2E Test: Sdk (read)', () => {
     });
   });
 
+  describe('As an account I should be able to iterate over the NFTs of a collection', () => {
+    it('should return the NFTs of all the pages, up to maxItems', async () => {
+      const nfts = [];
+      for await (const nft of sdk.iterateNFTsForCollection({
+        contractAddress: '0x2a66707e4ffe929cf866bc048e54ce28f6b7275f',
+        maxItems: 2,
+      })) {
+        nfts.push(nft);
+      }
+      expect(nfts.length).toBeGreaterThan(0);
+      expect(nfts.length).toBeLessThanOrEqual(2);
+    });
+  });
+
   describe('As an account I should be able to get the token metadata', () => {
     it('should return token metadata', async () => {
       const tokenMetadata = await sdk.getTokenMetadata({
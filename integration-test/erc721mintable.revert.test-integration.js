@@ -0,0 +1,94 @@
+import { config as loadEnv } from 'dotenv';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+import { ContractError } from '../src/lib/error/errors';
+
+loadEnv();
+let contractObject;
+let userContract;
+let owner;
+let user;
+
+const MINTER_ROLE = '0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6';
+const DEFAULT_ADMIN_ROLE = `0x${'0'.repeat(64)}`;
+
+describe('E2E Test: Basic NFT (revert decoding)', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, user] = Object.keys(addr);
+
+    const authFor = address =>
+      new Auth({
+        privateKey: pk[address],
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        rpcUrl: 'http://0.0.0.0:8545',
+        chainId: 5,
+      });
+
+    const sdk = new SDK(authFor(owner));
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC721Mintable,
+      params: { name: 'Cool Contract', symbol: 'CC', contractURI: 'URI' },
+    });
+
+    userContract = await new SDK(authFor(user)).loadContract({
+      template: TEMPLATES.ERC721Mintable,
+      contractAddress: contractObject.contractAddress,
+    });
+  });
+
+  it('should decode the missing role of a mined mint transaction', async () => {
+    // an explicit gas limit skips the estimation, which would revert before sending
+    const tx = await userContract.mint({
+      publicAddress: user,
+      tokenURI: 'https://infura.io/images/404.png',
+      gasOptions: { gasLimit: 300000 },
+    });
+
+    const error = await tx.wait().catch(e => e);
+
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.location).toBe('[ERC721Mintable.mint]');
+    expect(error.revert.name).toBe('MissingRole');
+    expect(error.revert.args).toEqual({ account: user, role: MINTER_ROLE });
+    expect(error.message).toContain(`reverted with MissingRole(account: ${user}`);
+  });
+
+  it('should decode the missing role when the gas estimation fails', async () => {
+    const error = await userContract.addMinter({ publicAddress: user }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.location).toBe('[ERC721Mintable.addMinter]');
+    expect(error.revert.name).toBe('MissingRole');
+    expect(error.revert.args).toEqual({ account: user, role: DEFAULT_ADMIN_ROLE });
+  });
+
+  it('should decode the missing role when the gas of a mint is estimated', async () => {
+    const error = await userContract
+      .mint({ publicAddress: user, tokenURI: 'https://infura.io/images/404.png' })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.location).toBe('[ERC721Mintable.mint]');
+    expect(error.revert).toMatchObject({ name: 'MissingRole', args: { role: MINTER_ROLE } });
+  });
+
+  it('should mint with a fee strategy and an estimated gas limit', async () => {
+    const tx = await contractObject.mint({
+      publicAddress: owner,
+      tokenURI: 'https://infura.io/images/404.png',
+      gasOptions: { feeStrategy: 'fast', gasLimitMultiplier: 1.5 },
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toBe(1);
+    expect(tx.gasLimit.lt(6000000)).toBe(true);
+    expect(receipt.gasUsed.lte(tx.gasLimit)).toBe(true);
+    expect(tx.maxPriorityFeePerGas).toBeDefined();
+  });
+});
@@ -1,5 +1,6 @@
 import { config as loadEnv } from 'dotenv';
 import ganache from 'ganache';
+import { utils } from 'ethers';
 import Auth from '../src/lib/Auth/Auth';
 import SDK from '../src/lib/SDK/sdk';
 import { TEMPLATES } from '../src/lib/NFT/constants';
@@ -177,6 +178,20 @@ describe('E2E Test: Basic NFT (mint)', () => {
     expect(isAdmin).toEqual(false);
   });
 
+  it('should list the members of the roles', async () => {
+    const tx = await contractObject.addMinter({ publicAddress: thirdUser });
+    await tx.wait();
+
+    const minters = await contractObject.listMinters();
+    const admins = await contractObject.listAdmins();
+
+    // the roles of publicAddress were revoked or renounced by the previous tests
+    expect(minters).toContain(utils.getAddress(thirdUser));
+    expect(minters).not.toContain(utils.getAddress(publicAddress));
+    expect(minters[minters.length - 1]).toEqual(utils.getAddress(thirdUser));
+    expect(admins).toEqual([utils.getAddress(owner)]);
+  });
+
   it('should renounce contract ownership', async () => {
     const result = await contractObject.renounceOwnership();
     const receipt = await result.wait();
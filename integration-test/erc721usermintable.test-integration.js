@@ -0,0 +1,113 @@
+import { config as loadEnv } from 'dotenv';
+import { ethers, utils } from 'ethers';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+
+loadEnv();
+let sdk;
+let buyerSdk;
+let contractObject;
+let buyerContract;
+let publicAddress;
+let owner;
+
+const rpcUrl = 'http://0.0.0.0:8545';
+const chainId = 5;
+
+const createSdk = privateKey =>
+  new SDK(
+    new Auth({
+      privateKey,
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl,
+      chainId,
+    }),
+  );
+
+describe('E2E Test: ERC721 public sale', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // grab the first account
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, publicAddress] = Object.keys(addr);
+
+    sdk = createSdk(pk[owner]);
+    buyerSdk = createSdk(pk[publicAddress]);
+
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC721UserMintable,
+      params: {
+        name: 'Public Drop',
+        symbol: 'PD',
+        contractURI: 'https://infura.io/contract.json',
+        baseURI: 'https://infura.io/tokens/',
+        maxSupply: 3,
+        price: '0.5',
+      },
+    });
+    buyerContract = await buyerSdk.loadContract({
+      template: TEMPLATES.ERC721UserMintable,
+      contractAddress: contractObject.contractAddress,
+    });
+  });
+
+  it('should not mint while the sale is not active', async () => {
+    await expect(async () => (await buyerContract.mint({ quantity: 1 })).wait()).rejects.toThrow();
+  });
+
+  it('should reserve tokens for free', async () => {
+    const { tokenIds, receipt } = await contractObject.reserveAndWait({
+      publicAddress: owner,
+      quantity: 1,
+    });
+
+    expect(receipt.status).toEqual(1);
+    expect(tokenIds).toEqual(['0']);
+  });
+
+  it('should mint by paying the price once the sale is active', async () => {
+    await (await contractObject.toggleSale()).wait();
+
+    const tx = await buyerContract.mint({ quantity: 2 });
+    const receipt = await tx.wait();
+
+    const tokenIds = receipt.events
+      .filter(event => event.event === 'Transfer')
+      .map(event => event.args.tokenId.toNumber());
+    expect(tokenIds).toEqual([1, 2]);
+    expect(tx.value).toEqual(utils.parseEther('1'));
+    expect(await buyerContract.saleActive()).toBe(true);
+    expect((await buyerContract.totalSupply()).toNumber()).toEqual(3);
+    expect((await buyerContract.maxSupply()).toNumber()).toEqual(3);
+  });
+
+  it('should not mint more than the max supply', async () => {
+    await expect(async () => (await buyerContract.mint({ quantity: 1 })).wait()).rejects.toThrow(
+      '[ERC721UserMintable.mint]',
+    );
+  });
+
+  it('should withdraw the funds to the owner', async () => {
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    const balanceBefore = await provider.getBalance(contractObject.contractAddress);
+
+    await (await contractObject.withdraw()).wait();
+
+    expect(balanceBefore).toEqual(utils.parseEther('1'));
+    expect(await provider.getBalance(contractObject.contractAddress)).toEqual(
+      utils.parseEther('0'),
+    );
+  });
+
+  it('should update the price', async () => {
+    const tx = await contractObject.setPrice({ price: '0.1' });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+    expect(await contractObject.price()).toEqual(utils.parseEther('0.1'));
+  });
+});
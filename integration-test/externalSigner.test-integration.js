@@ -0,0 +1,49 @@
+import { config as loadEnv } from 'dotenv';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import LocalSigner from '../src/lib/Signer/LocalSigner';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+
+loadEnv();
+let contractObject;
+let owner;
+let receiver;
+
+describe('E2E Test: external signer', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner, receiver] = Object.keys(addr);
+
+    const account = new Auth({
+      signer: new LocalSigner(pk[owner]),
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: 'http://0.0.0.0:8545',
+      chainId: 5,
+    });
+
+    const sdk = new SDK(account);
+    contractObject = await sdk.deploy({
+      template: TEMPLATES.ERC721Mintable,
+      params: { name: 'Cool Contract', symbol: 'CC', contractURI: 'URI' },
+    });
+  });
+
+  it('should deploy the contract with the external signer', async () => {
+    expect((await contractObject.owner()).toLowerCase()).toEqual(owner);
+  });
+
+  it('should mint with the external signer', async () => {
+    const tx = await contractObject.mint({
+      publicAddress: receiver,
+      tokenURI: 'https://infura.io/images/404.png',
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+    expect((await contractObject.ownerOf({ tokenId: 0 })).toLowerCase()).toEqual(receiver);
+  });
+});
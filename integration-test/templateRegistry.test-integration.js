@@ -0,0 +1,84 @@
+import { config as loadEnv } from 'dotenv';
+import Auth from '../src/lib/Auth/Auth';
+import SDK from '../src/lib/SDK/sdk';
+import TemplateRegistry from '../src/lib/NFT/templateRegistry';
+import artifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+
+loadEnv();
+let sdk;
+let contractObject;
+let owner;
+
+describe('E2E Test: Custom template', () => {
+  jest.setTimeout(120 * 1000);
+
+  beforeAll(async () => {
+    // grab the first account
+    // eslint-disable-next-line global-require
+    const { addresses: addr, private_keys: pk } = require('./keys.json');
+    [owner] = Object.keys(addr);
+
+    const account = new Auth({
+      privateKey: pk[owner],
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: 'http://0.0.0.0:8545',
+      chainId: 5,
+    });
+    sdk = new SDK(account);
+
+    TemplateRegistry.register({
+      name: 'AuditedERC721',
+      abi: artifact.abi,
+      bytecode: artifact.bytecode,
+    });
+
+    contractObject = await sdk.deploy({
+      template: 'AuditedERC721',
+      params: { name: 'Audited', symbol: 'AUD', contractURI: 'URI' },
+    });
+  });
+
+  afterAll(() => {
+    TemplateRegistry.unregister('AuditedERC721');
+  });
+
+  it('should deploy and read a registered template', async () => {
+    expect(await contractObject.read({ method: 'name' })).toEqual('Audited');
+  });
+
+  it('should write to a registered template', async () => {
+    const tx = await contractObject.write({
+      method: 'mintWithTokenURI',
+      args: [owner, 'https://infura.io/token.json'],
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).toEqual(1);
+  });
+
+  it('should load a registered template', async () => {
+    const loaded = await sdk.loadContract({
+      template: 'AuditedERC721',
+      contractAddress: contractObject.contractAddress,
+    });
+
+    expect((await loaded.read({ method: 'balanceOf', args: [owner] })).toNumber()).toEqual(1);
+  });
+
+  it('should load any contract from its ABI and query its events', async () => {
+    const loaded = await sdk.loadContract({
+      abi: artifact.abi,
+      contractAddress: contractObject.contractAddress,
+    });
+
+    expect(await loaded.read({ method: 'balanceOf', args: { owner } })).toEqual(
+      await contractObject.read({ method: 'balanceOf', args: [owner] }),
+    );
+
+    const events = await loaded.queryEvents({ event: 'Transfer', filter: { to: owner } });
+    expect(events).toHaveLength(1);
+    expect(events[0].args.to.toLowerCase()).toEqual(owner);
+    expect(events[0].args.tokenId.toNumber()).toEqual(0);
+  });
+});
@@ -3,11 +3,80 @@
  * Copyright(c) https://consensys.net/
  * MIT Licensed
  */
-import { availableChains, getChainName } from './availableChains.js';
+import { ethers, utils } from 'ethers';
+import { ChainRegistry } from './availableChains.js';
 import Signer from '../Signer/Signer.js';
+import ExternalSigner from '../Signer/ExternalSigner.js';
+import { isSignerAdapter } from '../Signer/SignerAdapter.js';
 import Provider from '../Provider/Provider.js';
 import { isValidString, formatRpcUrl } from '../utils.js';
 import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ChainNotSupportedError, NetworkError, ValidationError } from '../error/errors.js';
+
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+// BIP-44 path of the Ethereum accounts, the account index is appended to it
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0";
+
+const chainSwitchError = error => {
+  const message = errorLogger({
+    location: ERROR_LOG.location.Auth_withChain,
+    message: ERROR_LOG.message.chain_switch_failed,
+    options: error?.message,
+  });
+  return new NetworkError(message, { code: 'CHAIN_SWITCH_FAILED', cause: error });
+};
+
+// Options of the accounts derived from a mnemonic or decrypted from a keystore
+const validateAccountOptions = ({
+  mnemonic,
+  derivationPath,
+  accountIndex,
+  keystore,
+  password,
+  signer,
+}) => {
+  if (signer && !isSignerAdapter(signer)) {
+    throw new ValidationError(
+      errorLogger({
+        location: ERROR_LOG.location.Auth_constructor,
+        message: ERROR_LOG.message.invalid_signer,
+      }),
+    );
+  }
+  if (mnemonic && !utils.isValidMnemonic(mnemonic)) {
+    throw new ValidationError(
+      errorLogger({
+        location: ERROR_LOG.location.Auth_constructor,
+        message: ERROR_LOG.message.invalid_mnemonic,
+      }),
+    );
+  }
+  if (!isValidString(derivationPath) || !derivationPath.startsWith('m/')) {
+    throw new ValidationError(
+      errorLogger({
+        location: ERROR_LOG.location.Auth_constructor,
+        message: ERROR_LOG.message.invalid_derivation_path,
+      }),
+    );
+  }
+  if (!Number.isInteger(accountIndex) || accountIndex < 0) {
+    throw new ValidationError(
+      errorLogger({
+        location: ERROR_LOG.location.Auth_constructor,
+        message: ERROR_LOG.message.invalid_account_index,
+      }),
+    );
+  }
+  if (keystore && typeof password !== 'string') {
+    throw new ValidationError(
+      errorLogger({
+        location: ERROR_LOG.location.Auth_constructor,
+        message: ERROR_LOG.message.no_password_supplied,
+      }),
+    );
+  }
+};
 
 export default class Auth {
   #privateKey;
@@ -22,9 +91,59 @@ export default class Auth {
 
   #chainId;
 
-  constructor({ privateKey, projectId, secretId, rpcUrl, chainId, provider }) {
-    if (!privateKey && !provider) {
-      throw new Error(
+  #injectedProvider;
+
+  #mnemonic;
+
+  #derivationPath;
+
+  #accountIndex;
+
+  #hdNode;
+
+  #keystore;
+
+  #password;
+
+  // decrypted wallet of the keystore ({ wallet: Promise }), shared with the instances of
+  // withChain
+  #decrypted = { wallet: null };
+
+  #externalSigner;
+
+  /**
+   * @param {string} [privateKey] private key of the account
+   * @param {string} [mnemonic] BIP-39 mnemonic the accounts are derived from
+   * @param {string} [derivationPath="m/44'/60'/0'/0"] HD path of the accounts of the mnemonic
+   * @param {number} [accountIndex=0] index of the default account of the mnemonic
+   * @param {string|object} [keystore] encrypted JSON keystore of the account
+   * @param {string} [password] password of the keystore
+   * @param {SignerAdapter} [signer] external signer (KMS, HSM, custody API...) implementing
+   * getAddress, signTransaction, signMessage and signTypedData
+   * @param {string} projectId Infura project id
+   * @param {string} secretId Infura project secret
+   * @param {string} [rpcUrl] RPC url, built from the chain by default
+   * @param {number} chainId id of the chain, registered in the ChainRegistry
+   * @param {object} [provider] injected provider (wallet), instead of a local account
+   */
+  constructor({
+    privateKey,
+    mnemonic,
+    derivationPath = DEFAULT_DERIVATION_PATH,
+    accountIndex = 0,
+    keystore,
+    password,
+    signer,
+    projectId,
+    secretId,
+    rpcUrl,
+    chainId,
+    provider,
+  }) {
+    const accountSources = [privateKey, mnemonic, keystore, signer, provider].filter(Boolean);
+
+    if (accountSources.length === 0) {
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.no_parameters_supplied,
@@ -32,15 +151,31 @@ export default class Auth {
       );
     }
     if (privateKey && provider) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.only_privateKey_or_provider_required,
         }),
       );
     }
+    if (accountSources.length > 1) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.only_one_account_source_required,
+        }),
+      );
+    }
+    validateAccountOptions({
+      mnemonic,
+      derivationPath,
+      accountIndex,
+      keystore,
+      password,
+      signer,
+    });
     if (!projectId) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.no_projectId_supplied,
@@ -48,7 +183,7 @@ export default class Auth {
       );
     }
     if (!secretId) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.no_secretId_supplied,
@@ -56,30 +191,46 @@ export default class Auth {
       );
     }
     if (!chainId) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.no_chainId_supplied,
         }),
       );
     }
-    if (!availableChains.includes(chainId)) {
-      throw new Error(
+    if (!ChainRegistry.has(chainId)) {
+      throw new ChainNotSupportedError(
         errorLogger({
           location: ERROR_LOG.location.Auth_constructor,
           message: ERROR_LOG.message.chain_not_supported,
         }),
+        { chainId },
       );
     }
 
     this.#privateKey = privateKey;
+    this.#mnemonic = mnemonic;
+    this.#derivationPath = derivationPath;
+    this.#accountIndex = accountIndex;
+    this.#keystore = typeof keystore === 'object' ? JSON.stringify(keystore) : keystore;
+    this.#password = password;
+    this.#externalSigner = signer;
     this.#projectId = projectId;
     this.#secretId = secretId;
     this.#chainId = chainId;
     this.#rpcUrl = rpcUrl;
 
+    const { infuraSubdomain, rpcUrl: defaultRpcUrl, deprecated, name } = this.getChain();
+    if (deprecated) {
+      // eslint-disable-next-line no-console
+      console.warn(`WARNING: The chain "${name}" (${chainId}) is deprecated.`);
+    }
+
+    // chains not served by Infura (local nodes...) come with their own default RPC url
     if (!isValidString(this.#rpcUrl)) {
-      this.#rpcUrl = formatRpcUrl({ chainName: getChainName(chainId), projectId: this.#projectId });
+      this.#rpcUrl = infuraSubdomain
+        ? formatRpcUrl({ chainName: infuraSubdomain, projectId: this.#projectId })
+        : defaultRpcUrl;
     }
 
     this.setProvider(provider);
@@ -89,6 +240,14 @@ export default class Auth {
     return this.#chainId;
   }
 
+  /**
+   * Get the definition of the chain (name, native currency, block explorer...)
+   * @returns {object} Chain definition, see ChainRegistry.get
+   */
+  getChain() {
+    return ChainRegistry.get(this.#chainId);
+  }
+
   getRpcUrl() {
     return this.#rpcUrl;
   }
@@ -107,20 +266,148 @@ export default class Auth {
     return this.#base64encode();
   }
 
-  async getSigner() {
+  /**
+   * Get the signer of an account. Mnemonics and injected providers hold several accounts,
+   * picked by their index
+   * @param {object} [options]
+   * @param {number} [options.accountIndex] index of the account, the accountIndex given to
+   * the constructor by default (mnemonic) or the first account (injected provider)
+   * @returns {Promise<object>} Signer
+   */
+  async getSigner({ accountIndex } = {}) {
+    if (accountIndex !== undefined) {
+      if (!Number.isInteger(accountIndex) || accountIndex < 0) {
+        throw new ValidationError(
+          errorLogger({
+            location: ERROR_LOG.location.Auth_getSigner,
+            message: ERROR_LOG.message.invalid_account_index,
+          }),
+        );
+      }
+      if (this.#privateKey || this.#keystore || this.#externalSigner) {
+        throw new ValidationError(
+          errorLogger({
+            location: ERROR_LOG.location.Auth_getSigner,
+            message: ERROR_LOG.message.single_account,
+          }),
+        );
+      }
+    }
+
     if (this.#privateKey) {
       return Signer.getWallet(this.#privateKey, this.#provider);
     }
-    return this.#provider.getSigner();
+    if (this.#mnemonic) {
+      return Signer.getWallet(
+        this.#derivePrivateKey(accountIndex ?? this.#accountIndex),
+        this.#provider,
+      );
+    }
+    if (this.#keystore) {
+      const wallet = await this.#decryptKeystore();
+      return Signer.getWallet(wallet.privateKey, this.#provider);
+    }
+    if (this.#externalSigner) {
+      return new ExternalSigner(this.#externalSigner, this.#provider);
+    }
+    return this.#provider.getSigner(accountIndex);
+  }
+
+  #derivePrivateKey(accountIndex) {
+    if (!this.#hdNode) this.#hdNode = utils.HDNode.fromMnemonic(this.#mnemonic);
+    return this.#hdNode.derivePath(`${this.#derivationPath}/${accountIndex}`).privateKey;
+  }
+
+  // scrypt is slow on purpose, the keystore is decrypted once and on demand
+  async #decryptKeystore() {
+    const decrypted = this.#decrypted;
+    if (!decrypted.wallet) {
+      decrypted.wallet = ethers.Wallet.fromEncryptedJson(this.#keystore, this.#password);
+    }
+
+    try {
+      return await decrypted.wallet;
+    } catch (error) {
+      decrypted.wallet = null;
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_getSigner,
+          message: ERROR_LOG.message.invalid_keystore,
+          options: error.message,
+        }),
+        { cause: error },
+      );
+    }
   }
 
   setProvider(provider) {
-    if (this.#privateKey) {
+    if (this.#privateKey || this.#mnemonic || this.#keystore || this.#externalSigner) {
       this.#provider = Provider.getProvider(this.#rpcUrl);
       return;
     }
     if (provider) {
+      this.#injectedProvider = provider;
       this.#provider = Provider.getInjectedProvider(provider);
     }
   }
+
+  /**
+   * Get an Auth bound to another chain, with the same credentials, this instance being
+   * unchanged. The keystore is decrypted once for all of them. Injected providers (wallets)
+   * are asked to switch to the chain, and to add it when they don't know it: the wallet is
+   * shared, this instance then sends its requests to the new chain as well
+   * @param {number} chainId id of the chain, registered in the ChainRegistry
+   * @param {object} [options]
+   * @param {string} [options.rpcUrl] RPC url of the chain, built from the registry by default
+   * @returns {Promise<Auth>} Auth instance bound to the chain
+   */
+  async withChain(chainId, { rpcUrl } = {}) {
+    const auth = new Auth({
+      privateKey: this.#privateKey,
+      mnemonic: this.#mnemonic,
+      derivationPath: this.#derivationPath,
+      accountIndex: this.#accountIndex,
+      keystore: this.#keystore,
+      password: this.#password,
+      signer: this.#externalSigner,
+      projectId: this.#projectId,
+      secretId: this.#secretId,
+      rpcUrl,
+      chainId,
+      provider: this.#injectedProvider,
+    });
+    auth.#decrypted = this.#decrypted;
+
+    if (this.#injectedProvider) await auth.#switchInjectedChain();
+    return auth;
+  }
+
+  async #switchInjectedChain() {
+    const chainId = utils.hexValue(this.#chainId);
+
+    try {
+      await this.#provider.send('wallet_switchEthereumChain', [{ chainId }]);
+    } catch (error) {
+      // 4902: the wallet does not know the chain yet
+      const code = error?.data?.originalError?.code ?? error?.code;
+      if (code !== UNRECOGNIZED_CHAIN_ERROR) {
+        throw chainSwitchError(error);
+      }
+
+      const { name, nativeCurrency, blockExplorerUrl } = this.getChain();
+      try {
+        await this.#provider.send('wallet_addEthereumChain', [
+          {
+            chainId,
+            chainName: name,
+            nativeCurrency,
+            rpcUrls: [this.#rpcUrl],
+            blockExplorerUrls: blockExplorerUrl ? [blockExplorerUrl] : undefined,
+          },
+        ]);
+      } catch (addError) {
+        throw chainSwitchError(addError);
+      }
+    }
+  }
 }
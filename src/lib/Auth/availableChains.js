@@ -1,19 +1,294 @@
-const Chains = {
-  mainnet: 1,
-  goerli: 5,
-  rinkeby: 4,
-  ropsten: 3,
+import { isValidString } from '../utils.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ChainNotSupportedError, ValidationError } from '../error/errors.js';
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+const MATIC = { name: 'Matic', symbol: 'MATIC', decimals: 18 };
+
+const chains = new Map();
+
+const addChain = (chain, builtIn) => {
+  const {
+    chainId,
+    name,
+    infuraSubdomain = null,
+    rpcUrl = null,
+    nativeCurrency = ETH,
+    blockExplorerUrl = null,
+    nftApi = false,
+    deprecated = false,
+  } = chain;
+
+  chains.set(
+    chainId,
+    Object.freeze({
+      chainId,
+      name,
+      infuraSubdomain,
+      rpcUrl,
+      nativeCurrency: Object.freeze({ ...nativeCurrency }),
+      blockExplorerUrl,
+      nftApi,
+      deprecated,
+      builtIn,
+    }),
+  );
 };
 
-const chainsName = {
-  1: 'mainnet',
-  5: 'goerli',
-  4: 'rinkeby',
-  3: 'ropsten',
+[
+  {
+    chainId: 1,
+    name: 'mainnet',
+    infuraSubdomain: 'mainnet',
+    blockExplorerUrl: 'https://etherscan.io',
+    nftApi: true,
+  },
+  {
+    chainId: 5,
+    name: 'goerli',
+    infuraSubdomain: 'goerli',
+    blockExplorerUrl: 'https://goerli.etherscan.io',
+    nftApi: true,
+  },
+  {
+    chainId: 11155111,
+    name: 'sepolia',
+    infuraSubdomain: 'sepolia',
+    blockExplorerUrl: 'https://sepolia.etherscan.io',
+    nftApi: true,
+  },
+  {
+    chainId: 4,
+    name: 'rinkeby',
+    infuraSubdomain: 'rinkeby',
+    blockExplorerUrl: 'https://rinkeby.etherscan.io',
+    deprecated: true,
+  },
+  {
+    chainId: 3,
+    name: 'ropsten',
+    infuraSubdomain: 'ropsten',
+    blockExplorerUrl: 'https://ropsten.etherscan.io',
+    deprecated: true,
+  },
+  {
+    chainId: 137,
+    name: 'polygon',
+    infuraSubdomain: 'polygon-mainnet',
+    nativeCurrency: MATIC,
+    blockExplorerUrl: 'https://polygonscan.com',
+    nftApi: true,
+  },
+  {
+    chainId: 80001,
+    name: 'mumbai',
+    infuraSubdomain: 'polygon-mumbai',
+    nativeCurrency: MATIC,
+    blockExplorerUrl: 'https://mumbai.polygonscan.com',
+    nftApi: true,
+  },
+  {
+    chainId: 42161,
+    name: 'arbitrum',
+    infuraSubdomain: 'arbitrum-mainnet',
+    blockExplorerUrl: 'https://arbiscan.io',
+    nftApi: true,
+  },
+  {
+    chainId: 421613,
+    name: 'arbitrum-goerli',
+    infuraSubdomain: 'arbitrum-goerli',
+    blockExplorerUrl: 'https://goerli.arbiscan.io',
+  },
+  {
+    chainId: 10,
+    name: 'optimism',
+    infuraSubdomain: 'optimism-mainnet',
+    blockExplorerUrl: 'https://optimistic.etherscan.io',
+    nftApi: true,
+  },
+  {
+    chainId: 420,
+    name: 'optimism-goerli',
+    infuraSubdomain: 'optimism-goerli',
+    blockExplorerUrl: 'https://goerli-optimism.etherscan.io',
+  },
+  {
+    chainId: 59144,
+    name: 'linea',
+    infuraSubdomain: 'linea-mainnet',
+    blockExplorerUrl: 'https://lineascan.build',
+    nftApi: true,
+  },
+  {
+    chainId: 59140,
+    name: 'linea-goerli',
+    infuraSubdomain: 'linea-goerli',
+    blockExplorerUrl: 'https://goerli.lineascan.build',
+    nftApi: true,
+  },
+  {
+    chainId: 1337,
+    name: 'localhost',
+    rpcUrl: 'http://127.0.0.1:8545',
+  },
+].forEach(chain => addChain(chain, true));
+
+const isValidCurrency = currency => {
+  if (!currency) return false;
+  const { name, symbol, decimals } = currency;
+  return isValidString(name) && isValidString(symbol) && Number.isInteger(decimals);
 };
 
-const availableChains = [Chains.mainnet, Chains.goerli, Chains.rinkeby, Chains.ropsten];
+class ChainRegistry {
+  /**
+   * Register a chain, making it available to Auth. The RPC url of the chain is either
+   * its Infura url (infuraSubdomain) or its rpcUrl (local and custom nodes)
+   * @param {number} chainId id of the chain
+   * @param {string} name name of the chain
+   * @param {string} [infuraSubdomain] subdomain of the Infura RPC url
+   * ('https://<infuraSubdomain>.infura.io/v3/<projectId>')
+   * @param {string} [rpcUrl] default RPC url, used when the chain is not served by Infura
+   * @param {object} [nativeCurrency] native currency ({ name, symbol, decimals }), Ether by default
+   * @param {string} [blockExplorerUrl] url of the block explorer of the chain
+   * @param {boolean} [nftApi=false] whether the NFT API supports the chain
+   * @returns {object} The registered chain definition
+   */
+  static register({
+    chainId,
+    name,
+    infuraSubdomain,
+    rpcUrl,
+    nativeCurrency,
+    blockExplorerUrl,
+    nftApi = false,
+  } = {}) {
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_register,
+          message: ERROR_LOG.message.invalid_chainId,
+        }),
+      );
+    }
+
+    if (chains.has(chainId)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_register,
+          message: ERROR_LOG.message.chain_already_registered,
+          options: `${chainId}`,
+        }),
+      );
+    }
+
+    if (!isValidString(name)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_register,
+          message: ERROR_LOG.message.invalid_chain_name,
+        }),
+      );
+    }
+
+    if (!isValidString(infuraSubdomain) && !isValidString(rpcUrl)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_register,
+          message: ERROR_LOG.message.infuraSubdomain_or_rpcUrl_required,
+        }),
+      );
+    }
+
+    if (nativeCurrency !== undefined && !isValidCurrency(nativeCurrency)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_register,
+          message: ERROR_LOG.message.invalid_native_currency,
+        }),
+      );
+    }
+
+    addChain(
+      { chainId, name, infuraSubdomain, rpcUrl, nativeCurrency, blockExplorerUrl, nftApi },
+      false,
+    );
+    return chains.get(chainId);
+  }
+
+  /**
+   * Remove a chain previously registered. Built-in chains cannot be removed.
+   * @param {number} chainId id of the chain
+   * @returns void
+   */
+  static unregister(chainId) {
+    if (!chains.has(chainId)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_unregister,
+          message: ERROR_LOG.message.chain_not_registered,
+          options: `${chainId}`,
+        }),
+      );
+    }
+
+    if (chains.get(chainId).builtIn) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_unregister,
+          message: ERROR_LOG.message.builtin_chain_cannot_be_unregistered,
+          options: `${chainId}`,
+        }),
+      );
+    }
+
+    chains.delete(chainId);
+  }
+
+  /**
+   * Check whether a chain is registered
+   * @param {number} chainId id of the chain
+   * @returns {boolean}
+   */
+  static has(chainId) {
+    return chains.has(chainId);
+  }
+
+  /**
+   * Get a registered chain definition
+   * @param {number} chainId id of the chain
+   * @returns {object} Chain definition ({ chainId, name, infuraSubdomain, rpcUrl,
+   * nativeCurrency, blockExplorerUrl, nftApi, deprecated, builtIn })
+   */
+  static get(chainId) {
+    if (!chains.has(chainId)) {
+      throw new ChainNotSupportedError(
+        errorLogger({
+          location: ERROR_LOG.location.ChainRegistry_get,
+          message: ERROR_LOG.message.chain_not_registered,
+          options: `${chainId}`,
+        }),
+        { chainId },
+      );
+    }
+
+    return chains.get(chainId);
+  }
+
+  /**
+   * List the registered chains, built-in chains first
+   * @returns {Array<object>} Chain definitions
+   */
+  static list() {
+    return [...chains.values()];
+  }
+}
+
+// ids of the built-in chains, by name
+const Chains = Object.freeze(
+  Object.fromEntries(ChainRegistry.list().map(({ name, chainId }) => [name, chainId])),
+);
 
-const getChainName = chainId => chainsName[chainId];
+const getChainName = chainId => chains.get(chainId)?.name;
 
-export { availableChains, Chains, getChainName };
+export { ChainRegistry, Chains, getChainName };
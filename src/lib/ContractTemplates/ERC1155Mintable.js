@@ -0,0 +1,1011 @@
+import { ethers, utils } from 'ethers';
+import smartContractArtifact from './artifacts/ERC1155Mintable.js';
+import { isBoolean, isDefined, isPositiveInteger, isTokenId, isURI } from '../utils.js';
+import { TEMPLATES } from '../NFT/constants.js';
+import { contractErrorHandler, withRevertDecoding } from '../error/handler.js';
+import { ContractError, ValidationError } from '../error/errors.js';
+import { buildGasOverrides, validateGasOptions } from '../Transaction/gas.js';
+import { getMintEvents, waitReceipt } from '../Transaction/receipt.js';
+import ContractEvents from '../Event/ContractEvents.js';
+
+// Tokens minted by a TransferSingle or TransferBatch event, IDs and quantities being decimal
+// strings (they may exceed the safe integers). The values are read by position: ethers does
+// not name the 'values' parameter of TransferBatch, taken by Array.prototype.values
+const readMintedTokens = ({ name, args }) => {
+  const [, , , id, value] = args;
+  const ids = name === 'TransferSingle' ? [id] : id;
+  const values = name === 'TransferSingle' ? [value] : value;
+  return ids.map((tokenId, index) => ({
+    tokenId: tokenId.toString(),
+    quantity: values[index].toString(),
+  }));
+};
+
+export default class ERC1155Mintable {
+  ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+  MINTER_ROLE = '0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6';
+
+  contractAddress;
+
+  #contractDeployed;
+
+  #signer;
+
+  #gasOptions;
+
+  #template = TEMPLATES.ERC1155Mintable;
+
+  #events;
+
+  // hash of the transaction deploying the contract, when deployed by this instance
+  #deployTransaction;
+
+  /**
+   * @param {object} signer signer of the transactions
+   * @param {object} [options]
+   * @param {object} [options.gasOptions] default gas options of the write methods: feeStrategy
+   * ('slow', 'standard', 'fast', { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }) and
+   * gasLimitMultiplier (safety margin applied to the estimated gas, 1.2 by default)
+   */
+  constructor(signer, { gasOptions } = {}) {
+    validateGasOptions(gasOptions, '[ERC1155Mintable.constructor]');
+    this.#signer = signer;
+    this.#gasOptions = gasOptions;
+  }
+
+  getTemplate() {
+    return this.#template;
+  }
+
+  /**
+   * Deploy ERC1155Mintable Contract. Used by the SDK class
+   * @param {string} name Name of the contract
+   * @param {string} symbol Symbol of the contract
+   * @param {string} contractURI ContractURI for the contract
+   * (link to a JSON file describing the contract's metadata)
+   * @param {string} baseURI Base URI of the tokens metadata, the ERC1155 '{id}'
+   * placeholder is replaced by the token id by the clients
+   * @param {object} [gasOptions] gas options of the deployment ({ feeStrategy,
+   * gasLimitMultiplier, gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (4500000 gas estimated)
+   * @returns void
+   */
+  async deploy({ name, symbol, contractURI, baseURI, gasOptions }) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError('[ERC1155Mintable.deploy] The contract has already been deployed!');
+    }
+
+    if (!this.#signer) {
+      throw new ValidationError(
+        '[ERC1155Mintable.deploy] Signer instance is required to interact with contract.',
+      );
+    }
+
+    if (!name) {
+      throw new ValidationError('[ERC1155Mintable.deploy] Name cannot be empty');
+    }
+
+    if (symbol === undefined) {
+      throw new ValidationError('[ERC1155Mintable.deploy] symbol cannot be undefined');
+    }
+
+    if (contractURI === undefined) {
+      throw new ValidationError('[ERC1155Mintable.deploy] contractURI cannot be undefined');
+    }
+
+    if (baseURI === undefined) {
+      throw new ValidationError('[ERC1155Mintable.deploy] baseURI cannot be undefined');
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.deploy]');
+
+    /* eslint-disable no-console */
+    if (!isURI(contractURI)) {
+      console.warn(`WARNING: The ContractURI "${contractURI}" is not a link.`);
+      console.warn('WARNING: ContractURI should be a public link to a valid JSON metadata file');
+    }
+
+    try {
+      const factory = new ethers.ContractFactory(
+        smartContractArtifact.abi,
+        smartContractArtifact.bytecode,
+        this.#signer,
+      );
+
+      const args = [name, symbol, contractURI, baseURI];
+      const overrides = await this.#deployOverrides(factory, args, gasOptions, {});
+      const contract = await factory.deploy(...args, overrides);
+      this.#deployTransaction = contract.deployTransaction?.hash;
+
+      this.#contractDeployed = await contract.deployed();
+
+      this.contractAddress = contract.address;
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.deploy]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Load an ERC1155Mintable contract from an existing contract address. Used by the SDK class
+   * @param {string} contractAddress Address of the ERC1155Mintable contract to load
+   * @returns void
+   */
+  async loadContract({ contractAddress }) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError(
+        '[ERC1155Mintable.loadContract] The contract has already been loaded!',
+      );
+    }
+
+    if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.loadContract] A valid contract address is required to load a contract.',
+      );
+    }
+
+    try {
+      this.#contractDeployed = new ethers.Contract(
+        contractAddress,
+        smartContractArtifact.abi,
+        this.#signer,
+      );
+
+      this.contractAddress = contractAddress;
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.loadContract]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Mint function: Mint a quantity of the token 'tokenId' for publicAddress
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {number} tokenId ID of the token to mint
+   * @param {number} quantity amount of tokens to mint
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (55000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async mint({ publicAddress, tokenId, quantity, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.mint] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError('[ERC1155Mintable.mint] A valid address is required to mint.');
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.mint] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    if (!Number.isInteger(quantity) || !(quantity > 0)) {
+      throw new ValidationError('[ERC1155Mintable.mint] Quantity should be a positive integer.');
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.mint]');
+
+    try {
+      const args = [publicAddress, tokenId, quantity];
+      const overrides = await this.#gasOverrides('mint', args, gasOptions);
+      return await this.#contractDeployed.mint(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.mint]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Mint a quantity of a token, like mint, then wait for the transaction to be mined
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {number} tokenId ID of the token to mint
+   * @param {number} quantity amount of tokens to mint
+   * @param {object} [gasOptions] gas options of the call, overriding those of the SDK
+   * @param {number} [confirmations=1] number of confirmations to wait for
+   * @returns {Promise<object>} Minted tokens ({ tokens, txHash, receipt }), the tokens
+   * ({ tokenId, quantity }, as decimal strings) being read from the TransferSingle event of
+   * the receipt
+   */
+  async mintAndWait({ publicAddress, tokenId, quantity, gasOptions, confirmations = 1 }) {
+    const location = '[ERC1155Mintable.mintAndWait]';
+    if (!isPositiveInteger(confirmations)) {
+      throw new ValidationError(`${location} The confirmations should be a positive integer.`);
+    }
+
+    const tx = await this.mint({ publicAddress, tokenId, quantity, gasOptions });
+    return this.#waitMinted(tx, confirmations, location);
+  }
+
+  /**
+   * Mint batch function: Mint several tokens at once for publicAddress
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {Array<number>} ids IDs of the tokens to mint
+   * @param {Array<number>} quantities amount to mint for each token, in the same order as ids
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (60000 gas estimated + 25000 per token)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async mintBatch({ publicAddress, ids, quantities, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.mintBatch] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError('[ERC1155Mintable.mintBatch] A valid address is required to mint.');
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isTokenId)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.mintBatch] Ids should be a non empty array of integers or decimal strings.',
+      );
+    }
+
+    if (!Array.isArray(quantities) || !quantities.every(q => Number.isInteger(q) && q > 0)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.mintBatch] Quantities should be an array of positive integers.',
+      );
+    }
+
+    if (ids.length !== quantities.length) {
+      throw new ValidationError(
+        '[ERC1155Mintable.mintBatch] Ids and quantities should have the same length.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.mintBatch]');
+
+    try {
+      const args = [publicAddress, ids, quantities];
+      const overrides = await this.#gasOverrides('mintBatch', args, gasOptions);
+      return await this.#contractDeployed.mintBatch(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.mintBatch]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Mint several tokens, like mintBatch, then wait for the transaction to be mined
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {Array<number>} ids IDs of the tokens to mint
+   * @param {Array<number>} quantities amount to mint for each token, in the same order as ids
+   * @param {object} [gasOptions] gas options of the call, overriding those of the SDK
+   * @param {number} [confirmations=1] number of confirmations to wait for
+   * @returns {Promise<object>} Minted tokens ({ tokens, txHash, receipt }), the tokens
+   * ({ tokenId, quantity }, as decimal strings) being read from the TransferBatch event of
+   * the receipt
+   */
+  async mintBatchAndWait({ publicAddress, ids, quantities, gasOptions, confirmations = 1 }) {
+    const location = '[ERC1155Mintable.mintBatchAndWait]';
+    if (!isPositiveInteger(confirmations)) {
+      throw new ValidationError(`${location} The confirmations should be a positive integer.`);
+    }
+
+    const tx = await this.mintBatch({ publicAddress, ids, quantities, gasOptions });
+    return this.#waitMinted(tx, confirmations, location);
+  }
+
+  /**
+   * Transfer function: Transfer a quantity of the token 'tokenId' between 'from' and 'to'
+   * addresses.
+   * @param {string} from Address who will transfer the tokens
+   * @param {string} to Address that will receive the tokens
+   * @param {number} tokenId ID of the token that will be transfered
+   * @param {number} quantity amount of tokens to transfer
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (55000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async transfer({ from, to, tokenId, quantity, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.transfer] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!from || !ethers.utils.isAddress(from)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transfer] A valid address "from" is required to transfer.',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transfer] A valid address "to" is required to transfer.',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transfer] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    if (!Number.isInteger(quantity) || !(quantity > 0)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transfer] Quantity should be a positive integer.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.transfer]');
+
+    try {
+      const args = [from, to, tokenId, quantity, '0x'];
+      const overrides = await this.#gasOverrides('safeTransferFrom', args, gasOptions);
+      return await this.#contractDeployed.safeTransferFrom(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.transfer]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Transfer batch function: Transfer several tokens at once between 'from' and 'to' addresses.
+   * @param {string} from Address who will transfer the tokens
+   * @param {string} to Address that will receive the tokens
+   * @param {Array<number>} ids IDs of the tokens that will be transfered
+   * @param {Array<number>} quantities amount to transfer for each token, in the same order as ids
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (60000 gas estimated + 25000 per token)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async transferBatch({ from, to, ids, quantities, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.transferBatch] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!from || !ethers.utils.isAddress(from)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transferBatch] A valid address "from" is required to transfer.',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transferBatch] A valid address "to" is required to transfer.',
+      );
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isTokenId)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transferBatch] Ids should be a non empty array of integers or decimal strings.',
+      );
+    }
+
+    if (!Array.isArray(quantities) || !quantities.every(q => Number.isInteger(q) && q > 0)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transferBatch] Quantities should be an array of positive integers.',
+      );
+    }
+
+    if (ids.length !== quantities.length) {
+      throw new ValidationError(
+        '[ERC1155Mintable.transferBatch] Ids and quantities should have the same length.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.transferBatch]');
+
+    try {
+      const args = [from, to, ids, quantities, '0x'];
+      const overrides = await this.#gasOverrides('safeBatchTransferFrom', args, gasOptions);
+      return await this.#contractDeployed.safeBatchTransferFrom(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.transferBatch]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * setURI function: Set the base URI used to resolve the tokens metadata
+   * @param {string} baseURI Base URI of the tokens metadata
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (35000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setURI({ baseURI, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.setURI] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!baseURI) {
+      throw new ValidationError('[ERC1155Mintable.setURI] A valid base uri is required!');
+    }
+
+    /* eslint-disable no-console */
+    if (!isURI(baseURI)) {
+      console.warn(`WARNING: The BaseURI "${baseURI}" is not a link.`);
+      console.warn('WARNING: BaseURI should be a public link to the tokens metadata');
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.setURI]');
+
+    try {
+      const args = [baseURI];
+      const overrides = await this.#gasOverrides('setURI', args, gasOptions);
+      return await this.#contractDeployed.setURI(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.setURI]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * setContractURI function: Set the "contractURI" metadata for the specified contract
+   * @param {string} contractURI ContractURI for the contract
+   * (URI to a JSON file describing the contract's metadata)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (35000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setContractURI({ contractURI, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.setContractURI] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!contractURI) {
+      throw new ValidationError(
+        '[ERC1155Mintable.setContractURI] A valid contract uri is required!',
+      );
+    }
+
+    /* eslint-disable no-console */
+    if (!isURI(contractURI)) {
+      console.warn(`WARNING: The ContractURI "${contractURI}" is not a link.`);
+      console.warn('WARNING: ContractURI should be a public link to a valid JSON metadata file');
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.setContractURI]');
+
+    try {
+      const args = [contractURI];
+      const overrides = await this.#gasOverrides('setContractURI', args, gasOptions);
+      return await this.#contractDeployed.setContractURI(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.setContractURI]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Set royalties information for the receiver address with the provided fee
+   * @param {string} - address
+   * @param {number} - fee
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (49000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction
+   */
+  async setRoyalties({ publicAddress, fee, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError('[ERC1155Mintable.setRoyalties] Contract needs to be deployed');
+    }
+
+    if (!publicAddress || !utils.isAddress(publicAddress)) {
+      throw new ValidationError('[ERC1155Mintable.setRoyalties] Address is required');
+    }
+
+    if (!fee || !Number.isInteger(fee) || !(fee > 0 && fee < 10000)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.setRoyalties] Fee as numeric value between 0 and 10000 is required',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.setRoyalties]');
+
+    try {
+      const args = [publicAddress, fee];
+      const overrides = await this.#gasOverrides('setRoyalties', args, gasOptions);
+      return await this.#contractDeployed.setRoyalties(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.setRoyalties]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Returns receiver address and royalty amount based on sell price
+   * @param {number} - Token ID
+   * @param {number} - Sell price
+   * @returns {Promise<object>} - Returns receiver address and bigNumber
+   * representing royalty amount based on sell price
+   */
+  async royaltyInfo({ tokenId, sellPrice }) {
+    if (!this.#contractDeployed) {
+      throw new ContractError('[ERC1155Mintable.royaltyInfo] Contract needs to be deployed');
+    }
+
+    if (!isDefined(tokenId)) {
+      throw new ValidationError('[ERC1155Mintable.royaltyInfo] TokenId is required');
+    }
+
+    if (!sellPrice) {
+      throw new ValidationError('[ERC1155Mintable.royaltyInfo] Sell price is required');
+    }
+
+    try {
+      return await this.#contractDeployed.royaltyInfo(tokenId, sellPrice);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.royaltyInfo]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Add minter function: Grant the 'minter' role to an address
+   * @param {string} publicAddress the address to be elevated at 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async addMinter({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.addMinter] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.addMinter] A valid address is required to add the minter role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.addMinter]');
+
+    try {
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('grantRole', args, gasOptions);
+      return await this.#contractDeployed.grantRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.addMinter]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Renounce minter function: Renounce the 'minter' role
+   * @param {string} publicAddress the address that will renounce its 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (40000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async renounceMinter({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.renounceMinter] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.renounceMinter] A valid address is required to renounce the minter role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.renounceMinter]');
+
+    try {
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('renounceRole', args, gasOptions);
+      return await this.#contractDeployed.renounceRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.renounceMinter]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Remove minter function: Remove the 'minter' role to an address
+   * @param {string} publicAddress the address that will loose the 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async removeMinter({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.removeMinter] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.removeMinter] A valid address is required to remove the minter role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.removeMinter]');
+
+    try {
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('revokeRole', args, gasOptions);
+      return await this.#contractDeployed.revokeRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.removeMinter]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Is minter function: Check if an address has the 'minter' role or not
+   * @param {string} publicAddress the address to check
+   * @returns {Promise<boolean>} Promise that will return a boolean
+   */
+  async isMinter({ publicAddress }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.isMinter] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.isMinter] A valid address is required to check the minter role.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.hasRole(this.MINTER_ROLE, publicAddress);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.isMinter]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Add Admin function: Add the 'admin' role to an address. Only callable by
+   * addresses with the admin role.
+   * @param {string} publicAddress the address that will be elevated at 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async addAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.addAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.addAdmin] A valid address is required to add the admin role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.addAdmin]');
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('grantRole', args, gasOptions);
+      return await this.#contractDeployed.grantRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.addAdmin]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Remove Admin function: Remove the 'admin' role to an address. Only callable by
+   * addresses with the admin role.
+   * @param {string} publicAddress the address that will loose the 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (40000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async removeAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.removeAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.removeAdmin] A valid address is required to remove the admin role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.removeAdmin]');
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('revokeRole', args, gasOptions);
+      return await this.#contractDeployed.revokeRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.removeAdmin]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Renounce Admin function: Remove the 'admin' role to an address. Only callable by
+   * address invoking the request.
+   * @param {string} publicAddress the address that will loose the 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async renounceAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.renounceAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.renounceAdmin] A valid address is required to renounce the admin role.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.renounceAdmin]');
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('renounceRole', args, gasOptions);
+      return await this.#contractDeployed.renounceRole(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.renounceAdmin]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Is Admin function: Check whether an address has the 'admin' role
+   * @param {string} publicAddress the address to check
+   * @returns {Promise<boolean>} Promise that will return a boolean
+   */
+  async isAdmin({ publicAddress }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.isAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.isAdmin] A valid address is required to check the admin role.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.hasRole(this.ADMIN_ROLE, publicAddress);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC1155Mintable.isAdmin]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * setApprovalForAll will give the full approval rights for a given address
+   * @param {string} to Address which will receive the approval rights
+   * @param {boolean} approvalStatus Boolean representing the approval to be given (true)
+   *  or revoked (false)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (46000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setApprovalForAll({ to, approvalStatus, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC1155Mintable.setApprovalForAll] A contract should be deployed or loaded first.',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.setApprovalForAll] An address is required to setApprovalForAll.',
+      );
+    }
+
+    if (!isBoolean(approvalStatus)) {
+      throw new ValidationError(
+        '[ERC1155Mintable.setApprovalForAll] approvalStatus param should be a boolean.',
+      );
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.setApprovalForAll]');
+
+    try {
+      const args = [to, approvalStatus];
+      const overrides = await this.#gasOverrides('setApprovalForAll', args, gasOptions);
+      return await this.#contractDeployed.setApprovalForAll(...args, overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.setApprovalForAll]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Renouncing ownership of the smart contract (will leave the contract without an owner).
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (25000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async renounceOwnership({ gasOptions } = {}) {
+    if (!this.contractAddress && !this.#contractDeployed) {
+      throw new ContractError('[ERC1155Mintable.renounceOwnership] Contract needs to be deployed');
+    }
+
+    validateGasOptions(gasOptions, '[ERC1155Mintable.renounceOwnership]');
+
+    try {
+      const overrides = await this.#gasOverrides('renounceOwnership', [], gasOptions);
+      return await this.#contractDeployed.renounceOwnership(overrides);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC1155Mintable.renounceOwnership]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Listen to an event of the contract. The events of the blocks mined after the call are
+   * delivered once their block has 'confirmations' confirmations, decoded with the ABI of the
+   * template ({ event, signature, args, address, blockNumber, blockHash, transactionHash,
+   * logIndex })
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [confirmations=1] confirmations of the block of an event before it is
+   * delivered
+   * @param {Function} listener called with each event
+   * @param {Function} [onError] called with the errors reading the events, retried on the next
+   * block, and those thrown by the listener
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async on({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC1155Mintable.on]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError },
+      location,
+    );
+  }
+
+  /**
+   * Listen to the next event of the contract matching the filter, like on
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event
+   * @param {number} [confirmations=1] confirmations of the block of the event before it is
+   * delivered
+   * @param {Function} listener called with the event
+   * @param {Function} [onError] called with the errors reading the events
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async once({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC1155Mintable.once]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError, once: true },
+      location,
+    );
+  }
+
+  /**
+   * Stop listening to an event, to a listener, or to all the events of the contract
+   * @param {string} [event] name or signature of the event, all events by default
+   * @param {Function} [listener] listener given to on or once, all listeners by default
+   * @returns void
+   */
+  off({ event, listener } = {}) {
+    this.#events?.unsubscribe({ event, listener }, '[ERC1155Mintable.off]');
+  }
+
+  /**
+   * Get the past events of the contract, decoded like those of on and ordered by block and
+   * position in the block. Large block ranges are read by chunks, split again when the node
+   * answers that a chunk has too many logs
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [fromBlock] first block of the range, the deployment block of the
+   * contract by default
+   * @param {number|string} [toBlock='latest'] last block of the range
+   * @returns {Promise<Array<object>>} Events
+   */
+  async queryEvents({ event, filter, fromBlock, toBlock }) {
+    const location = '[ERC1155Mintable.queryEvents]';
+    return this.#getEvents(location).query({ event, filter, fromBlock, toBlock }, location);
+  }
+
+  // Subscriptions to the events of the contract, created by the first one
+  #getEvents(location) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(`${location} A contract should be deployed or loaded first`);
+    }
+
+    if (!this.#events) {
+      this.#events = new ContractEvents({
+        provider: this.#signer?.provider,
+        address: this.contractAddress,
+        abi: smartContractArtifact.abi,
+        deployTransaction: this.#deployTransaction,
+      });
+    }
+    return this.#events;
+  }
+
+  // Wait for a mint or mintBatch transaction and read the tokens it minted, one per ID
+  async #waitMinted(tx, confirmations, location) {
+    const decoded = withRevertDecoding(tx, {
+      provider: this.#signer?.provider,
+      abi: smartContractArtifact.abi,
+      location,
+    });
+    const receipt = await waitReceipt(decoded, confirmations);
+
+    const tokens = getMintEvents(receipt, {
+      address: this.contractAddress,
+      contractInterface: this.#contractDeployed.interface,
+      events: ['TransferSingle', 'TransferBatch'],
+    }).flatMap(readMintedTokens);
+
+    return { tokens, txHash: receipt.transactionHash, receipt };
+  }
+
+  // Overrides of the deployment, with the gas limit estimated for the creation of the contract
+  #deployOverrides(factory, args, gasOptions, overrides) {
+    const signer = this.#signer;
+    const deployment = transaction => factory.getDeployTransaction(...args, transaction);
+    return buildGasOverrides({
+      provider: signer.provider,
+      estimateGas: transaction => signer.estimateGas(deployment(transaction)),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+
+  // Overrides of the call with the fees of the fee strategy and the gas limit estimated for
+  // the call. The gas options of the call override those of the instance
+  #gasOverrides(method, args, gasOptions, overrides) {
+    const { estimateGas } = this.#contractDeployed;
+    return buildGasOverrides({
+      provider: this.#signer?.provider,
+      estimateGas: transaction => estimateGas[method](...args, transaction),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+}
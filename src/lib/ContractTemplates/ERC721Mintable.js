@@ -1,12 +1,62 @@
 import { ethers, utils } from 'ethers';
 import smartContractArtifact from './artifacts/ERC721Mintable.js';
-import { isBoolean, isDefined, isURI } from '../utils.js';
+import { isBoolean, isDefined, isPositiveInteger, isTokenId, isURI } from '../utils.js';
 import { TEMPLATES } from '../NFT/constants.js';
-import { networkErrorHandler } from '../error/handler.js';
+import { contractErrorHandler, withRevertDecoding } from '../error/handler.js';
+import { ContractError, ValidationError } from '../error/errors.js';
+import { buildGasOverrides, validateGasOptions } from '../Transaction/gas.js';
+import { getMintEvents, waitReceipt } from '../Transaction/receipt.js';
+import validateTxOptions from '../Transaction/txOptions.js';
+import TransactionQueue from '../Transaction/TransactionQueue.js';
+import ContractEvents from '../Event/ContractEvents.js';
+
+const DEFAULT_BATCH_CHUNK_SIZE = 20;
+
+// items reported by a previous mintBatch, for the same recipients and tokenURIs
+const isValidResume = (resume, recipients, tokenURIs) => {
+  if (!Array.isArray(resume)) return false;
+  return resume.every(item => {
+    const { index } = item ?? {};
+    const isValidIndex = Number.isInteger(index) && index >= 0 && index < recipients.length;
+    if (!isValidIndex) return false;
+    return item.recipient === recipients[item.index] && item.tokenURI === tokenURIs[item.index];
+  });
+};
+
+const validateMintBatch = (
+  { recipients, tokenURIs, chunkSize, concurrency, resume, onProgress },
+  location,
+) => {
+  const isValidRecipients = Array.isArray(recipients) && recipients.length > 0;
+  if (!isValidRecipients || !recipients.every(address => ethers.utils.isAddress(address))) {
+    throw new ValidationError(`${location} A non-empty array of valid addresses is required.`);
+  }
 
-export default class ERC721Mintable {
-  #gasLimit = 6000000;
+  const isValidTokenURIs = Array.isArray(tokenURIs) && tokenURIs.length === recipients.length;
+  if (!isValidTokenURIs || !tokenURIs.every(tokenURI => !!tokenURI)) {
+    throw new ValidationError(`${location} A tokenURI is required for each recipient.`);
+  }
+
+  if (!isPositiveInteger(chunkSize)) {
+    throw new ValidationError(`${location} The chunkSize should be a positive integer.`);
+  }
+
+  if (concurrency !== undefined && !isPositiveInteger(concurrency)) {
+    throw new ValidationError(`${location} The concurrency should be a positive integer.`);
+  }
+
+  if (resume !== undefined && !isValidResume(resume, recipients, tokenURIs)) {
+    throw new ValidationError(
+      `${location} The resumed items should be those of the same recipients and tokenURIs.`,
+    );
+  }
 
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    throw new ValidationError(`${location} onProgress should be a function.`);
+  }
+};
+
+export default class ERC721Mintable {
   ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
 
   MINTER_ROLE = '0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6';
@@ -17,10 +67,28 @@ export default class ERC721Mintable {
 
   #signer;
 
+  #gasOptions;
+
   #template = TEMPLATES.ERC721Mintable;
 
-  constructor(signer) {
+  #events;
+
+  // hash of the transaction deploying the contract, when deployed by this instance
+  #deployTransaction;
+
+  #pendingOwner = null;
+
+  /**
+   * @param {object} signer signer of the transactions
+   * @param {object} [options]
+   * @param {object} [options.gasOptions] default gas options of the write methods: feeStrategy
+   * ('slow', 'standard', 'fast', { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }) and
+   * gasLimitMultiplier (safety margin applied to the estimated gas, 1.2 by default)
+   */
+  constructor(signer, { gasOptions } = {}) {
+    validateGasOptions(gasOptions, '[ERC721Mintable.constructor]');
     this.#signer = signer;
+    this.#gasOptions = gasOptions;
   }
 
   getTemplate() {
@@ -33,32 +101,40 @@ export default class ERC721Mintable {
    * @param {string} symbol Symbol of the contract
    * @param {string} contractURI ContractURI for the contract
    * (link to a JSON file describing the contract's metadata)
+   * @param {object} [gasOptions] gas options of the deployment ({ feeStrategy,
+   * gasLimitMultiplier, gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the deployment transaction (nonce, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (4000000 gas estimated)
    * @returns void
    */
-  async deploy({ name, symbol, contractURI }) {
+  async deploy({ name, symbol, contractURI, gasOptions, txOptions = {} }) {
     if (this.contractAddress || this.#contractDeployed) {
-      throw new Error('[ERC721Mintable.deploy] The contract has already been deployed!');
+      throw new ContractError('[ERC721Mintable.deploy] The contract has already been deployed!');
     }
 
     if (!this.#signer) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.deploy] Signer instance is required to interact with contract.',
       );
     }
 
     if (!name) {
-      throw new Error('[ERC721Mintable.deploy] Name cannot be empty');
+      throw new ValidationError('[ERC721Mintable.deploy] Name cannot be empty');
     }
 
     if (symbol === undefined) {
-      throw new Error('[ERC721Mintable.deploy] symbol cannot be undefined');
+      throw new ValidationError('[ERC721Mintable.deploy] symbol cannot be undefined');
     }
 
     if (contractURI === undefined) {
-      throw new Error('[ERC721Mintable.deploy] contractURI cannot be undefined');
+      throw new ValidationError('[ERC721Mintable.deploy] contractURI cannot be undefined');
     }
 
+    const location = '[ERC721Mintable.deploy]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     /* eslint-disable no-console */
     if (!isURI(contractURI)) {
       console.warn(`WARNING: The ContractURI "${contractURI}" is not a link.`);
@@ -73,14 +149,16 @@ export default class ERC721Mintable {
       );
 
       // TODO remove rest parameter for destructuring (more secure)
-      const contract = await factory.deploy(name, symbol, contractURI);
+      const args = [name, symbol, contractURI];
+      const overrides = await this.#deployOverrides(factory, args, gasOptions, txOptions);
+      const contract = await factory.deploy(...args, overrides);
+      this.#deployTransaction = contract.deployTransaction?.hash;
 
       this.#contractDeployed = await contract.deployed();
 
       this.contractAddress = contract.address;
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.deploy] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -88,31 +166,39 @@ export default class ERC721Mintable {
    * Set royalties information for the receiver address with the provided fee
    * @param {string} - address
    * @param {number} - fee
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (49000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction
    */
-  async setRoyalties({ publicAddress, fee }) {
+  async setRoyalties({ publicAddress, fee, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.setRoyalties] Contract needs to be deployed');
+      throw new ContractError('[ERC721Mintable.setRoyalties] Contract needs to be deployed');
     }
 
     if (!publicAddress || !utils.isAddress(publicAddress)) {
-      throw new Error('[ERC721Mintable.setRoyalties] Address is required');
+      throw new ValidationError('[ERC721Mintable.setRoyalties] Address is required');
     }
 
     if (!fee || !Number.isInteger(fee) || !(fee > 0 && fee < 10000)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.setRoyalties] Fee as numeric value between 0 and 10000 is required',
       );
     }
 
+    const location = '[ERC721Mintable.setRoyalties]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.setRoyalties(publicAddress, fee, {
-        gasLimit: this.#gasLimit,
-      });
+      const args = [publicAddress, fee];
+      const overrides = await this.#gasOverrides('setRoyalties', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.setRoyalties(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.setRoyalties] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -125,22 +211,21 @@ export default class ERC721Mintable {
    */
   async royaltyInfo({ tokenId, sellPrice }) {
     if (!this.#contractDeployed) {
-      throw new Error('[ERC721Mintable.royaltyInfo] Contract needs to be deployed');
+      throw new ContractError('[ERC721Mintable.royaltyInfo] Contract needs to be deployed');
     }
 
     if (!isDefined(tokenId)) {
-      throw new Error('[ERC721Mintable.royaltyInfo] TokenId is required');
+      throw new ValidationError('[ERC721Mintable.royaltyInfo] TokenId is required');
     }
 
     if (!sellPrice) {
-      throw new Error('[ERC721Mintable.royaltyInfo] Sell price is required');
+      throw new ValidationError('[ERC721Mintable.royaltyInfo] Sell price is required');
     }
 
     try {
       return await this.#contractDeployed.royaltyInfo(tokenId, sellPrice);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.royaltyInfo] An error occured: ${message}`);
+      throw contractErrorHandler(error, '[ERC721Mintable.royaltyInfo]', smartContractArtifact.abi);
     }
   }
 
@@ -148,22 +233,32 @@ export default class ERC721Mintable {
    * Mint function: Mint a token for publicAddress with the tokenURI provided
    * @param {string} publicAddress destination address of the minted token
    * @param {string} tokenURI link to the JSON object containing metadata about the token
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (120000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async mint({ publicAddress, tokenURI }) {
+  async mint({ publicAddress, tokenURI, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.mint] A contract should be deployed or loaded first');
+      throw new ContractError(
+        '[ERC721Mintable.mint] A contract should be deployed or loaded first',
+      );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error('[ERC721Mintable.mint] A valid address is required to mint.');
+      throw new ValidationError('[ERC721Mintable.mint] A valid address is required to mint.');
     }
 
     if (!tokenURI) {
-      throw new Error('[ERC721Mintable.mint] A tokenURI is required to mint.');
+      throw new ValidationError('[ERC721Mintable.mint] A tokenURI is required to mint.');
     }
 
+    const location = '[ERC721Mintable.mint]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     /* eslint-disable no-console */
     if (!isURI(tokenURI)) {
       console.warn(`WARNING: The TokenURI "${tokenURI}" is not a link.`);
@@ -171,91 +266,208 @@ export default class ERC721Mintable {
     }
 
     try {
-      return await this.#contractDeployed.mintWithTokenURI(publicAddress, tokenURI, {
-        gasLimit: this.#gasLimit,
-      });
+      const args = [publicAddress, tokenURI];
+      const overrides = await this.#gasOverrides('mintWithTokenURI', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.mintWithTokenURI(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.mint] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
+  /**
+   * Mint a token, like mint, then wait for the transaction to be mined
+   * @param {string} publicAddress destination address of the minted token
+   * @param {string} tokenURI link to the JSON object containing metadata about the token
+   * @param {object} [gasOptions] gas options of the call, overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction, forwarded to ethers
+   * @param {number} [confirmations=1] number of confirmations to wait for
+   * @returns {Promise<object>} Minted token ({ tokenId, txHash, receipt }), the ID being read
+   * from the Transfer event of the receipt, as a decimal string
+   */
+  async mintAndWait({ publicAddress, tokenURI, gasOptions, txOptions, confirmations = 1 }) {
+    const location = '[ERC721Mintable.mintAndWait]';
+    if (!isPositiveInteger(confirmations)) {
+      throw new ValidationError(`${location} The confirmations should be a positive integer.`);
+    }
+
+    const tx = await this.mint({ publicAddress, tokenURI, gasOptions, txOptions });
+    const receipt = await waitReceipt(tx, confirmations);
+    return { tokenId: this.#findMintedTokenId(receipt), txHash: receipt.transactionHash, receipt };
+  }
+
+  /**
+   * Mint a batch of tokens, one mintWithTokenURI transaction per token. The transactions are
+   * sent through the transaction queue of the signer, chunk by chunk: the transactions of a
+   * chunk are sent, then mined, before the next chunk is sent
+   * @param {Array<string>} recipients destination addresses of the tokens
+   * @param {Array<string>} tokenURIs tokenURIs of the tokens, one per recipient
+   * @param {number} [chunkSize=20] number of tokens of a chunk
+   * @param {number} [concurrency] number of transactions sent at the same time by the queue
+   * @param {Array<object>} [resume] items of a previous call, returned or reported to
+   * onProgress, the last one of an index prevailing: the tokens minted are skipped, the
+   * transactions sent are waited for instead of being sent again (unless the node lost them),
+   * and the failed tokens are minted again
+   * @param {Function} [onProgress] called with an item each time its status changes: 'sent'
+   * (txHash known), 'minted' or 'failed'. Saving the items allows to resume after a crash
+   * @param {object} [gasOptions] gas options of the transactions, overriding those of the SDK
+   * @returns {Promise<Array<object>>} Results, one per token ({ index, recipient, tokenURI,
+   * status: 'minted' or 'failed', txHash, tokenId, error })
+   */
+  async mintBatch({
+    recipients,
+    tokenURIs,
+    chunkSize = DEFAULT_BATCH_CHUNK_SIZE,
+    concurrency,
+    resume,
+    onProgress,
+    gasOptions,
+  }) {
+    const location = '[ERC721Mintable.mintBatch]';
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(`${location} A contract should be deployed or loaded first`);
+    }
+
+    validateMintBatch(
+      { recipients, tokenURIs, chunkSize, concurrency, resume, onProgress },
+      location,
+    );
+    validateGasOptions(gasOptions, location);
+
+    const results = recipients.map((recipient, index) => ({
+      index,
+      recipient,
+      tokenURI: tokenURIs[index],
+      status: 'queued',
+      txHash: null,
+      tokenId: null,
+      error: null,
+    }));
+    (resume ?? []).forEach(item => Object.assign(results[item.index], item));
+
+    const queue = await TransactionQueue.forSigner(this.#signer, { concurrency });
+    const batch = { queue, gasOptions, onProgress, location, txs: new Map() };
+
+    const chunks = [];
+    for (let start = 0; start < results.length; start += chunkSize) {
+      chunks.push(results.slice(start, start + chunkSize));
+    }
+    await chunks.reduce(
+      (previous, chunk) => previous.then(() => this.#mintChunk(chunk, batch)),
+      Promise.resolve(),
+    );
+
+    return results.map(item => ({ ...item }));
+  }
+
   /**
    * Add minter function: Grant the 'minter' role to an address
    * @param {string} publicAddress the address to be elevated at 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (30000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async addMinter({ publicAddress }) {
+  async addMinter({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.addMinter] A contract should be deployed or loaded first');
+      throw new ContractError(
+        '[ERC721Mintable.addMinter] A contract should be deployed or loaded first',
+      );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.addMinter] A valid address is required to add the minter role.',
       );
     }
 
+    const location = '[ERC721Mintable.addMinter]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.grantRole(this.MINTER_ROLE, publicAddress);
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('grantRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.grantRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.addMinter] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
   /**
    * Renounce minter function: Renounce the 'minter' role
    * @param {string} publicAddress the address that will renounce its 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (40000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async renounceMinter({ publicAddress }) {
+  async renounceMinter({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.renounceMinter] A contract should be deployed or loaded first',
       );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.renounceMinter] A valid address is required to renounce the minter role.',
       );
     }
 
+    const location = '[ERC721Mintable.renounceMinter]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.renounceRole(this.MINTER_ROLE, publicAddress);
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('renounceRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.renounceRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.renounceMinter] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
   /**
    * Remove minter function: Remove the 'minter' role to an address
    * @param {string} publicAddress the address that will loose the 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (30000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async removeMinter({ publicAddress }) {
+  async removeMinter({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.removeMinter] A contract should be deployed or loaded first',
       );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.removeMinter] A valid address is required to remove the minter role.',
       );
     }
 
+    const location = '[ERC721Mintable.removeMinter]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.revokeRole(this.MINTER_ROLE, publicAddress);
+      const args = [this.MINTER_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('revokeRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.revokeRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.removeMinter] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -266,11 +478,13 @@ export default class ERC721Mintable {
    */
   async isMinter({ publicAddress }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.isMinter] A contract should be deployed or loaded first');
+      throw new ContractError(
+        '[ERC721Mintable.isMinter] A contract should be deployed or loaded first',
+      );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.isMinter] A valid address is required to check the minter role.',
       );
     }
@@ -278,11 +492,20 @@ export default class ERC721Mintable {
     try {
       return await this.#contractDeployed.hasRole(this.MINTER_ROLE, publicAddress);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.isMinter] An error occured: ${message}`);
+      throw contractErrorHandler(error, '[ERC721Mintable.isMinter]', smartContractArtifact.abi);
     }
   }
 
+  /**
+   * List the addresses having the 'minter' role, see listRoleMembers
+   * @param {number} [fromBlock] first block of the role events read, the deployment block of
+   * the contract by default
+   * @returns {Promise<Array<string>>} Addresses having the role
+   */
+  async listMinters({ fromBlock } = {}) {
+    return this.#listRoleMembers(this.MINTER_ROLE, fromBlock, '[ERC721Mintable.listMinters]');
+  }
+
   /**
    * Load an ERC721Mintable contract from an existing contract address. Used by the SDK class
    * @param {string} contractAddress Address of the ERC721Mintable contract to load
@@ -290,11 +513,13 @@ export default class ERC721Mintable {
    */
   async loadContract({ contractAddress }) {
     if (this.contractAddress || this.#contractDeployed) {
-      throw new Error('[ERC721Mintable.loadContract] The contract has already been loaded!');
+      throw new ContractError(
+        '[ERC721Mintable.loadContract] The contract has already been loaded!',
+      );
     }
 
     if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.loadContract] A valid contract address is required to load a contract.',
       );
     }
@@ -308,8 +533,7 @@ export default class ERC721Mintable {
 
       this.contractAddress = contractAddress;
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.loadContract] An error occured: ${message}`);
+      throw contractErrorHandler(error, '[ERC721Mintable.loadContract]', smartContractArtifact.abi);
     }
   }
 
@@ -318,38 +542,50 @@ export default class ERC721Mintable {
    * @param {string} from Address who will transfer the token
    * @param {string} to Address that will receive the token
    * @param {number} tokenId ID of the token that will be transfered
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (62000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async transfer({ from, to, tokenId }) {
+  async transfer({ from, to, tokenId, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.transfer] A contract should be deployed or loaded first');
+      throw new ContractError(
+        '[ERC721Mintable.transfer] A contract should be deployed or loaded first',
+      );
     }
 
     if (!from || !ethers.utils.isAddress(from)) {
-      throw new Error('[ERC721Mintable.transfer] A valid address "from" is required to transfer.');
+      throw new ValidationError(
+        '[ERC721Mintable.transfer] A valid address "from" is required to transfer.',
+      );
     }
 
     if (!to || !ethers.utils.isAddress(to)) {
-      throw new Error('[ERC721Mintable.transfer] A valid address "to" is required to transfer.');
+      throw new ValidationError(
+        '[ERC721Mintable.transfer] A valid address "to" is required to transfer.',
+      );
     }
 
-    if (!Number.isInteger(tokenId)) {
-      throw new Error('[ERC721Mintable.transfer] TokenId should be an integer.');
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721Mintable.transfer] TokenId should be an integer or a decimal string.',
+      );
     }
 
+    const location = '[ERC721Mintable.transfer]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed['safeTransferFrom(address,address,uint256)'](
-        from,
-        to,
-        tokenId,
-        {
-          gasLimit: this.#gasLimit,
-        },
-      );
+      const method = 'safeTransferFrom(address,address,uint256)';
+      const args = [from, to, tokenId];
+      const overrides = await this.#gasOverrides(method, args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed[method](...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.transfer] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -357,18 +593,24 @@ export default class ERC721Mintable {
    * setContractURI function: Set the "contractURI" metadata for the specified contract
    * @param {string} contractURI ContractURI for the contract
    * (URI to a JSON file describing the contract's metadata)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (35000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async setContractURI({ contractURI }) {
+  async setContractURI({ contractURI, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.setContractURI] A contract should be deployed or loaded first!',
       );
     }
 
     if (!contractURI) {
-      throw new Error('[ERC721Mintable.setContractURI] A valid contract uri is required!');
+      throw new ValidationError(
+        '[ERC721Mintable.setContractURI] A valid contract uri is required!',
+      );
     }
 
     /* eslint-disable no-console */
@@ -377,11 +619,17 @@ export default class ERC721Mintable {
       console.warn('WARNING: ContractURI should be a public link to a valid JSON metadata file');
     }
 
+    const location = '[ERC721Mintable.setContractURI]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.setContractURI(contractURI);
+      const args = [contractURI];
+      const overrides = await this.#gasOverrides('setContractURI', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.setContractURI(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.setContractURI] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -389,25 +637,37 @@ export default class ERC721Mintable {
    * Add Admin function: Add the 'admin' role to an address. Only callable by
    * addresses with the admin role.
    * @param {string} publicAddress the address that will loose the 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (30000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async addAdmin({ publicAddress }) {
+  async addAdmin({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.addAdmin] A contract should be deployed or loaded first!');
+      throw new ContractError(
+        '[ERC721Mintable.addAdmin] A contract should be deployed or loaded first!',
+      );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.addAdmin] A valid address is required to add the admin role.',
       );
     }
 
+    const location = '[ERC721Mintable.addAdmin]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.grantRole(this.ADMIN_ROLE, publicAddress);
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('grantRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.grantRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.addAdmin] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -415,27 +675,37 @@ export default class ERC721Mintable {
    * Remove Admin function: Remove the 'admin' role to an address. Only callable by
    * addresses with the admin role.
    * @param {string} publicAddress the address that will loose the 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (40000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async removeAdmin({ publicAddress }) {
+  async removeAdmin({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.removeAdmin] A contract should be deployed or loaded first!',
       );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.removeAdmin] A valid address is required to remove the admin role.',
       );
     }
 
+    const location = '[ERC721Mintable.removeAdmin]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.revokeRole(this.ADMIN_ROLE, publicAddress);
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('revokeRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.revokeRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.removeAdmin] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -443,27 +713,37 @@ export default class ERC721Mintable {
    * Renounce Admin function: Remove the 'admin' role to an address. Only callable by
    * address invoking the request.
    * @param {string} publicAddress the address that will loose the 'minter' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (30000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async renounceAdmin({ publicAddress }) {
+  async renounceAdmin({ publicAddress, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.renounceAdmin] A contract should be deployed or loaded first!',
       );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.renounceAdmin] A valid address is required to renounce the admin role.',
       );
     }
 
+    const location = '[ERC721Mintable.renounceAdmin]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.renounceRole(this.ADMIN_ROLE, publicAddress);
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('renounceRole', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.renounceRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.renounceAdmin] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -474,11 +754,13 @@ export default class ERC721Mintable {
    */
   async isAdmin({ publicAddress }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error('[ERC721Mintable.isAdmin] A contract should be deployed or loaded first!');
+      throw new ContractError(
+        '[ERC721Mintable.isAdmin] A contract should be deployed or loaded first!',
+      );
     }
 
     if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.isAdmin] A valid address is required to check the admin role.',
       );
     }
@@ -486,9 +768,36 @@ export default class ERC721Mintable {
     try {
       return await this.#contractDeployed.hasRole(this.ADMIN_ROLE, publicAddress);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.isAdmin] An error occured: ${message}`);
+      throw contractErrorHandler(error, '[ERC721Mintable.isAdmin]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * List the addresses having the 'admin' role, see listRoleMembers
+   * @param {number} [fromBlock] first block of the role events read, the deployment block of
+   * the contract by default
+   * @returns {Promise<Array<string>>} Addresses having the role
+   */
+  async listAdmins({ fromBlock } = {}) {
+    return this.#listRoleMembers(this.ADMIN_ROLE, fromBlock, '[ERC721Mintable.listAdmins]');
+  }
+
+  /**
+   * List the addresses having a role. The contract does not enumerate the members of its
+   * roles: the RoleGranted and RoleRevoked events of the role, read together up to the latest
+   * block, are replayed in order, and each address found is checked with hasRole at that block
+   * @param {string} role the role, a bytes32 hash (ex: MINTER_ROLE)
+   * @param {number} [fromBlock] first block of the role events read, the deployment block of
+   * the contract by default
+   * @returns {Promise<Array<string>>} Addresses having the role, in the order they were granted it
+   */
+  async listRoleMembers({ role, fromBlock }) {
+    const location = '[ERC721Mintable.listRoleMembers]';
+    if (!ethers.utils.isHexString(role, 32)) {
+      throw new ValidationError(`${location} A valid role (bytes32 hex string) is required.`);
     }
+
+    return this.#listRoleMembers(role, fromBlock, location);
   }
 
   /**
@@ -496,33 +805,43 @@ export default class ERC721Mintable {
    * @param {string} to Address which will receive the approval rights
    * @param {boolean} approvalStatus Boolean representing the approval to be given (true)
    *  or revoked (false)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (46000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async setApprovalForAll({ to, approvalStatus }) {
+  async setApprovalForAll({ to, approvalStatus, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.setApprovalForAll] A contract should be deployed or loaded first.',
       );
     }
 
     if (!to || !ethers.utils.isAddress(to)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.setApprovalForAll] An address is required to setApprovalForAll.',
       );
     }
 
     if (!isBoolean(approvalStatus)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.setApprovalForAll] approvalStatus param should be a boolean.',
       );
     }
 
+    const location = '[ERC721Mintable.setApprovalForAll]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
     try {
-      return await this.#contractDeployed.setApprovalForAll(to, approvalStatus);
+      const args = [to, approvalStatus];
+      const overrides = await this.#gasOverrides('setApprovalForAll', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.setApprovalForAll(...args, overrides);
+      return this.#decodeReverts(tx, location);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.setApprovalForAll] An error occured: ${message}`);
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
     }
   }
 
@@ -530,49 +849,691 @@ export default class ERC721Mintable {
    * Gives permission to to to transfer tokenId token to another address.
    * @param {string} to the address that will be approved to do the transfer.
    * @param {number} tokenId tokenId the nft id to transfer.
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (50000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async approveTransfer({ to, tokenId }) {
+  async approveTransfer({ to, tokenId, gasOptions, txOptions }) {
     if (!this.#contractDeployed && !this.contractAddress) {
-      throw new Error(
+      throw new ContractError(
         '[ERC721Mintable.approveTransfer] A contract should be deployed or loaded first',
       );
     }
 
     if (!to || !ethers.utils.isAddress(to)) {
-      throw new Error(
+      throw new ValidationError(
         '[ERC721Mintable.approveTransfer] A valid address "to" is required to transfer.',
       );
     }
 
-    if (!Number.isInteger(tokenId)) {
-      throw new Error('[ERC721Mintable.approveTransfer] TokenId should be an integer.');
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721Mintable.approveTransfer] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    const location = '[ERC721Mintable.approveTransfer]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    try {
+      const args = [to, tokenId];
+      const overrides = await this.#gasOverrides('approve', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.approve(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the number of tokens owned by an address
+   * @param {string} publicAddress address of the owner
+   * @returns {Promise<ethers.BigNumber>} Number of tokens owned
+   */
+  async balanceOf({ publicAddress }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.balanceOf] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721Mintable.balanceOf] A valid address is required to get the balance.',
+      );
     }
 
     try {
-      return await this.#contractDeployed.approve(to, tokenId);
+      return await this.#contractDeployed.balanceOf(publicAddress);
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.approveTransfer] An error occured: ${message}`);
+      throw contractErrorHandler(error, '[ERC721Mintable.balanceOf]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the owner of a token
+   * @param {number} tokenId ID of the token
+   * @returns {Promise<string>} Address of the owner of the token
+   */
+  async ownerOf({ tokenId }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.ownerOf] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721Mintable.ownerOf] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.ownerOf(tokenId);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.ownerOf]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the URI of a token (link to the JSON file containing its metadata)
+   * @param {number} tokenId ID of the token
+   * @returns {Promise<string>} TokenURI of the token
+   */
+  async tokenURI({ tokenId }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.tokenURI] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721Mintable.tokenURI] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.tokenURI(tokenId);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.tokenURI]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the address approved to transfer a token
+   * @param {number} tokenId ID of the token
+   * @returns {Promise<string>} Approved address (zero address if none)
+   */
+  async getApproved({ tokenId }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.getApproved] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721Mintable.getApproved] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.getApproved(tokenId);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.getApproved]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Check whether an operator is allowed to manage all the tokens of an owner
+   * @param {string} owner address of the owner of the tokens
+   * @param {string} operator address of the operator
+   * @returns {Promise<boolean>} Promise that will return a boolean
+   */
+  async isApprovedForAll({ owner, operator }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.isApprovedForAll] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!owner || !ethers.utils.isAddress(owner)) {
+      throw new ValidationError(
+        '[ERC721Mintable.isApprovedForAll] A valid "owner" address is required.',
+      );
+    }
+
+    if (!operator || !ethers.utils.isAddress(operator)) {
+      throw new ValidationError(
+        '[ERC721Mintable.isApprovedForAll] A valid "operator" address is required.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.isApprovedForAll(owner, operator);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721Mintable.isApprovedForAll]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Returns the address of the owner of the contract
+   * @returns {Promise<string>} Address of the owner
+   */
+  async owner() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.owner] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.owner();
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.owner]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the name of the contract
+   * @returns {Promise<string>} Name of the contract
+   */
+  async name() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.name] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.name();
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.name]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the symbol of the contract
+   * @returns {Promise<string>} Symbol of the contract
+   */
+  async symbol() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.symbol] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.symbol();
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.symbol]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the contractURI of the contract (link to a JSON file describing its metadata)
+   * @returns {Promise<string>} ContractURI of the contract
+   */
+  async contractURI() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.contractURI] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.contractURI();
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721Mintable.contractURI]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Check whether the contract implements an interface (ERC165)
+   * @param {string} interfaceId 4 bytes identifier of the interface (ie: '0x80ac58cd' for ERC721)
+   * @returns {Promise<boolean>} Promise that will return a boolean
+   */
+  async supportsInterface({ interfaceId }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.supportsInterface] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!ethers.utils.isHexString(interfaceId, 4)) {
+      throw new ValidationError(
+        '[ERC721Mintable.supportsInterface] interfaceId should be a 4 bytes hex string.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.supportsInterface(interfaceId);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721Mintable.supportsInterface]',
+        smartContractArtifact.abi,
+      );
     }
   }
 
   /**
    * Renouncing ownership of the smart contract (will leave the contract without an owner).
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
    * @notice Warning: This method will consume gas (25000 gas estimated)
    * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
    */
-  async renounceOwnership() {
+  async renounceOwnership({ gasOptions, txOptions } = {}) {
     if (!this.contractAddress && !this.#contractDeployed) {
-      throw new Error('[ERC721Mintable.renounceOwnership] Contract needs to be deployed');
+      throw new ContractError('[ERC721Mintable.renounceOwnership] Contract needs to be deployed');
+    }
+
+    const location = '[ERC721Mintable.renounceOwnership]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    try {
+      const overrides = await this.#gasOverrides('renounceOwnership', [], gasOptions, txOptions);
+      const tx = await this.#contractDeployed.renounceOwnership(overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Transfer the ownership of the smart contract to a new address.
+   * Prefer proposeOwnership/acceptOwnership, which check that the new owner is also an admin.
+   * @param {string} publicAddress address of the new owner
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async transferOwnership({ publicAddress, gasOptions, txOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.transferOwnership] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721Mintable.transferOwnership] A valid address is required to transfer the ownership.',
+      );
+    }
+
+    if (publicAddress === ethers.constants.AddressZero) {
+      throw new ValidationError(
+        '[ERC721Mintable.transferOwnership] The ownership cannot be given to the zero address, use renounceOwnership instead.',
+      );
+    }
+
+    const location = '[ERC721Mintable.transferOwnership]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    try {
+      const args = [publicAddress];
+      const overrides = await this.#gasOverrides('transferOwnership', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.transferOwnership(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Get the address of the owner of the contract, same as owner
+   * @returns {Promise<string>} Address of the owner
+   */
+  async getOwner() {
+    return this.owner();
+  }
+
+  /**
+   * First step of the ownership handover: record the address proposed as new owner.
+   * Nothing is sent on-chain, the proposal is kept by this instance until accepted or cancelled.
+   * Only callable when the signer is the current owner.
+   * @param {string} publicAddress address of the proposed owner
+   * @returns {Promise<string>} Address of the proposed owner
+   */
+  async proposeOwnership({ publicAddress }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.proposeOwnership] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721Mintable.proposeOwnership] A valid address is required to propose the ownership.',
+      );
+    }
+
+    if (publicAddress === ethers.constants.AddressZero) {
+      throw new ValidationError(
+        '[ERC721Mintable.proposeOwnership] The ownership cannot be given to the zero address, use renounceOwnership instead.',
+      );
+    }
+
+    let owner;
+    let signerAddress;
+    try {
+      owner = await this.#contractDeployed.owner();
+      signerAddress = await this.#signer.getAddress();
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721Mintable.proposeOwnership]',
+        smartContractArtifact.abi,
+      );
+    }
+
+    if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
+      throw new ContractError(
+        '[ERC721Mintable.proposeOwnership] Only the current owner can propose a new owner.',
+      );
+    }
+
+    if (owner.toLowerCase() === publicAddress.toLowerCase()) {
+      throw new ContractError(
+        '[ERC721Mintable.proposeOwnership] This address is already the owner.',
+      );
+    }
+
+    this.#pendingOwner = publicAddress;
+    return this.#pendingOwner;
+  }
+
+  /**
+   * Returns the address proposed as new owner, if any
+   * @returns {string|null} Address of the proposed owner
+   */
+  getPendingOwner() {
+    return this.#pendingOwner;
+  }
+
+  /**
+   * Cancel the pending ownership proposal
+   * @returns void
+   */
+  cancelOwnershipProposal() {
+    if (!this.#pendingOwner) {
+      throw new ContractError(
+        '[ERC721Mintable.cancelOwnershipProposal] No ownership proposal is pending.',
+      );
+    }
+
+    this.#pendingOwner = null;
+  }
+
+  /**
+   * Second step of the ownership handover: transfer the ownership to the proposed owner.
+   * The proposed owner must hold the 'admin' role first (see addAdmin), so the contract
+   * can't end up owned by an address unable to manage it.
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async acceptOwnership({ gasOptions, txOptions } = {}) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721Mintable.acceptOwnership] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!this.#pendingOwner) {
+      throw new ContractError('[ERC721Mintable.acceptOwnership] No ownership proposal is pending.');
+    }
+
+    const location = '[ERC721Mintable.acceptOwnership]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    let isAdmin;
+    try {
+      isAdmin = await this.#contractDeployed.hasRole(this.ADMIN_ROLE, this.#pendingOwner);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+
+    if (!isAdmin) {
+      throw new ContractError(
+        `[ERC721Mintable.acceptOwnership] The proposed owner ${
+          this.#pendingOwner
+        } must have the admin role before accepting the ownership.`,
+      );
+    }
+
+    try {
+      const args = [this.#pendingOwner];
+      const overrides = await this.#gasOverrides('transferOwnership', args, gasOptions, txOptions);
+      const tx = await this.#contractDeployed.transferOwnership(...args, overrides);
+      this.#pendingOwner = null;
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Listen to an event of the contract. The events of the blocks mined after the call are
+   * delivered once their block has 'confirmations' confirmations, decoded with the ABI of the
+   * template ({ event, signature, args, address, blockNumber, blockHash, transactionHash,
+   * logIndex })
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [confirmations=1] confirmations of the block of an event before it is
+   * delivered
+   * @param {Function} listener called with each event
+   * @param {Function} [onError] called with the errors reading the events, retried on the next
+   * block, and those thrown by the listener
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async on({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC721Mintable.on]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError },
+      location,
+    );
+  }
+
+  /**
+   * Listen to the next event of the contract matching the filter, like on
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event
+   * @param {number} [confirmations=1] confirmations of the block of the event before it is
+   * delivered
+   * @param {Function} listener called with the event
+   * @param {Function} [onError] called with the errors reading the events
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async once({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC721Mintable.once]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError, once: true },
+      location,
+    );
+  }
+
+  /**
+   * Stop listening to an event, to a listener, or to all the events of the contract
+   * @param {string} [event] name or signature of the event, all events by default
+   * @param {Function} [listener] listener given to on or once, all listeners by default
+   * @returns void
+   */
+  off({ event, listener } = {}) {
+    this.#events?.unsubscribe({ event, listener }, '[ERC721Mintable.off]');
+  }
+
+  /**
+   * Get the past events of the contract, decoded like those of on and ordered by block and
+   * position in the block. Large block ranges are read by chunks, split again when the node
+   * answers that a chunk has too many logs
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [fromBlock] first block of the range, the deployment block of the
+   * contract by default
+   * @param {number|string} [toBlock='latest'] last block of the range
+   * @returns {Promise<Array<object>>} Events
+   */
+  async queryEvents({ event, filter, fromBlock, toBlock }) {
+    const location = '[ERC721Mintable.queryEvents]';
+    return this.#getEvents(location).query({ event, filter, fromBlock, toBlock }, location);
+  }
+
+  async #listRoleMembers(role, fromBlock, location) {
+    const events = this.#getEvents(location);
+    // the members are read at the same block as the events
+    const toBlock = await events.getBlockNumber(location);
+    const roleEvents = await events.query(
+      { event: ['RoleGranted', 'RoleRevoked'], filter: { role }, fromBlock, toBlock },
+      location,
+    );
+
+    // addresses by order of their last grant, revoked or not (events ordered by block)
+    const accounts = new Set();
+    roleEvents.forEach(({ event, args: { account } }) => {
+      if (event === 'RoleGranted') accounts.delete(account);
+      accounts.add(account);
+    });
+
+    const contract = this.#contractDeployed;
+    const overrides = { blockTag: toBlock };
+    let hasRole;
+    try {
+      const members = [...accounts].map(account => contract.hasRole(role, account, overrides));
+      hasRole = await Promise.all(members);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+    return [...accounts].filter((_, index) => hasRole[index]);
+  }
+
+  // Subscriptions to the events of the contract, created by the first one
+  #getEvents(location) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(`${location} A contract should be deployed or loaded first`);
+    }
+
+    if (!this.#events) {
+      this.#events = new ContractEvents({
+        provider: this.#signer?.provider,
+        address: this.contractAddress,
+        abi: smartContractArtifact.abi,
+        deployTransaction: this.#deployTransaction,
+      });
+    }
+    return this.#events;
+  }
+
+  async #mintChunk(chunk, batch) {
+    await Promise.all(chunk.map(item => this.#sendMint(item, batch)));
+    await Promise.all(chunk.map(item => this.#waitMint(item, batch)));
+  }
+
+  async #sendMint(item, { queue, gasOptions, onProgress, location, txs }) {
+    if (item.status === 'minted') return;
+
+    if (item.status === 'sent') {
+      // transaction sent before the batch was resumed, sent again when the node lost it
+      let tx;
+      try {
+        tx = await this.#signer.provider.getTransaction(item.txHash);
+      } catch (error) {
+        throw contractErrorHandler(error, location, smartContractArtifact.abi);
+      }
+      if (tx) {
+        txs.set(item.index, tx);
+        return;
+      }
+    }
+
+    const { recipient: publicAddress, tokenURI } = item;
+    const send = txOptions => this.mint({ publicAddress, tokenURI, gasOptions, txOptions });
+
+    try {
+      const tx = await queue.add(send, { label: `mint ${item.index}` });
+      txs.set(item.index, tx);
+      Object.assign(item, { status: 'sent', txHash: tx.hash, error: null });
+    } catch (error) {
+      Object.assign(item, { status: 'failed', error });
     }
+    if (onProgress) onProgress({ ...item });
+  }
+
+  async #waitMint(item, { onProgress, location, txs }) {
+    if (item.status !== 'sent') return;
 
     try {
-      return await this.#contractDeployed.renounceOwnership();
+      const tx = this.#decodeReverts(txs.get(item.index), location);
+      const receipt = await waitReceipt(tx, 1);
+      Object.assign(item, { status: 'minted', tokenId: this.#findMintedTokenId(receipt) });
     } catch (error) {
-      const { message, type } = networkErrorHandler(error);
-      throw new Error(`${type}[ERC721Mintable.renounceOwnership] An error occured: ${message}`);
+      Object.assign(item, { status: 'failed', error });
     }
+    if (onProgress) onProgress({ ...item });
+  }
+
+  // ID of the token minted by a mintWithTokenURI transaction, read from its Transfer event, as a
+  // decimal string (token IDs may exceed the safe integers)
+  #findMintedTokenId(receipt) {
+    const [transfer] = getMintEvents(receipt, {
+      address: this.contractAddress,
+      contractInterface: this.#contractDeployed.interface,
+      events: ['Transfer'],
+    });
+    return transfer ? transfer.args.tokenId.toString() : null;
+  }
+
+  // Mined transactions reverted by the contract reject 'wait()' with the decoded revert
+  #decodeReverts(tx, location) {
+    return withRevertDecoding(tx, {
+      provider: this.#signer?.provider,
+      abi: smartContractArtifact.abi,
+      location,
+    });
+  }
+
+  // Overrides of the deployment, with the gas limit estimated for the creation of the contract
+  #deployOverrides(factory, args, gasOptions, overrides) {
+    const signer = this.#signer;
+    const deployment = transaction => factory.getDeployTransaction(...args, transaction);
+    return buildGasOverrides({
+      provider: signer.provider,
+      estimateGas: transaction => signer.estimateGas(deployment(transaction)),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+
+  // Overrides of the call with the fees of the fee strategy and the gas limit estimated for
+  // the call. The gas options of the call override those of the instance
+  #gasOverrides(method, args, gasOptions, overrides) {
+    const { estimateGas } = this.#contractDeployed;
+    return buildGasOverrides({
+      provider: this.#signer?.provider,
+      estimateGas: transaction => estimateGas[method](...args, transaction),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
   }
 }
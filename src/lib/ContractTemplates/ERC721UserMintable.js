@@ -0,0 +1,1029 @@
+import { ethers, utils } from 'ethers';
+import smartContractArtifact from './artifacts/ERC721UserMintable.js';
+import {
+  isBoolean,
+  isDefined,
+  isPositiveInteger,
+  isTokenId,
+  isURI,
+  isValidPrice,
+} from '../utils.js';
+import { TEMPLATES } from '../NFT/constants.js';
+import { contractErrorHandler, withRevertDecoding } from '../error/handler.js';
+import { ContractError, ValidationError } from '../error/errors.js';
+import { buildGasOverrides, validateGasOptions } from '../Transaction/gas.js';
+import { getMintEvents, waitReceipt } from '../Transaction/receipt.js';
+import ContractEvents from '../Event/ContractEvents.js';
+
+export default class ERC721UserMintable {
+  ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+  contractAddress;
+
+  #contractDeployed;
+
+  #signer;
+
+  #gasOptions;
+
+  #template = TEMPLATES.ERC721UserMintable;
+
+  #events;
+
+  // hash of the transaction deploying the contract, when deployed by this instance
+  #deployTransaction;
+
+  /**
+   * @param {object} signer signer of the transactions
+   * @param {object} [options]
+   * @param {object} [options.gasOptions] default gas options of the write methods: feeStrategy
+   * ('slow', 'standard', 'fast', { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }) and
+   * gasLimitMultiplier (safety margin applied to the estimated gas, 1.2 by default)
+   */
+  constructor(signer, { gasOptions } = {}) {
+    validateGasOptions(gasOptions, '[ERC721UserMintable.constructor]');
+    this.#signer = signer;
+    this.#gasOptions = gasOptions;
+  }
+
+  getTemplate() {
+    return this.#template;
+  }
+
+  /**
+   * Deploy ERC721UserMintable Contract. Used by the SDK class
+   * @param {string} name Name of the contract
+   * @param {string} symbol Symbol of the contract
+   * @param {string} contractURI ContractURI for the contract
+   * (link to a JSON file describing the contract's metadata)
+   * @param {string} baseURI Base URI of the tokens, the token URI is the base URI
+   * followed by the token ID
+   * @param {number} maxSupply Maximum number of tokens that can be minted
+   * @param {string} price Price of one token in ether (ex: '0.01')
+   * @param {object} [gasOptions] gas options of the deployment ({ feeStrategy,
+   * gasLimitMultiplier, gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (4000000 gas estimated)
+   * @returns void
+   */
+  async deploy({ name, symbol, contractURI, baseURI, maxSupply, price, gasOptions }) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError(
+        '[ERC721UserMintable.deploy] The contract has already been deployed!',
+      );
+    }
+
+    if (!this.#signer) {
+      throw new ValidationError(
+        '[ERC721UserMintable.deploy] Signer instance is required to interact with contract.',
+      );
+    }
+
+    if (!name) {
+      throw new ValidationError('[ERC721UserMintable.deploy] Name cannot be empty');
+    }
+
+    if (symbol === undefined) {
+      throw new ValidationError('[ERC721UserMintable.deploy] symbol cannot be undefined');
+    }
+
+    if (contractURI === undefined) {
+      throw new ValidationError('[ERC721UserMintable.deploy] contractURI cannot be undefined');
+    }
+
+    if (baseURI === undefined) {
+      throw new ValidationError('[ERC721UserMintable.deploy] baseURI cannot be undefined');
+    }
+
+    if (!Number.isInteger(maxSupply) || !(maxSupply > 0)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.deploy] maxSupply should be a positive integer',
+      );
+    }
+
+    if (!isValidPrice(price)) {
+      throw new ValidationError('[ERC721UserMintable.deploy] price should be a positive number');
+    }
+
+    const location = '[ERC721UserMintable.deploy]';
+    validateGasOptions(gasOptions, location);
+
+    /* eslint-disable no-console */
+    if (!isURI(contractURI)) {
+      console.warn(`WARNING: The ContractURI "${contractURI}" is not a link.`);
+      console.warn('WARNING: ContractURI should be a public link to a valid JSON metadata file');
+    }
+
+    try {
+      const factory = new ethers.ContractFactory(
+        smartContractArtifact.abi,
+        smartContractArtifact.bytecode,
+        this.#signer,
+      );
+
+      const args = [
+        name,
+        symbol,
+        contractURI,
+        baseURI,
+        maxSupply,
+        utils.parseEther(price.toString()),
+      ];
+      const overrides = await this.#deployOverrides(factory, args, gasOptions, {});
+      const contract = await factory.deploy(...args, overrides);
+      this.#deployTransaction = contract.deployTransaction?.hash;
+
+      this.#contractDeployed = await contract.deployed();
+
+      this.contractAddress = contract.address;
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Load an ERC721UserMintable contract from an existing contract address. Used by the SDK class
+   * @param {string} contractAddress Address of the ERC721UserMintable contract to load
+   * @returns void
+   */
+  async loadContract({ contractAddress }) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError(
+        '[ERC721UserMintable.loadContract] The contract has already been loaded!',
+      );
+    }
+
+    if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.loadContract] A valid contract address is required to load a contract.',
+      );
+    }
+
+    try {
+      this.#contractDeployed = new ethers.Contract(
+        contractAddress,
+        smartContractArtifact.abi,
+        this.#signer,
+      );
+
+      this.contractAddress = contractAddress;
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721UserMintable.loadContract]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Mint function: Mint 'quantity' tokens for the signer, paying the current price of the
+   * tokens. The sale needs to be active.
+   * @param {number} quantity number of tokens to mint
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (80000 gas estimated per token)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async mint({ quantity, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.mint] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!Number.isInteger(quantity) || !(quantity > 0)) {
+      throw new ValidationError('[ERC721UserMintable.mint] Quantity should be a positive integer.');
+    }
+
+    const location = '[ERC721UserMintable.mint]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const price = await this.#contractDeployed.price();
+
+      const overrides = await this.#gasOverrides('mint', [quantity], gasOptions, {
+        value: price.mul(quantity),
+      });
+
+      const tx = await this.#contractDeployed.mint(quantity, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Reserve function: Mint 'quantity' tokens for publicAddress for free. Only callable by
+   * addresses with the admin role, the sale does not need to be active.
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {number} quantity number of tokens to mint
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (80000 gas estimated per token)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async reserve({ publicAddress, quantity, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.reserve] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.reserve] A valid address is required to reserve.',
+      );
+    }
+
+    if (!Number.isInteger(quantity) || !(quantity > 0)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.reserve] Quantity should be a positive integer.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.reserve]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [publicAddress, quantity];
+      const overrides = await this.#gasOverrides('reserve', args, gasOptions);
+      const tx = await this.#contractDeployed.reserve(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Mint tokens for the signer, like mint, then wait for the transaction to be mined
+   * @param {number} quantity number of tokens to mint
+   * @param {object} [gasOptions] gas options of the call, overriding those of the SDK
+   * @param {number} [confirmations=1] number of confirmations to wait for
+   * @returns {Promise<object>} Minted tokens ({ tokenIds, txHash, receipt }), the IDs being
+   * read from the Transfer events of the receipt, as decimal strings
+   */
+  async mintAndWait({ quantity, gasOptions, confirmations = 1 }) {
+    const location = '[ERC721UserMintable.mintAndWait]';
+    if (!isPositiveInteger(confirmations)) {
+      throw new ValidationError(`${location} The confirmations should be a positive integer.`);
+    }
+
+    const tx = await this.mint({ quantity, gasOptions });
+    return this.#waitMinted(tx, confirmations);
+  }
+
+  /**
+   * Reserve tokens for publicAddress, like reserve, then wait for the transaction to be mined
+   * @param {string} publicAddress destination address of the minted tokens
+   * @param {number} quantity number of tokens to mint
+   * @param {object} [gasOptions] gas options of the call, overriding those of the SDK
+   * @param {number} [confirmations=1] number of confirmations to wait for
+   * @returns {Promise<object>} Minted tokens ({ tokenIds, txHash, receipt }), the IDs being
+   * read from the Transfer events of the receipt, as decimal strings
+   */
+  async reserveAndWait({ publicAddress, quantity, gasOptions, confirmations = 1 }) {
+    const location = '[ERC721UserMintable.reserveAndWait]';
+    if (!isPositiveInteger(confirmations)) {
+      throw new ValidationError(`${location} The confirmations should be a positive integer.`);
+    }
+
+    const tx = await this.reserve({ publicAddress, quantity, gasOptions });
+    return this.#waitMinted(tx, confirmations);
+  }
+
+  /**
+   * setPrice function: Set the price of one token. Only callable by addresses with the
+   * admin role.
+   * @param {string} price Price of one token in ether (ex: '0.01')
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setPrice({ price, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.setPrice] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!isValidPrice(price)) {
+      throw new ValidationError('[ERC721UserMintable.setPrice] Price should be a positive number.');
+    }
+
+    const location = '[ERC721UserMintable.setPrice]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [utils.parseEther(price.toString())];
+      const overrides = await this.#gasOverrides('setPrice', args, gasOptions);
+      const tx = await this.#contractDeployed.setPrice(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * toggleSale function: Open the public sale if it is closed, close it otherwise. Only
+   * callable by addresses with the admin role.
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async toggleSale({ gasOptions } = {}) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.toggleSale] A contract should be deployed or loaded first',
+      );
+    }
+
+    const location = '[ERC721UserMintable.toggleSale]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const overrides = await this.#gasOverrides('toggleSale', [], gasOptions);
+      const tx = await this.#contractDeployed.toggleSale(overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * withdraw function: Transfer the funds collected by the sale to the owner of the contract.
+   * Only callable by the owner.
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (35000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async withdraw({ gasOptions } = {}) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.withdraw] A contract should be deployed or loaded first',
+      );
+    }
+
+    const location = '[ERC721UserMintable.withdraw]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const overrides = await this.#gasOverrides('withdraw', [], gasOptions);
+      const tx = await this.#contractDeployed.withdraw(overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns the price of one token of the public sale
+   * @returns {Promise<ethers.BigNumber>} Price of one token, in wei
+   */
+  async price() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.price] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.price();
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721UserMintable.price]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns whether the public sale is open
+   * @returns {Promise<boolean>} true when the sale is active
+   */
+  async saleActive() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.saleActive] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.saleIsActive();
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721UserMintable.saleActive]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Returns the maximum number of tokens of the contract
+   * @returns {Promise<ethers.BigNumber>} Maximum supply
+   */
+  async maxSupply() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.maxSupply] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.maxSupply();
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721UserMintable.maxSupply]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Returns the number of tokens minted
+   * @returns {Promise<ethers.BigNumber>} Total supply
+   */
+  async totalSupply() {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.totalSupply] A contract should be deployed or loaded first',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.totalSupply();
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721UserMintable.totalSupply]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * setBaseURI function: Set the base URI used to build the token URIs
+   * @param {string} baseURI Base URI of the tokens
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (35000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setBaseURI({ baseURI, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.setBaseURI] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!baseURI) {
+      throw new ValidationError('[ERC721UserMintable.setBaseURI] A valid base uri is required!');
+    }
+
+    /* eslint-disable no-console */
+    if (!isURI(baseURI)) {
+      console.warn(`WARNING: The BaseURI "${baseURI}" is not a link.`);
+      console.warn('WARNING: BaseURI should be a public link to the tokens metadata');
+    }
+
+    const location = '[ERC721UserMintable.setBaseURI]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [baseURI];
+      const overrides = await this.#gasOverrides('setBaseURI', args, gasOptions);
+      const tx = await this.#contractDeployed.setBaseURI(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * setContractURI function: Set the "contractURI" metadata for the specified contract
+   * @param {string} contractURI ContractURI for the contract
+   * (URI to a JSON file describing the contract's metadata)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (35000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setContractURI({ contractURI, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.setContractURI] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!contractURI) {
+      throw new ValidationError(
+        '[ERC721UserMintable.setContractURI] A valid contract uri is required!',
+      );
+    }
+
+    /* eslint-disable no-console */
+    if (!isURI(contractURI)) {
+      console.warn(`WARNING: The ContractURI "${contractURI}" is not a link.`);
+      console.warn('WARNING: ContractURI should be a public link to a valid JSON metadata file');
+    }
+
+    const location = '[ERC721UserMintable.setContractURI]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [contractURI];
+      const overrides = await this.#gasOverrides('setContractURI', args, gasOptions);
+      const tx = await this.#contractDeployed.setContractURI(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Set royalties information for the receiver address with the provided fee
+   * @param {string} - address
+   * @param {number} - fee
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (49000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction
+   */
+  async setRoyalties({ publicAddress, fee, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError('[ERC721UserMintable.setRoyalties] Contract needs to be deployed');
+    }
+
+    if (!publicAddress || !utils.isAddress(publicAddress)) {
+      throw new ValidationError('[ERC721UserMintable.setRoyalties] Address is required');
+    }
+
+    if (!fee || !Number.isInteger(fee) || !(fee > 0 && fee < 10000)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.setRoyalties] Fee as numeric value between 0 and 10000 is required',
+      );
+    }
+
+    const location = '[ERC721UserMintable.setRoyalties]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [publicAddress, fee];
+      const overrides = await this.#gasOverrides('setRoyalties', args, gasOptions);
+      const tx = await this.#contractDeployed.setRoyalties(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Returns receiver address and royalty amount based on sell price
+   * @param {number} - Token ID
+   * @param {number} - Sell price
+   * @returns {Promise<object>} - Returns receiver address and bigNumber
+   * representing royalty amount based on sell price
+   */
+  async royaltyInfo({ tokenId, sellPrice }) {
+    if (!this.#contractDeployed) {
+      throw new ContractError('[ERC721UserMintable.royaltyInfo] Contract needs to be deployed');
+    }
+
+    if (!isDefined(tokenId)) {
+      throw new ValidationError('[ERC721UserMintable.royaltyInfo] TokenId is required');
+    }
+
+    if (!sellPrice) {
+      throw new ValidationError('[ERC721UserMintable.royaltyInfo] Sell price is required');
+    }
+
+    try {
+      return await this.#contractDeployed.royaltyInfo(tokenId, sellPrice);
+    } catch (error) {
+      throw contractErrorHandler(
+        error,
+        '[ERC721UserMintable.royaltyInfo]',
+        smartContractArtifact.abi,
+      );
+    }
+  }
+
+  /**
+   * Transfer function: Transfer the token 'tokenId' between 'from' and 'to addresses.
+   * @param {string} from Address who will transfer the token
+   * @param {string} to Address that will receive the token
+   * @param {number} tokenId ID of the token that will be transfered
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (62000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async transfer({ from, to, tokenId, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.transfer] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!from || !ethers.utils.isAddress(from)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.transfer] A valid address "from" is required to transfer.',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.transfer] A valid address "to" is required to transfer.',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.transfer] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.transfer]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const method = 'safeTransferFrom(address,address,uint256)';
+      const args = [from, to, tokenId];
+      const overrides = await this.#gasOverrides(method, args, gasOptions);
+      const tx = await this.#contractDeployed[method](...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * setApprovalForAll will give the full approval rights for a given address
+   * @param {string} to Address which will receive the approval rights
+   * @param {boolean} approvalStatus Boolean representing the approval to be given (true)
+   *  or revoked (false)
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (46000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async setApprovalForAll({ to, approvalStatus, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.setApprovalForAll] A contract should be deployed or loaded first.',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.setApprovalForAll] An address is required to setApprovalForAll.',
+      );
+    }
+
+    if (!isBoolean(approvalStatus)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.setApprovalForAll] approvalStatus param should be a boolean.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.setApprovalForAll]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [to, approvalStatus];
+      const overrides = await this.#gasOverrides('setApprovalForAll', args, gasOptions);
+      const tx = await this.#contractDeployed.setApprovalForAll(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Gives permission to to to transfer tokenId token to another address.
+   * @param {string} to the address that will be approved to do the transfer.
+   * @param {number} tokenId tokenId the nft id to transfer.
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (50000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async approveTransfer({ to, tokenId, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.approveTransfer] A contract should be deployed or loaded first',
+      );
+    }
+
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.approveTransfer] A valid address "to" is required to transfer.',
+      );
+    }
+
+    if (!isTokenId(tokenId)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.approveTransfer] TokenId should be an integer or a decimal string.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.approveTransfer]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [to, tokenId];
+      const overrides = await this.#gasOverrides('approve', args, gasOptions);
+      const tx = await this.#contractDeployed.approve(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Add Admin function: Add the 'admin' role to an address. Only callable by
+   * addresses with the admin role.
+   * @param {string} publicAddress the address that will be elevated at 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async addAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.addAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.addAdmin] A valid address is required to add the admin role.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.addAdmin]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('grantRole', args, gasOptions);
+      const tx = await this.#contractDeployed.grantRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Remove Admin function: Remove the 'admin' role to an address. Only callable by
+   * addresses with the admin role.
+   * @param {string} publicAddress the address that will loose the 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (40000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async removeAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.removeAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.removeAdmin] A valid address is required to remove the admin role.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.removeAdmin]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('revokeRole', args, gasOptions);
+      const tx = await this.#contractDeployed.revokeRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Renounce Admin function: Remove the 'admin' role to an address. Only callable by
+   * address invoking the request.
+   * @param {string} publicAddress the address that will loose the 'admin' role
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (30000 gas estimated)
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async renounceAdmin({ publicAddress, gasOptions }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.renounceAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.renounceAdmin] A valid address is required to renounce the admin role.',
+      );
+    }
+
+    const location = '[ERC721UserMintable.renounceAdmin]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const args = [this.ADMIN_ROLE, publicAddress];
+      const overrides = await this.#gasOverrides('renounceRole', args, gasOptions);
+      const tx = await this.#contractDeployed.renounceRole(...args, overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Is Admin function: Check whether an address has the 'admin' role
+   * @param {string} publicAddress the address to check
+   * @returns {Promise<boolean>} Promise that will return a boolean
+   */
+  async isAdmin({ publicAddress }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[ERC721UserMintable.isAdmin] A contract should be deployed or loaded first!',
+      );
+    }
+
+    if (!publicAddress || !ethers.utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        '[ERC721UserMintable.isAdmin] A valid address is required to check the admin role.',
+      );
+    }
+
+    try {
+      return await this.#contractDeployed.hasRole(this.ADMIN_ROLE, publicAddress);
+    } catch (error) {
+      throw contractErrorHandler(error, '[ERC721UserMintable.isAdmin]', smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Renouncing ownership of the smart contract (will leave the contract without an owner).
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @notice Warning: This method will consume gas (25000 gas estimated)
+   * @notice Warning: The funds of the sale cannot be withdrawn anymore once ownership is renounced
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async renounceOwnership({ gasOptions } = {}) {
+    if (!this.contractAddress && !this.#contractDeployed) {
+      throw new ContractError(
+        '[ERC721UserMintable.renounceOwnership] Contract needs to be deployed',
+      );
+    }
+
+    const location = '[ERC721UserMintable.renounceOwnership]';
+    validateGasOptions(gasOptions, location);
+
+    try {
+      const overrides = await this.#gasOverrides('renounceOwnership', [], gasOptions);
+      const tx = await this.#contractDeployed.renounceOwnership(overrides);
+      return this.#decodeReverts(tx, location);
+    } catch (error) {
+      throw contractErrorHandler(error, location, smartContractArtifact.abi);
+    }
+  }
+
+  /**
+   * Listen to an event of the contract. The events of the blocks mined after the call are
+   * delivered once their block has 'confirmations' confirmations, decoded with the ABI of the
+   * template ({ event, signature, args, address, blockNumber, blockHash, transactionHash,
+   * logIndex })
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [confirmations=1] confirmations of the block of an event before it is
+   * delivered
+   * @param {Function} listener called with each event
+   * @param {Function} [onError] called with the errors reading the events, retried on the next
+   * block, and those thrown by the listener
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async on({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC721UserMintable.on]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError },
+      location,
+    );
+  }
+
+  /**
+   * Listen to the next event of the contract matching the filter, like on
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event
+   * @param {number} [confirmations=1] confirmations of the block of the event before it is
+   * delivered
+   * @param {Function} listener called with the event
+   * @param {Function} [onError] called with the errors reading the events
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async once({ event, filter, confirmations, listener, onError }) {
+    const location = '[ERC721UserMintable.once]';
+    return this.#getEvents(location).subscribe(
+      { event, filter, confirmations, listener, onError, once: true },
+      location,
+    );
+  }
+
+  /**
+   * Stop listening to an event, to a listener, or to all the events of the contract
+   * @param {string} [event] name or signature of the event, all events by default
+   * @param {Function} [listener] listener given to on or once, all listeners by default
+   * @returns void
+   */
+  off({ event, listener } = {}) {
+    this.#events?.unsubscribe({ event, listener }, '[ERC721UserMintable.off]');
+  }
+
+  /**
+   * Get the past events of the contract, decoded like those of on and ordered by block and
+   * position in the block. Large block ranges are read by chunks, split again when the node
+   * answers that a chunk has too many logs
+   * @param {string} event name or signature of the event (ex: 'Transfer')
+   * @param {object} [filter] values of the indexed parameters of the event (ex: { to: address })
+   * @param {number} [fromBlock] first block of the range, the deployment block of the
+   * contract by default
+   * @param {number|string} [toBlock='latest'] last block of the range
+   * @returns {Promise<Array<object>>} Events
+   */
+  async queryEvents({ event, filter, fromBlock, toBlock }) {
+    const location = '[ERC721UserMintable.queryEvents]';
+    return this.#getEvents(location).query({ event, filter, fromBlock, toBlock }, location);
+  }
+
+  // Subscriptions to the events of the contract, created by the first one
+  #getEvents(location) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(`${location} A contract should be deployed or loaded first`);
+    }
+
+    if (!this.#events) {
+      this.#events = new ContractEvents({
+        provider: this.#signer?.provider,
+        address: this.contractAddress,
+        abi: smartContractArtifact.abi,
+        deployTransaction: this.#deployTransaction,
+      });
+    }
+    return this.#events;
+  }
+
+  // Wait for a mint or reserve transaction and read the IDs of the tokens it minted
+  async #waitMinted(tx, confirmations) {
+    const receipt = await waitReceipt(tx, confirmations);
+
+    const tokenIds = getMintEvents(receipt, {
+      address: this.contractAddress,
+      contractInterface: this.#contractDeployed.interface,
+      events: ['Transfer'],
+    }).map(event => event.args.tokenId.toString());
+
+    return { tokenIds, txHash: receipt.transactionHash, receipt };
+  }
+
+  // Transactions whose wait() rejects with the decoded revert of the contract
+  #decodeReverts(tx, location) {
+    return withRevertDecoding(tx, {
+      provider: this.#signer?.provider,
+      abi: smartContractArtifact.abi,
+      location,
+    });
+  }
+
+  // Overrides of the deployment, with the gas limit estimated for the creation of the contract
+  #deployOverrides(factory, args, gasOptions, overrides) {
+    const signer = this.#signer;
+    const deployment = transaction => factory.getDeployTransaction(...args, transaction);
+    return buildGasOverrides({
+      provider: signer.provider,
+      estimateGas: transaction => signer.estimateGas(deployment(transaction)),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+
+  // Overrides of the call with the fees of the fee strategy and the gas limit estimated for
+  // the call. The gas options of the call override those of the instance
+  #gasOverrides(method, args, gasOptions, overrides) {
+    const { estimateGas } = this.#contractDeployed;
+    return buildGasOverrides({
+      provider: this.#signer?.provider,
+      estimateGas: transaction => estimateGas[method](...args, transaction),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+}
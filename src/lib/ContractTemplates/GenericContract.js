@@ -0,0 +1,347 @@
+import { ethers } from 'ethers';
+import { contractErrorHandler } from '../error/handler.js';
+import { ContractError, ValidationError } from '../error/errors.js';
+import { buildGasOverrides, validateGasOptions } from '../Transaction/gas.js';
+import validateTxOptions from '../Transaction/txOptions.js';
+import ContractEvents from '../Event/ContractEvents.js';
+
+const READ_MUTABILITIES = ['view', 'pure'];
+
+// ABI parameters are often suffixed or prefixed with '_' (name_, _tokenId), both forms are accepted
+const normalizeParamName = name => name.replace(/^_+|_+$/g, '');
+
+const findParamKey = (params, name) => {
+  const normalized = normalizeParamName(name);
+  return Object.keys(params).find(param => normalizeParamName(param) === normalized);
+};
+
+const isReadOnly = fragment => READ_MUTABILITIES.includes(fragment.stateMutability);
+
+export default class GenericContract {
+  contractAddress;
+
+  #contractDeployed;
+
+  #signer;
+
+  #template;
+
+  #abi;
+
+  #bytecode;
+
+  #interface;
+
+  #gasOptions;
+
+  #events;
+
+  // hash of the transaction deploying the contract, when deployed by this instance
+  #deployTransaction;
+
+  /**
+   * @param {object} signer signer used to deploy or interact with the contract
+   * @param {object} template template definition ({ name, abi, bytecode }), along with the
+   * default gas options of the write calls (gasOptions)
+   */
+  constructor(signer, { name, abi, bytecode, gasOptions }) {
+    validateGasOptions(gasOptions, '[GenericContract.constructor]');
+    this.#gasOptions = gasOptions;
+    this.#signer = signer;
+    this.#template = name;
+    this.#abi = abi;
+    this.#bytecode = bytecode;
+    this.#interface = new ethers.utils.Interface(abi);
+  }
+
+  getTemplate() {
+    return this.#template;
+  }
+
+  /**
+   * Get the signatures of the functions declared in the ABI
+   * @returns {object} read-only (view, pure) and write function signatures
+   */
+  getFunctions() {
+    const functions = Object.values(this.#interface.functions);
+
+    return {
+      read: functions.filter(isReadOnly).map(fragment => fragment.format()),
+      write: functions.filter(fragment => !isReadOnly(fragment)).map(fragment => fragment.format()),
+    };
+  }
+
+  /**
+   * Get the names of the events declared in the ABI
+   * @returns {Array<string>} Event names
+   */
+  getEvents() {
+    return Object.values(this.#interface.events).map(event => event.name);
+  }
+
+  /**
+   * Deploy the contract. Used by the SDK class
+   * @param {object} params constructor arguments, keyed by the names of the constructor
+   * inputs declared in the ABI
+   * @param {object} [params.gasOptions] gas options of the deployment ({ feeStrategy,
+   * gasLimitMultiplier, gasLimit }), overriding those of the SDK
+   * @param {object} [params.txOptions] overrides of the transaction (nonce, value, gas fees,
+   * customData...), forwarded to ethers
+   * @returns void
+   */
+  async deploy({ gasOptions, txOptions = {}, ...params } = {}) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError('[GenericContract.deploy] The contract has already been deployed!');
+    }
+
+    if (!this.#signer) {
+      throw new ValidationError(
+        '[GenericContract.deploy] Signer instance is required to interact with contract.',
+      );
+    }
+
+    if (!this.#bytecode) {
+      throw new ContractError(
+        `[GenericContract.deploy] Template "${
+          this.#template
+        }" has no bytecode and can only be loaded.`,
+      );
+    }
+
+    const args = this.#interface.deploy.inputs.map(({ name }) => {
+      const key = findParamKey(params, name);
+      if (key === undefined) {
+        throw new ValidationError(
+          `[GenericContract.deploy] Missing constructor parameter "${name}".`,
+        );
+      }
+      return params[key];
+    });
+
+    const location = '[GenericContract.deploy]';
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    try {
+      const factory = new ethers.ContractFactory(this.#abi, this.#bytecode, this.#signer);
+
+      const overrides = await this.#deployOverrides(factory, args, gasOptions, txOptions);
+      const contract = await factory.deploy(...args, overrides);
+      this.#deployTransaction = contract.deployTransaction?.hash;
+
+      this.#contractDeployed = await contract.deployed();
+
+      this.contractAddress = contract.address;
+    } catch (error) {
+      throw contractErrorHandler(error, location, this.#abi);
+    }
+  }
+
+  /**
+   * Load the contract from an existing contract address. Used by the SDK class
+   * @param {string} contractAddress Address of the contract to load
+   * @returns void
+   */
+  async loadContract({ contractAddress }) {
+    if (this.contractAddress || this.#contractDeployed) {
+      throw new ContractError(
+        '[GenericContract.loadContract] The contract has already been loaded!',
+      );
+    }
+
+    if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+      throw new ValidationError(
+        '[GenericContract.loadContract] A valid contract address is required to load a contract.',
+      );
+    }
+
+    try {
+      this.#contractDeployed = new ethers.Contract(contractAddress, this.#abi, this.#signer);
+
+      this.contractAddress = contractAddress;
+    } catch (error) {
+      throw contractErrorHandler(error, '[GenericContract.loadContract]', this.#abi);
+    }
+  }
+
+  /**
+   * Call a read-only (view or pure) function of the contract
+   * @param {string} method name or signature (for overloaded functions) of the function
+   * @param {Array|object} [args] arguments of the function, in the ABI order or keyed by name
+   * @returns {Promise<any>} Value(s) returned by the function, decoded from the ABI types
+   */
+  async read({ method, args = [] }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[GenericContract.read] A contract should be deployed or loaded first',
+      );
+    }
+
+    const fragment = this.#getFunction('read', method);
+    if (!isReadOnly(fragment)) {
+      throw new ValidationError(`[GenericContract.read] Function "${method}" is not read-only.`);
+    }
+    const values = this.#resolveArgs('read', fragment, args);
+
+    try {
+      return await this.#contractDeployed[method](...values);
+    } catch (error) {
+      throw contractErrorHandler(error, '[GenericContract.read]', this.#abi);
+    }
+  }
+
+  /**
+   * Send a transaction calling a state changing function of the contract
+   * @param {string} method name or signature (for overloaded functions) of the function
+   * @param {Array|object} [args] arguments of the function, in the ABI order or keyed by name
+   * @param {object} [gasOptions] gas options of the call ({ feeStrategy, gasLimitMultiplier,
+   * gasLimit }), overriding those of the SDK
+   * @param {object} [txOptions] overrides of the transaction (nonce, value, gas fees,
+   * gasLimit...), forwarded to ethers
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction
+   */
+  async write({ method, args = [], gasOptions, txOptions }) {
+    const location = '[GenericContract.write]';
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(`${location} A contract should be deployed or loaded first`);
+    }
+
+    const fragment = this.#getFunction('write', method);
+    if (isReadOnly(fragment)) {
+      throw new ValidationError(`${location} Function "${method}" is read-only.`);
+    }
+    const values = this.#resolveArgs('write', fragment, args);
+    validateGasOptions(gasOptions, location);
+    validateTxOptions(txOptions, location);
+
+    try {
+      const overrides = await this.#gasOverrides(method, values, gasOptions, txOptions);
+      return await this.#contractDeployed[method](...values, overrides);
+    } catch (error) {
+      throw contractErrorHandler(error, location, this.#abi);
+    }
+  }
+
+  /**
+   * Query the past events emitted by the contract, like the queryEvents of the templates:
+   * large block ranges are read by chunks, split again when the node answers that a chunk has
+   * too many logs
+   * @param {string} event name or signature of the event
+   * @param {object} [filter] values of the indexed parameters to match, keyed by name
+   * @param {number} [fromBlock] first block of the range, the deployment block of the
+   * contract by default
+   * @param {number|string} [toBlock='latest'] last block of the range
+   * @returns {Promise<Array<object>>} Decoded events ({ event, signature, args, address,
+   * blockNumber, blockHash, transactionHash, logIndex }), ordered by block
+   */
+  async queryEvents({ event, filter = {}, fromBlock, toBlock }) {
+    if (!this.#contractDeployed && !this.contractAddress) {
+      throw new ContractError(
+        '[GenericContract.queryEvents] A contract should be deployed or loaded first',
+      );
+    }
+
+    let fragment;
+    try {
+      fragment = this.#interface.getEvent(event);
+    } catch (error) {
+      throw new ValidationError(
+        `[GenericContract.queryEvents] Event "${event}" not found in the ABI.`,
+      );
+    }
+
+    const indexedInputs = fragment.inputs.filter(input => input.indexed);
+    Object.keys(filter).forEach(param => {
+      if (!indexedInputs.some(({ name }) => findParamKey({ [param]: true }, name))) {
+        throw new ValidationError(
+          `[GenericContract.queryEvents] "${param}" is not an indexed parameter of event "${fragment.name}".`,
+        );
+      }
+    });
+
+    // the values of the filter keyed by the parameter names of the ABI
+    const values = indexedInputs
+      .map(({ name }) => [name, findParamKey(filter, name)])
+      .filter(([, key]) => key !== undefined)
+      .map(([name, key]) => [name, filter[key]]);
+
+    if (!this.#events) {
+      this.#events = new ContractEvents({
+        provider: this.#signer?.provider,
+        address: this.contractAddress,
+        abi: this.#abi,
+        deployTransaction: this.#deployTransaction,
+      });
+    }
+    return this.#events.query(
+      { event: fragment.format(), filter: Object.fromEntries(values), fromBlock, toBlock },
+      '[GenericContract.queryEvents]',
+    );
+  }
+
+  // Overrides of the deployment, with the gas limit estimated for the creation of the contract
+  #deployOverrides(factory, args, gasOptions, overrides) {
+    const signer = this.#signer;
+    const deployment = transaction => factory.getDeployTransaction(...args, transaction);
+    return buildGasOverrides({
+      provider: signer.provider,
+      estimateGas: transaction => signer.estimateGas(deployment(transaction)),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+
+  // Overrides of the call with the fees of the fee strategy and the gas limit estimated for
+  // the call. The gas options of the call override those of the instance
+  #gasOverrides(method, args, gasOptions, overrides) {
+    const { estimateGas } = this.#contractDeployed;
+    return buildGasOverrides({
+      provider: this.#signer?.provider,
+      estimateGas: transaction => estimateGas[method](...args, transaction),
+      gasOptions: { ...this.#gasOptions, ...gasOptions },
+      overrides,
+    });
+  }
+
+  #getFunction(location, method) {
+    try {
+      return this.#interface.getFunction(method);
+    } catch (error) {
+      throw new ContractError(
+        `[GenericContract.${location}] Function "${method}" not found in the ABI (overloaded functions require their full signature).`,
+      );
+    }
+  }
+
+  // Check the arguments against the input types of the function before sending anything
+  #resolveArgs(location, fragment, args) {
+    const toValue = ({ name }) => {
+      const key = findParamKey(args, name);
+      if (key === undefined) {
+        throw new ValidationError(
+          `[GenericContract.${location}] Missing parameter "${name}" for function "${fragment.name}".`,
+        );
+      }
+      return args[key];
+    };
+    const values = Array.isArray(args) ? args : fragment.inputs.map(toValue);
+
+    if (values.length !== fragment.inputs.length) {
+      throw new ValidationError(
+        `[GenericContract.${location}] Function "${fragment.name}" expects ${fragment.inputs.length} arguments, ${values.length} given.`,
+      );
+    }
+
+    try {
+      this.#interface.encodeFunctionData(fragment, values);
+    } catch (error) {
+      throw new ValidationError(
+        `[GenericContract.${location}] Invalid arguments for function "${fragment.format()}": ${
+          error.reason || error.message
+        }`,
+      );
+    }
+
+    return values;
+  }
+}
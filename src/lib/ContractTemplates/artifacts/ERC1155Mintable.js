@@ -0,0 +1,886 @@
+/* eslint-disable */
+
+export default {
+  contractName: 'ERC1155Mintable',
+  abi: [
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'name_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'symbol_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'contractURI_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'baseURI_',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'nonpayable',
+      type: 'constructor',
+    },
+    {
+      inputs: [],
+      name: 'ContractURIIsEmpty',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'NameIsEmpty',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'URIIsEmpty',
+      type: 'error',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          indexed: false,
+          internalType: 'bool',
+          name: 'approved',
+          type: 'bool',
+        },
+      ],
+      name: 'ApprovalForAll',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: false,
+          internalType: 'address',
+          name: 'contractAddress_',
+          type: 'address',
+        },
+      ],
+      name: 'ContractDeployed',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'previousOwner',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'newOwner',
+          type: 'address',
+        },
+      ],
+      name: 'OwnershipTransferred',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'previousAdminRole',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'newAdminRole',
+          type: 'bytes32',
+        },
+      ],
+      name: 'RoleAdminChanged',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'sender',
+          type: 'address',
+        },
+      ],
+      name: 'RoleGranted',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'sender',
+          type: 'address',
+        },
+      ],
+      name: 'RoleRevoked',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          indexed: false,
+          internalType: 'uint256[]',
+          name: 'ids',
+          type: 'uint256[]',
+        },
+        {
+          indexed: false,
+          internalType: 'uint256[]',
+          name: 'values',
+          type: 'uint256[]',
+        },
+      ],
+      name: 'TransferBatch',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          indexed: false,
+          internalType: 'uint256',
+          name: 'id',
+          type: 'uint256',
+        },
+        {
+          indexed: false,
+          internalType: 'uint256',
+          name: 'value',
+          type: 'uint256',
+        },
+      ],
+      name: 'TransferSingle',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: false,
+          internalType: 'string',
+          name: 'value',
+          type: 'string',
+        },
+        {
+          indexed: true,
+          internalType: 'uint256',
+          name: 'id',
+          type: 'uint256',
+        },
+      ],
+      name: 'URI',
+      type: 'event',
+    },
+    {
+      inputs: [],
+      name: 'DEFAULT_ADMIN_ROLE',
+      outputs: [
+        {
+          internalType: 'bytes32',
+          name: '',
+          type: 'bytes32',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'MINTER_ROLE',
+      outputs: [
+        {
+          internalType: 'bytes32',
+          name: '',
+          type: 'bytes32',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'id',
+          type: 'uint256',
+        },
+      ],
+      name: 'balanceOf',
+      outputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address[]',
+          name: 'accounts',
+          type: 'address[]',
+        },
+        {
+          internalType: 'uint256[]',
+          name: 'ids',
+          type: 'uint256[]',
+        },
+      ],
+      name: 'balanceOfBatch',
+      outputs: [
+        {
+          internalType: 'uint256[]',
+          name: '',
+          type: 'uint256[]',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'contractURI',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+      ],
+      name: 'getRoleAdmin',
+      outputs: [
+        {
+          internalType: 'bytes32',
+          name: '',
+          type: 'bytes32',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'grantRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'hasRole',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+      ],
+      name: 'isApprovedForAll',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'to_',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'id_',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: 'amount_',
+          type: 'uint256',
+        },
+      ],
+      name: 'mint',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'to_',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256[]',
+          name: 'ids_',
+          type: 'uint256[]',
+        },
+        {
+          internalType: 'uint256[]',
+          name: 'amounts_',
+          type: 'uint256[]',
+        },
+      ],
+      name: 'mintBatch',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'name',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'owner',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'renounceOwnership',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'renounceRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'revokeRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: '_tokenId',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: '_salePrice',
+          type: 'uint256',
+        },
+      ],
+      name: 'royaltyInfo',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256[]',
+          name: 'ids',
+          type: 'uint256[]',
+        },
+        {
+          internalType: 'uint256[]',
+          name: 'amounts',
+          type: 'uint256[]',
+        },
+        {
+          internalType: 'bytes',
+          name: 'data',
+          type: 'bytes',
+        },
+      ],
+      name: 'safeBatchTransferFrom',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'id',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: 'amount',
+          type: 'uint256',
+        },
+        {
+          internalType: 'bytes',
+          name: 'data',
+          type: 'bytes',
+        },
+      ],
+      name: 'safeTransferFrom',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          internalType: 'bool',
+          name: 'approved',
+          type: 'bool',
+        },
+      ],
+      name: 'setApprovalForAll',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'contractURI_',
+          type: 'string',
+        },
+      ],
+      name: 'setContractURI',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'receiver_',
+          type: 'address',
+        },
+        {
+          internalType: 'uint96',
+          name: 'feeNumerator_',
+          type: 'uint96',
+        },
+      ],
+      name: 'setRoyalties',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'baseURI_',
+          type: 'string',
+        },
+      ],
+      name: 'setURI',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes4',
+          name: 'interfaceId_',
+          type: 'bytes4',
+        },
+      ],
+      name: 'supportsInterface',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'symbol',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'newOwner',
+          type: 'address',
+        },
+      ],
+      name: 'transferOwnership',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      name: 'uri',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+  ],
+  metadata:
+    '{"compiler":{"version":"0.8.13+commit.abaa5c0e"},"language":"Solidity","output":{"abi":[{"inputs":[{"internalType":"string","name":"name_","type":"string"},{"internalType":"string","name":"symbol_","type":"string"},{"internalType":"string","name":"contractURI_","type":"string"},{"internalType":"string","name":"baseURI_","type":"string"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"ContractURIIsEmpty","type":"error"},{"inputs":[],"name":"NameIsEmpty","type":"error"},{"inputs":[],"name":"URIIsEmpty","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"}],"name":"ApprovalForAll","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"contractAddress_","type":"address"}],"name":"ContractDeployed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"previousAdminRole","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"newAdminRole","type":"bytes32"}],"name":"RoleAdminChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleGranted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleRevoked","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256[]","name":"ids","type":"uint256[]"},{"indexed":false,"internalType":"uint256[]","name":"values","type":"uint256[]"}],"name":"TransferBatch","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"id","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"TransferSingle","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"string","name":"value","type":"string"},{"indexed":true,"internalType":"uint256","name":"id","type":"uint256"}],"name":"URI","type":"event"},{"inputs":[],"name":"DEFAULT_ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MINTER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"uint256","name":"id","type":"uint256"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address[]","name":"accounts","type":"address[]"},{"internalType":"uint256[]","name":"ids","type":"uint256[]"}],"name":"balanceOfBatch","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"contractURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"}],"name":"getRoleAdmin","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"grantRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"hasRole","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"address","name":"operator","type":"address"}],"name":"isApprovedForAll","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to_","type":"address"},{"internalType":"uint256","name":"id_","type":"uint256"},{"internalType":"uint256","name":"amount_","type":"uint256"}],"name":"mint","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"to_","type":"address"},{"internalType":"uint256[]","name":"ids_","type":"uint256[]"},{"internalType":"uint256[]","name":"amounts_","type":"uint256[]"}],"name":"mintBatch","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"renounceRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"revokeRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_tokenId","type":"uint256"},{"internalType":"uint256","name":"_salePrice","type":"uint256"}],"name":"royaltyInfo","outputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256[]","name":"ids","type":"uint256[]"},{"internalType":"uint256[]","name":"amounts","type":"uint256[]"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"safeBatchTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"id","type":"uint256"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"bool","name":"approved","type":"bool"}],"name":"setApprovalForAll","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"contractURI_","type":"string"}],"name":"setContractURI","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"receiver_","type":"address"},{"internalType":"uint96","name":"feeNumerator_","type":"uint96"}],"name":"setRoyalties","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"baseURI_","type":"string"}],"name":"setURI","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes4","name":"interfaceId_","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"uri","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"}],"devdoc":{"kind":"dev","methods":{"balanceOf(address,uint256)":{"details":"See {IERC1155-balanceOf}. Requirements: - `account` cannot be the zero address."},"balanceOfBatch(address[],uint256[])":{"details":"See {IERC1155-balanceOfBatch}. Requirements: - `accounts` and `ids` must have the same length."},"getRoleAdmin(bytes32)":{"details":"Returns the admin role that controls `role`. See {grantRole} and {revokeRole}. To change a role\'s admin, use {_setRoleAdmin}."},"grantRole(bytes32,address)":{"details":"Grants `role` to `account`. If `account` had not been already granted `role`, emits a {RoleGranted} event. Requirements: - the caller must have ``role``\'s admin role."},"hasRole(bytes32,address)":{"details":"Returns `true` if `account` has been granted `role`."},"isApprovedForAll(address,address)":{"details":"See {IERC1155-isApprovedForAll}."},"owner()":{"details":"Returns the address of the current owner."},"renounceOwnership()":{"details":"Leaves the contract without owner. It will not be possible to call `onlyOwner` functions anymore. Can only be called by the current owner. NOTE: Renouncing ownership will leave the contract without an owner, thereby removing any functionality that is only available to the owner."},"renounceRole(bytes32,address)":{"details":"Revokes `role` from the calling account. Roles are often managed via {grantRole} and {revokeRole}: this function\'s purpose is to provide a mechanism for accounts to lose their privileges if they are compromised (such as when a trusted device is misplaced). If the calling account had been revoked `role`, emits a {RoleRevoked} event. Requirements: - the caller must be `account`."},"revokeRole(bytes32,address)":{"details":"Revokes `role` from `account`. If `account` had been granted `role`, emits a {RoleRevoked} event. Requirements: - the caller must have ``role``\'s admin role."},"royaltyInfo(uint256,uint256)":{"details":"Returns how much royalty is owed and to whom, based on a sale price that may be denominated in any unit of exchange. The royalty amount is denominated and should be paid in that same unit of exchange."},"safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)":{"details":"See {IERC1155-safeBatchTransferFrom}."},"safeTransferFrom(address,address,uint256,uint256,bytes)":{"details":"See {IERC1155-safeTransferFrom}."},"setApprovalForAll(address,bool)":{"details":"See {IERC1155-setApprovalForAll}."},"transferOwnership(address)":{"details":"Transfers ownership of the contract to a new account (`newOwner`). Can only be called by the current owner."},"uri(uint256)":{"details":"See {IERC1155MetadataURI-uri}. This implementation returns the same URI for *all* token types. It relies on the token type ID substitution mechanism https://eips.ethereum.org/EIPS/eip-1155#metadata[defined in the EIP]. Clients calling this function must replace the `\\\\{id\\\\}` substring with the actual token type ID."}},"version":1},"userdoc":{"errors":{"ContractURIIsEmpty()":[{"notice":"ContractURI cannot be empty;"}],"NameIsEmpty()":[{"notice":"Name of contract cannot be empty."}],"URIIsEmpty()":[{"notice":"Base URI of the tokens cannot be empty."}]},"kind":"user","methods":{"constructor":{"notice":"The account deploying the contract will have the minter role and will be able to grant other accounts.Token metadata is resolved from the base URI, using the ERC1155 {id} substitution."}},"version":1}},"settings":{"compilationTarget":{"project:/contracts/ERC1155Mintable.sol":"ERC1155Mintable"},"evmVersion":"london","libraries":{},"metadata":{"bytecodeHash":"ipfs"},"optimizer":{"enabled":false,"runs":500},"remappings":[]},"sources":{"@openzeppelin/contracts/access/AccessControl.sol":{"keccak256":"0xb4d87ee2ead4bd192b41c128f287d4b7f24b9e0cd740cc9b476881c461286007","license":"MIT","urls":["bzz-raw://861c3abaa2b388a0228469080470d2254e8e91fd09aa0abda8b9ef3babf03ee5","dweb:/ipfs/QmZFg88WPesuMo6GMtf3fi9NHQ5tENYLDZsFQSWgoq13TN"]},"@openzeppelin/contracts/access/IAccessControl.sol":{"keccak256":"0x59ce320a585d7e1f163cd70390a0ef2ff9cec832e2aa544293a00692465a7a57","license":"MIT","urls":["bzz-raw://bb2c137c343ef0c4c7ce7b18c1d108afdc9d315a04e48307288d2d05adcbde3a","dweb:/ipfs/QmUxhrAQM3MM3FF5j7AtcXLXguWCJBHJ14BRdVtuoQc8Fh"]},"@openzeppelin/contracts/access/Ownable.sol":{"keccak256":"0x24e0364e503a9bbde94c715d26573a76f14cd2a202d45f96f52134ab806b67b9","license":"MIT","urls":["bzz-raw://e12cbaa7378fd9b62280e4e1d164bedcb4399ce238f5f98fc0eefb7e50577981","dweb:/ipfs/QmXRoFGUgfsaRkoPT5bxNMtSayKTQ8GZATLPXf69HcRA51"]},"@openzeppelin/contracts/interfaces/IERC2981.sol":{"keccak256":"0xa812eed728198acd2c30d06950a5bea8d68436e4f694dd892273266ec2f79f5b","license":"MIT","urls":["bzz-raw://f5522afc5c222c810d9ad67c45f37cb7169452fcf76692cad10ac8153c068daa","dweb:/ipfs/QmX4XgnDp7pyvojQ6g5tacrUMCf7TED2qC2vERH9Xh9feZ"]},"@openzeppelin/contracts/token/ERC1155/ERC1155.sol":{"keccak256":"0x74216d303b87202736b6d571fc3e9b530aa98ff017a41516170f1c555e518669","license":"MIT","urls":["bzz-raw://c0228d82cef8911972f4cbf7e33dfb9ceebb813d15771335949e06fc0f4a3f1b","dweb:/ipfs/QmYCgp6PABoEe9iDmZTeUc31wp7ekraVavgKF1vVSnd438"]},"@openzeppelin/contracts/token/ERC1155/IERC1155.sol":{"keccak256":"0x8e93de94c9062ebc94fb7e2e3929b0781ac6a2b7772e2f7a59045861c93e5be9","license":"MIT","urls":["bzz-raw://f920a631bf986c610fe573d3c70a2bb6f224f86f4a8550016470c7ee476c9ab5","dweb:/ipfs/QmYzsyVMfnaREKHcHv5RPS8Xg5r1Q38E2SDsGBTnXeFWzb"]},"@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol":{"keccak256":"0xeb373f1fdc7b755c6a750123a9b9e3a8a02c1470042fd6505d875000a80bde0b","license":"MIT","urls":["bzz-raw://0e28648f994abf1d6bc345644a361cc0b7efa544f8bc0c8ec26011fed85a91ec","dweb:/ipfs/QmVVE7AiRjKaQYYji7TkjmTeVzGpNmms5eoxqTCfvvpj6D"]},"@openzeppelin/contracts/token/ERC1155/extensions/IERC1155MetadataURI.sol":{"keccak256":"0xa66d18b9a85458d28fc3304717964502ae36f7f8a2ff35bc83f6f85d74b03574","license":"MIT","urls":["bzz-raw://e46c80ea068989111d6103e5521223f9ef337e93de76deed8b03f75c6f7b2797","dweb:/ipfs/QmNoSE6knNfFncdDDLTb3fGR6oSQty1srG96Vsx3E9wQdw"]},"@openzeppelin/contracts/token/common/ERC2981.sol":{"keccak256":"0xefc3d1b4250b3d598cb6bf7886b4466d8025f24e94ac9047b7074dfad3edba10","license":"MIT","urls":["bzz-raw://b28b2d2a9f6f456c5772f1127ae3843cb94cf5e4e2ee6b974996d97b6da5ec93","dweb:/ipfs/QmUWKjgtHEJY2YAd2v5BkW7ktq2Arf4Pvwcd6hWPJefMK2"]},"@openzeppelin/contracts/utils/Address.sol":{"keccak256":"0x2ccf9d2313a313d41a791505f2b5abfdc62191b5d4334f7f7a82691c088a1c87","license":"MIT","urls":["bzz-raw://b3a57d0854b2fdce6ebff933a48dca2445643d1eccfc27f00292e937f26c6a58","dweb:/ipfs/QmW45rZooS9TqR4YXUbjRbtf2Bpb5ouSarBvfW1LdGprvV"]},"@openzeppelin/contracts/utils/Context.sol":{"keccak256":"0xe2e337e6dde9ef6b680e07338c493ebea1b5fd09b43424112868e9cc1706bca7","license":"MIT","urls":["bzz-raw://6df0ddf21ce9f58271bdfaa85cde98b200ef242a05a3f85c2bc10a8294800a92","dweb:/ipfs/QmRK2Y5Yc6BK7tGKkgsgn3aJEQGi5aakeSPZvS65PV8Xp3"]},"@openzeppelin/contracts/utils/Strings.sol":{"keccak256":"0x32c202bd28995dd20c4347b7c6467a6d3241c74c8ad3edcbb610cd9205916c45","license":"MIT","urls":["bzz-raw://8179c356adb19e70d6b31a1eedc8c5c7f0c00e669e2540f4099e3844c6074d30","dweb:/ipfs/QmWFbivarEobbqhS1go64ootVuHfVohBseerYy9FTEd1W2"]},"@openzeppelin/contracts/utils/introspection/ERC165.sol":{"keccak256":"0xd10975de010d89fd1c78dc5e8a9a7e7f496198085c151648f20cba166b32582b","license":"MIT","urls":["bzz-raw://fb0048dee081f6fffa5f74afc3fb328483c2a30504e94a0ddd2a5114d731ec4d","dweb:/ipfs/QmZptt1nmYoA5SgjwnSgWqgUSDgm4q52Yos3xhnMv3MV43"]},"@openzeppelin/contracts/utils/introspection/IERC165.sol":{"keccak256":"0x447a5f3ddc18419d41ff92b3773fb86471b1db25773e07f877f548918a185bf1","license":"MIT","urls":["bzz-raw://be161e54f24e5c6fae81a12db1a8ae87bc5ae1b0ddc805d82a1440a68455088f","dweb:/ipfs/QmP7C3CHdY9urF4dEMb9wmsp1wMxHF6nhA2yQE5SKiPAdy"]},"project:/contracts/ERC1155Mintable.sol":{"keccak256":"0x7ce1e15a12280adc34ee3b9ab45c652af2539a696f596a33935ffe05e7e8ae32","license":"MIT","urls":["bzz-raw://bebf0fd2d8f1c4b97f1e374c23d2a51f6955dcd81d9646b731ccf2782e1ac49d","dweb:/ipfs/QmaMsSxcpKC65A27yeXWfx4u9SgZeqtJFejFKRcMG6uKPa"]}},"version":1}',
+  bytecode:
+    '0x60806040523480156200001157600080fd5b5060405162004f4238038062004f4283398181016040528101906200003791906200062d565b8062000049816200019960201b60201c565b506200006a6200005e620001b560201b60201c565b620001bd60201b60201c565b6001845111620000a6576040517fbeafaea000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8360079080519060200190620000be929190620003e0565b508260089080519060200190620000d7929190620003e0565b508160099080519060200190620000f0929190620003e0565b50620001156000801b62000109620001b560201b60201c565b6200028360201b60201c565b620001567f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a66200014a620001b560201b60201c565b6200028360201b60201c565b7f8ffcdc15a283d706d38281f500270d8b5a656918f555de0913d7455e3e6bc1bf3060405162000187919062000760565b60405180910390a150505050620007e1565b8060029080519060200190620001b1929190620003e0565b5050565b600033905090565b6000600660009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600660006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b6200029582826200037560201b60201c565b620003715760016005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff02191690831515021790555062000316620001b560201b60201c565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b60006005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b828054620003ee90620007ac565b90600052602060002090601f0160209004810192826200041257600085556200045e565b82601f106200042d57805160ff19168380011785556200045e565b828001600101855582156200045e579182015b828111156200045d57825182559160200191906001019062000440565b5b5090506200046d919062000471565b5090565b5b808211156200048c57600081600090555060010162000472565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b6000601f19601f8301169050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b620004f982620004ae565b810181811067ffffffffffffffff821117156200051b576200051a620004bf565b5b80604052505050565b60006200053062000490565b90506200053e8282620004ee565b919050565b600067ffffffffffffffff821115620005615762000560620004bf565b5b6200056c82620004ae565b9050602081019050919050565b60005b83811015620005995780820151818401526020810190506200057c565b83811115620005a9576000848401525b50505050565b6000620005c6620005c08462000543565b62000524565b905082815260208101848484011115620005e557620005e4620004a9565b5b620005f284828562000579565b509392505050565b600082601f830112620006125762000611620004a4565b5b815162000624848260208601620005af565b91505092915050565b600080600080608085870312156200064a57620006496200049a565b5b600085015167ffffffffffffffff8111156200066b576200066a6200049f565b5b6200067987828801620005fa565b945050602085015167ffffffffffffffff8111156200069d576200069c6200049f565b5b620006ab87828801620005fa565b935050604085015167ffffffffffffffff811115620006cf57620006ce6200049f565b5b620006dd87828801620005fa565b925050606085015167ffffffffffffffff8111156200070157620007006200049f565b5b6200070f87828801620005fa565b91505092959194509250565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b600062000748826200071b565b9050919050565b6200075a816200073b565b82525050565b60006020820190506200077760008301846200074f565b92915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b60006002820490506001821680620007c557607f821691505b602082108103620007db57620007da6200077d565b5b50919050565b61475180620007f16000396000f3fe608060405234801561001057600080fd5b50600436106101b85760003560e01c80638da5cb5b116100f9578063d539139311610097578063e8a3d48511610071578063e8a3d485146104c6578063e985e9c5146104e4578063f242432a14610514578063f2fde38b14610530576101b8565b8063d539139314610470578063d547741f1461048e578063d81d0a15146104aa576101b8565b806395d89b41116100d357806395d89b41146103fc578063a217fddf1461041a578063a22cb46514610438578063c21b471b14610454576101b8565b80638da5cb5b1461039257806391d14854146103b0578063938e3d7b146103e0576101b8565b8063248a9ca3116101665780632f2ff15d116101405780632f2ff15d1461032057806336568abe1461033c5780634e1273f414610358578063715018a614610388576101b8565b8063248a9ca3146102a35780632a55205a146102d35780632eb2c2d614610304576101b8565b806306fdde031161019757806306fdde03146102395780630e89341c14610257578063156e29f614610287576101b8565b8062fdd58e146101bd57806301ffc9a7146101ed57806302fe53051461021d575b600080fd5b6101d760048036038101906101d29190612c06565b61054c565b6040516101e49190612c55565b60405180910390f35b61020760048036038101906102029190612cc8565b610614565b6040516102149190612d10565b60405180910390f35b61023760048036038101906102329190612e71565b610626565b005b61024161067b565b60405161024e9190612f42565b60405180910390f35b610271600480360381019061026c9190612f64565b610709565b60405161027e9190612f42565b60405180910390f35b6102a1600480360381019061029c9190612f91565b61079d565b005b6102bd60048036038101906102b8919061301a565b6107e8565b6040516102ca9190613056565b60405180910390f35b6102ed60048036038101906102e89190613071565b610808565b6040516102fb9291906130c0565b60405180910390f35b61031e60048036038101906103199190613252565b6109f2565b005b61033a60048036038101906103359190613321565b610a93565b005b61035660048036038101906103519190613321565b610ab4565b005b610372600480360381019061036d9190613424565b610b37565b60405161037f919061355a565b60405180910390f35b610390610c50565b005b61039a610cd8565b6040516103a7919061357c565b60405180910390f35b6103ca60048036038101906103c59190613321565b610d02565b6040516103d79190612d10565b60405180910390f35b6103fa60048036038101906103f59190612e71565b610d6d565b005b610404610dd0565b6040516104119190612f42565b60405180910390f35b610422610e5e565b60405161042f9190613056565b60405180910390f35b610452600480360381019061044d91906135c3565b610e65565b005b61046e60048036038101906104699190613647565b610e7b565b005b610478610e97565b6040516104859190613056565b60405180910390f35b6104a860048036038101906104a39190613321565b610ebb565b005b6104c460048036038101906104bf9190613687565b610edc565b005b6104ce610f27565b6040516104db9190612f42565b60405180910390f35b6104fe60048036038101906104f99190613712565b610fb9565b60405161050b9190612d10565b60405180910390f35b61052e60048036038101906105299190613752565b61104d565b005b61054a600480360381019061054591906137e9565b6110ee565b005b60008073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036105bc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105b390613888565b60405180910390fd5b60008083815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002054905092915050565b600061061f826111e5565b9050919050565b6000801b6106338161125f565b600182511161066e576040517f0b63559e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61067782611273565b5050565b60078054610688906138d7565b80601f01602080910402602001604051908101604052809291908181526020018280546106b4906138d7565b80156107015780601f106106d657610100808354040283529160200191610701565b820191906000526020600020905b8154815290600101906020018083116106e457829003601f168201915b505050505081565b606060028054610718906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610744906138d7565b80156107915780601f1061076657610100808354040283529160200191610791565b820191906000526020600020905b81548152906001019060200180831161077457829003601f168201915b50505050509050919050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a66107c78161125f565b6107e28484846040518060200160405280600081525061128d565b50505050565b600060056000838152602001908152602001600020600101549050919050565b6000806000600460008681526020019081526020016000206040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff16815250509050600073ffffffffffffffffffffffffffffffffffffffff16816000015173ffffffffffffffffffffffffffffffffffffffff160361099d5760036040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff168152505090505b60006109a761143d565b6bffffffffffffffffffffffff1682602001516bffffffffffffffffffffffff16866109d39190613937565b6109dd91906139c0565b90508160000151819350935050509250929050565b6109fa611447565b73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff161480610a405750610a3f85610a3a611447565b610fb9565b5b610a7f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a7690613a63565b60405180910390fd5b610a8c858585858561144f565b5050505050565b610a9c826107e8565b610aa58161125f565b610aaf8383611770565b505050565b610abc611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610b29576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b2090613af5565b60405180910390fd5b610b338282611851565b5050565b60608151835114610b7d576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b7490613b87565b60405180910390fd5b6000835167ffffffffffffffff811115610b9a57610b99612d46565b5b604051908082528060200260200182016040528015610bc85781602001602082028036833780820191505090505b50905060005b8451811015610c4557610c15858281518110610bed57610bec613ba7565b5b6020026020010151858381518110610c0857610c07613ba7565b5b602002602001015161054c565b828281518110610c2857610c27613ba7565b5b60200260200101818152505080610c3e90613bd6565b9050610bce565b508091505092915050565b610c58611447565b73ffffffffffffffffffffffffffffffffffffffff16610c76610cd8565b73ffffffffffffffffffffffffffffffffffffffff1614610ccc576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610cc390613c6a565b60405180910390fd5b610cd66000611933565b565b6000600660009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60006005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b6000801b610d7a8161125f565b6001825111610db5576040517f542ea76200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8160099080519060200190610dcb929190612abb565b505050565b60088054610ddd906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610e09906138d7565b8015610e565780601f10610e2b57610100808354040283529160200191610e56565b820191906000526020600020905b815481529060010190602001808311610e3957829003601f168201915b505050505081565b6000801b81565b610e77610e70611447565b83836119f9565b5050565b6000801b610e888161125f565b610e928383611b65565b505050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a681565b610ec4826107e8565b610ecd8161125f565b610ed78383611851565b505050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6610f068161125f565b610f2184848460405180602001604052806000815250611cfa565b50505050565b606060098054610f36906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610f62906138d7565b8015610faf5780601f10610f8457610100808354040283529160200191610faf565b820191906000526020600020905b815481529060010190602001808311610f9257829003601f168201915b5050505050905090565b6000600160008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b611055611447565b73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff16148061109b575061109a85611095611447565b610fb9565b5b6110da576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016110d190613cfc565b60405180910390fd5b6110e78585858585611f26565b5050505050565b6110f6611447565b73ffffffffffffffffffffffffffffffffffffffff16611114610cd8565b73ffffffffffffffffffffffffffffffffffffffff161461116a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161116190613c6a565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036111d9576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016111d090613d8e565b60405180910390fd5b6111e281611933565b50565b60007f7965db0b000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806112585750611257826121c1565b5b9050919050565b6112708161126b611447565b61223b565b50565b8060029080519060200190611289929190612abb565b5050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff16036112fc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016112f390613e20565b60405180910390fd5b6000611306611447565b90506000611313856122d8565b90506000611320856122d8565b905061133183600089858589612352565b8460008088815260200190815260200160002060008973ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546113909190613e40565b925050819055508673ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167fc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62898960405161140e929190613e96565b60405180910390a46114258360008985858961235a565b61143483600089898989612362565b50505050505050565b6000612710905090565b600033905090565b8151835114611493576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161148a90613f31565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611502576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016114f990613fc3565b60405180910390fd5b600061150c611447565b905061151c818787878787612352565b60005b84518110156116cd57600085828151811061153d5761153c613ba7565b5b60200260200101519050600085838151811061155c5761155b613ba7565b5b60200260200101519050600080600084815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020549050818110156115fd576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016115f490614055565b60405180910390fd5b81810360008085815260200190815260200160002060008c73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055508160008085815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546116b29190613e40565b92505081905550505050806116c690613bd6565b905061151f565b508473ffffffffffffffffffffffffffffffffffffffff168673ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb8787604051611744929190614075565b60405180910390a461175a81878787878761235a565b611768818787878787612539565b505050505050565b61177a8282610d02565b61184d5760016005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055506117f2611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b61185b8282610d02565b1561192f5760006005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055506118d4611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837ff6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b60405160405180910390a45b5050565b6000600660009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600660006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611a67576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a5e9061411e565b60405180910390fd5b80600160008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c3183604051611b589190612d10565b60405180910390a3505050565b611b6d61143d565b6bffffffffffffffffffffffff16816bffffffffffffffffffffffff161115611bcb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611bc2906141b0565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611c3a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611c319061421c565b60405180910390fd5b60405180604001604052808373ffffffffffffffffffffffffffffffffffffffff168152602001826bffffffffffffffffffffffff16815250600360008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160000160146101000a8154816bffffffffffffffffffffffff02191690836bffffffffffffffffffffffff1602179055509050505050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611d69576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611d6090613e20565b60405180910390fd5b8151835114611dad576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611da490613f31565b60405180910390fd5b6000611db7611447565b9050611dc881600087878787612352565b60005b8451811015611e8157838181518110611de757611de6613ba7565b5b6020026020010151600080878481518110611e0557611e04613ba7565b5b6020026020010151815260200190815260200160002060008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611e679190613e40565b925050819055508080611e7990613bd6565b915050611dcb565b508473ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb8787604051611ef9929190614075565b60405180910390a4611f108160008787878761235a565b611f1f81600087878787612539565b5050505050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611f95576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611f8c90613fc3565b60405180910390fd5b6000611f9f611447565b90506000611fac856122d8565b90506000611fb9856122d8565b9050611fc9838989858589612352565b600080600088815260200190815260200160002060008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002054905085811015612060576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161205790614055565b60405180910390fd5b85810360008089815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055508560008089815260200190815260200160002060008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546121159190613e40565b925050819055508773ffffffffffffffffffffffffffffffffffffffff168973ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff167fc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f628a8a604051612192929190613e96565b60405180910390a46121a8848a8a86868a61235a565b6121b6848a8a8a8a8a612362565b505050505050505050565b60007f2a55205a000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161480612234575061223382612710565b5b9050919050565b6122458282610d02565b6122d45761226a8173ffffffffffffffffffffffffffffffffffffffff1660146127f2565b6122788360001c60206127f2565b604051602001612289929190614310565b6040516020818303038152906040526040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016122cb9190612f42565b60405180910390fd5b5050565b60606000600167ffffffffffffffff8111156122f7576122f6612d46565b5b6040519080825280602002602001820160405280156123255781602001602082028036833780820191505090505b509050828160008151811061233d5761233c613ba7565b5b60200260200101818152505080915050919050565b505050505050565b505050505050565b6123818473ffffffffffffffffffffffffffffffffffffffff16612a2e565b15612531578373ffffffffffffffffffffffffffffffffffffffff1663f23a6e6187878686866040518663ffffffff1660e01b81526004016123c795949392919061439f565b6020604051808303816000875af192505050801561240357506040513d601f19601f82011682018060405250810190612400919061440e565b60015b6124a85761240f614448565b806308c379a00361246b575061242361446a565b8061242e575061246d565b806040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016124629190612f42565b60405180910390fd5b505b6040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161249f9061456c565b60405180910390fd5b63f23a6e6160e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461252f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612526906145fe565b60405180910390fd5b505b505050505050565b6125588473ffffffffffffffffffffffffffffffffffffffff16612a2e565b15612708578373ffffffffffffffffffffffffffffffffffffffff1663bc197c8187878686866040518663ffffffff1660e01b815260040161259e95949392919061461e565b6020604051808303816000875af19250505080156125da57506040513d601f19601f820116820180604052508101906125d7919061440e565b60015b61267f576125e6614448565b806308c379a00361264257506125fa61446a565b806126055750612644565b806040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126399190612f42565b60405180910390fd5b505b6040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126769061456c565b60405180910390fd5b63bc197c8160e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614612706576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126fd906145fe565b60405180910390fd5b505b505050505050565b60007fd9b67a26000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806127db57507f0e89341c000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806127eb57506127ea82612a51565b5b9050919050565b6060600060028360026128059190613937565b61280f9190613e40565b67ffffffffffffffff81111561282857612827612d46565b5b6040519080825280601f01601f19166020018201604052801561285a5781602001600182028036833780820191505090505b5090507f30000000000000000000000000000000000000000000000000000000000000008160008151811061289257612891613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a9053507f7800000000000000000000000000000000000000000000000000000000000000816001815181106128f6576128f5613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600060018460026129369190613937565b6129409190613e40565b90505b60018111156129e0577f3031323334353637383961626364656600000000000000000000000000000000600f86166010811061298257612981613ba7565b5b1a60f81b82828151811061299957612998613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600485901c9450806129d990614686565b9050612943565b5060008414612a24576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612a1b906146fb565b60405180910390fd5b8091505092915050565b6000808273ffffffffffffffffffffffffffffffffffffffff163b119050919050565b60007f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b828054612ac7906138d7565b90600052602060002090601f016020900481019282612ae95760008555612b30565b82601f10612b0257805160ff1916838001178555612b30565b82800160010185558215612b30579182015b82811115612b2f578251825591602001919060010190612b14565b5b509050612b3d9190612b41565b5090565b5b80821115612b5a576000816000905550600101612b42565b5090565b6000604051905090565b600080fd5b600080fd5b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000612b9d82612b72565b9050919050565b612bad81612b92565b8114612bb857600080fd5b50565b600081359050612bca81612ba4565b92915050565b6000819050919050565b612be381612bd0565b8114612bee57600080fd5b50565b600081359050612c0081612bda565b92915050565b60008060408385031215612c1d57612c1c612b68565b5b6000612c2b85828601612bbb565b9250506020612c3c85828601612bf1565b9150509250929050565b612c4f81612bd0565b82525050565b6000602082019050612c6a6000830184612c46565b92915050565b60007fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b612ca581612c70565b8114612cb057600080fd5b50565b600081359050612cc281612c9c565b92915050565b600060208284031215612cde57612cdd612b68565b5b6000612cec84828501612cb3565b91505092915050565b60008115159050919050565b612d0a81612cf5565b82525050565b6000602082019050612d256000830184612d01565b92915050565b600080fd5b600080fd5b6000601f19601f8301169050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b612d7e82612d35565b810181811067ffffffffffffffff82111715612d9d57612d9c612d46565b5b80604052505050565b6000612db0612b5e565b9050612dbc8282612d75565b919050565b600067ffffffffffffffff821115612ddc57612ddb612d46565b5b612de582612d35565b9050602081019050919050565b82818337600083830152505050565b6000612e14612e0f84612dc1565b612da6565b905082815260208101848484011115612e3057612e2f612d30565b5b612e3b848285612df2565b509392505050565b600082601f830112612e5857612e57612d2b565b5b8135612e68848260208601612e01565b91505092915050565b600060208284031215612e8757612e86612b68565b5b600082013567ffffffffffffffff811115612ea557612ea4612b6d565b5b612eb184828501612e43565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015612ef4578082015181840152602081019050612ed9565b83811115612f03576000848401525b50505050565b6000612f1482612eba565b612f1e8185612ec5565b9350612f2e818560208601612ed6565b612f3781612d35565b840191505092915050565b60006020820190508181036000830152612f5c8184612f09565b905092915050565b600060208284031215612f7a57612f79612b68565b5b6000612f8884828501612bf1565b91505092915050565b600080600060608486031215612faa57612fa9612b68565b5b6000612fb886828701612bbb565b9350506020612fc986828701612bf1565b9250506040612fda86828701612bf1565b9150509250925092565b6000819050919050565b612ff781612fe4565b811461300257600080fd5b50565b60008135905061301481612fee565b92915050565b6000602082840312156130305761302f612b68565b5b600061303e84828501613005565b91505092915050565b61305081612fe4565b82525050565b600060208201905061306b6000830184613047565b92915050565b6000806040838503121561308857613087612b68565b5b600061309685828601612bf1565b92505060206130a785828601612bf1565b9150509250929050565b6130ba81612b92565b82525050565b60006040820190506130d560008301856130b1565b6130e26020830184612c46565b9392505050565b600067ffffffffffffffff82111561310457613103612d46565b5b602082029050602081019050919050565b600080fd5b600061312d613128846130e9565b612da6565b905080838252602082019050602084028301858111156131505761314f613115565b5b835b8181101561317957806131658882612bf1565b845260208401935050602081019050613152565b5050509392505050565b600082601f83011261319857613197612d2b565b5b81356131a884826020860161311a565b91505092915050565b600067ffffffffffffffff8211156131cc576131cb612d46565b5b6131d582612d35565b9050602081019050919050565b60006131f56131f0846131b1565b612da6565b90508281526020810184848401111561321157613210612d30565b5b61321c848285612df2565b509392505050565b600082601f83011261323957613238612d2b565b5b81356132498482602086016131e2565b91505092915050565b600080600080600060a0868803121561326e5761326d612b68565b5b600061327c88828901612bbb565b955050602061328d88828901612bbb565b945050604086013567ffffffffffffffff8111156132ae576132ad612b6d565b5b6132ba88828901613183565b935050606086013567ffffffffffffffff8111156132db576132da612b6d565b5b6132e788828901613183565b925050608086013567ffffffffffffffff81111561330857613307612b6d565b5b61331488828901613224565b9150509295509295909350565b6000806040838503121561333857613337612b68565b5b600061334685828601613005565b925050602061335785828601612bbb565b9150509250929050565b600067ffffffffffffffff82111561337c5761337b612d46565b5b602082029050602081019050919050565b60006133a061339b84613361565b612da6565b905080838252602082019050602084028301858111156133c3576133c2613115565b5b835b818110156133ec57806133d88882612bbb565b8452602084019350506020810190506133c5565b5050509392505050565b600082601f83011261340b5761340a612d2b565b5b813561341b84826020860161338d565b91505092915050565b6000806040838503121561343b5761343a612b68565b5b600083013567ffffffffffffffff81111561345957613458612b6d565b5b613465858286016133f6565b925050602083013567ffffffffffffffff81111561348657613485612b6d565b5b61349285828601613183565b9150509250929050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b6134d181612bd0565b82525050565b60006134e383836134c8565b60208301905092915050565b6000602082019050919050565b60006135078261349c565b61351181856134a7565b935061351c836134b8565b8060005b8381101561354d57815161353488826134d7565b975061353f836134ef565b925050600181019050613520565b5085935050505092915050565b6000602082019050818103600083015261357481846134fc565b905092915050565b600060208201905061359160008301846130b1565b92915050565b6135a081612cf5565b81146135ab57600080fd5b50565b6000813590506135bd81613597565b92915050565b600080604083850312156135da576135d9612b68565b5b60006135e885828601612bbb565b92505060206135f9858286016135ae565b9150509250929050565b60006bffffffffffffffffffffffff82169050919050565b61362481613603565b811461362f57600080fd5b50565b6000813590506136418161361b565b92915050565b6000806040838503121561365e5761365d612b68565b5b600061366c85828601612bbb565b925050602061367d85828601613632565b9150509250929050565b6000806000606084860312156136a05761369f612b68565b5b60006136ae86828701612bbb565b935050602084013567ffffffffffffffff8111156136cf576136ce612b6d565b5b6136db86828701613183565b925050604084013567ffffffffffffffff8111156136fc576136fb612b6d565b5b61370886828701613183565b9150509250925092565b6000806040838503121561372957613728612b68565b5b600061373785828601612bbb565b925050602061374885828601612bbb565b9150509250929050565b600080600080600060a0868803121561376e5761376d612b68565b5b600061377c88828901612bbb565b955050602061378d88828901612bbb565b945050604061379e88828901612bf1565b93505060606137af88828901612bf1565b925050608086013567ffffffffffffffff8111156137d0576137cf612b6d565b5b6137dc88828901613224565b9150509295509295909350565b6000602082840312156137ff576137fe612b68565b5b600061380d84828501612bbb565b91505092915050565b7f455243313135353a2062616c616e636520717565727920666f7220746865207a60008201527f65726f2061646472657373000000000000000000000000000000000000000000602082015250565b6000613872602b83612ec5565b915061387d82613816565b604082019050919050565b600060208201905081810360008301526138a181613865565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b600060028204905060018216806138ef57607f821691505b602082108103613902576139016138a8565b5b50919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b600061394282612bd0565b915061394d83612bd0565b9250817fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff048311821515161561398657613985613908565b5b828202905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601260045260246000fd5b60006139cb82612bd0565b91506139d683612bd0565b9250826139e6576139e5613991565b5b828204905092915050565b7f455243313135353a207472616e736665722063616c6c6572206973206e6f742060008201527f6f776e6572206e6f7220617070726f7665640000000000000000000000000000602082015250565b6000613a4d603283612ec5565b9150613a58826139f1565b604082019050919050565b60006020820190508181036000830152613a7c81613a40565b9050919050565b7f416363657373436f6e74726f6c3a2063616e206f6e6c792072656e6f756e636560008201527f20726f6c657320666f722073656c660000000000000000000000000000000000602082015250565b6000613adf602f83612ec5565b9150613aea82613a83565b604082019050919050565b60006020820190508181036000830152613b0e81613ad2565b9050919050565b7f455243313135353a206163636f756e747320616e6420696473206c656e67746860008201527f206d69736d617463680000000000000000000000000000000000000000000000602082015250565b6000613b71602983612ec5565b9150613b7c82613b15565b604082019050919050565b60006020820190508181036000830152613ba081613b64565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b6000613be182612bd0565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203613c1357613c12613908565b5b600182019050919050565b7f4f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e6572600082015250565b6000613c54602083612ec5565b9150613c5f82613c1e565b602082019050919050565b60006020820190508181036000830152613c8381613c47565b9050919050565b7f455243313135353a2063616c6c6572206973206e6f74206f776e6572206e6f7260008201527f20617070726f7665640000000000000000000000000000000000000000000000602082015250565b6000613ce6602983612ec5565b9150613cf182613c8a565b604082019050919050565b60006020820190508181036000830152613d1581613cd9565b9050919050565b7f4f776e61626c653a206e6577206f776e657220697320746865207a65726f206160008201527f6464726573730000000000000000000000000000000000000000000000000000602082015250565b6000613d78602683612ec5565b9150613d8382613d1c565b604082019050919050565b60006020820190508181036000830152613da781613d6b565b9050919050565b7f455243313135353a206d696e7420746f20746865207a65726f2061646472657360008201527f7300000000000000000000000000000000000000000000000000000000000000602082015250565b6000613e0a602183612ec5565b9150613e1582613dae565b604082019050919050565b60006020820190508181036000830152613e3981613dfd565b9050919050565b6000613e4b82612bd0565b9150613e5683612bd0565b9250827fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff03821115613e8b57613e8a613908565b5b828201905092915050565b6000604082019050613eab6000830185612c46565b613eb86020830184612c46565b9392505050565b7f455243313135353a2069647320616e6420616d6f756e7473206c656e6774682060008201527f6d69736d61746368000000000000000000000000000000000000000000000000602082015250565b6000613f1b602883612ec5565b9150613f2682613ebf565b604082019050919050565b60006020820190508181036000830152613f4a81613f0e565b9050919050565b7f455243313135353a207472616e7366657220746f20746865207a65726f20616460008201527f6472657373000000000000000000000000000000000000000000000000000000602082015250565b6000613fad602583612ec5565b9150613fb882613f51565b604082019050919050565b60006020820190508181036000830152613fdc81613fa0565b9050919050565b7f455243313135353a20696e73756666696369656e742062616c616e636520666f60008201527f72207472616e7366657200000000000000000000000000000000000000000000602082015250565b600061403f602a83612ec5565b915061404a82613fe3565b604082019050919050565b6000602082019050818103600083015261406e81614032565b9050919050565b6000604082019050818103600083015261408f81856134fc565b905081810360208301526140a381846134fc565b90509392505050565b7f455243313135353a2073657474696e6720617070726f76616c2073746174757360008201527f20666f722073656c660000000000000000000000000000000000000000000000602082015250565b6000614108602983612ec5565b9150614113826140ac565b604082019050919050565b60006020820190508181036000830152614137816140fb565b9050919050565b7f455243323938313a20726f79616c7479206665652077696c6c2065786365656460008201527f2073616c65507269636500000000000000000000000000000000000000000000602082015250565b600061419a602a83612ec5565b91506141a58261413e565b604082019050919050565b600060208201905081810360008301526141c98161418d565b9050919050565b7f455243323938313a20696e76616c696420726563656976657200000000000000600082015250565b6000614206601983612ec5565b9150614211826141d0565b602082019050919050565b60006020820190508181036000830152614235816141f9565b9050919050565b600081905092915050565b7f416363657373436f6e74726f6c3a206163636f756e7420000000000000000000600082015250565b600061427d60178361423c565b915061428882614247565b601782019050919050565b600061429e82612eba565b6142a8818561423c565b93506142b8818560208601612ed6565b80840191505092915050565b7f206973206d697373696e6720726f6c6520000000000000000000000000000000600082015250565b60006142fa60118361423c565b9150614305826142c4565b601182019050919050565b600061431b82614270565b91506143278285614293565b9150614332826142ed565b915061433e8284614293565b91508190509392505050565b600081519050919050565b600082825260208201905092915050565b60006143718261434a565b61437b8185614355565b935061438b818560208601612ed6565b61439481612d35565b840191505092915050565b600060a0820190506143b460008301886130b1565b6143c160208301876130b1565b6143ce6040830186612c46565b6143db6060830185612c46565b81810360808301526143ed8184614366565b90509695505050505050565b60008151905061440881612c9c565b92915050565b60006020828403121561442457614423612b68565b5b6000614432848285016143f9565b91505092915050565b60008160e01c9050919050565b600060033d11156144675760046000803e61446460005161443b565b90505b90565b600060443d106144f75761447c612b5e565b60043d036004823e80513d602482011167ffffffffffffffff821117156144a45750506144f7565b808201805167ffffffffffffffff8111156144c257505050506144f7565b80602083010160043d0385018111156144df5750505050506144f7565b6144ee82602001850186612d75565b82955050505050505b90565b7f455243313135353a207472616e7366657220746f206e6f6e204552433131353560008201527f526563656976657220696d706c656d656e746572000000000000000000000000602082015250565b6000614556603483612ec5565b9150614561826144fa565b604082019050919050565b6000602082019050818103600083015261458581614549565b9050919050565b7f455243313135353a204552433131353552656365697665722072656a6563746560008201527f6420746f6b656e73000000000000000000000000000000000000000000000000602082015250565b60006145e8602883612ec5565b91506145f38261458c565b604082019050919050565b60006020820190508181036000830152614617816145db565b9050919050565b600060a08201905061463360008301886130b1565b61464060208301876130b1565b818103604083015261465281866134fc565b9050818103606083015261466681856134fc565b9050818103608083015261467a8184614366565b90509695505050505050565b600061469182612bd0565b9150600082036146a4576146a3613908565b5b600182039050919050565b7f537472696e67733a20686578206c656e67746820696e73756666696369656e74600082015250565b60006146e5602083612ec5565b91506146f0826146af565b602082019050919050565b60006020820190508181036000830152614714816146d8565b905091905056fea264697066735822122066b8c54bcc1f5f11aed06244d9ea50c220aaa2055516dec54ef48264aa97c3bf64736f6c634300080d0033',
+  deployedBytecode:
+    '0x608060405234801561001057600080fd5b50600436106101b85760003560e01c80638da5cb5b116100f9578063d539139311610097578063e8a3d48511610071578063e8a3d485146104c6578063e985e9c5146104e4578063f242432a14610514578063f2fde38b14610530576101b8565b8063d539139314610470578063d547741f1461048e578063d81d0a15146104aa576101b8565b806395d89b41116100d357806395d89b41146103fc578063a217fddf1461041a578063a22cb46514610438578063c21b471b14610454576101b8565b80638da5cb5b1461039257806391d14854146103b0578063938e3d7b146103e0576101b8565b8063248a9ca3116101665780632f2ff15d116101405780632f2ff15d1461032057806336568abe1461033c5780634e1273f414610358578063715018a614610388576101b8565b8063248a9ca3146102a35780632a55205a146102d35780632eb2c2d614610304576101b8565b806306fdde031161019757806306fdde03146102395780630e89341c14610257578063156e29f614610287576101b8565b8062fdd58e146101bd57806301ffc9a7146101ed57806302fe53051461021d575b600080fd5b6101d760048036038101906101d29190612c06565b61054c565b6040516101e49190612c55565b60405180910390f35b61020760048036038101906102029190612cc8565b610614565b6040516102149190612d10565b60405180910390f35b61023760048036038101906102329190612e71565b610626565b005b61024161067b565b60405161024e9190612f42565b60405180910390f35b610271600480360381019061026c9190612f64565b610709565b60405161027e9190612f42565b60405180910390f35b6102a1600480360381019061029c9190612f91565b61079d565b005b6102bd60048036038101906102b8919061301a565b6107e8565b6040516102ca9190613056565b60405180910390f35b6102ed60048036038101906102e89190613071565b610808565b6040516102fb9291906130c0565b60405180910390f35b61031e60048036038101906103199190613252565b6109f2565b005b61033a60048036038101906103359190613321565b610a93565b005b61035660048036038101906103519190613321565b610ab4565b005b610372600480360381019061036d9190613424565b610b37565b60405161037f919061355a565b60405180910390f35b610390610c50565b005b61039a610cd8565b6040516103a7919061357c565b60405180910390f35b6103ca60048036038101906103c59190613321565b610d02565b6040516103d79190612d10565b60405180910390f35b6103fa60048036038101906103f59190612e71565b610d6d565b005b610404610dd0565b6040516104119190612f42565b60405180910390f35b610422610e5e565b60405161042f9190613056565b60405180910390f35b610452600480360381019061044d91906135c3565b610e65565b005b61046e60048036038101906104699190613647565b610e7b565b005b610478610e97565b6040516104859190613056565b60405180910390f35b6104a860048036038101906104a39190613321565b610ebb565b005b6104c460048036038101906104bf9190613687565b610edc565b005b6104ce610f27565b6040516104db9190612f42565b60405180910390f35b6104fe60048036038101906104f99190613712565b610fb9565b60405161050b9190612d10565b60405180910390f35b61052e60048036038101906105299190613752565b61104d565b005b61054a600480360381019061054591906137e9565b6110ee565b005b60008073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036105bc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016105b390613888565b60405180910390fd5b60008083815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002054905092915050565b600061061f826111e5565b9050919050565b6000801b6106338161125f565b600182511161066e576040517f0b63559e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61067782611273565b5050565b60078054610688906138d7565b80601f01602080910402602001604051908101604052809291908181526020018280546106b4906138d7565b80156107015780601f106106d657610100808354040283529160200191610701565b820191906000526020600020905b8154815290600101906020018083116106e457829003601f168201915b505050505081565b606060028054610718906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610744906138d7565b80156107915780601f1061076657610100808354040283529160200191610791565b820191906000526020600020905b81548152906001019060200180831161077457829003601f168201915b50505050509050919050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a66107c78161125f565b6107e28484846040518060200160405280600081525061128d565b50505050565b600060056000838152602001908152602001600020600101549050919050565b6000806000600460008681526020019081526020016000206040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff16815250509050600073ffffffffffffffffffffffffffffffffffffffff16816000015173ffffffffffffffffffffffffffffffffffffffff160361099d5760036040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff168152505090505b60006109a761143d565b6bffffffffffffffffffffffff1682602001516bffffffffffffffffffffffff16866109d39190613937565b6109dd91906139c0565b90508160000151819350935050509250929050565b6109fa611447565b73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff161480610a405750610a3f85610a3a611447565b610fb9565b5b610a7f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a7690613a63565b60405180910390fd5b610a8c858585858561144f565b5050505050565b610a9c826107e8565b610aa58161125f565b610aaf8383611770565b505050565b610abc611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610b29576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b2090613af5565b60405180910390fd5b610b338282611851565b5050565b60608151835114610b7d576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610b7490613b87565b60405180910390fd5b6000835167ffffffffffffffff811115610b9a57610b99612d46565b5b604051908082528060200260200182016040528015610bc85781602001602082028036833780820191505090505b50905060005b8451811015610c4557610c15858281518110610bed57610bec613ba7565b5b6020026020010151858381518110610c0857610c07613ba7565b5b602002602001015161054c565b828281518110610c2857610c27613ba7565b5b60200260200101818152505080610c3e90613bd6565b9050610bce565b508091505092915050565b610c58611447565b73ffffffffffffffffffffffffffffffffffffffff16610c76610cd8565b73ffffffffffffffffffffffffffffffffffffffff1614610ccc576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610cc390613c6a565b60405180910390fd5b610cd66000611933565b565b6000600660009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b60006005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b6000801b610d7a8161125f565b6001825111610db5576040517f542ea76200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8160099080519060200190610dcb929190612abb565b505050565b60088054610ddd906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610e09906138d7565b8015610e565780601f10610e2b57610100808354040283529160200191610e56565b820191906000526020600020905b815481529060010190602001808311610e3957829003601f168201915b505050505081565b6000801b81565b610e77610e70611447565b83836119f9565b5050565b6000801b610e888161125f565b610e928383611b65565b505050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a681565b610ec4826107e8565b610ecd8161125f565b610ed78383611851565b505050565b7f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6610f068161125f565b610f2184848460405180602001604052806000815250611cfa565b50505050565b606060098054610f36906138d7565b80601f0160208091040260200160405190810160405280929190818152602001828054610f62906138d7565b8015610faf5780601f10610f8457610100808354040283529160200191610faf565b820191906000526020600020905b815481529060010190602001808311610f9257829003601f168201915b5050505050905090565b6000600160008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b611055611447565b73ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff16148061109b575061109a85611095611447565b610fb9565b5b6110da576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016110d190613cfc565b60405180910390fd5b6110e78585858585611f26565b5050505050565b6110f6611447565b73ffffffffffffffffffffffffffffffffffffffff16611114610cd8565b73ffffffffffffffffffffffffffffffffffffffff161461116a576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161116190613c6a565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16036111d9576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016111d090613d8e565b60405180910390fd5b6111e281611933565b50565b60007f7965db0b000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806112585750611257826121c1565b5b9050919050565b6112708161126b611447565b61223b565b50565b8060029080519060200190611289929190612abb565b5050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff16036112fc576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016112f390613e20565b60405180910390fd5b6000611306611447565b90506000611313856122d8565b90506000611320856122d8565b905061133183600089858589612352565b8460008088815260200190815260200160002060008973ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546113909190613e40565b925050819055508673ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167fc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62898960405161140e929190613e96565b60405180910390a46114258360008985858961235a565b61143483600089898989612362565b50505050505050565b6000612710905090565b600033905090565b8151835114611493576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161148a90613f31565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611502576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016114f990613fc3565b60405180910390fd5b600061150c611447565b905061151c818787878787612352565b60005b84518110156116cd57600085828151811061153d5761153c613ba7565b5b60200260200101519050600085838151811061155c5761155b613ba7565b5b60200260200101519050600080600084815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020549050818110156115fd576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016115f490614055565b60405180910390fd5b81810360008085815260200190815260200160002060008c73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055508160008085815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546116b29190613e40565b92505081905550505050806116c690613bd6565b905061151f565b508473ffffffffffffffffffffffffffffffffffffffff168673ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb8787604051611744929190614075565b60405180910390a461175a81878787878761235a565b611768818787878787612539565b505050505050565b61177a8282610d02565b61184d5760016005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055506117f2611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b61185b8282610d02565b1561192f5760006005600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055506118d4611447565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837ff6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b60405160405180910390a45b5050565b6000600660009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600660006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603611a67576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a5e9061411e565b60405180910390fd5b80600160008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c3183604051611b589190612d10565b60405180910390a3505050565b611b6d61143d565b6bffffffffffffffffffffffff16816bffffffffffffffffffffffff161115611bcb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611bc2906141b0565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611c3a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611c319061421c565b60405180910390fd5b60405180604001604052808373ffffffffffffffffffffffffffffffffffffffff168152602001826bffffffffffffffffffffffff16815250600360008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160000160146101000a8154816bffffffffffffffffffffffff02191690836bffffffffffffffffffffffff1602179055509050505050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611d69576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611d6090613e20565b60405180910390fd5b8151835114611dad576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611da490613f31565b60405180910390fd5b6000611db7611447565b9050611dc881600087878787612352565b60005b8451811015611e8157838181518110611de757611de6613ba7565b5b6020026020010151600080878481518110611e0557611e04613ba7565b5b6020026020010151815260200190815260200160002060008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611e679190613e40565b925050819055508080611e7990613bd6565b915050611dcb565b508473ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb8787604051611ef9929190614075565b60405180910390a4611f108160008787878761235a565b611f1f81600087878787612539565b5050505050565b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff1603611f95576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611f8c90613fc3565b60405180910390fd5b6000611f9f611447565b90506000611fac856122d8565b90506000611fb9856122d8565b9050611fc9838989858589612352565b600080600088815260200190815260200160002060008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002054905085811015612060576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161205790614055565b60405180910390fd5b85810360008089815260200190815260200160002060008b73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055508560008089815260200190815260200160002060008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008282546121159190613e40565b925050819055508773ffffffffffffffffffffffffffffffffffffffff168973ffffffffffffffffffffffffffffffffffffffff168573ffffffffffffffffffffffffffffffffffffffff167fc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f628a8a604051612192929190613e96565b60405180910390a46121a8848a8a86868a61235a565b6121b6848a8a8a8a8a612362565b505050505050505050565b60007f2a55205a000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161480612234575061223382612710565b5b9050919050565b6122458282610d02565b6122d45761226a8173ffffffffffffffffffffffffffffffffffffffff1660146127f2565b6122788360001c60206127f2565b604051602001612289929190614310565b6040516020818303038152906040526040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016122cb9190612f42565b60405180910390fd5b5050565b60606000600167ffffffffffffffff8111156122f7576122f6612d46565b5b6040519080825280602002602001820160405280156123255781602001602082028036833780820191505090505b509050828160008151811061233d5761233c613ba7565b5b60200260200101818152505080915050919050565b505050505050565b505050505050565b6123818473ffffffffffffffffffffffffffffffffffffffff16612a2e565b15612531578373ffffffffffffffffffffffffffffffffffffffff1663f23a6e6187878686866040518663ffffffff1660e01b81526004016123c795949392919061439f565b6020604051808303816000875af192505050801561240357506040513d601f19601f82011682018060405250810190612400919061440e565b60015b6124a85761240f614448565b806308c379a00361246b575061242361446a565b8061242e575061246d565b806040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016124629190612f42565b60405180910390fd5b505b6040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161249f9061456c565b60405180910390fd5b63f23a6e6160e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff19161461252f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612526906145fe565b60405180910390fd5b505b505050505050565b6125588473ffffffffffffffffffffffffffffffffffffffff16612a2e565b15612708578373ffffffffffffffffffffffffffffffffffffffff1663bc197c8187878686866040518663ffffffff1660e01b815260040161259e95949392919061461e565b6020604051808303816000875af19250505080156125da57506040513d601f19601f820116820180604052508101906125d7919061440e565b60015b61267f576125e6614448565b806308c379a00361264257506125fa61446a565b806126055750612644565b806040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126399190612f42565b60405180910390fd5b505b6040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126769061456c565b60405180910390fd5b63bc197c8160e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614612706576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016126fd906145fe565b60405180910390fd5b505b505050505050565b60007fd9b67a26000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806127db57507f0e89341c000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806127eb57506127ea82612a51565b5b9050919050565b6060600060028360026128059190613937565b61280f9190613e40565b67ffffffffffffffff81111561282857612827612d46565b5b6040519080825280601f01601f19166020018201604052801561285a5781602001600182028036833780820191505090505b5090507f30000000000000000000000000000000000000000000000000000000000000008160008151811061289257612891613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a9053507f7800000000000000000000000000000000000000000000000000000000000000816001815181106128f6576128f5613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600060018460026129369190613937565b6129409190613e40565b90505b60018111156129e0577f3031323334353637383961626364656600000000000000000000000000000000600f86166010811061298257612981613ba7565b5b1a60f81b82828151811061299957612998613ba7565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600485901c9450806129d990614686565b9050612943565b5060008414612a24576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612a1b906146fb565b60405180910390fd5b8091505092915050565b6000808273ffffffffffffffffffffffffffffffffffffffff163b119050919050565b60007f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b828054612ac7906138d7565b90600052602060002090601f016020900481019282612ae95760008555612b30565b82601f10612b0257805160ff1916838001178555612b30565b82800160010185558215612b30579182015b82811115612b2f578251825591602001919060010190612b14565b5b509050612b3d9190612b41565b5090565b5b80821115612b5a576000816000905550600101612b42565b5090565b6000604051905090565b600080fd5b600080fd5b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000612b9d82612b72565b9050919050565b612bad81612b92565b8114612bb857600080fd5b50565b600081359050612bca81612ba4565b92915050565b6000819050919050565b612be381612bd0565b8114612bee57600080fd5b50565b600081359050612c0081612bda565b92915050565b60008060408385031215612c1d57612c1c612b68565b5b6000612c2b85828601612bbb565b9250506020612c3c85828601612bf1565b9150509250929050565b612c4f81612bd0565b82525050565b6000602082019050612c6a6000830184612c46565b92915050565b60007fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b612ca581612c70565b8114612cb057600080fd5b50565b600081359050612cc281612c9c565b92915050565b600060208284031215612cde57612cdd612b68565b5b6000612cec84828501612cb3565b91505092915050565b60008115159050919050565b612d0a81612cf5565b82525050565b6000602082019050612d256000830184612d01565b92915050565b600080fd5b600080fd5b6000601f19601f8301169050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b612d7e82612d35565b810181811067ffffffffffffffff82111715612d9d57612d9c612d46565b5b80604052505050565b6000612db0612b5e565b9050612dbc8282612d75565b919050565b600067ffffffffffffffff821115612ddc57612ddb612d46565b5b612de582612d35565b9050602081019050919050565b82818337600083830152505050565b6000612e14612e0f84612dc1565b612da6565b905082815260208101848484011115612e3057612e2f612d30565b5b612e3b848285612df2565b509392505050565b600082601f830112612e5857612e57612d2b565b5b8135612e68848260208601612e01565b91505092915050565b600060208284031215612e8757612e86612b68565b5b600082013567ffffffffffffffff811115612ea557612ea4612b6d565b5b612eb184828501612e43565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015612ef4578082015181840152602081019050612ed9565b83811115612f03576000848401525b50505050565b6000612f1482612eba565b612f1e8185612ec5565b9350612f2e818560208601612ed6565b612f3781612d35565b840191505092915050565b60006020820190508181036000830152612f5c8184612f09565b905092915050565b600060208284031215612f7a57612f79612b68565b5b6000612f8884828501612bf1565b91505092915050565b600080600060608486031215612faa57612fa9612b68565b5b6000612fb886828701612bbb565b9350506020612fc986828701612bf1565b9250506040612fda86828701612bf1565b9150509250925092565b6000819050919050565b612ff781612fe4565b811461300257600080fd5b50565b60008135905061301481612fee565b92915050565b6000602082840312156130305761302f612b68565b5b600061303e84828501613005565b91505092915050565b61305081612fe4565b82525050565b600060208201905061306b6000830184613047565b92915050565b6000806040838503121561308857613087612b68565b5b600061309685828601612bf1565b92505060206130a785828601612bf1565b9150509250929050565b6130ba81612b92565b82525050565b60006040820190506130d560008301856130b1565b6130e26020830184612c46565b9392505050565b600067ffffffffffffffff82111561310457613103612d46565b5b602082029050602081019050919050565b600080fd5b600061312d613128846130e9565b612da6565b905080838252602082019050602084028301858111156131505761314f613115565b5b835b8181101561317957806131658882612bf1565b845260208401935050602081019050613152565b5050509392505050565b600082601f83011261319857613197612d2b565b5b81356131a884826020860161311a565b91505092915050565b600067ffffffffffffffff8211156131cc576131cb612d46565b5b6131d582612d35565b9050602081019050919050565b60006131f56131f0846131b1565b612da6565b90508281526020810184848401111561321157613210612d30565b5b61321c848285612df2565b509392505050565b600082601f83011261323957613238612d2b565b5b81356132498482602086016131e2565b91505092915050565b600080600080600060a0868803121561326e5761326d612b68565b5b600061327c88828901612bbb565b955050602061328d88828901612bbb565b945050604086013567ffffffffffffffff8111156132ae576132ad612b6d565b5b6132ba88828901613183565b935050606086013567ffffffffffffffff8111156132db576132da612b6d565b5b6132e788828901613183565b925050608086013567ffffffffffffffff81111561330857613307612b6d565b5b61331488828901613224565b9150509295509295909350565b6000806040838503121561333857613337612b68565b5b600061334685828601613005565b925050602061335785828601612bbb565b9150509250929050565b600067ffffffffffffffff82111561337c5761337b612d46565b5b602082029050602081019050919050565b60006133a061339b84613361565b612da6565b905080838252602082019050602084028301858111156133c3576133c2613115565b5b835b818110156133ec57806133d88882612bbb565b8452602084019350506020810190506133c5565b5050509392505050565b600082601f83011261340b5761340a612d2b565b5b813561341b84826020860161338d565b91505092915050565b6000806040838503121561343b5761343a612b68565b5b600083013567ffffffffffffffff81111561345957613458612b6d565b5b613465858286016133f6565b925050602083013567ffffffffffffffff81111561348657613485612b6d565b5b61349285828601613183565b9150509250929050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b6134d181612bd0565b82525050565b60006134e383836134c8565b60208301905092915050565b6000602082019050919050565b60006135078261349c565b61351181856134a7565b935061351c836134b8565b8060005b8381101561354d57815161353488826134d7565b975061353f836134ef565b925050600181019050613520565b5085935050505092915050565b6000602082019050818103600083015261357481846134fc565b905092915050565b600060208201905061359160008301846130b1565b92915050565b6135a081612cf5565b81146135ab57600080fd5b50565b6000813590506135bd81613597565b92915050565b600080604083850312156135da576135d9612b68565b5b60006135e885828601612bbb565b92505060206135f9858286016135ae565b9150509250929050565b60006bffffffffffffffffffffffff82169050919050565b61362481613603565b811461362f57600080fd5b50565b6000813590506136418161361b565b92915050565b6000806040838503121561365e5761365d612b68565b5b600061366c85828601612bbb565b925050602061367d85828601613632565b9150509250929050565b6000806000606084860312156136a05761369f612b68565b5b60006136ae86828701612bbb565b935050602084013567ffffffffffffffff8111156136cf576136ce612b6d565b5b6136db86828701613183565b925050604084013567ffffffffffffffff8111156136fc576136fb612b6d565b5b61370886828701613183565b9150509250925092565b6000806040838503121561372957613728612b68565b5b600061373785828601612bbb565b925050602061374885828601612bbb565b9150509250929050565b600080600080600060a0868803121561376e5761376d612b68565b5b600061377c88828901612bbb565b955050602061378d88828901612bbb565b945050604061379e88828901612bf1565b93505060606137af88828901612bf1565b925050608086013567ffffffffffffffff8111156137d0576137cf612b6d565b5b6137dc88828901613224565b9150509295509295909350565b6000602082840312156137ff576137fe612b68565b5b600061380d84828501612bbb565b91505092915050565b7f455243313135353a2062616c616e636520717565727920666f7220746865207a60008201527f65726f2061646472657373000000000000000000000000000000000000000000602082015250565b6000613872602b83612ec5565b915061387d82613816565b604082019050919050565b600060208201905081810360008301526138a181613865565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b600060028204905060018216806138ef57607f821691505b602082108103613902576139016138a8565b5b50919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b600061394282612bd0565b915061394d83612bd0565b9250817fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff048311821515161561398657613985613908565b5b828202905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601260045260246000fd5b60006139cb82612bd0565b91506139d683612bd0565b9250826139e6576139e5613991565b5b828204905092915050565b7f455243313135353a207472616e736665722063616c6c6572206973206e6f742060008201527f6f776e6572206e6f7220617070726f7665640000000000000000000000000000602082015250565b6000613a4d603283612ec5565b9150613a58826139f1565b604082019050919050565b60006020820190508181036000830152613a7c81613a40565b9050919050565b7f416363657373436f6e74726f6c3a2063616e206f6e6c792072656e6f756e636560008201527f20726f6c657320666f722073656c660000000000000000000000000000000000602082015250565b6000613adf602f83612ec5565b9150613aea82613a83565b604082019050919050565b60006020820190508181036000830152613b0e81613ad2565b9050919050565b7f455243313135353a206163636f756e747320616e6420696473206c656e67746860008201527f206d69736d617463680000000000000000000000000000000000000000000000602082015250565b6000613b71602983612ec5565b9150613b7c82613b15565b604082019050919050565b60006020820190508181036000830152613ba081613b64565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b6000613be182612bd0565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203613c1357613c12613908565b5b600182019050919050565b7f4f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e6572600082015250565b6000613c54602083612ec5565b9150613c5f82613c1e565b602082019050919050565b60006020820190508181036000830152613c8381613c47565b9050919050565b7f455243313135353a2063616c6c6572206973206e6f74206f776e6572206e6f7260008201527f20617070726f7665640000000000000000000000000000000000000000000000602082015250565b6000613ce6602983612ec5565b9150613cf182613c8a565b604082019050919050565b60006020820190508181036000830152613d1581613cd9565b9050919050565b7f4f776e61626c653a206e6577206f776e657220697320746865207a65726f206160008201527f6464726573730000000000000000000000000000000000000000000000000000602082015250565b6000613d78602683612ec5565b9150613d8382613d1c565b604082019050919050565b60006020820190508181036000830152613da781613d6b565b9050919050565b7f455243313135353a206d696e7420746f20746865207a65726f2061646472657360008201527f7300000000000000000000000000000000000000000000000000000000000000602082015250565b6000613e0a602183612ec5565b9150613e1582613dae565b604082019050919050565b60006020820190508181036000830152613e3981613dfd565b9050919050565b6000613e4b82612bd0565b9150613e5683612bd0565b9250827fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff03821115613e8b57613e8a613908565b5b828201905092915050565b6000604082019050613eab6000830185612c46565b613eb86020830184612c46565b9392505050565b7f455243313135353a2069647320616e6420616d6f756e7473206c656e6774682060008201527f6d69736d61746368000000000000000000000000000000000000000000000000602082015250565b6000613f1b602883612ec5565b9150613f2682613ebf565b604082019050919050565b60006020820190508181036000830152613f4a81613f0e565b9050919050565b7f455243313135353a207472616e7366657220746f20746865207a65726f20616460008201527f6472657373000000000000000000000000000000000000000000000000000000602082015250565b6000613fad602583612ec5565b9150613fb882613f51565b604082019050919050565b60006020820190508181036000830152613fdc81613fa0565b9050919050565b7f455243313135353a20696e73756666696369656e742062616c616e636520666f60008201527f72207472616e7366657200000000000000000000000000000000000000000000602082015250565b600061403f602a83612ec5565b915061404a82613fe3565b604082019050919050565b6000602082019050818103600083015261406e81614032565b9050919050565b6000604082019050818103600083015261408f81856134fc565b905081810360208301526140a381846134fc565b90509392505050565b7f455243313135353a2073657474696e6720617070726f76616c2073746174757360008201527f20666f722073656c660000000000000000000000000000000000000000000000602082015250565b6000614108602983612ec5565b9150614113826140ac565b604082019050919050565b60006020820190508181036000830152614137816140fb565b9050919050565b7f455243323938313a20726f79616c7479206665652077696c6c2065786365656460008201527f2073616c65507269636500000000000000000000000000000000000000000000602082015250565b600061419a602a83612ec5565b91506141a58261413e565b604082019050919050565b600060208201905081810360008301526141c98161418d565b9050919050565b7f455243323938313a20696e76616c696420726563656976657200000000000000600082015250565b6000614206601983612ec5565b9150614211826141d0565b602082019050919050565b60006020820190508181036000830152614235816141f9565b9050919050565b600081905092915050565b7f416363657373436f6e74726f6c3a206163636f756e7420000000000000000000600082015250565b600061427d60178361423c565b915061428882614247565b601782019050919050565b600061429e82612eba565b6142a8818561423c565b93506142b8818560208601612ed6565b80840191505092915050565b7f206973206d697373696e6720726f6c6520000000000000000000000000000000600082015250565b60006142fa60118361423c565b9150614305826142c4565b601182019050919050565b600061431b82614270565b91506143278285614293565b9150614332826142ed565b915061433e8284614293565b91508190509392505050565b600081519050919050565b600082825260208201905092915050565b60006143718261434a565b61437b8185614355565b935061438b818560208601612ed6565b61439481612d35565b840191505092915050565b600060a0820190506143b460008301886130b1565b6143c160208301876130b1565b6143ce6040830186612c46565b6143db6060830185612c46565b81810360808301526143ed8184614366565b90509695505050505050565b60008151905061440881612c9c565b92915050565b60006020828403121561442457614423612b68565b5b6000614432848285016143f9565b91505092915050565b60008160e01c9050919050565b600060033d11156144675760046000803e61446460005161443b565b90505b90565b600060443d106144f75761447c612b5e565b60043d036004823e80513d602482011167ffffffffffffffff821117156144a45750506144f7565b808201805167ffffffffffffffff8111156144c257505050506144f7565b80602083010160043d0385018111156144df5750505050506144f7565b6144ee82602001850186612d75565b82955050505050505b90565b7f455243313135353a207472616e7366657220746f206e6f6e204552433131353560008201527f526563656976657220696d706c656d656e746572000000000000000000000000602082015250565b6000614556603483612ec5565b9150614561826144fa565b604082019050919050565b6000602082019050818103600083015261458581614549565b9050919050565b7f455243313135353a204552433131353552656365697665722072656a6563746560008201527f6420746f6b656e73000000000000000000000000000000000000000000000000602082015250565b60006145e8602883612ec5565b91506145f38261458c565b604082019050919050565b60006020820190508181036000830152614617816145db565b9050919050565b600060a08201905061463360008301886130b1565b61464060208301876130b1565b818103604083015261465281866134fc565b9050818103606083015261466681856134fc565b9050818103608083015261467a8184614366565b90509695505050505050565b600061469182612bd0565b9150600082036146a4576146a3613908565b5b600182039050919050565b7f537472696e67733a20686578206c656e67746820696e73756666696369656e74600082015250565b60006146e5602083612ec5565b91506146f0826146af565b602082019050919050565b60006020820190508181036000830152614714816146d8565b905091905056fea264697066735822122066b8c54bcc1f5f11aed06244d9ea50c220aaa2055516dec54ef48264aa97c3bf64736f6c634300080d0033',
+  source:
+    '// SPDX-License-Identifier: MIT\npragma solidity 0.8.13;\n\nimport "@openzeppelin/contracts/access/AccessControl.sol";\nimport "@openzeppelin/contracts/access/Ownable.sol";\nimport "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";\nimport "@openzeppelin/contracts/token/common/ERC2981.sol";\n\n/// Name of contract cannot be empty.\nerror NameIsEmpty();\n\n/// Base URI of the tokens cannot be empty.\nerror URIIsEmpty();\n\n/// ContractURI cannot be empty;\nerror ContractURIIsEmpty();\n\ncontract ERC1155Mintable is ERC1155, ERC2981, AccessControl, Ownable {\n    event ContractDeployed(address contractAddress_);\n\n    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");\n\n    string public name;\n    string public symbol;\n    string private _contractURI;\n\n    /// @notice The account deploying the contract will have the minter role and will be able to grant other accounts.\n    /// @notice Token metadata is resolved from the base URI, using the ERC1155 {id} substitution.\n    constructor(string memory name_, string memory symbol_, string memory contractURI_, string memory baseURI_) ERC1155(baseURI_) {\n        if (!(bytes(name_).length > 1)) {\n            revert NameIsEmpty();\n        }\n        name = name_;\n        symbol = symbol_;\n        _contractURI = contractURI_;\n        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());\n        _grantRole(MINTER_ROLE, _msgSender());\n        emit ContractDeployed(address(this));\n    }\n\n    function mint(address to_, uint256 id_, uint256 amount_) public onlyRole(MINTER_ROLE) {\n        _mint(to_, id_, amount_, "");\n    }\n\n    function mintBatch(address to_, uint256[] memory ids_, uint256[] memory amounts_) public onlyRole(MINTER_ROLE) {\n        _mintBatch(to_, ids_, amounts_, "");\n    }\n\n    function setURI(string memory baseURI_) public onlyRole(DEFAULT_ADMIN_ROLE) {\n        if (!(bytes(baseURI_).length > 1)) {\n            revert URIIsEmpty();\n        }\n        _setURI(baseURI_);\n    }\n\n    function setRoyalties(address receiver_, uint96 feeNumerator_) external onlyRole(DEFAULT_ADMIN_ROLE) {\n        _setDefaultRoyalty(receiver_, feeNumerator_);\n    }\n\n    function contractURI() public view returns (string memory) {\n        return _contractURI;\n    }\n\n    function setContractURI(string memory contractURI_) public onlyRole(DEFAULT_ADMIN_ROLE) {\n        if (!(bytes(contractURI_).length > 1)) {\n            revert ContractURIIsEmpty();\n        }\n        _contractURI = contractURI_;\n    }\n\n    function supportsInterface(bytes4 interfaceId_) override(ERC1155, ERC2981, AccessControl) public view returns (bool) {\n        return super.supportsInterface(interfaceId_);\n    }\n}\n',
+  sourcePath: 'contracts/ERC1155Mintable.sol',
+  compiler: {
+    name: 'solc',
+    version: '0.8.13+commit.abaa5c0e.Emscripten.clang',
+  },
+  schemaVersion: '3.4.7',
+  networkType: 'ethereum',
+  devdoc: {
+    kind: 'dev',
+    methods: {
+      'balanceOf(address,uint256)': {
+        details: 'See {IERC1155-balanceOf}. Requirements: - `account` cannot be the zero address.',
+      },
+      'balanceOfBatch(address[],uint256[])': {
+        details:
+          'See {IERC1155-balanceOfBatch}. Requirements: - `accounts` and `ids` must have the same length.',
+      },
+      'getRoleAdmin(bytes32)': {
+        details:
+          "Returns the admin role that controls `role`. See {grantRole} and {revokeRole}. To change a role's admin, use {_setRoleAdmin}.",
+      },
+      'grantRole(bytes32,address)': {
+        details:
+          "Grants `role` to `account`. If `account` had not been already granted `role`, emits a {RoleGranted} event. Requirements: - the caller must have ``role``'s admin role.",
+      },
+      'hasRole(bytes32,address)': {
+        details: 'Returns `true` if `account` has been granted `role`.',
+      },
+      'isApprovedForAll(address,address)': {
+        details: 'See {IERC1155-isApprovedForAll}.',
+      },
+      'owner()': {
+        details: 'Returns the address of the current owner.',
+      },
+      'renounceOwnership()': {
+        details:
+          'Leaves the contract without owner. It will not be possible to call `onlyOwner` functions anymore. Can only be called by the current owner. NOTE: Renouncing ownership will leave the contract without an owner, thereby removing any functionality that is only available to the owner.',
+      },
+      'renounceRole(bytes32,address)': {
+        details:
+          "Revokes `role` from the calling account. Roles are often managed via {grantRole} and {revokeRole}: this function's purpose is to provide a mechanism for accounts to lose their privileges if they are compromised (such as when a trusted device is misplaced). If the calling account had been revoked `role`, emits a {RoleRevoked} event. Requirements: - the caller must be `account`.",
+      },
+      'revokeRole(bytes32,address)': {
+        details:
+          "Revokes `role` from `account`. If `account` had been granted `role`, emits a {RoleRevoked} event. Requirements: - the caller must have ``role``'s admin role.",
+      },
+      'royaltyInfo(uint256,uint256)': {
+        details:
+          'Returns how much royalty is owed and to whom, based on a sale price that may be denominated in any unit of exchange. The royalty amount is denominated and should be paid in that same unit of exchange.',
+      },
+      'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)': {
+        details: 'See {IERC1155-safeBatchTransferFrom}.',
+      },
+      'safeTransferFrom(address,address,uint256,uint256,bytes)': {
+        details: 'See {IERC1155-safeTransferFrom}.',
+      },
+      'setApprovalForAll(address,bool)': {
+        details: 'See {IERC1155-setApprovalForAll}.',
+      },
+      'transferOwnership(address)': {
+        details:
+          'Transfers ownership of the contract to a new account (`newOwner`). Can only be called by the current owner.',
+      },
+      'uri(uint256)': {
+        details:
+          'See {IERC1155MetadataURI-uri}. This implementation returns the same URI for *all* token types. It relies on the token type ID substitution mechanism https://eips.ethereum.org/EIPS/eip-1155#metadata[defined in the EIP]. Clients calling this function must replace the `\\{id\\}` substring with the actual token type ID.',
+      },
+    },
+    version: 1,
+  },
+  userdoc: {
+    errors: {
+      'ContractURIIsEmpty()': [
+        {
+          notice: 'ContractURI cannot be empty;',
+        },
+      ],
+      'NameIsEmpty()': [
+        {
+          notice: 'Name of contract cannot be empty.',
+        },
+      ],
+      'URIIsEmpty()': [
+        {
+          notice: 'Base URI of the tokens cannot be empty.',
+        },
+      ],
+    },
+    kind: 'user',
+    methods: {
+      constructor: {
+        notice:
+          'The account deploying the contract will have the minter role and will be able to grant other accounts.Token metadata is resolved from the base URI, using the ERC1155 {id} substitution.',
+      },
+    },
+    version: 1,
+  },
+};
@@ -0,0 +1,1066 @@
+/* eslint-disable */
+
+export default {
+  contractName: 'ERC721UserMintable',
+  abi: [
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'name_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'symbol_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'contractURI_',
+          type: 'string',
+        },
+        {
+          internalType: 'string',
+          name: 'baseURI_',
+          type: 'string',
+        },
+        {
+          internalType: 'uint256',
+          name: 'maxSupply_',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: 'price_',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'nonpayable',
+      type: 'constructor',
+    },
+    {
+      inputs: [],
+      name: 'BaseURIIsEmpty',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'ContractURIIsEmpty',
+      type: 'error',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'required',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: 'sent',
+          type: 'uint256',
+        },
+      ],
+      name: 'InsufficientFunds',
+      type: 'error',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'requested',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: 'available',
+          type: 'uint256',
+        },
+      ],
+      name: 'MaxSupplyExceeded',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'MaxSupplyIsZero',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'NameIsEmpty',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'NothingToWithdraw',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'QuantityIsZero',
+      type: 'error',
+    },
+    {
+      inputs: [],
+      name: 'SaleNotActive',
+      type: 'error',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'owner',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'approved',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'Approval',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'owner',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          indexed: false,
+          internalType: 'bool',
+          name: 'approved',
+          type: 'bool',
+        },
+      ],
+      name: 'ApprovalForAll',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: false,
+          internalType: 'address',
+          name: 'contractAddress_',
+          type: 'address',
+        },
+      ],
+      name: 'ContractDeployed',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'previousOwner',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'newOwner',
+          type: 'address',
+        },
+      ],
+      name: 'OwnershipTransferred',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: false,
+          internalType: 'uint256',
+          name: 'price_',
+          type: 'uint256',
+        },
+      ],
+      name: 'PriceUpdated',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'previousAdminRole',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'newAdminRole',
+          type: 'bytes32',
+        },
+      ],
+      name: 'RoleAdminChanged',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'sender',
+          type: 'address',
+        },
+      ],
+      name: 'RoleGranted',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'sender',
+          type: 'address',
+        },
+      ],
+      name: 'RoleRevoked',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: false,
+          internalType: 'bool',
+          name: 'saleIsActive_',
+          type: 'bool',
+        },
+      ],
+      name: 'SaleToggled',
+      type: 'event',
+    },
+    {
+      anonymous: false,
+      inputs: [
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          indexed: true,
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'Transfer',
+      type: 'event',
+    },
+    {
+      inputs: [],
+      name: 'DEFAULT_ADMIN_ROLE',
+      outputs: [
+        {
+          internalType: 'bytes32',
+          name: '',
+          type: 'bytes32',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'approve',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'owner',
+          type: 'address',
+        },
+      ],
+      name: 'balanceOf',
+      outputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'contractURI',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'getApproved',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+      ],
+      name: 'getRoleAdmin',
+      outputs: [
+        {
+          internalType: 'bytes32',
+          name: '',
+          type: 'bytes32',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'grantRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'hasRole',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'owner',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+      ],
+      name: 'isApprovedForAll',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'maxSupply',
+      outputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'quantity_',
+          type: 'uint256',
+        },
+      ],
+      name: 'mint',
+      outputs: [],
+      stateMutability: 'payable',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'name',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'owner',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'ownerOf',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'price',
+      outputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'renounceOwnership',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'renounceRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'to_',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'quantity_',
+          type: 'uint256',
+        },
+      ],
+      name: 'reserve',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes32',
+          name: 'role',
+          type: 'bytes32',
+        },
+        {
+          internalType: 'address',
+          name: 'account',
+          type: 'address',
+        },
+      ],
+      name: 'revokeRole',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: '_tokenId',
+          type: 'uint256',
+        },
+        {
+          internalType: 'uint256',
+          name: '_salePrice',
+          type: 'uint256',
+        },
+      ],
+      name: 'royaltyInfo',
+      outputs: [
+        {
+          internalType: 'address',
+          name: '',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'safeTransferFrom',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+        {
+          internalType: 'bytes',
+          name: '_data',
+          type: 'bytes',
+        },
+      ],
+      name: 'safeTransferFrom',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'saleIsActive',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'operator',
+          type: 'address',
+        },
+        {
+          internalType: 'bool',
+          name: 'approved',
+          type: 'bool',
+        },
+      ],
+      name: 'setApprovalForAll',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'baseURI_',
+          type: 'string',
+        },
+      ],
+      name: 'setBaseURI',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'string',
+          name: 'contractURI_',
+          type: 'string',
+        },
+      ],
+      name: 'setContractURI',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'price_',
+          type: 'uint256',
+        },
+      ],
+      name: 'setPrice',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'receiver_',
+          type: 'address',
+        },
+        {
+          internalType: 'uint96',
+          name: 'feeNumerator_',
+          type: 'uint96',
+        },
+      ],
+      name: 'setRoyalties',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'bytes4',
+          name: 'interfaceId_',
+          type: 'bytes4',
+        },
+      ],
+      name: 'supportsInterface',
+      outputs: [
+        {
+          internalType: 'bool',
+          name: '',
+          type: 'bool',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'symbol',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'toggleSale',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'tokenURI',
+      outputs: [
+        {
+          internalType: 'string',
+          name: '',
+          type: 'string',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'totalSupply',
+      outputs: [
+        {
+          internalType: 'uint256',
+          name: '',
+          type: 'uint256',
+        },
+      ],
+      stateMutability: 'view',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'from',
+          type: 'address',
+        },
+        {
+          internalType: 'address',
+          name: 'to',
+          type: 'address',
+        },
+        {
+          internalType: 'uint256',
+          name: 'tokenId',
+          type: 'uint256',
+        },
+      ],
+      name: 'transferFrom',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [
+        {
+          internalType: 'address',
+          name: 'newOwner',
+          type: 'address',
+        },
+      ],
+      name: 'transferOwnership',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+    {
+      inputs: [],
+      name: 'withdraw',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    },
+  ],
+  metadata:
+    '{"compiler":{"version":"0.8.13+commit.abaa5c0e"},"language":"Solidity","output":{"abi":[{"inputs":[{"internalType":"string","name":"name_","type":"string"},{"internalType":"string","name":"symbol_","type":"string"},{"internalType":"string","name":"contractURI_","type":"string"},{"internalType":"string","name":"baseURI_","type":"string"},{"internalType":"uint256","name":"maxSupply_","type":"uint256"},{"internalType":"uint256","name":"price_","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"BaseURIIsEmpty","type":"error"},{"inputs":[],"name":"ContractURIIsEmpty","type":"error"},{"inputs":[{"internalType":"uint256","name":"required","type":"uint256"},{"internalType":"uint256","name":"sent","type":"uint256"}],"name":"InsufficientFunds","type":"error"},{"inputs":[{"internalType":"uint256","name":"requested","type":"uint256"},{"internalType":"uint256","name":"available","type":"uint256"}],"name":"MaxSupplyExceeded","type":"error"},{"inputs":[],"name":"MaxSupplyIsZero","type":"error"},{"inputs":[],"name":"NameIsEmpty","type":"error"},{"inputs":[],"name":"NothingToWithdraw","type":"error"},{"inputs":[],"name":"QuantityIsZero","type":"error"},{"inputs":[],"name":"SaleNotActive","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"approved","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"operator","type":"address"},{"indexed":false,"internalType":"bool","name":"approved","type":"bool"}],"name":"ApprovalForAll","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"contractAddress_","type":"address"}],"name":"ContractDeployed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"price_","type":"uint256"}],"name":"PriceUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"previousAdminRole","type":"bytes32"},{"indexed":true,"internalType":"bytes32","name":"newAdminRole","type":"bytes32"}],"name":"RoleAdminChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleGranted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleRevoked","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"bool","name":"saleIsActive_","type":"bool"}],"name":"SaleToggled","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":true,"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"Transfer","type":"event"},{"inputs":[],"name":"DEFAULT_ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"approve","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"contractURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"getApproved","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"}],"name":"getRoleAdmin","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"grantRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"hasRole","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"operator","type":"address"}],"name":"isApprovedForAll","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"maxSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"quantity_","type":"uint256"}],"name":"mint","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"ownerOf","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"price","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"renounceRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"to_","type":"address"},{"internalType":"uint256","name":"quantity_","type":"uint256"}],"name":"reserve","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"revokeRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"_tokenId","type":"uint256"},{"internalType":"uint256","name":"_salePrice","type":"uint256"}],"name":"royaltyInfo","outputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"},{"internalType":"bytes","name":"_data","type":"bytes"}],"name":"safeTransferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"saleIsActive","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"operator","type":"address"},{"internalType":"bool","name":"approved","type":"bool"}],"name":"setApprovalForAll","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"baseURI_","type":"string"}],"name":"setBaseURI","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"contractURI_","type":"string"}],"name":"setContractURI","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"price_","type":"uint256"}],"name":"setPrice","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"receiver_","type":"address"},{"internalType":"uint96","name":"feeNumerator_","type":"uint96"}],"name":"setRoyalties","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes4","name":"interfaceId_","type":"bytes4"}],"name":"supportsInterface","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"toggleSale","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"tokenURI","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"tokenId","type":"uint256"}],"name":"transferFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"withdraw","outputs":[],"stateMutability":"nonpayable","type":"function"}],"devdoc":{"kind":"dev","methods":{"approve(address,uint256)":{"details":"See {IERC721-approve}."},"balanceOf(address)":{"details":"See {IERC721-balanceOf}."},"getApproved(uint256)":{"details":"See {IERC721-getApproved}."},"getRoleAdmin(bytes32)":{"details":"Returns the admin role that controls `role`. See {grantRole} and {revokeRole}. To change a role\'s admin, use {_setRoleAdmin}."},"grantRole(bytes32,address)":{"details":"Grants `role` to `account`. If `account` had not been already granted `role`, emits a {RoleGranted} event. Requirements: - the caller must have ``role``\'s admin role."},"hasRole(bytes32,address)":{"details":"Returns `true` if `account` has been granted `role`."},"isApprovedForAll(address,address)":{"details":"See {IERC721-isApprovedForAll}."},"name()":{"details":"See {IERC721Metadata-name}."},"owner()":{"details":"Returns the address of the current owner."},"ownerOf(uint256)":{"details":"See {IERC721-ownerOf}."},"renounceOwnership()":{"details":"Leaves the contract without owner. It will not be possible to call `onlyOwner` functions anymore. Can only be called by the current owner. NOTE: Renouncing ownership will leave the contract without an owner, thereby removing any functionality that is only available to the owner."},"renounceRole(bytes32,address)":{"details":"Revokes `role` from the calling account. Roles are often managed via {grantRole} and {revokeRole}: this function\'s purpose is to provide a mechanism for accounts to lose their privileges if they are compromised (such as when a trusted device is misplaced). If the calling account had been revoked `role`, emits a {RoleRevoked} event. Requirements: - the caller must be `account`."},"revokeRole(bytes32,address)":{"details":"Revokes `role` from `account`. If `account` had been granted `role`, emits a {RoleRevoked} event. Requirements: - the caller must have ``role``\'s admin role."},"royaltyInfo(uint256,uint256)":{"details":"Returns how much royalty is owed and to whom, based on a sale price that may be denominated in any unit of exchange. The royalty amount is denominated and should be paid in that same unit of exchange."},"safeTransferFrom(address,address,uint256)":{"details":"See {IERC721-safeTransferFrom}."},"safeTransferFrom(address,address,uint256,bytes)":{"details":"See {IERC721-safeTransferFrom}."},"setApprovalForAll(address,bool)":{"details":"See {IERC721-setApprovalForAll}."},"symbol()":{"details":"See {IERC721Metadata-symbol}."},"tokenURI(uint256)":{"details":"See {IERC721Metadata-tokenURI}."},"transferFrom(address,address,uint256)":{"details":"See {IERC721-transferFrom}."},"transferOwnership(address)":{"details":"Transfers ownership of the contract to a new account (`newOwner`). Can only be called by the current owner."}},"stateVariables":{"_tokenIdCounter":{"details":"Counter auto-incrementating NFT tokenIds, default: 0"}},"version":1},"userdoc":{"errors":{"BaseURIIsEmpty()":[{"notice":"Base URI of the tokens cannot be empty."}],"ContractURIIsEmpty()":[{"notice":"ContractURI cannot be empty;"}],"InsufficientFunds(uint256,uint256)":[{"notice":"Ether sent (`sent`) is lower than the price of the tokens (`required`)."}],"MaxSupplyExceeded(uint256,uint256)":[{"notice":"Minting `requested` tokens would exceed the max supply (`available` tokens left)."}],"MaxSupplyIsZero()":[{"notice":"Max supply should be greater than 0."}],"NameIsEmpty()":[{"notice":"Name of contract cannot be empty."}],"NothingToWithdraw()":[{"notice":"Contract balance is empty."}],"QuantityIsZero()":[{"notice":"Quantity of tokens to mint should be greater than 0."}],"SaleNotActive()":[{"notice":"Public sale is not active."}]},"kind":"user","methods":{"constructor":{"notice":"The account deploying the contract will have the admin role and will own the funds of the sale.Token URIs are built from the base URI and the sequential token ID."}},"version":1}},"settings":{"compilationTarget":{"project:/contracts/ERC721UserMintable.sol":"ERC721UserMintable"},"evmVersion":"london","libraries":{},"metadata":{"bytecodeHash":"ipfs"},"optimizer":{"enabled":false,"runs":500},"remappings":[]},"sources":{"@openzeppelin/contracts/access/AccessControl.sol":{"keccak256":"0xb4d87ee2ead4bd192b41c128f287d4b7f24b9e0cd740cc9b476881c461286007","license":"MIT","urls":["bzz-raw://861c3abaa2b388a0228469080470d2254e8e91fd09aa0abda8b9ef3babf03ee5","dweb:/ipfs/QmZFg88WPesuMo6GMtf3fi9NHQ5tENYLDZsFQSWgoq13TN"]},"@openzeppelin/contracts/access/IAccessControl.sol":{"keccak256":"0x59ce320a585d7e1f163cd70390a0ef2ff9cec832e2aa544293a00692465a7a57","license":"MIT","urls":["bzz-raw://bb2c137c343ef0c4c7ce7b18c1d108afdc9d315a04e48307288d2d05adcbde3a","dweb:/ipfs/QmUxhrAQM3MM3FF5j7AtcXLXguWCJBHJ14BRdVtuoQc8Fh"]},"@openzeppelin/contracts/access/Ownable.sol":{"keccak256":"0x24e0364e503a9bbde94c715d26573a76f14cd2a202d45f96f52134ab806b67b9","license":"MIT","urls":["bzz-raw://e12cbaa7378fd9b62280e4e1d164bedcb4399ce238f5f98fc0eefb7e50577981","dweb:/ipfs/QmXRoFGUgfsaRkoPT5bxNMtSayKTQ8GZATLPXf69HcRA51"]},"@openzeppelin/contracts/interfaces/IERC2981.sol":{"keccak256":"0xa812eed728198acd2c30d06950a5bea8d68436e4f694dd892273266ec2f79f5b","license":"MIT","urls":["bzz-raw://f5522afc5c222c810d9ad67c45f37cb7169452fcf76692cad10ac8153c068daa","dweb:/ipfs/QmX4XgnDp7pyvojQ6g5tacrUMCf7TED2qC2vERH9Xh9feZ"]},"@openzeppelin/contracts/token/ERC721/ERC721.sol":{"keccak256":"0x921f012325281f7d81e29c53a13824cf6c2c5d77232065d0d4f3f912e97af6ea","license":"MIT","urls":["bzz-raw://7dbcedc364fce0ab5e54d21d4cbd91a97959f52c0674cf5c36a314bb58308f62","dweb:/ipfs/QmfYpqHKtu3bSQ9FGvLwzdxRNykStpVPtoLNTaM1KBKj6E"]},"@openzeppelin/contracts/token/ERC721/IERC721.sol":{"keccak256":"0x0d4de01fe5360c38b4ad2b0822a12722958428f5138a7ff47c1720eb6fa52bba","license":"MIT","urls":["bzz-raw://77724cecdfba8814632ab58737c2b0f2d4ad2d532bc614aee559b5593c1152f0","dweb:/ipfs/QmUcE6gXyv7CQh4sUdcDABYKGTovTe1zLMZSEq95nkc3ph"]},"@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol":{"keccak256":"0xa82b58eca1ee256be466e536706850163d2ec7821945abd6b4778cfb3bee37da","license":"MIT","urls":["bzz-raw://6e75cf83beb757b8855791088546b8337e9d4684e169400c20d44a515353b708","dweb:/ipfs/QmYvPafLfoquiDMEj7CKHtvbgHu7TJNPSVPSCjrtjV8HjV"]},"@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol":{"keccak256":"0x75b829ff2f26c14355d1cba20e16fe7b29ca58eb5fef665ede48bc0f9c6c74b9","license":"MIT","urls":["bzz-raw://a0a107160525724f9e1bbbab031defc2f298296dd9e331f16a6f7130cec32146","dweb:/ipfs/QmemujxSd7gX8A9M8UwmNbz4Ms3U9FG9QfudUgxwvTmPWf"]},"@openzeppelin/contracts/token/common/ERC2981.sol":{"keccak256":"0xefc3d1b4250b3d598cb6bf7886b4466d8025f24e94ac9047b7074dfad3edba10","license":"MIT","urls":["bzz-raw://b28b2d2a9f6f456c5772f1127ae3843cb94cf5e4e2ee6b974996d97b6da5ec93","dweb:/ipfs/QmUWKjgtHEJY2YAd2v5BkW7ktq2Arf4Pvwcd6hWPJefMK2"]},"@openzeppelin/contracts/utils/Address.sol":{"keccak256":"0x2ccf9d2313a313d41a791505f2b5abfdc62191b5d4334f7f7a82691c088a1c87","license":"MIT","urls":["bzz-raw://b3a57d0854b2fdce6ebff933a48dca2445643d1eccfc27f00292e937f26c6a58","dweb:/ipfs/QmW45rZooS9TqR4YXUbjRbtf2Bpb5ouSarBvfW1LdGprvV"]},"@openzeppelin/contracts/utils/Context.sol":{"keccak256":"0xe2e337e6dde9ef6b680e07338c493ebea1b5fd09b43424112868e9cc1706bca7","license":"MIT","urls":["bzz-raw://6df0ddf21ce9f58271bdfaa85cde98b200ef242a05a3f85c2bc10a8294800a92","dweb:/ipfs/QmRK2Y5Yc6BK7tGKkgsgn3aJEQGi5aakeSPZvS65PV8Xp3"]},"@openzeppelin/contracts/utils/Counters.sol":{"keccak256":"0xf0018c2440fbe238dd3a8732fa8e17a0f9dce84d31451dc8a32f6d62b349c9f1","license":"MIT","urls":["bzz-raw://59e1c62884d55b70f3ae5432b44bb3166ad71ae3acd19c57ab6ddc3c87c325ee","dweb:/ipfs/QmezuXg5GK5oeA4F91EZhozBFekhq5TD966bHPH18cCqhu"]},"@openzeppelin/contracts/utils/Strings.sol":{"keccak256":"0x32c202bd28995dd20c4347b7c6467a6d3241c74c8ad3edcbb610cd9205916c45","license":"MIT","urls":["bzz-raw://8179c356adb19e70d6b31a1eedc8c5c7f0c00e669e2540f4099e3844c6074d30","dweb:/ipfs/QmWFbivarEobbqhS1go64ootVuHfVohBseerYy9FTEd1W2"]},"@openzeppelin/contracts/utils/introspection/ERC165.sol":{"keccak256":"0xd10975de010d89fd1c78dc5e8a9a7e7f496198085c151648f20cba166b32582b","license":"MIT","urls":["bzz-raw://fb0048dee081f6fffa5f74afc3fb328483c2a30504e94a0ddd2a5114d731ec4d","dweb:/ipfs/QmZptt1nmYoA5SgjwnSgWqgUSDgm4q52Yos3xhnMv3MV43"]},"@openzeppelin/contracts/utils/introspection/IERC165.sol":{"keccak256":"0x447a5f3ddc18419d41ff92b3773fb86471b1db25773e07f877f548918a185bf1","license":"MIT","urls":["bzz-raw://be161e54f24e5c6fae81a12db1a8ae87bc5ae1b0ddc805d82a1440a68455088f","dweb:/ipfs/QmP7C3CHdY9urF4dEMb9wmsp1wMxHF6nhA2yQE5SKiPAdy"]},"project:/contracts/ERC721UserMintable.sol":{"keccak256":"0xf9d3d84ee034a50d2790b44e7b17a64fba6907afb5e1fd0dac5ae03f70c84fdb","license":"MIT","urls":["bzz-raw://0ea5b35754d863540f10edcbe55bfde10e3bc6406392f31b0b6e871d7caceea3","dweb:/ipfs/QmXxDgwAbdDphAGtPPcqnazXzNv9pDzjFEDa8dR51biywF"]}},"version":1}',
+  bytecode:
+    '0x60a06040523480156200001157600080fd5b5060405162004fda38038062004fda833981810160405281019062000037919062000661565b8585816000908051906020019062000051929190620003d9565b5080600190805190602001906200006a929190620003d9565b5050506200008d62000081620001ae60201b60201c565b620001b660201b60201c565b6001865111620000c9576040517fbeafaea000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000820362000104576040517f9096364e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b83600b90805190602001906200011c929190620003d9565b5082600c908051906020019062000135929190620003d9565b50816080818152505080600d81905550620001696000801b6200015d620001ae60201b60201c565b6200027c60201b60201c565b7f8ffcdc15a283d706d38281f500270d8b5a656918f555de0913d7455e3e6bc1bf306040516200019a9190620007be565b60405180910390a15050505050506200083f565b600033905090565b6000600960009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600960006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b6200028e82826200036e60201b60201c565b6200036a5760016008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055506200030f620001ae60201b60201c565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b60006008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b828054620003e7906200080a565b90600052602060002090601f0160209004810192826200040b576000855562000457565b82601f106200042657805160ff191683800117855562000457565b8280016001018555821562000457579182015b828111156200045657825182559160200191906001019062000439565b5b5090506200046691906200046a565b5090565b5b80821115620004855760008160009055506001016200046b565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b6000601f19601f8301169050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b620004f282620004a7565b810181811067ffffffffffffffff82111715620005145762000513620004b8565b5b80604052505050565b60006200052962000489565b9050620005378282620004e7565b919050565b600067ffffffffffffffff8211156200055a5762000559620004b8565b5b6200056582620004a7565b9050602081019050919050565b60005b838110156200059257808201518184015260208101905062000575565b83811115620005a2576000848401525b50505050565b6000620005bf620005b9846200053c565b6200051d565b905082815260208101848484011115620005de57620005dd620004a2565b5b620005eb84828562000572565b509392505050565b600082601f8301126200060b576200060a6200049d565b5b81516200061d848260208601620005a8565b91505092915050565b6000819050919050565b6200063b8162000626565b81146200064757600080fd5b50565b6000815190506200065b8162000630565b92915050565b60008060008060008060c0878903121562000681576200068062000493565b5b600087015167ffffffffffffffff811115620006a257620006a162000498565b5b620006b089828a01620005f3565b965050602087015167ffffffffffffffff811115620006d457620006d362000498565b5b620006e289828a01620005f3565b955050604087015167ffffffffffffffff81111562000706576200070562000498565b5b6200071489828a01620005f3565b945050606087015167ffffffffffffffff81111562000738576200073762000498565b5b6200074689828a01620005f3565b93505060806200075989828a016200064a565b92505060a06200076c89828a016200064a565b9150509295509295509295565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000620007a68262000779565b9050919050565b620007b88162000799565b82525050565b6000602082019050620007d56000830184620007ad565b92915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b600060028204905060018216806200082357607f821691505b602082108103620008395762000838620007db565b5b50919050565b60805161477862000862600039600081816115d5015261200f01526147786000f3fe60806040526004361061020f5760003560e01c806391b7f5ed11610118578063c21b471b116100a0578063d5abeb011161006f578063d5abeb0114610775578063e8a3d485146107a0578063e985e9c5146107cb578063eb8d244414610808578063f2fde38b146108335761020f565b8063c21b471b146106bd578063c87b56dd146106e6578063cc47a40b14610723578063d547741f1461074c5761020f565b8063a035b1fe116100e7578063a035b1fe146105f9578063a0712d6814610624578063a217fddf14610640578063a22cb4651461066b578063b88d4fde146106945761020f565b806391b7f5ed1461053f57806391d1485414610568578063938e3d7b146105a557806395d89b41146105ce5761020f565b806336568abe1161019b5780636352211e1161016a5780636352211e1461046c57806370a08231146104a9578063715018a6146104e65780637d8966e4146104fd5780638da5cb5b146105145761020f565b806336568abe146103da5780633ccfd60b1461040357806342842e0e1461041a57806355f804b3146104435761020f565b806318160ddd116101e257806318160ddd146102e257806323b872dd1461030d578063248a9ca3146103365780632a55205a146103735780632f2ff15d146103b15761020f565b806301ffc9a71461021457806306fdde0314610251578063081812fc1461027c578063095ea7b3146102b9575b600080fd5b34801561022057600080fd5b5061023b60048036038101906102369190612fe1565b61085c565b6040516102489190613029565b60405180910390f35b34801561025d57600080fd5b5061026661086e565b60405161027391906130dd565b60405180910390f35b34801561028857600080fd5b506102a3600480360381019061029e9190613135565b610900565b6040516102b091906131a3565b60405180910390f35b3480156102c557600080fd5b506102e060048036038101906102db91906131ea565b610985565b005b3480156102ee57600080fd5b506102f7610a9c565b6040516103049190613239565b60405180910390f35b34801561031957600080fd5b50610334600480360381019061032f9190613254565b610aad565b005b34801561034257600080fd5b5061035d600480360381019061035891906132dd565b610b0d565b60405161036a9190613319565b60405180910390f35b34801561037f57600080fd5b5061039a60048036038101906103959190613334565b610b2d565b6040516103a8929190613374565b60405180910390f35b3480156103bd57600080fd5b506103d860048036038101906103d3919061339d565b610d17565b005b3480156103e657600080fd5b5061040160048036038101906103fc919061339d565b610d38565b005b34801561040f57600080fd5b50610418610dbb565b005b34801561042657600080fd5b50610441600480360381019061043c9190613254565b610ec7565b005b34801561044f57600080fd5b5061046a60048036038101906104659190613512565b610ee7565b005b34801561047857600080fd5b50610493600480360381019061048e9190613135565b610f4a565b6040516104a091906131a3565b60405180910390f35b3480156104b557600080fd5b506104d060048036038101906104cb919061355b565b610ffb565b6040516104dd9190613239565b60405180910390f35b3480156104f257600080fd5b506104fb6110b2565b005b34801561050957600080fd5b5061051261113a565b005b34801561052057600080fd5b506105296111ba565b60405161053691906131a3565b60405180910390f35b34801561054b57600080fd5b5061056660048036038101906105619190613135565b6111e4565b005b34801561057457600080fd5b5061058f600480360381019061058a919061339d565b611233565b60405161059c9190613029565b60405180910390f35b3480156105b157600080fd5b506105cc60048036038101906105c79190613512565b61129e565b005b3480156105da57600080fd5b506105e3611301565b6040516105f091906130dd565b60405180910390f35b34801561060557600080fd5b5061060e611393565b60405161061b9190613239565b60405180910390f35b61063e60048036038101906106399190613135565b611399565b005b34801561064c57600080fd5b50610655611454565b6040516106629190613319565b60405180910390f35b34801561067757600080fd5b50610692600480360381019061068d91906135b4565b61145b565b005b3480156106a057600080fd5b506106bb60048036038101906106b69190613695565b611471565b005b3480156106c957600080fd5b506106e460048036038101906106df919061375c565b6114d3565b005b3480156106f257600080fd5b5061070d60048036038101906107089190613135565b6114ef565b60405161071a91906130dd565b60405180910390f35b34801561072f57600080fd5b5061074a600480360381019061074591906131ea565b611596565b005b34801561075857600080fd5b50610773600480360381019061076e919061339d565b6115b2565b005b34801561078157600080fd5b5061078a6115d3565b6040516107979190613239565b60405180910390f35b3480156107ac57600080fd5b506107b56115f7565b6040516107c291906130dd565b60405180910390f35b3480156107d757600080fd5b506107f260048036038101906107ed919061379c565b611689565b6040516107ff9190613029565b60405180910390f35b34801561081457600080fd5b5061081d61171d565b60405161082a9190613029565b60405180910390f35b34801561083f57600080fd5b5061085a6004803603810190610855919061355b565b611730565b005b600061086782611827565b9050919050565b60606000805461087d9061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546108a99061380b565b80156108f65780601f106108cb576101008083540402835291602001916108f6565b820191906000526020600020905b8154815290600101906020018083116108d957829003601f168201915b5050505050905090565b600061090b826118a1565b61094a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610941906138ae565b60405180910390fd5b6004600083815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b600061099082610f4a565b90508073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603610a00576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016109f790613940565b60405180910390fd5b8073ffffffffffffffffffffffffffffffffffffffff16610a1f61190d565b73ffffffffffffffffffffffffffffffffffffffff161480610a4e5750610a4d81610a4861190d565b611689565b5b610a8d576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a84906139d2565b60405180910390fd5b610a978383611915565b505050565b6000610aa8600a6119ce565b905090565b610abe610ab861190d565b826119dc565b610afd576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610af490613a64565b60405180910390fd5b610b08838383611aba565b505050565b600060086000838152602001908152602001600020600101549050919050565b6000806000600760008681526020019081526020016000206040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff16815250509050600073ffffffffffffffffffffffffffffffffffffffff16816000015173ffffffffffffffffffffffffffffffffffffffff1603610cc25760066040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff168152505090505b6000610ccc611d20565b6bffffffffffffffffffffffff1682602001516bffffffffffffffffffffffff1686610cf89190613ab3565b610d029190613b3c565b90508160000151819350935050509250929050565b610d2082610b0d565b610d2981611d2a565b610d338383611d3e565b505050565b610d4061190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610dad576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610da490613bdf565b60405180910390fd5b610db78282611e1f565b5050565b610dc361190d565b73ffffffffffffffffffffffffffffffffffffffff16610de16111ba565b73ffffffffffffffffffffffffffffffffffffffff1614610e37576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610e2e90613c4b565b60405180910390fd5b600047905060008103610e76576040517fd0d04f6000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610e7e6111ba565b73ffffffffffffffffffffffffffffffffffffffff166108fc829081150290604051600060405180830381858888f19350505050158015610ec3573d6000803e3d6000fd5b5050565b610ee283838360405180602001604052806000815250611471565b505050565b6000801b610ef481611d2a565b6001825111610f2f576040517f51a4769e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b81600c9080519060200190610f45929190612ed2565b505050565b6000806002600084815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff2576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610fe990613cdd565b60405180910390fd5b80915050919050565b60008073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106b576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161106290613d6f565b60405180910390fd5b600360008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020549050919050565b6110ba61190d565b73ffffffffffffffffffffffffffffffffffffffff166110d86111ba565b73ffffffffffffffffffffffffffffffffffffffff161461112e576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161112590613c4b565b60405180910390fd5b6111386000611f01565b565b6000801b61114781611d2a565b600e60009054906101000a900460ff1615600e60006101000a81548160ff0219169083151502179055507f37ae8f893f8baa4aef207505c0e4d730119d73dc1363bbee6fda5f5d52c3cf17600e60009054906101000a900460ff166040516111af9190613029565b60405180910390a150565b6000600960009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b6000801b6111f181611d2a565b81600d819055507f66cbca4f3c64fecf1dcb9ce094abcf7f68c3450a1d4e3a8e917dd621edb4ebe0826040516112279190613239565b60405180910390a15050565b60006008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b6000801b6112ab81611d2a565b60018251116112e6576040517f542ea76200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b81600b90805190602001906112fc929190612ed2565b505050565b6060600180546113109061380b565b80601f016020809104026020016040519081016040528092919081815260200182805461133c9061380b565b80156113895780601f1061135e57610100808354040283529160200191611389565b820191906000526020600020905b81548152906001019060200180831161136c57829003601f168201915b5050505050905090565b600d5481565b600e60009054906101000a900460ff166113df576040517fb7b2409700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b80600d546113ed9190613ab3565b3410156114405780600d546114029190613ab3565b346040517f03eb8b54000000000000000000000000000000000000000000000000000000008152600401611437929190613d8f565b60405180910390fd5b61145161144b61190d565b82611fc7565b50565b6000801b81565b61146d61146661190d565b83836120c8565b5050565b61148261147c61190d565b836119dc565b6114c1576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016114b890613a64565b60405180910390fd5b6114cd84848484612234565b50505050565b6000801b6114e081611d2a565b6114ea8383612290565b505050565b60606114fa826118a1565b611539576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161153090613e2a565b60405180910390fd5b6000611543612425565b90506000815111611563576040518060200160405280600081525061158e565b8061156d846124b7565b60405160200161157e929190613e86565b6040516020818303038152906040525b915050919050565b6000801b6115a381611d2a565b6115ad8383611fc7565b505050565b6115bb82610b0d565b6115c481611d2a565b6115ce8383611e1f565b505050565b7f000000000000000000000000000000000000000000000000000000000000000081565b6060600b80546116069061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546116329061380b565b801561167f5780601f106116545761010080835404028352916020019161167f565b820191906000526020600020905b81548152906001019060200180831161166257829003601f168201915b5050505050905090565b6000600560008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b600e60009054906101000a900460ff1681565b61173861190d565b73ffffffffffffffffffffffffffffffffffffffff166117566111ba565b73ffffffffffffffffffffffffffffffffffffffff16146117ac576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016117a390613c4b565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff160361181b576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161181290613f1c565b60405180910390fd5b61182481611f01565b50565b60007f7965db0b000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061189a575061189982612617565b5b9050919050565b60008073ffffffffffffffffffffffffffffffffffffffff166002600084815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614159050919050565b600033905090565b816004600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff1661198883610f4a565b73ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45050565b600081600001549050919050565b60006119e7826118a1565b611a26576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a1d90613fae565b60405180910390fd5b6000611a3183610f4a565b90508073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611a735750611a728185611689565b5b80611ab157508373ffffffffffffffffffffffffffffffffffffffff16611a9984610900565b73ffffffffffffffffffffffffffffffffffffffff16145b91505092915050565b8273ffffffffffffffffffffffffffffffffffffffff16611ada82610f4a565b73ffffffffffffffffffffffffffffffffffffffff1614611b30576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611b2790614040565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611b9f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611b96906140d2565b60405180910390fd5b611baa838383612691565b611bb5600082611915565b6001600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611c0591906140f2565b925050819055506001600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611c5c9190614126565b92505081905550816002600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4611d1b838383612696565b505050565b6000612710905090565b611d3b81611d3661190d565b61269b565b50565b611d488282611233565b611e1b5760016008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550611dc061190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b611e298282611233565b15611efd5760006008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550611ea261190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837ff6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b60405160405180910390a45b5050565b6000600960009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600960006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b60008103612001576040517ff297a40600000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600061200d600a6119ce565b7f000000000000000000000000000000000000000000000000000000000000000061203891906140f2565b9050808211156120815781816040517fea058246000000000000000000000000000000000000000000000000000000008152600401612078929190613d8f565b60405180910390fd5b60005b828110156120c2576000612098600a6119ce565b90506120a4600a612738565b6120ae858261274e565b5080806120ba9061417c565b915050612084565b50505050565b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603612136576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161212d90614210565b60405180910390fd5b80600560008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516122279190613029565b60405180910390a3505050565b61223f848484611aba565b61224b8484848461276c565b61228a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612281906142a2565b60405180910390fd5b50505050565b612298611d20565b6bffffffffffffffffffffffff16816bffffffffffffffffffffffff1611156122f6576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016122ed90614334565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603612365576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161235c906143a0565b60405180910390fd5b60405180604001604052808373ffffffffffffffffffffffffffffffffffffffff168152602001826bffffffffffffffffffffffff16815250600660008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160000160146101000a8154816bffffffffffffffffffffffff02191690836bffffffffffffffffffffffff1602179055509050505050565b6060600c80546124349061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546124609061380b565b80156124ad5780601f10612482576101008083540402835291602001916124ad565b820191906000526020600020905b81548152906001019060200180831161249057829003601f168201915b5050505050905090565b6060600082036124fe576040518060400160405280600181526020017f30000000000000000000000000000000000000000000000000000000000000008152509050612612565b600082905060005b600082146125305780806125199061417c565b915050600a826125299190613b3c565b9150612506565b60008167ffffffffffffffff81111561254c5761254b6133e7565b5b6040519080825280601f01601f19166020018201604052801561257e5781602001600182028036833780820191505090505b5090505b6000851461260b5760018261259791906140f2565b9150600a856125a691906143c0565b60306125b29190614126565b60f81b8183815181106125c8576125c76143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600a856126049190613b3c565b9450612582565b8093505050505b919050565b60007f2a55205a000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061268a5750612689826128f3565b5b9050919050565b505050565b505050565b6126a58282611233565b612734576126ca8173ffffffffffffffffffffffffffffffffffffffff1660146129d5565b6126d88360001c60206129d5565b6040516020016126e99291906144b8565b6040516020818303038152906040526040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161272b91906130dd565b60405180910390fd5b5050565b6001816000016000828254019250508190555050565b612768828260405180602001604052806000815250612c11565b5050565b600061278d8473ffffffffffffffffffffffffffffffffffffffff16612c6c565b156128e6578373ffffffffffffffffffffffffffffffffffffffff1663150b7a026127b661190d565b8786866040518563ffffffff1660e01b81526004016127d89493929190614547565b6020604051808303816000875af192505050801561281457506040513d601f19601f8201168201806040525081019061281191906145a8565b60015b612896573d8060008114612844576040519150601f19603f3d011682016040523d82523d6000602084013e612849565b606091505b50600081510361288e576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612885906142a2565b60405180910390fd5b805181602001fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149150506128eb565b600190505b949350505050565b60007f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806129be57507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806129ce57506129cd82612c8f565b5b9050919050565b6060600060028360026129e89190613ab3565b6129f29190614126565b67ffffffffffffffff811115612a0b57612a0a6133e7565b5b6040519080825280601f01601f191660200182016040528015612a3d5781602001600182028036833780820191505090505b5090507f300000000000000000000000000000000000000000000000000000000000000081600081518110612a7557612a746143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a9053507f780000000000000000000000000000000000000000000000000000000000000081600181518110612ad957612ad86143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a90535060006001846002612b199190613ab3565b612b239190614126565b90505b6001811115612bc3577f3031323334353637383961626364656600000000000000000000000000000000600f861660108110612b6557612b646143f1565b5b1a60f81b828281518110612b7c57612b7b6143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600485901c945080612bbc906145d5565b9050612b26565b5060008414612c07576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612bfe9061464a565b60405180910390fd5b8091505092915050565b612c1b8383612cf9565b612c28600084848461276c565b612c67576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612c5e906142a2565b60405180910390fd5b505050565b6000808273ffffffffffffffffffffffffffffffffffffffff163b119050919050565b60007f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603612d68576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612d5f906146b6565b60405180910390fd5b612d71816118a1565b15612db1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612da890614722565b60405180910390fd5b612dbd60008383612691565b6001600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254612e0d9190614126565b92505081905550816002600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4612ece60008383612696565b5050565b828054612ede9061380b565b90600052602060002090601f016020900481019282612f005760008555612f47565b82601f10612f1957805160ff1916838001178555612f47565b82800160010185558215612f47579182015b82811115612f46578251825591602001919060010190612f2b565b5b509050612f549190612f58565b5090565b5b80821115612f71576000816000905550600101612f59565b5090565b6000604051905090565b600080fd5b600080fd5b60007fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b612fbe81612f89565b8114612fc957600080fd5b50565b600081359050612fdb81612fb5565b92915050565b600060208284031215612ff757612ff6612f7f565b5b600061300584828501612fcc565b91505092915050565b60008115159050919050565b6130238161300e565b82525050565b600060208201905061303e600083018461301a565b92915050565b600081519050919050565b600082825260208201905092915050565b60005b8381101561307e578082015181840152602081019050613063565b8381111561308d576000848401525b50505050565b6000601f19601f8301169050919050565b60006130af82613044565b6130b9818561304f565b93506130c9818560208601613060565b6130d281613093565b840191505092915050565b600060208201905081810360008301526130f781846130a4565b905092915050565b6000819050919050565b613112816130ff565b811461311d57600080fd5b50565b60008135905061312f81613109565b92915050565b60006020828403121561314b5761314a612f7f565b5b600061315984828501613120565b91505092915050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b600061318d82613162565b9050919050565b61319d81613182565b82525050565b60006020820190506131b86000830184613194565b92915050565b6131c781613182565b81146131d257600080fd5b50565b6000813590506131e4816131be565b92915050565b6000806040838503121561320157613200612f7f565b5b600061320f858286016131d5565b925050602061322085828601613120565b9150509250929050565b613233816130ff565b82525050565b600060208201905061324e600083018461322a565b92915050565b60008060006060848603121561326d5761326c612f7f565b5b600061327b868287016131d5565b935050602061328c868287016131d5565b925050604061329d86828701613120565b9150509250925092565b6000819050919050565b6132ba816132a7565b81146132c557600080fd5b50565b6000813590506132d7816132b1565b92915050565b6000602082840312156132f3576132f2612f7f565b5b6000613301848285016132c8565b91505092915050565b613313816132a7565b82525050565b600060208201905061332e600083018461330a565b92915050565b6000806040838503121561334b5761334a612f7f565b5b600061335985828601613120565b925050602061336a85828601613120565b9150509250929050565b60006040820190506133896000830185613194565b613396602083018461322a565b9392505050565b600080604083850312156133b4576133b3612f7f565b5b60006133c2858286016132c8565b92505060206133d3858286016131d5565b9150509250929050565b600080fd5b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b61341f82613093565b810181811067ffffffffffffffff8211171561343e5761343d6133e7565b5b80604052505050565b6000613451612f75565b905061345d8282613416565b919050565b600067ffffffffffffffff82111561347d5761347c6133e7565b5b61348682613093565b9050602081019050919050565b82818337600083830152505050565b60006134b56134b084613462565b613447565b9050828152602081018484840111156134d1576134d06133e2565b5b6134dc848285613493565b509392505050565b600082601f8301126134f9576134f86133dd565b5b81356135098482602086016134a2565b91505092915050565b60006020828403121561352857613527612f7f565b5b600082013567ffffffffffffffff81111561354657613545612f84565b5b613552848285016134e4565b91505092915050565b60006020828403121561357157613570612f7f565b5b600061357f848285016131d5565b91505092915050565b6135918161300e565b811461359c57600080fd5b50565b6000813590506135ae81613588565b92915050565b600080604083850312156135cb576135ca612f7f565b5b60006135d9858286016131d5565b92505060206135ea8582860161359f565b9150509250929050565b600067ffffffffffffffff82111561360f5761360e6133e7565b5b61361882613093565b9050602081019050919050565b6000613638613633846135f4565b613447565b905082815260208101848484011115613654576136536133e2565b5b61365f848285613493565b509392505050565b600082601f83011261367c5761367b6133dd565b5b813561368c848260208601613625565b91505092915050565b600080600080608085870312156136af576136ae612f7f565b5b60006136bd878288016131d5565b94505060206136ce878288016131d5565b93505060406136df87828801613120565b925050606085013567ffffffffffffffff811115613700576136ff612f84565b5b61370c87828801613667565b91505092959194509250565b60006bffffffffffffffffffffffff82169050919050565b61373981613718565b811461374457600080fd5b50565b60008135905061375681613730565b92915050565b6000806040838503121561377357613772612f7f565b5b6000613781858286016131d5565b925050602061379285828601613747565b9150509250929050565b600080604083850312156137b3576137b2612f7f565b5b60006137c1858286016131d5565b92505060206137d2858286016131d5565b9150509250929050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b6000600282049050600182168061382357607f821691505b602082108103613836576138356137dc565b5b50919050565b7f4552433732313a20617070726f76656420717565727920666f72206e6f6e657860008201527f697374656e7420746f6b656e0000000000000000000000000000000000000000602082015250565b6000613898602c8361304f565b91506138a38261383c565b604082019050919050565b600060208201905081810360008301526138c78161388b565b9050919050565b7f4552433732313a20617070726f76616c20746f2063757272656e74206f776e6560008201527f7200000000000000000000000000000000000000000000000000000000000000602082015250565b600061392a60218361304f565b9150613935826138ce565b604082019050919050565b600060208201905081810360008301526139598161391d565b9050919050565b7f4552433732313a20617070726f76652063616c6c6572206973206e6f74206f7760008201527f6e6572206e6f7220617070726f76656420666f7220616c6c0000000000000000602082015250565b60006139bc60388361304f565b91506139c782613960565b604082019050919050565b600060208201905081810360008301526139eb816139af565b9050919050565b7f4552433732313a207472616e736665722063616c6c6572206973206e6f74206f60008201527f776e6572206e6f7220617070726f766564000000000000000000000000000000602082015250565b6000613a4e60318361304f565b9150613a59826139f2565b604082019050919050565b60006020820190508181036000830152613a7d81613a41565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000613abe826130ff565b9150613ac9836130ff565b9250817fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff0483118215151615613b0257613b01613a84565b5b828202905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601260045260246000fd5b6000613b47826130ff565b9150613b52836130ff565b925082613b6257613b61613b0d565b5b828204905092915050565b7f416363657373436f6e74726f6c3a2063616e206f6e6c792072656e6f756e636560008201527f20726f6c657320666f722073656c660000000000000000000000000000000000602082015250565b6000613bc9602f8361304f565b9150613bd482613b6d565b604082019050919050565b60006020820190508181036000830152613bf881613bbc565b9050919050565b7f4f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e6572600082015250565b6000613c3560208361304f565b9150613c4082613bff565b602082019050919050565b60006020820190508181036000830152613c6481613c28565b9050919050565b7f4552433732313a206f776e657220717565727920666f72206e6f6e657869737460008201527f656e7420746f6b656e0000000000000000000000000000000000000000000000602082015250565b6000613cc760298361304f565b9150613cd282613c6b565b604082019050919050565b60006020820190508181036000830152613cf681613cba565b9050919050565b7f4552433732313a2062616c616e636520717565727920666f7220746865207a6560008201527f726f206164647265737300000000000000000000000000000000000000000000602082015250565b6000613d59602a8361304f565b9150613d6482613cfd565b604082019050919050565b60006020820190508181036000830152613d8881613d4c565b9050919050565b6000604082019050613da4600083018561322a565b613db1602083018461322a565b9392505050565b7f4552433732314d657461646174613a2055524920717565727920666f72206e6f60008201527f6e6578697374656e7420746f6b656e0000000000000000000000000000000000602082015250565b6000613e14602f8361304f565b9150613e1f82613db8565b604082019050919050565b60006020820190508181036000830152613e4381613e07565b9050919050565b600081905092915050565b6000613e6082613044565b613e6a8185613e4a565b9350613e7a818560208601613060565b80840191505092915050565b6000613e928285613e55565b9150613e9e8284613e55565b91508190509392505050565b7f4f776e61626c653a206e6577206f776e657220697320746865207a65726f206160008201527f6464726573730000000000000000000000000000000000000000000000000000602082015250565b6000613f0660268361304f565b9150613f1182613eaa565b604082019050919050565b60006020820190508181036000830152613f3581613ef9565b9050919050565b7f4552433732313a206f70657261746f7220717565727920666f72206e6f6e657860008201527f697374656e7420746f6b656e0000000000000000000000000000000000000000602082015250565b6000613f98602c8361304f565b9150613fa382613f3c565b604082019050919050565b60006020820190508181036000830152613fc781613f8b565b9050919050565b7f4552433732313a207472616e736665722066726f6d20696e636f72726563742060008201527f6f776e6572000000000000000000000000000000000000000000000000000000602082015250565b600061402a60258361304f565b915061403582613fce565b604082019050919050565b600060208201905081810360008301526140598161401d565b9050919050565b7f4552433732313a207472616e7366657220746f20746865207a65726f2061646460008201527f7265737300000000000000000000000000000000000000000000000000000000602082015250565b60006140bc60248361304f565b91506140c782614060565b604082019050919050565b600060208201905081810360008301526140eb816140af565b9050919050565b60006140fd826130ff565b9150614108836130ff565b92508282101561411b5761411a613a84565b5b828203905092915050565b6000614131826130ff565b915061413c836130ff565b9250827fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff0382111561417157614170613a84565b5b828201905092915050565b6000614187826130ff565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff82036141b9576141b8613a84565b5b600182019050919050565b7f4552433732313a20617070726f766520746f2063616c6c657200000000000000600082015250565b60006141fa60198361304f565b9150614205826141c4565b602082019050919050565b60006020820190508181036000830152614229816141ed565b9050919050565b7f4552433732313a207472616e7366657220746f206e6f6e20455243373231526560008201527f63656976657220696d706c656d656e7465720000000000000000000000000000602082015250565b600061428c60328361304f565b915061429782614230565b604082019050919050565b600060208201905081810360008301526142bb8161427f565b9050919050565b7f455243323938313a20726f79616c7479206665652077696c6c2065786365656460008201527f2073616c65507269636500000000000000000000000000000000000000000000602082015250565b600061431e602a8361304f565b9150614329826142c2565b604082019050919050565b6000602082019050818103600083015261434d81614311565b9050919050565b7f455243323938313a20696e76616c696420726563656976657200000000000000600082015250565b600061438a60198361304f565b915061439582614354565b602082019050919050565b600060208201905081810360008301526143b98161437d565b9050919050565b60006143cb826130ff565b91506143d6836130ff565b9250826143e6576143e5613b0d565b5b828206905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f416363657373436f6e74726f6c3a206163636f756e7420000000000000000000600082015250565b6000614456601783613e4a565b915061446182614420565b601782019050919050565b7f206973206d697373696e6720726f6c6520000000000000000000000000000000600082015250565b60006144a2601183613e4a565b91506144ad8261446c565b601182019050919050565b60006144c382614449565b91506144cf8285613e55565b91506144da82614495565b91506144e68284613e55565b91508190509392505050565b600081519050919050565b600082825260208201905092915050565b6000614519826144f2565b61452381856144fd565b9350614533818560208601613060565b61453c81613093565b840191505092915050565b600060808201905061455c6000830187613194565b6145696020830186613194565b614576604083018561322a565b8181036060830152614588818461450e565b905095945050505050565b6000815190506145a281612fb5565b92915050565b6000602082840312156145be576145bd612f7f565b5b60006145cc84828501614593565b91505092915050565b60006145e0826130ff565b9150600082036145f3576145f2613a84565b5b600182039050919050565b7f537472696e67733a20686578206c656e67746820696e73756666696369656e74600082015250565b600061463460208361304f565b915061463f826145fe565b602082019050919050565b6000602082019050818103600083015261466381614627565b9050919050565b7f4552433732313a206d696e7420746f20746865207a65726f2061646472657373600082015250565b60006146a060208361304f565b91506146ab8261466a565b602082019050919050565b600060208201905081810360008301526146cf81614693565b9050919050565b7f4552433732313a20746f6b656e20616c7265616479206d696e74656400000000600082015250565b600061470c601c8361304f565b9150614717826146d6565b602082019050919050565b6000602082019050818103600083015261473b816146ff565b905091905056fea26469706673582212209e022e33a4b4b27f140c3291bf8a92e6e0c631d6eee6663b60c768312cf53cd464736f6c634300080d0033',
+  deployedBytecode:
+    '0x60806040526004361061020f5760003560e01c806391b7f5ed11610118578063c21b471b116100a0578063d5abeb011161006f578063d5abeb0114610775578063e8a3d485146107a0578063e985e9c5146107cb578063eb8d244414610808578063f2fde38b146108335761020f565b8063c21b471b146106bd578063c87b56dd146106e6578063cc47a40b14610723578063d547741f1461074c5761020f565b8063a035b1fe116100e7578063a035b1fe146105f9578063a0712d6814610624578063a217fddf14610640578063a22cb4651461066b578063b88d4fde146106945761020f565b806391b7f5ed1461053f57806391d1485414610568578063938e3d7b146105a557806395d89b41146105ce5761020f565b806336568abe1161019b5780636352211e1161016a5780636352211e1461046c57806370a08231146104a9578063715018a6146104e65780637d8966e4146104fd5780638da5cb5b146105145761020f565b806336568abe146103da5780633ccfd60b1461040357806342842e0e1461041a57806355f804b3146104435761020f565b806318160ddd116101e257806318160ddd146102e257806323b872dd1461030d578063248a9ca3146103365780632a55205a146103735780632f2ff15d146103b15761020f565b806301ffc9a71461021457806306fdde0314610251578063081812fc1461027c578063095ea7b3146102b9575b600080fd5b34801561022057600080fd5b5061023b60048036038101906102369190612fe1565b61085c565b6040516102489190613029565b60405180910390f35b34801561025d57600080fd5b5061026661086e565b60405161027391906130dd565b60405180910390f35b34801561028857600080fd5b506102a3600480360381019061029e9190613135565b610900565b6040516102b091906131a3565b60405180910390f35b3480156102c557600080fd5b506102e060048036038101906102db91906131ea565b610985565b005b3480156102ee57600080fd5b506102f7610a9c565b6040516103049190613239565b60405180910390f35b34801561031957600080fd5b50610334600480360381019061032f9190613254565b610aad565b005b34801561034257600080fd5b5061035d600480360381019061035891906132dd565b610b0d565b60405161036a9190613319565b60405180910390f35b34801561037f57600080fd5b5061039a60048036038101906103959190613334565b610b2d565b6040516103a8929190613374565b60405180910390f35b3480156103bd57600080fd5b506103d860048036038101906103d3919061339d565b610d17565b005b3480156103e657600080fd5b5061040160048036038101906103fc919061339d565b610d38565b005b34801561040f57600080fd5b50610418610dbb565b005b34801561042657600080fd5b50610441600480360381019061043c9190613254565b610ec7565b005b34801561044f57600080fd5b5061046a60048036038101906104659190613512565b610ee7565b005b34801561047857600080fd5b50610493600480360381019061048e9190613135565b610f4a565b6040516104a091906131a3565b60405180910390f35b3480156104b557600080fd5b506104d060048036038101906104cb919061355b565b610ffb565b6040516104dd9190613239565b60405180910390f35b3480156104f257600080fd5b506104fb6110b2565b005b34801561050957600080fd5b5061051261113a565b005b34801561052057600080fd5b506105296111ba565b60405161053691906131a3565b60405180910390f35b34801561054b57600080fd5b5061056660048036038101906105619190613135565b6111e4565b005b34801561057457600080fd5b5061058f600480360381019061058a919061339d565b611233565b60405161059c9190613029565b60405180910390f35b3480156105b157600080fd5b506105cc60048036038101906105c79190613512565b61129e565b005b3480156105da57600080fd5b506105e3611301565b6040516105f091906130dd565b60405180910390f35b34801561060557600080fd5b5061060e611393565b60405161061b9190613239565b60405180910390f35b61063e60048036038101906106399190613135565b611399565b005b34801561064c57600080fd5b50610655611454565b6040516106629190613319565b60405180910390f35b34801561067757600080fd5b50610692600480360381019061068d91906135b4565b61145b565b005b3480156106a057600080fd5b506106bb60048036038101906106b69190613695565b611471565b005b3480156106c957600080fd5b506106e460048036038101906106df919061375c565b6114d3565b005b3480156106f257600080fd5b5061070d60048036038101906107089190613135565b6114ef565b60405161071a91906130dd565b60405180910390f35b34801561072f57600080fd5b5061074a600480360381019061074591906131ea565b611596565b005b34801561075857600080fd5b50610773600480360381019061076e919061339d565b6115b2565b005b34801561078157600080fd5b5061078a6115d3565b6040516107979190613239565b60405180910390f35b3480156107ac57600080fd5b506107b56115f7565b6040516107c291906130dd565b60405180910390f35b3480156107d757600080fd5b506107f260048036038101906107ed919061379c565b611689565b6040516107ff9190613029565b60405180910390f35b34801561081457600080fd5b5061081d61171d565b60405161082a9190613029565b60405180910390f35b34801561083f57600080fd5b5061085a6004803603810190610855919061355b565b611730565b005b600061086782611827565b9050919050565b60606000805461087d9061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546108a99061380b565b80156108f65780601f106108cb576101008083540402835291602001916108f6565b820191906000526020600020905b8154815290600101906020018083116108d957829003601f168201915b5050505050905090565b600061090b826118a1565b61094a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610941906138ae565b60405180910390fd5b6004600083815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050919050565b600061099082610f4a565b90508073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603610a00576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016109f790613940565b60405180910390fd5b8073ffffffffffffffffffffffffffffffffffffffff16610a1f61190d565b73ffffffffffffffffffffffffffffffffffffffff161480610a4e5750610a4d81610a4861190d565b611689565b5b610a8d576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610a84906139d2565b60405180910390fd5b610a978383611915565b505050565b6000610aa8600a6119ce565b905090565b610abe610ab861190d565b826119dc565b610afd576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610af490613a64565b60405180910390fd5b610b08838383611aba565b505050565b600060086000838152602001908152602001600020600101549050919050565b6000806000600760008681526020019081526020016000206040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff16815250509050600073ffffffffffffffffffffffffffffffffffffffff16816000015173ffffffffffffffffffffffffffffffffffffffff1603610cc25760066040518060400160405290816000820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020016000820160149054906101000a90046bffffffffffffffffffffffff166bffffffffffffffffffffffff166bffffffffffffffffffffffff168152505090505b6000610ccc611d20565b6bffffffffffffffffffffffff1682602001516bffffffffffffffffffffffff1686610cf89190613ab3565b610d029190613b3c565b90508160000151819350935050509250929050565b610d2082610b0d565b610d2981611d2a565b610d338383611d3e565b505050565b610d4061190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1614610dad576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610da490613bdf565b60405180910390fd5b610db78282611e1f565b5050565b610dc361190d565b73ffffffffffffffffffffffffffffffffffffffff16610de16111ba565b73ffffffffffffffffffffffffffffffffffffffff1614610e37576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610e2e90613c4b565b60405180910390fd5b600047905060008103610e76576040517fd0d04f6000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610e7e6111ba565b73ffffffffffffffffffffffffffffffffffffffff166108fc829081150290604051600060405180830381858888f19350505050158015610ec3573d6000803e3d6000fd5b5050565b610ee283838360405180602001604052806000815250611471565b505050565b6000801b610ef481611d2a565b6001825111610f2f576040517f51a4769e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b81600c9080519060200190610f45929190612ed2565b505050565b6000806002600084815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1603610ff2576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401610fe990613cdd565b60405180910390fd5b80915050919050565b60008073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff160361106b576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161106290613d6f565b60405180910390fd5b600360008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020549050919050565b6110ba61190d565b73ffffffffffffffffffffffffffffffffffffffff166110d86111ba565b73ffffffffffffffffffffffffffffffffffffffff161461112e576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161112590613c4b565b60405180910390fd5b6111386000611f01565b565b6000801b61114781611d2a565b600e60009054906101000a900460ff1615600e60006101000a81548160ff0219169083151502179055507f37ae8f893f8baa4aef207505c0e4d730119d73dc1363bbee6fda5f5d52c3cf17600e60009054906101000a900460ff166040516111af9190613029565b60405180910390a150565b6000600960009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905090565b6000801b6111f181611d2a565b81600d819055507f66cbca4f3c64fecf1dcb9ce094abcf7f68c3450a1d4e3a8e917dd621edb4ebe0826040516112279190613239565b60405180910390a15050565b60006008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b6000801b6112ab81611d2a565b60018251116112e6576040517f542ea76200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b81600b90805190602001906112fc929190612ed2565b505050565b6060600180546113109061380b565b80601f016020809104026020016040519081016040528092919081815260200182805461133c9061380b565b80156113895780601f1061135e57610100808354040283529160200191611389565b820191906000526020600020905b81548152906001019060200180831161136c57829003601f168201915b5050505050905090565b600d5481565b600e60009054906101000a900460ff166113df576040517fb7b2409700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b80600d546113ed9190613ab3565b3410156114405780600d546114029190613ab3565b346040517f03eb8b54000000000000000000000000000000000000000000000000000000008152600401611437929190613d8f565b60405180910390fd5b61145161144b61190d565b82611fc7565b50565b6000801b81565b61146d61146661190d565b83836120c8565b5050565b61148261147c61190d565b836119dc565b6114c1576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016114b890613a64565b60405180910390fd5b6114cd84848484612234565b50505050565b6000801b6114e081611d2a565b6114ea8383612290565b505050565b60606114fa826118a1565b611539576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161153090613e2a565b60405180910390fd5b6000611543612425565b90506000815111611563576040518060200160405280600081525061158e565b8061156d846124b7565b60405160200161157e929190613e86565b6040516020818303038152906040525b915050919050565b6000801b6115a381611d2a565b6115ad8383611fc7565b505050565b6115bb82610b0d565b6115c481611d2a565b6115ce8383611e1f565b505050565b7f000000000000000000000000000000000000000000000000000000000000000081565b6060600b80546116069061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546116329061380b565b801561167f5780601f106116545761010080835404028352916020019161167f565b820191906000526020600020905b81548152906001019060200180831161166257829003601f168201915b5050505050905090565b6000600560008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff16905092915050565b600e60009054906101000a900460ff1681565b61173861190d565b73ffffffffffffffffffffffffffffffffffffffff166117566111ba565b73ffffffffffffffffffffffffffffffffffffffff16146117ac576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016117a390613c4b565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff160361181b576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161181290613f1c565b60405180910390fd5b61182481611f01565b50565b60007f7965db0b000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061189a575061189982612617565b5b9050919050565b60008073ffffffffffffffffffffffffffffffffffffffff166002600084815260200190815260200160002060009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614159050919050565b600033905090565b816004600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff1661198883610f4a565b73ffffffffffffffffffffffffffffffffffffffff167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45050565b600081600001549050919050565b60006119e7826118a1565b611a26576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a1d90613fae565b60405180910390fd5b6000611a3183610f4a565b90508073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611a735750611a728185611689565b5b80611ab157508373ffffffffffffffffffffffffffffffffffffffff16611a9984610900565b73ffffffffffffffffffffffffffffffffffffffff16145b91505092915050565b8273ffffffffffffffffffffffffffffffffffffffff16611ada82610f4a565b73ffffffffffffffffffffffffffffffffffffffff1614611b30576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611b2790614040565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603611b9f576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611b96906140d2565b60405180910390fd5b611baa838383612691565b611bb5600082611915565b6001600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611c0591906140f2565b925050819055506001600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254611c5c9190614126565b92505081905550816002600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4611d1b838383612696565b505050565b6000612710905090565b611d3b81611d3661190d565b61269b565b50565b611d488282611233565b611e1b5760016008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550611dc061190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45b5050565b611e298282611233565b15611efd5760006008600084815260200190815260200160002060000160008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550611ea261190d565b73ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff16837ff6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b60405160405180910390a45b5050565b6000600960009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16905081600960006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508173ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e060405160405180910390a35050565b60008103612001576040517ff297a40600000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600061200d600a6119ce565b7f000000000000000000000000000000000000000000000000000000000000000061203891906140f2565b9050808211156120815781816040517fea058246000000000000000000000000000000000000000000000000000000008152600401612078929190613d8f565b60405180910390fd5b60005b828110156120c2576000612098600a6119ce565b90506120a4600a612738565b6120ae858261274e565b5080806120ba9061417c565b915050612084565b50505050565b8173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1603612136576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161212d90614210565b60405180910390fd5b80600560008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff0219169083151502179055508173ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff167f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31836040516122279190613029565b60405180910390a3505050565b61223f848484611aba565b61224b8484848461276c565b61228a576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612281906142a2565b60405180910390fd5b50505050565b612298611d20565b6bffffffffffffffffffffffff16816bffffffffffffffffffffffff1611156122f6576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016122ed90614334565b60405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603612365576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161235c906143a0565b60405180910390fd5b60405180604001604052808373ffffffffffffffffffffffffffffffffffffffff168152602001826bffffffffffffffffffffffff16815250600660008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160000160146101000a8154816bffffffffffffffffffffffff02191690836bffffffffffffffffffffffff1602179055509050505050565b6060600c80546124349061380b565b80601f01602080910402602001604051908101604052809291908181526020018280546124609061380b565b80156124ad5780601f10612482576101008083540402835291602001916124ad565b820191906000526020600020905b81548152906001019060200180831161249057829003601f168201915b5050505050905090565b6060600082036124fe576040518060400160405280600181526020017f30000000000000000000000000000000000000000000000000000000000000008152509050612612565b600082905060005b600082146125305780806125199061417c565b915050600a826125299190613b3c565b9150612506565b60008167ffffffffffffffff81111561254c5761254b6133e7565b5b6040519080825280601f01601f19166020018201604052801561257e5781602001600182028036833780820191505090505b5090505b6000851461260b5760018261259791906140f2565b9150600a856125a691906143c0565b60306125b29190614126565b60f81b8183815181106125c8576125c76143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600a856126049190613b3c565b9450612582565b8093505050505b919050565b60007f2a55205a000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916148061268a5750612689826128f3565b5b9050919050565b505050565b505050565b6126a58282611233565b612734576126ca8173ffffffffffffffffffffffffffffffffffffffff1660146129d5565b6126d88360001c60206129d5565b6040516020016126e99291906144b8565b6040516020818303038152906040526040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161272b91906130dd565b60405180910390fd5b5050565b6001816000016000828254019250508190555050565b612768828260405180602001604052806000815250612c11565b5050565b600061278d8473ffffffffffffffffffffffffffffffffffffffff16612c6c565b156128e6578373ffffffffffffffffffffffffffffffffffffffff1663150b7a026127b661190d565b8786866040518563ffffffff1660e01b81526004016127d89493929190614547565b6020604051808303816000875af192505050801561281457506040513d601f19601f8201168201806040525081019061281191906145a8565b60015b612896573d8060008114612844576040519150601f19603f3d011682016040523d82523d6000602084013e612849565b606091505b50600081510361288e576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612885906142a2565b60405180910390fd5b805181602001fd5b63150b7a0260e01b7bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916817bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149150506128eb565b600190505b949350505050565b60007f80ac58cd000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff191614806129be57507f5b5e139f000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916145b806129ce57506129cd82612c8f565b5b9050919050565b6060600060028360026129e89190613ab3565b6129f29190614126565b67ffffffffffffffff811115612a0b57612a0a6133e7565b5b6040519080825280601f01601f191660200182016040528015612a3d5781602001600182028036833780820191505090505b5090507f300000000000000000000000000000000000000000000000000000000000000081600081518110612a7557612a746143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a9053507f780000000000000000000000000000000000000000000000000000000000000081600181518110612ad957612ad86143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a90535060006001846002612b199190613ab3565b612b239190614126565b90505b6001811115612bc3577f3031323334353637383961626364656600000000000000000000000000000000600f861660108110612b6557612b646143f1565b5b1a60f81b828281518110612b7c57612b7b6143f1565b5b60200101907effffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916908160001a905350600485901c945080612bbc906145d5565b9050612b26565b5060008414612c07576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612bfe9061464a565b60405180910390fd5b8091505092915050565b612c1b8383612cf9565b612c28600084848461276c565b612c67576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612c5e906142a2565b60405180910390fd5b505050565b6000808273ffffffffffffffffffffffffffffffffffffffff163b119050919050565b60007f01ffc9a7000000000000000000000000000000000000000000000000000000007bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916827bffffffffffffffffffffffffffffffffffffffffffffffffffffffff1916149050919050565b600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff1603612d68576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612d5f906146b6565b60405180910390fd5b612d71816118a1565b15612db1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612da890614722565b60405180910390fd5b612dbd60008383612691565b6001600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000828254612e0d9190614126565b92505081905550816002600083815260200190815260200160002060006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550808273ffffffffffffffffffffffffffffffffffffffff16600073ffffffffffffffffffffffffffffffffffffffff167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef60405160405180910390a4612ece60008383612696565b5050565b828054612ede9061380b565b90600052602060002090601f016020900481019282612f005760008555612f47565b82601f10612f1957805160ff1916838001178555612f47565b82800160010185558215612f47579182015b82811115612f46578251825591602001919060010190612f2b565b5b509050612f549190612f58565b5090565b5b80821115612f71576000816000905550600101612f59565b5090565b6000604051905090565b600080fd5b600080fd5b60007fffffffff0000000000000000000000000000000000000000000000000000000082169050919050565b612fbe81612f89565b8114612fc957600080fd5b50565b600081359050612fdb81612fb5565b92915050565b600060208284031215612ff757612ff6612f7f565b5b600061300584828501612fcc565b91505092915050565b60008115159050919050565b6130238161300e565b82525050565b600060208201905061303e600083018461301a565b92915050565b600081519050919050565b600082825260208201905092915050565b60005b8381101561307e578082015181840152602081019050613063565b8381111561308d576000848401525b50505050565b6000601f19601f8301169050919050565b60006130af82613044565b6130b9818561304f565b93506130c9818560208601613060565b6130d281613093565b840191505092915050565b600060208201905081810360008301526130f781846130a4565b905092915050565b6000819050919050565b613112816130ff565b811461311d57600080fd5b50565b60008135905061312f81613109565b92915050565b60006020828403121561314b5761314a612f7f565b5b600061315984828501613120565b91505092915050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b600061318d82613162565b9050919050565b61319d81613182565b82525050565b60006020820190506131b86000830184613194565b92915050565b6131c781613182565b81146131d257600080fd5b50565b6000813590506131e4816131be565b92915050565b6000806040838503121561320157613200612f7f565b5b600061320f858286016131d5565b925050602061322085828601613120565b9150509250929050565b613233816130ff565b82525050565b600060208201905061324e600083018461322a565b92915050565b60008060006060848603121561326d5761326c612f7f565b5b600061327b868287016131d5565b935050602061328c868287016131d5565b925050604061329d86828701613120565b9150509250925092565b6000819050919050565b6132ba816132a7565b81146132c557600080fd5b50565b6000813590506132d7816132b1565b92915050565b6000602082840312156132f3576132f2612f7f565b5b6000613301848285016132c8565b91505092915050565b613313816132a7565b82525050565b600060208201905061332e600083018461330a565b92915050565b6000806040838503121561334b5761334a612f7f565b5b600061335985828601613120565b925050602061336a85828601613120565b9150509250929050565b60006040820190506133896000830185613194565b613396602083018461322a565b9392505050565b600080604083850312156133b4576133b3612f7f565b5b60006133c2858286016132c8565b92505060206133d3858286016131d5565b9150509250929050565b600080fd5b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b61341f82613093565b810181811067ffffffffffffffff8211171561343e5761343d6133e7565b5b80604052505050565b6000613451612f75565b905061345d8282613416565b919050565b600067ffffffffffffffff82111561347d5761347c6133e7565b5b61348682613093565b9050602081019050919050565b82818337600083830152505050565b60006134b56134b084613462565b613447565b9050828152602081018484840111156134d1576134d06133e2565b5b6134dc848285613493565b509392505050565b600082601f8301126134f9576134f86133dd565b5b81356135098482602086016134a2565b91505092915050565b60006020828403121561352857613527612f7f565b5b600082013567ffffffffffffffff81111561354657613545612f84565b5b613552848285016134e4565b91505092915050565b60006020828403121561357157613570612f7f565b5b600061357f848285016131d5565b91505092915050565b6135918161300e565b811461359c57600080fd5b50565b6000813590506135ae81613588565b92915050565b600080604083850312156135cb576135ca612f7f565b5b60006135d9858286016131d5565b92505060206135ea8582860161359f565b9150509250929050565b600067ffffffffffffffff82111561360f5761360e6133e7565b5b61361882613093565b9050602081019050919050565b6000613638613633846135f4565b613447565b905082815260208101848484011115613654576136536133e2565b5b61365f848285613493565b509392505050565b600082601f83011261367c5761367b6133dd565b5b813561368c848260208601613625565b91505092915050565b600080600080608085870312156136af576136ae612f7f565b5b60006136bd878288016131d5565b94505060206136ce878288016131d5565b93505060406136df87828801613120565b925050606085013567ffffffffffffffff811115613700576136ff612f84565b5b61370c87828801613667565b91505092959194509250565b60006bffffffffffffffffffffffff82169050919050565b61373981613718565b811461374457600080fd5b50565b60008135905061375681613730565b92915050565b6000806040838503121561377357613772612f7f565b5b6000613781858286016131d5565b925050602061379285828601613747565b9150509250929050565b600080604083850312156137b3576137b2612f7f565b5b60006137c1858286016131d5565b92505060206137d2858286016131d5565b9150509250929050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b6000600282049050600182168061382357607f821691505b602082108103613836576138356137dc565b5b50919050565b7f4552433732313a20617070726f76656420717565727920666f72206e6f6e657860008201527f697374656e7420746f6b656e0000000000000000000000000000000000000000602082015250565b6000613898602c8361304f565b91506138a38261383c565b604082019050919050565b600060208201905081810360008301526138c78161388b565b9050919050565b7f4552433732313a20617070726f76616c20746f2063757272656e74206f776e6560008201527f7200000000000000000000000000000000000000000000000000000000000000602082015250565b600061392a60218361304f565b9150613935826138ce565b604082019050919050565b600060208201905081810360008301526139598161391d565b9050919050565b7f4552433732313a20617070726f76652063616c6c6572206973206e6f74206f7760008201527f6e6572206e6f7220617070726f76656420666f7220616c6c0000000000000000602082015250565b60006139bc60388361304f565b91506139c782613960565b604082019050919050565b600060208201905081810360008301526139eb816139af565b9050919050565b7f4552433732313a207472616e736665722063616c6c6572206973206e6f74206f60008201527f776e6572206e6f7220617070726f766564000000000000000000000000000000602082015250565b6000613a4e60318361304f565b9150613a59826139f2565b604082019050919050565b60006020820190508181036000830152613a7d81613a41565b9050919050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000613abe826130ff565b9150613ac9836130ff565b9250817fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff0483118215151615613b0257613b01613a84565b5b828202905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601260045260246000fd5b6000613b47826130ff565b9150613b52836130ff565b925082613b6257613b61613b0d565b5b828204905092915050565b7f416363657373436f6e74726f6c3a2063616e206f6e6c792072656e6f756e636560008201527f20726f6c657320666f722073656c660000000000000000000000000000000000602082015250565b6000613bc9602f8361304f565b9150613bd482613b6d565b604082019050919050565b60006020820190508181036000830152613bf881613bbc565b9050919050565b7f4f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e6572600082015250565b6000613c3560208361304f565b9150613c4082613bff565b602082019050919050565b60006020820190508181036000830152613c6481613c28565b9050919050565b7f4552433732313a206f776e657220717565727920666f72206e6f6e657869737460008201527f656e7420746f6b656e0000000000000000000000000000000000000000000000602082015250565b6000613cc760298361304f565b9150613cd282613c6b565b604082019050919050565b60006020820190508181036000830152613cf681613cba565b9050919050565b7f4552433732313a2062616c616e636520717565727920666f7220746865207a6560008201527f726f206164647265737300000000000000000000000000000000000000000000602082015250565b6000613d59602a8361304f565b9150613d6482613cfd565b604082019050919050565b60006020820190508181036000830152613d8881613d4c565b9050919050565b6000604082019050613da4600083018561322a565b613db1602083018461322a565b9392505050565b7f4552433732314d657461646174613a2055524920717565727920666f72206e6f60008201527f6e6578697374656e7420746f6b656e0000000000000000000000000000000000602082015250565b6000613e14602f8361304f565b9150613e1f82613db8565b604082019050919050565b60006020820190508181036000830152613e4381613e07565b9050919050565b600081905092915050565b6000613e6082613044565b613e6a8185613e4a565b9350613e7a818560208601613060565b80840191505092915050565b6000613e928285613e55565b9150613e9e8284613e55565b91508190509392505050565b7f4f776e61626c653a206e6577206f776e657220697320746865207a65726f206160008201527f6464726573730000000000000000000000000000000000000000000000000000602082015250565b6000613f0660268361304f565b9150613f1182613eaa565b604082019050919050565b60006020820190508181036000830152613f3581613ef9565b9050919050565b7f4552433732313a206f70657261746f7220717565727920666f72206e6f6e657860008201527f697374656e7420746f6b656e0000000000000000000000000000000000000000602082015250565b6000613f98602c8361304f565b9150613fa382613f3c565b604082019050919050565b60006020820190508181036000830152613fc781613f8b565b9050919050565b7f4552433732313a207472616e736665722066726f6d20696e636f72726563742060008201527f6f776e6572000000000000000000000000000000000000000000000000000000602082015250565b600061402a60258361304f565b915061403582613fce565b604082019050919050565b600060208201905081810360008301526140598161401d565b9050919050565b7f4552433732313a207472616e7366657220746f20746865207a65726f2061646460008201527f7265737300000000000000000000000000000000000000000000000000000000602082015250565b60006140bc60248361304f565b91506140c782614060565b604082019050919050565b600060208201905081810360008301526140eb816140af565b9050919050565b60006140fd826130ff565b9150614108836130ff565b92508282101561411b5761411a613a84565b5b828203905092915050565b6000614131826130ff565b915061413c836130ff565b9250827fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff0382111561417157614170613a84565b5b828201905092915050565b6000614187826130ff565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff82036141b9576141b8613a84565b5b600182019050919050565b7f4552433732313a20617070726f766520746f2063616c6c657200000000000000600082015250565b60006141fa60198361304f565b9150614205826141c4565b602082019050919050565b60006020820190508181036000830152614229816141ed565b9050919050565b7f4552433732313a207472616e7366657220746f206e6f6e20455243373231526560008201527f63656976657220696d706c656d656e7465720000000000000000000000000000602082015250565b600061428c60328361304f565b915061429782614230565b604082019050919050565b600060208201905081810360008301526142bb8161427f565b9050919050565b7f455243323938313a20726f79616c7479206665652077696c6c2065786365656460008201527f2073616c65507269636500000000000000000000000000000000000000000000602082015250565b600061431e602a8361304f565b9150614329826142c2565b604082019050919050565b6000602082019050818103600083015261434d81614311565b9050919050565b7f455243323938313a20696e76616c696420726563656976657200000000000000600082015250565b600061438a60198361304f565b915061439582614354565b602082019050919050565b600060208201905081810360008301526143b98161437d565b9050919050565b60006143cb826130ff565b91506143d6836130ff565b9250826143e6576143e5613b0d565b5b828206905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f416363657373436f6e74726f6c3a206163636f756e7420000000000000000000600082015250565b6000614456601783613e4a565b915061446182614420565b601782019050919050565b7f206973206d697373696e6720726f6c6520000000000000000000000000000000600082015250565b60006144a2601183613e4a565b91506144ad8261446c565b601182019050919050565b60006144c382614449565b91506144cf8285613e55565b91506144da82614495565b91506144e68284613e55565b91508190509392505050565b600081519050919050565b600082825260208201905092915050565b6000614519826144f2565b61452381856144fd565b9350614533818560208601613060565b61453c81613093565b840191505092915050565b600060808201905061455c6000830187613194565b6145696020830186613194565b614576604083018561322a565b8181036060830152614588818461450e565b905095945050505050565b6000815190506145a281612fb5565b92915050565b6000602082840312156145be576145bd612f7f565b5b60006145cc84828501614593565b91505092915050565b60006145e0826130ff565b9150600082036145f3576145f2613a84565b5b600182039050919050565b7f537472696e67733a20686578206c656e67746820696e73756666696369656e74600082015250565b600061463460208361304f565b915061463f826145fe565b602082019050919050565b6000602082019050818103600083015261466381614627565b9050919050565b7f4552433732313a206d696e7420746f20746865207a65726f2061646472657373600082015250565b60006146a060208361304f565b91506146ab8261466a565b602082019050919050565b600060208201905081810360008301526146cf81614693565b9050919050565b7f4552433732313a20746f6b656e20616c7265616479206d696e74656400000000600082015250565b600061470c601c8361304f565b9150614717826146d6565b602082019050919050565b6000602082019050818103600083015261473b816146ff565b905091905056fea26469706673582212209e022e33a4b4b27f140c3291bf8a92e6e0c631d6eee6663b60c768312cf53cd464736f6c634300080d0033',
+  source:
+    '// SPDX-License-Identifier: MIT\npragma solidity 0.8.13;\n\nimport "@openzeppelin/contracts/access/AccessControl.sol";\nimport "@openzeppelin/contracts/access/Ownable.sol";\nimport "@openzeppelin/contracts/token/ERC721/ERC721.sol";\nimport "@openzeppelin/contracts/token/common/ERC2981.sol";\nimport "@openzeppelin/contracts/utils/Counters.sol";\n\n/// Name of contract cannot be empty.\nerror NameIsEmpty();\n\n/// ContractURI cannot be empty;\nerror ContractURIIsEmpty();\n\n/// Base URI of the tokens cannot be empty.\nerror BaseURIIsEmpty();\n\n/// Max supply should be greater than 0.\nerror MaxSupplyIsZero();\n\n/// Public sale is not active.\nerror SaleNotActive();\n\n/// Minting `requested` tokens would exceed the max supply (`available` tokens left).\nerror MaxSupplyExceeded(uint256 requested, uint256 available);\n\n/// Ether sent (`sent`) is lower than the price of the tokens (`required`).\nerror InsufficientFunds(uint256 required, uint256 sent);\n\n/// Quantity of tokens to mint should be greater than 0.\nerror QuantityIsZero();\n\n/// Contract balance is empty.\nerror NothingToWithdraw();\n\ncontract ERC721UserMintable is ERC721, ERC2981, AccessControl, Ownable {\n    using Counters for Counters.Counter;\n\n    event ContractDeployed(address contractAddress_);\n    event PriceUpdated(uint256 price_);\n    event SaleToggled(bool saleIsActive_);\n\n    /// @dev Counter auto-incrementating NFT tokenIds, default: 0\n    Counters.Counter private _tokenIdCounter;\n    string private _contractURI;\n    string private _baseURIextended;\n\n    uint256 public immutable maxSupply;\n    uint256 public price;\n    bool public saleIsActive;\n\n    /// @notice The account deploying the contract will have the admin role and will own the funds of the sale.\n    /// @notice Token URIs are built from the base URI and the sequential token ID.\n    constructor(\n        string memory name_,\n        string memory symbol_,\n        string memory contractURI_,\n        string memory baseURI_,\n        uint256 maxSupply_,\n        uint256 price_\n    ) ERC721(name_, symbol_) {\n        if (!(bytes(name_).length > 1)) {\n            revert NameIsEmpty();\n        }\n        if (maxSupply_ == 0) {\n            revert MaxSupplyIsZero();\n        }\n        _contractURI = contractURI_;\n        _baseURIextended = baseURI_;\n        maxSupply = maxSupply_;\n        price = price_;\n        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());\n        emit ContractDeployed(address(this));\n    }\n\n    function mint(uint256 quantity_) external payable {\n        if (!saleIsActive) {\n            revert SaleNotActive();\n        }\n        if (msg.value < price * quantity_) {\n            revert InsufficientFunds(price * quantity_, msg.value);\n        }\n        _mintTokens(_msgSender(), quantity_);\n    }\n\n    function reserve(address to_, uint256 quantity_) external onlyRole(DEFAULT_ADMIN_ROLE) {\n        _mintTokens(to_, quantity_);\n    }\n\n    function _mintTokens(address to_, uint256 quantity_) private {\n        if (quantity_ == 0) {\n            revert QuantityIsZero();\n        }\n        uint256 available = maxSupply - _tokenIdCounter.current();\n        if (quantity_ > available) {\n            revert MaxSupplyExceeded(quantity_, available);\n        }\n        for (uint256 i = 0; i < quantity_; i++) {\n            uint256 tokenId = _tokenIdCounter.current();\n            _tokenIdCounter.increment();\n            _safeMint(to_, tokenId);\n        }\n    }\n\n    function totalSupply() public view returns (uint256) {\n        return _tokenIdCounter.current();\n    }\n\n    function setPrice(uint256 price_) external onlyRole(DEFAULT_ADMIN_ROLE) {\n        price = price_;\n        emit PriceUpdated(price_);\n    }\n\n    function toggleSale() external onlyRole(DEFAULT_ADMIN_ROLE) {\n        saleIsActive = !saleIsActive;\n        emit SaleToggled(saleIsActive);\n    }\n\n    function withdraw() external onlyOwner {\n        uint256 balance = address(this).balance;\n        if (balance == 0) {\n            revert NothingToWithdraw();\n        }\n        payable(owner()).transfer(balance);\n    }\n\n    function setBaseURI(string memory baseURI_) external onlyRole(DEFAULT_ADMIN_ROLE) {\n        if (!(bytes(baseURI_).length > 1)) {\n            revert BaseURIIsEmpty();\n        }\n        _baseURIextended = baseURI_;\n    }\n\n    function _baseURI() internal view override returns (string memory) {\n        return _baseURIextended;\n    }\n\n    function setRoyalties(address receiver_, uint96 feeNumerator_) external onlyRole(DEFAULT_ADMIN_ROLE) {\n        _setDefaultRoyalty(receiver_, feeNumerator_);\n    }\n\n    function contractURI() public view returns (string memory) {\n        return _contractURI;\n    }\n\n    function setContractURI(string memory contractURI_) public onlyRole(DEFAULT_ADMIN_ROLE) {\n        if (!(bytes(contractURI_).length > 1)) {\n            revert ContractURIIsEmpty();\n        }\n        _contractURI = contractURI_;\n    }\n\n    function supportsInterface(bytes4 interfaceId_) override(ERC721, ERC2981, AccessControl) public view returns (bool) {\n        return super.supportsInterface(interfaceId_);\n    }\n}\n',
+  sourcePath: 'contracts/ERC721UserMintable.sol',
+  compiler: {
+    name: 'solc',
+    version: '0.8.13+commit.abaa5c0e.Emscripten.clang',
+  },
+  schemaVersion: '3.4.7',
+  networkType: 'ethereum',
+  devdoc: {
+    kind: 'dev',
+    methods: {
+      'approve(address,uint256)': {
+        details: 'See {IERC721-approve}.',
+      },
+      'balanceOf(address)': {
+        details: 'See {IERC721-balanceOf}.',
+      },
+      'getApproved(uint256)': {
+        details: 'See {IERC721-getApproved}.',
+      },
+      'getRoleAdmin(bytes32)': {
+        details:
+          "Returns the admin role that controls `role`. See {grantRole} and {revokeRole}. To change a role's admin, use {_setRoleAdmin}.",
+      },
+      'grantRole(bytes32,address)': {
+        details:
+          "Grants `role` to `account`. If `account` had not been already granted `role`, emits a {RoleGranted} event. Requirements: - the caller must have ``role``'s admin role.",
+      },
+      'hasRole(bytes32,address)': {
+        details: 'Returns `true` if `account` has been granted `role`.',
+      },
+      'isApprovedForAll(address,address)': {
+        details: 'See {IERC721-isApprovedForAll}.',
+      },
+      'name()': {
+        details: 'See {IERC721Metadata-name}.',
+      },
+      'owner()': {
+        details: 'Returns the address of the current owner.',
+      },
+      'ownerOf(uint256)': {
+        details: 'See {IERC721-ownerOf}.',
+      },
+      'renounceOwnership()': {
+        details:
+          'Leaves the contract without owner. It will not be possible to call `onlyOwner` functions anymore. Can only be called by the current owner. NOTE: Renouncing ownership will leave the contract without an owner, thereby removing any functionality that is only available to the owner.',
+      },
+      'renounceRole(bytes32,address)': {
+        details:
+          "Revokes `role` from the calling account. Roles are often managed via {grantRole} and {revokeRole}: this function's purpose is to provide a mechanism for accounts to lose their privileges if they are compromised (such as when a trusted device is misplaced). If the calling account had been revoked `role`, emits a {RoleRevoked} event. Requirements: - the caller must be `account`.",
+      },
+      'revokeRole(bytes32,address)': {
+        details:
+          "Revokes `role` from `account`. If `account` had been granted `role`, emits a {RoleRevoked} event. Requirements: - the caller must have ``role``'s admin role.",
+      },
+      'royaltyInfo(uint256,uint256)': {
+        details:
+          'Returns how much royalty is owed and to whom, based on a sale price that may be denominated in any unit of exchange. The royalty amount is denominated and should be paid in that same unit of exchange.',
+      },
+      'safeTransferFrom(address,address,uint256)': {
+        details: 'See {IERC721-safeTransferFrom}.',
+      },
+      'safeTransferFrom(address,address,uint256,bytes)': {
+        details: 'See {IERC721-safeTransferFrom}.',
+      },
+      'setApprovalForAll(address,bool)': {
+        details: 'See {IERC721-setApprovalForAll}.',
+      },
+      'symbol()': {
+        details: 'See {IERC721Metadata-symbol}.',
+      },
+      'tokenURI(uint256)': {
+        details: 'See {IERC721Metadata-tokenURI}.',
+      },
+      'transferFrom(address,address,uint256)': {
+        details: 'See {IERC721-transferFrom}.',
+      },
+      'transferOwnership(address)': {
+        details:
+          'Transfers ownership of the contract to a new account (`newOwner`). Can only be called by the current owner.',
+      },
+    },
+    stateVariables: {
+      _tokenIdCounter: {
+        details: 'Counter auto-incrementating NFT tokenIds, default: 0',
+      },
+    },
+    version: 1,
+  },
+  userdoc: {
+    errors: {
+      'BaseURIIsEmpty()': [
+        {
+          notice: 'Base URI of the tokens cannot be empty.',
+        },
+      ],
+      'ContractURIIsEmpty()': [
+        {
+          notice: 'ContractURI cannot be empty;',
+        },
+      ],
+      'InsufficientFunds(uint256,uint256)': [
+        {
+          notice: 'Ether sent (`sent`) is lower than the price of the tokens (`required`).',
+        },
+      ],
+      'MaxSupplyExceeded(uint256,uint256)': [
+        {
+          notice:
+            'Minting `requested` tokens would exceed the max supply (`available` tokens left).',
+        },
+      ],
+      'MaxSupplyIsZero()': [
+        {
+          notice: 'Max supply should be greater than 0.',
+        },
+      ],
+      'NameIsEmpty()': [
+        {
+          notice: 'Name of contract cannot be empty.',
+        },
+      ],
+      'NothingToWithdraw()': [
+        {
+          notice: 'Contract balance is empty.',
+        },
+      ],
+      'QuantityIsZero()': [
+        {
+          notice: 'Quantity of tokens to mint should be greater than 0.',
+        },
+      ],
+      'SaleNotActive()': [
+        {
+          notice: 'Public sale is not active.',
+        },
+      ],
+    },
+    kind: 'user',
+    methods: {
+      constructor: {
+        notice:
+          'The account deploying the contract will have the admin role and will own the funds of the sale.Token URIs are built from the base URI and the sequential token ID.',
+      },
+    },
+    version: 1,
+  },
+};
@@ -0,0 +1,486 @@
+import { ethers } from 'ethers';
+import { sleep } from '../../services/tokenBucket.js';
+import { contractErrorHandler, errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+import { formatArgs, isPositiveInteger } from '../utils.js';
+
+// blocks of the first query of a range, doubled after each query answered whole
+const QUERY_CHUNK_SIZE = 5000;
+const MAX_QUERY_CHUNK_SIZE = 100000;
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// readyState of a websocket closing or closed
+const WEBSOCKET_CLOSING = 2;
+
+const invalid = (location, message, options) => {
+  const log = errorLogger({ location, message: ERROR_LOG.message[message], options });
+  return new ValidationError(log);
+};
+
+const decodeLog = (contractInterface, log) => {
+  const parsed = contractInterface.parseLog(log);
+  const { address, blockNumber, blockHash, transactionHash, logIndex } = log;
+  return {
+    event: parsed.name,
+    signature: parsed.signature,
+    args: formatArgs(parsed.eventFragment.inputs, parsed.args),
+    address,
+    blockNumber,
+    blockHash,
+    transactionHash,
+    logIndex,
+  };
+};
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// nodes limit the number of logs of a query, or the blocks it spans
+const TOO_MANY_RESULTS = /more than \d+ results|response size exceed|block range/i;
+
+const isTooManyResults = error => {
+  const messages = [error?.message, error?.error?.message, error?.body];
+  return messages.some(message => typeof message === 'string' && TOO_MANY_RESULTS.test(message));
+};
+
+const isBlockNumber = value => Number.isInteger(value) && value >= 0;
+
+// First block of the range having the code of the contract (read from the state of past
+// blocks, kept by archive nodes)
+const searchDeploymentBlock = async (provider, address, low, high) => {
+  if (low >= high) return low;
+
+  const middle = Math.floor((low + high) / 2);
+  const code = await provider.getCode(address, middle);
+  return code === '0x'
+    ? searchDeploymentBlock(provider, address, middle + 1, high)
+    : searchDeploymentBlock(provider, address, low, middle);
+};
+
+const validateBlockRange = (fromBlock, toBlock, location) => {
+  const isValidTo = isBlockNumber(toBlock) || toBlock === 'latest';
+  if (!isBlockNumber(fromBlock) || !isValidTo || toBlock < fromBlock) {
+    throw invalid(location, 'invalid_block_range');
+  }
+};
+
+const getEventFragment = (contractInterface, event, location) => {
+  try {
+    return contractInterface.getEvent(event);
+  } catch {
+    throw invalid(location, 'invalid_event', event);
+  }
+};
+
+// Topics of the event, matching the values of its indexed parameters given in the filter
+const getTopics = (contractInterface, fragment, filter, location) => {
+  if (filter === undefined) return contractInterface.encodeFilterTopics(fragment, []);
+  if (typeof filter !== 'object' || filter === null) {
+    throw invalid(location, 'invalid_event_filter');
+  }
+
+  const indexed = fragment.inputs.filter(input => input.indexed).map(input => input.name);
+  const unknown = Object.keys(filter).filter(key => !indexed.includes(key));
+  if (unknown.length) throw invalid(location, 'invalid_event_filter', unknown.join(', '));
+
+  const values = fragment.inputs.map(input => (input.indexed ? filter[input.name] ?? null : null));
+  try {
+    return contractInterface.encodeFilterTopics(fragment, values);
+  } catch {
+    throw invalid(location, 'invalid_event_filter');
+  }
+};
+
+// Topics matching any of the events, the indexed parameters of the filter being at the same
+// positions in all of them
+const getQueryTopics = (contractInterface, events, filter, location) => {
+  const [first, ...others] = [events].flat().map(event => {
+    const fragment = getEventFragment(contractInterface, event, location);
+    return getTopics(contractInterface, fragment, filter, location);
+  });
+  if (!others.length) return first;
+
+  const [, ...parameters] = first;
+  const isShared = ([, ...topics]) => JSON.stringify(topics) === JSON.stringify(parameters);
+  if (!others.every(isShared)) throw invalid(location, 'invalid_event_filter');
+  return [[first[0], ...others.map(([topic]) => topic)], ...parameters];
+};
+
+const validateSubscription = ({ confirmations, listener, onError }, location) => {
+  if (typeof listener !== 'function') throw invalid(location, 'invalid_listener');
+  if (!isPositiveInteger(confirmations)) throw invalid(location, 'invalid_confirmations');
+  if (onError !== undefined && typeof onError !== 'function') {
+    throw invalid(location, 'invalid_error_callback');
+  }
+};
+
+/**
+ * Subscriptions to the events of a contract. The logs are read block by block, once their
+ * block has the confirmations of the subscription: a log of a block reorganized out of the
+ * chain before reaching that depth is never delivered. Websocket providers are reconnected
+ * when their connection closes, and the logs of the blocks mined meanwhile are delivered
+ * once the connection is back, read by chunks as the queries. The provider connected is
+ * destroyed with the last subscription.
+ */
+export default class ContractEvents {
+  #provider;
+
+  #address;
+
+  #abi;
+
+  #interface;
+
+  #deployTransaction;
+
+  // promise of the deployment block of the contract, read by the first query
+  #deploymentBlock = null;
+
+  #subscriptions = [];
+
+  #scanning = Promise.resolve();
+
+  #closed = null;
+
+  #reconnecting = false;
+
+  #reconnects = 0;
+
+  // listeners of the websocket of the provider, while there are subscriptions
+  #socket = null;
+
+  // provider connected after the close of a websocket, destroyed with the last subscription
+  #reconnected = null;
+
+  /**
+   * @param {object} provider provider of the chain of the contract
+   * @param {string} address address of the contract
+   * @param {Array<object>} abi ABI of the contract, declaring its events
+   * @param {string} [deployTransaction] hash of the transaction deploying the contract, when
+   * known
+   */
+  constructor({ provider, address, abi, deployTransaction }) {
+    this.#provider = provider;
+    this.#address = address;
+    this.#abi = abi;
+    this.#deployTransaction = deployTransaction;
+    this.#interface = new ethers.utils.Interface(abi);
+  }
+
+  /**
+   * Subscribe to an event of the contract. The listener receives the decoded event
+   * ({ event, signature, args, address, blockNumber, blockHash, transactionHash, logIndex }),
+   * args being keyed by the parameter names of the event
+   * @param {object} subscription
+   * @param {string} subscription.event name or signature of the event
+   * @param {object} [subscription.filter] values of indexed parameters the events must have
+   * (ex: { to: address }), null or an array of values matching any of them
+   * @param {number} [subscription.confirmations=1] confirmations of the block of an event
+   * before it is delivered
+   * @param {Function} subscription.listener called with each event
+   * @param {Function} [subscription.onError] called with the errors reading the logs, retried
+   * on the next block, and those thrown by the listener
+   * @param {boolean} [subscription.once=false] unsubscribe after the first event
+   * @param {string} location location of the caller, prefix of the error messages
+   * @returns {Promise<Function>} Function removing the subscription
+   */
+  async subscribe({ event, filter, confirmations = 1, listener, onError, once = false }, location) {
+    if (!this.#provider && !this.#closed) throw invalid(location, 'no_provider_supplied');
+
+    const fragment = getEventFragment(this.#interface, event, location);
+    const topics = getTopics(this.#interface, fragment, filter, location);
+    validateSubscription({ confirmations, listener, onError }, location);
+
+    // the websocket closed while nothing was listening to it
+    if (this.#provider?.websocket?.readyState >= WEBSOCKET_CLOSING) this.#close(this.#provider);
+
+    // only the events of the blocks mined after the subscription are delivered
+    const nextBlock = this.#provider ? (await this.#provider.getBlockNumber()) + 1 : null;
+    const subscription = {
+      event: fragment.name,
+      topics,
+      confirmations,
+      listener,
+      onError,
+      once,
+      location,
+      nextBlock,
+    };
+
+    this.#subscriptions.push(subscription);
+    if (this.#subscriptions.length === 1) this.#start();
+
+    return () => this.#remove(sub => sub === subscription);
+  }
+
+  /**
+   * Get the past events of the contract, ordered by block and position in the block. The
+   * blocks are read by chunks, of 5000 blocks at first: a chunk is split in halves while the
+   * node answers that it has too many logs, and the next chunk takes the size of the parts
+   * answered, or twice the size of a chunk answered whole (up to 100000 blocks)
+   * @param {object} query
+   * @param {string|Array<string>} query.event name or signature of the event, or those of
+   * events read together, their indexed parameters filtered being at the same positions
+   * @param {object} [query.filter] values of indexed parameters the events must have
+   * @param {number} [query.fromBlock] first block of the range, the block of the deployment
+   * of the contract by default: that of the receipt of its deployment, or the first block
+   * having its code (archive nodes)
+   * @param {number|string} [query.toBlock='latest'] last block of the range
+   * @param {string} location location of the caller, prefix of the error messages
+   * @returns {Promise<Array<object>>} Decoded events (see subscribe)
+   */
+  async query({ event, filter, fromBlock, toBlock = 'latest' }, location) {
+    const provider = this.#provider;
+    if (!provider) throw invalid(location, 'no_provider_supplied');
+
+    const topics = getQueryTopics(this.#interface, event, filter, location);
+    validateBlockRange(fromBlock ?? 0, toBlock, location);
+
+    const lastBlock = toBlock === 'latest' ? await this.getBlockNumber(location) : toBlock;
+    const firstBlock = fromBlock ?? (await this.#getDeploymentBlock(location));
+
+    const logs = [];
+    await this.#readChunks(provider, topics, [firstBlock, lastBlock], location, chunk => {
+      logs.push(...chunk);
+      return true;
+    });
+    return logs.map(log => decodeLog(this.#interface, log)).sort(byPosition);
+  }
+
+  /**
+   * Get the number of the latest block of the chain of the contract
+   * @param {string} location location of the caller, prefix of the error messages
+   * @returns {Promise<number>} Block number
+   */
+  async getBlockNumber(location) {
+    if (!this.#provider) throw invalid(location, 'no_provider_supplied');
+
+    try {
+      return await this.#provider.getBlockNumber();
+    } catch (error) {
+      throw contractErrorHandler(error, location, this.#abi);
+    }
+  }
+
+  /**
+   * Remove the subscriptions of an event, of a listener, or all of them
+   * @param {object} options
+   * @param {string} [options.event] name or signature of the event, all events by default
+   * @param {Function} [options.listener] listener of the subscriptions, all by default
+   * @param {string} location location of the caller, prefix of the error messages
+   */
+  unsubscribe({ event, listener }, location) {
+    let name = null;
+    if (event !== undefined) ({ name } = getEventFragment(this.#interface, event, location));
+    const isEvent = sub => name === null || sub.event === name;
+    const isListener = sub => listener === undefined || sub.listener === listener;
+
+    this.#remove(sub => isEvent(sub) && isListener(sub));
+  }
+
+  /**
+   * Get the number of subscriptions
+   * @returns {number}
+   */
+  getSubscriptionCount() {
+    return this.#subscriptions.length;
+  }
+
+  #remove(matches) {
+    if (!this.#subscriptions.length) return;
+
+    this.#subscriptions = this.#subscriptions.filter(sub => !matches(sub));
+    if (this.#subscriptions.length) return;
+
+    this.#provider?.off('block', this.#onBlock);
+    this.#unwatch();
+
+    // the provider connected after a close is only used by the subscriptions
+    if (this.#provider && this.#provider === this.#reconnected) {
+      this.#closed = this.#provider;
+      this.#provider = null;
+      this.#destroyReconnected();
+    }
+  }
+
+  // Read the logs of a range by chunks, handing the logs of each chunk and its last block to
+  // onChunk, which returns whether to read the next one
+  async #readChunks(provider, topics, [firstBlock, lastBlock], location, onChunk) {
+    let start = firstBlock;
+    let size = QUERY_CHUNK_SIZE;
+    let reading = true;
+    while (reading && start <= lastBlock) {
+      const end = Math.min(start + size - 1, lastBlock);
+      // eslint-disable-next-line no-await-in-loop
+      const chunk = await this.#getLogs(provider, topics, start, end, location);
+      reading = onChunk(chunk.logs, end);
+
+      const answeredWhole = chunk.blocks === end - start + 1;
+      size = answeredWhole ? Math.min(size * 2, MAX_QUERY_CHUNK_SIZE) : chunk.blocks;
+      start = end + 1;
+    }
+  }
+
+  // Logs of a range of blocks, along with the size of the smallest part of the range the node
+  // answered (the whole range unless it had to be split)
+  async #getLogs(provider, topics, fromBlock, toBlock, location) {
+    try {
+      const filter = { address: this.#address, topics, fromBlock, toBlock };
+      const logs = await provider.getLogs(filter);
+      return { logs, blocks: toBlock - fromBlock + 1 };
+    } catch (error) {
+      if (!isTooManyResults(error) || fromBlock === toBlock) {
+        throw contractErrorHandler(error, location, this.#abi);
+      }
+
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      const first = await this.#getLogs(provider, topics, fromBlock, middle, location);
+      const second = await this.#getLogs(provider, topics, middle + 1, toBlock, location);
+      return {
+        logs: [...first.logs, ...second.logs],
+        blocks: Math.min(first.blocks, second.blocks),
+      };
+    }
+  }
+
+  // The deployment block is read once, again only if the reading failed
+  #getDeploymentBlock(location) {
+    if (!this.#deploymentBlock) {
+      this.#deploymentBlock = this.#readDeploymentBlock().catch(error => {
+        this.#deploymentBlock = null;
+        const log = errorLogger({ location, message: ERROR_LOG.message.unknown_deployment_block });
+        throw new ValidationError(log, { cause: contractErrorHandler(error, location, this.#abi) });
+      });
+    }
+    return this.#deploymentBlock;
+  }
+
+  async #readDeploymentBlock() {
+    const provider = this.#provider;
+    if (this.#deployTransaction) {
+      const receipt = await provider.getTransactionReceipt(this.#deployTransaction);
+      if (receipt) return receipt.blockNumber;
+    }
+
+    const lastBlock = await provider.getBlockNumber();
+    return searchDeploymentBlock(provider, this.#address, 0, lastBlock);
+  }
+
+  #start() {
+    if (this.#provider) {
+      this.#provider.on('block', this.#onBlock);
+      this.#watch(this.#provider);
+      return;
+    }
+    this.#reconnect();
+  }
+
+  #onBlock = blockNumber => {
+    this.#reconnects = 0;
+    this.#scanning = this.#scanning.then(() => this.#scan(blockNumber));
+  };
+
+  // Deliver the logs of the blocks having reached the confirmations of each subscription
+  #scan(head) {
+    return this.#subscriptions.reduce(
+      (previous, subscription) => previous.then(() => this.#scanSubscription(subscription, head)),
+      Promise.resolve(),
+    );
+  }
+
+  async #scanSubscription(subscription, head) {
+    const provider = this.#provider;
+    if (!provider || !this.#subscriptions.includes(subscription)) return;
+
+    Object.assign(subscription, { nextBlock: subscription.nextBlock ?? head });
+    const toBlock = head - subscription.confirmations + 1;
+    const { nextBlock: fromBlock, topics, location } = subscription;
+    if (toBlock < fromBlock) return;
+
+    // the blocks missed while the node was unreachable are read by chunks, the next chunk is
+    // read again on next block when one fails
+    const onChunk = (logs, lastBlock) => {
+      Object.assign(subscription, { nextBlock: lastBlock + 1 });
+      logs.forEach(log => this.#deliver(subscription, log));
+      return provider === this.#provider && this.#subscriptions.includes(subscription);
+    };
+    try {
+      await this.#readChunks(provider, topics, [fromBlock, toBlock], location, onChunk);
+    } catch (error) {
+      subscription.onError?.(error);
+    }
+  }
+
+  #deliver(subscription, log) {
+    if (!this.#subscriptions.includes(subscription)) return;
+    if (subscription.once) this.#remove(sub => sub === subscription);
+
+    try {
+      subscription.listener(decodeLog(this.#interface, log));
+    } catch (error) {
+      subscription.onError?.(error);
+    }
+  }
+
+  // Websocket providers expose their connection, the others poll the node. The listeners of
+  // the connection are removed with the last subscription
+  #watch(provider) {
+    const { websocket } = provider;
+    if (!websocket?.addEventListener) return;
+
+    // the errors of the connection are followed by its close
+    const onError = () => {};
+    const onClose = () => {
+      if (provider !== this.#provider) return;
+
+      this.#close(provider);
+      if (this.#subscriptions.length) this.#reconnect();
+    };
+    websocket.addEventListener('error', onError);
+    websocket.addEventListener('close', onClose);
+    this.#socket = { websocket, onError, onClose };
+  }
+
+  #unwatch() {
+    if (!this.#socket) return;
+
+    const { websocket, onError, onClose } = this.#socket;
+    websocket.removeEventListener?.('error', onError);
+    websocket.removeEventListener?.('close', onClose);
+    this.#socket = null;
+  }
+
+  #close(provider) {
+    provider.off('block', this.#onBlock);
+    this.#unwatch();
+    this.#provider = null;
+    this.#closed = provider;
+  }
+
+  #destroyReconnected() {
+    const provider = this.#reconnected;
+    this.#reconnected = null;
+    // its websocket may already be closed
+    provider?.destroy().catch(() => {});
+  }
+
+  // Connect a new provider to the url of the closed one, waiting longer after each failure
+  async #reconnect() {
+    if (this.#reconnecting) return;
+
+    this.#reconnecting = true;
+    await sleep(Math.min(RECONNECT_DELAY * 2 ** this.#reconnects, MAX_RECONNECT_DELAY));
+    this.#reconnects += 1;
+    this.#reconnecting = false;
+    if (!this.#subscriptions.length || this.#provider) return;
+
+    this.#destroyReconnected();
+    const { connection, network } = this.#closed;
+    const provider = new ethers.providers.WebSocketProvider(connection.url, network);
+    this.#provider = provider;
+    this.#reconnected = provider;
+    this.#watch(provider);
+    provider.on('block', this.#onBlock);
+  }
+}
@@ -3,4 +3,6 @@ export { NFT_API_URL };
 
 export const TEMPLATES = {
   ERC721Mintable: 'ERC721Mintable',
+  ERC721UserMintable: 'ERC721UserMintable',
+  ERC1155Mintable: 'ERC1155Mintable',
 };
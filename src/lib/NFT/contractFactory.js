@@ -1,12 +1,22 @@
-import { TEMPLATES } from './constants.js';
-import ERC721Mintable from '../ContractTemplates/ERC721Mintable.js';
+import TemplateRegistry from './templateRegistry.js';
+import GenericContract from '../ContractTemplates/GenericContract.js';
+import { ValidationError } from '../error/errors.js';
 
 export default class ContractFactory {
-  static factory(template, signer) {
-    if (template === TEMPLATES.ERC721Mintable) {
-      return new ERC721Mintable(signer);
+  static factory(template, signer, { gasOptions } = {}) {
+    if (!TemplateRegistry.has(template)) {
+      throw new ValidationError('Invalid template provided', {
+        location: '[ContractFactory.factory]',
+      });
     }
 
-    throw new Error('Invalid template provided');
+    const definition = TemplateRegistry.get(template);
+    const Wrapper = definition.wrapper || GenericContract;
+
+    return new Wrapper(signer, { ...definition, gasOptions });
+  }
+
+  static generic(abi, signer, { gasOptions } = {}) {
+    return new GenericContract(signer, { name: 'GenericContract', abi, gasOptions });
   }
 }
@@ -0,0 +1,173 @@
+import { utils } from 'ethers';
+import { TEMPLATES } from './constants.js';
+import ERC721Mintable from '../ContractTemplates/ERC721Mintable.js';
+import ERC721UserMintable from '../ContractTemplates/ERC721UserMintable.js';
+import ERC1155Mintable from '../ContractTemplates/ERC1155Mintable.js';
+import ERC721MintableArtifact from '../ContractTemplates/artifacts/ERC721Mintable.js';
+import ERC721UserMintableArtifact from '../ContractTemplates/artifacts/ERC721UserMintable.js';
+import ERC1155MintableArtifact from '../ContractTemplates/artifacts/ERC1155Mintable.js';
+import { isValidAbi, isValidString } from '../utils.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+
+const templates = new Map();
+
+const addTemplate = ({ name, abi, bytecode, wrapper }, builtIn) => {
+  templates.set(name, Object.freeze({ name, abi, bytecode, wrapper, builtIn }));
+};
+
+addTemplate(
+  {
+    name: TEMPLATES.ERC721Mintable,
+    abi: ERC721MintableArtifact.abi,
+    bytecode: ERC721MintableArtifact.bytecode,
+    wrapper: ERC721Mintable,
+  },
+  true,
+);
+addTemplate(
+  {
+    name: TEMPLATES.ERC721UserMintable,
+    abi: ERC721UserMintableArtifact.abi,
+    bytecode: ERC721UserMintableArtifact.bytecode,
+    wrapper: ERC721UserMintable,
+  },
+  true,
+);
+addTemplate(
+  {
+    name: TEMPLATES.ERC1155Mintable,
+    abi: ERC1155MintableArtifact.abi,
+    bytecode: ERC1155MintableArtifact.bytecode,
+    wrapper: ERC1155Mintable,
+  },
+  true,
+);
+
+export default class TemplateRegistry {
+  /**
+   * Register a contract template, making it available to SDK.deploy and SDK.loadContract
+   * @param {string} name name of the template, used as the 'template' param of the SDK
+   * @param {Array<object>} abi ABI of the contract
+   * @param {string} [bytecode] bytecode of the contract, required to deploy it
+   * @param {Function} [wrapper] class wrapping the contract, instantiated with the signer and
+   * the template definition, along with the gas options of the SDK ({ ...template, gasOptions }).
+   * The generic wrapper (GenericContract) is used when not provided
+   * @returns {object} The registered template definition
+   */
+  static register({ name, abi, bytecode, wrapper } = {}) {
+    if (!isValidString(name)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_register,
+          message: ERROR_LOG.message.invalid_template_name,
+        }),
+      );
+    }
+
+    if (templates.has(name)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_register,
+          message: ERROR_LOG.message.template_already_registered,
+          options: name,
+        }),
+      );
+    }
+
+    if (!isValidAbi(abi)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_register,
+          message: ERROR_LOG.message.invalid_abi,
+        }),
+      );
+    }
+
+    if (bytecode !== undefined && !utils.isHexString(bytecode)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_register,
+          message: ERROR_LOG.message.invalid_bytecode,
+        }),
+      );
+    }
+
+    if (wrapper !== undefined && typeof wrapper !== 'function') {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_register,
+          message: ERROR_LOG.message.invalid_wrapper,
+        }),
+      );
+    }
+
+    addTemplate({ name, abi, bytecode, wrapper }, false);
+    return templates.get(name);
+  }
+
+  /**
+   * Remove a template previously registered. Built-in templates cannot be removed.
+   * @param {string} name name of the template
+   * @returns void
+   */
+  static unregister(name) {
+    if (!templates.has(name)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_unregister,
+          message: ERROR_LOG.message.template_not_registered,
+          options: name,
+        }),
+      );
+    }
+
+    if (templates.get(name).builtIn) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_unregister,
+          message: ERROR_LOG.message.builtin_template_cannot_be_unregistered,
+          options: name,
+        }),
+      );
+    }
+
+    templates.delete(name);
+  }
+
+  /**
+   * Check whether a template is registered
+   * @param {string} name name of the template
+   * @returns {boolean}
+   */
+  static has(name) {
+    return templates.has(name);
+  }
+
+  /**
+   * Get a registered template definition
+   * @param {string} name name of the template
+   * @returns {object} Template definition ({ name, abi, bytecode, wrapper, builtIn })
+   */
+  static get(name) {
+    if (!templates.has(name)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TemplateRegistry_get,
+          message: ERROR_LOG.message.template_not_registered,
+          options: name,
+        }),
+      );
+    }
+
+    return templates.get(name);
+  }
+
+  /**
+   * List the names of the registered templates, built-in templates first
+   * @returns {Array<string>}
+   */
+  static list() {
+    return [...templates.keys()];
+  }
+}
@@ -5,23 +5,27 @@
  */
 
 import { ethers } from 'ethers';
+import { ValidationError } from '../error/errors.js';
 
 export default class Provider {
   static getProvider(rpcUrl) {
-    if (!rpcUrl) throw new Error('[Provider.getProvider] rpcUrl is missing!');
+    if (!rpcUrl) throw new ValidationError('[Provider.getProvider] rpcUrl is missing!');
 
     // eslint-disable-next-line new-cap
     return new ethers.providers.getDefaultProvider(rpcUrl);
   }
 
   static getInjectedProvider(injectedProvider) {
-    if (!injectedProvider) throw new Error('[Provider.getProvider] provider is missing!');
+    if (!injectedProvider) throw new ValidationError('[Provider.getProvider] provider is missing!');
 
     try {
       // eslint-disable-next-line new-cap
       return new ethers.providers.Web3Provider(injectedProvider);
     } catch (e) {
-      throw new Error('[Provider] Invalid provider given');
+      throw new ValidationError('[Provider] Invalid provider given', {
+        location: '[Provider.getInjectedProvider]',
+        cause: e,
+      });
     }
   }
 }
@@ -1,9 +1,65 @@
 import { utils } from 'ethers';
 import Auth from '../Auth/Auth.js';
+import { ChainRegistry } from '../Auth/availableChains.js';
 import { HttpService } from '../../services/httpService.js';
 import { NFT_API_URL } from '../NFT/constants.js';
 import ContractFactory from '../NFT/contractFactory.js';
+import { isValidAbi, isValidString } from '../utils.js';
 import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ChainNotSupportedError, ValidationError } from '../error/errors.js';
+import { validateGasOptions } from '../Transaction/gas.js';
+import TransactionQueue from '../Transaction/TransactionQueue.js';
+import { getMinedTransaction, replaceTransaction } from '../Transaction/replacement.js';
+import { getTransactionStatus, waitForTransaction } from '../Transaction/status.js';
+
+// transaction hash and optional ABI of getStatus and waitFor
+const validateStatusParams = ({ txHash, abi, location }) => {
+  if (!utils.isHexString(txHash)) {
+    throw new ValidationError(
+      errorLogger({ location, message: ERROR_LOG.message.invalid_transaction_hash }),
+    );
+  }
+
+  if (abi !== undefined && !isValidAbi(abi)) {
+    throw new ValidationError(errorLogger({ location, message: ERROR_LOG.message.invalid_abi }));
+  }
+};
+
+/**
+ * Async iterator over the assets of a paginated API response, following the cursors
+ * until the last page or maxItems
+ * @param {Function} getPage function returning the page of the cursor it receives
+ * @param {number} [maxItems] maximum number of assets to iterate over
+ * @returns {AsyncIterable<object>}
+ */
+const paginate = (getPage, maxItems = Infinity) => {
+  let assets = [];
+  let cursor;
+  let hasNextPage = true;
+  let count = 0;
+
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    async next() {
+      while (assets.length === 0 && hasNextPage && count < maxItems) {
+        // eslint-disable-next-line no-await-in-loop
+        const page = await getPage(cursor);
+        assets = [...page.assets];
+        cursor = page.cursor;
+        hasNextPage = !!cursor;
+      }
+
+      if (assets.length === 0 || count >= maxItems) {
+        return { done: true, value: undefined };
+      }
+
+      count += 1;
+      return { done: false, value: assets.shift() };
+    },
+  };
+};
 
 export default class SDK {
   /* Private property */
@@ -13,19 +69,52 @@ export default class SDK {
 
   #httpClient;
 
-  constructor(auth) {
+  #httpOptions;
+
+  #gasOptions;
+
+  /**
+   * @param {Auth} auth Auth instance
+   * @param {object} [options]
+   * @param {object} [options.httpOptions] options of the NFT API client: retries, retryDelay,
+   * maxRetryDelay, timeout (ms) and rateLimit ({ requestsPerSecond, burst })
+   * @param {object} [options.gasOptions] default gas options of the contract write methods:
+   * feeStrategy ('slow', 'standard', 'fast', { maxFeePerGas, maxPriorityFeePerGas } or
+   * { gasPrice }) and gasLimitMultiplier (safety margin applied to the estimated gas)
+   */
+  constructor(auth, { httpOptions, gasOptions } = {}) {
     if (!(auth instanceof Auth)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_constructor,
           message: ERROR_LOG.message.invalid_auth_instance,
         }),
       );
     }
+    validateGasOptions(gasOptions, ERROR_LOG.location.SDK_constructor);
     this.#auth = auth;
 
     this.#apiPath = `/networks/${this.#auth.getChainId()}`;
-    this.#httpClient = new HttpService(NFT_API_URL, this.#auth.getApiAuth());
+    this.#httpOptions = httpOptions;
+    this.#gasOptions = gasOptions;
+    this.#httpClient = new HttpService(NFT_API_URL, this.#auth.getApiAuth(), httpOptions);
+  }
+
+  /**
+   * Get a SDK bound to another chain, with the same credentials and options. The provider,
+   * the signer and the NFT API path are those of the new chain, this instance is unchanged
+   * unless it uses an injected provider (see Auth.withChain). The NFT API client is shared,
+   * its rate limit applying to the project key on all the chains
+   * @param {number} chainId id of the chain, registered in the ChainRegistry
+   * @param {object} [options]
+   * @param {string} [options.rpcUrl] RPC url of the chain, built from the registry by default
+   * @returns {Promise<SDK>} SDK instance bound to the chain
+   */
+  async withChain(chainId, { rpcUrl } = {}) {
+    const auth = await this.#auth.withChain(chainId, { rpcUrl });
+    const sdk = new SDK(auth, { httpOptions: this.#httpOptions, gasOptions: this.#gasOptions });
+    sdk.#httpClient = this.#httpClient;
+    return sdk;
   }
 
   /** Get provider
@@ -35,15 +124,29 @@ export default class SDK {
     return this.#auth.getSigner();
   }
 
+  /**
+   * Get the transaction queue of the signer: nonces allocated in order, transactions sent
+   * 'concurrency' at a time and sent again after a 'nonce too low' error. The queue is
+   * shared by all the SDK instances using the same account on the same chain
+   * @param {number} [concurrency] number of transactions sent at the same time, 1 by default
+   * @param {number} [maxRetries] number of resyncs of the nonce of a transaction, 3 by default
+   * @returns {Promise<TransactionQueue>} Transaction queue of the signer
+   */
+  async getTransactionQueue({ concurrency, maxRetries } = {}) {
+    const signer = await this.getProvider();
+    return TransactionQueue.forSigner(signer, { concurrency, maxRetries });
+  }
+
   /**
    * Deploy Contract on the blockchain
-   * @param {string} template name of the template to use (ERC721Mintable, ...)
+   * @param {string} template name of the template to use (ERC721Mintable, ...), built-in or
+   * registered through the TemplateRegistry
    * @param {object} params template parameters (name, symbol, contractURI, ...)
    * @returns {Promise<ERC721Mintable>} Contract instance
    */
   async deploy({ template, params }) {
     if (!template) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_deploy,
           message: ERROR_LOG.message.no_template_type_supplied,
@@ -51,7 +154,7 @@ export default class SDK {
       );
     }
     if (Object.keys(params).length === 0) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_deploy,
           message: ERROR_LOG.message.no_parameters_supplied,
@@ -60,21 +163,24 @@ export default class SDK {
     }
 
     const signer = await this.getProvider();
-    const contract = ContractFactory.factory(template, signer);
+    const contract = ContractFactory.factory(template, signer, { gasOptions: this.#gasOptions });
 
     await contract.deploy(params);
     return contract;
   }
 
   /**
-   * Load a contract from an existing contract address and a template
-   * @param {string} template name of the template to use (ERC721Mintable, ...)
+   * Load a contract from an existing contract address and a template. Contracts without
+   * template can be loaded from their ABI, they are then wrapped in a GenericContract
+   * @param {string} template name of the template to use (ERC721Mintable, ...), built-in or
+   * registered through the TemplateRegistry
+   * @param {Array<object>} abi ABI of the contract, when no template is provided
    * @param {string} contractAddress address of the contract to load
-   * @returns {Promise<ERC721Mintable>} Contract instance
+   * @returns {Promise<ERC721Mintable|GenericContract>} Contract instance
    */
-  async loadContract({ template, contractAddress }) {
-    if (!template) {
-      throw new Error(
+  async loadContract({ template, abi, contractAddress }) {
+    if (!template && !abi) {
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_loadContract,
           message: ERROR_LOG.message.no_template_type_supplied,
@@ -82,8 +188,26 @@ export default class SDK {
       );
     }
 
+    if (template && abi) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_loadContract,
+          message: ERROR_LOG.message.only_template_or_abi_required,
+        }),
+      );
+    }
+
+    if (abi && !isValidAbi(abi)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_loadContract,
+          message: ERROR_LOG.message.invalid_abi,
+        }),
+      );
+    }
+
     if (!contractAddress) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_loadContract,
           message: ERROR_LOG.message.no_address_supplied,
@@ -92,7 +216,10 @@ export default class SDK {
     }
 
     const signer = await this.getProvider();
-    const contract = ContractFactory.factory(template, signer);
+    const options = { gasOptions: this.#gasOptions };
+    const contract = template
+      ? ContractFactory.factory(template, signer, options)
+      : ContractFactory.generic(abi, signer, options);
 
     await contract.loadContract({ contractAddress });
     return contract;
@@ -104,8 +231,10 @@ export default class SDK {
    * @returns {Promise<object>} Contract metadata object
    */
   async getContractMetadata({ contractAddress }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_getContractMetadata);
+
     if (!contractAddress || !utils.isAddress(contractAddress)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_getContractMetadata,
           message: ERROR_LOG.message.invalid_contract_address,
@@ -122,14 +251,18 @@ export default class SDK {
   }
 
   /**
-   * Get NFTs by an account address
+   * Get NFTs by an account address. Results are paginated, pass the cursor returned
+   * with a page to get the next one (no cursor is returned with the last page)
    * @param  {string} address Account address
    * @param  {string} [includeMetadata=false] flag to include the metadata object in the results
-   * @returns {Promise<object>} List of NFTs with metadata if 'includeMetadata' flag is true
+   * @param  {string} [cursor] cursor of the page to get
+   * @returns {Promise<object>} Page of NFTs with metadata if 'includeMetadata' flag is true
    */
-  async getNFTs({ publicAddress, includeMetadata = false }) {
+  async getNFTs({ publicAddress, includeMetadata = false, cursor }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_getNFTs);
+
     if (!publicAddress || !utils.isAddress(publicAddress)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_getNFTs,
           message: ERROR_LOG.message.invalid_account_address,
@@ -137,50 +270,194 @@ export default class SDK {
       );
     }
 
-    const apiUrl = `${this.#apiPath}/accounts/${publicAddress}/assets/nfts`;
+    if (cursor !== undefined && !isValidString(cursor)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTs,
+          message: ERROR_LOG.message.invalid_cursor,
+        }),
+      );
+    }
 
-    const { data } = await this.#httpClient.get(apiUrl);
+    return this.#getAccountNFTs({ apiPath: this.#apiPath, publicAddress, includeMetadata, cursor });
+  }
 
-    if (!includeMetadata) {
-      return {
-        ...data,
-        assets: data.assets.map(asset => {
-          const { metadata, ...rest } = asset;
-          return rest;
+  /**
+   * Get the NFTs of an account address on several chains, queried concurrently. Each asset
+   * is tagged with its chainId. Chains failing to answer don't fail the whole query, their
+   * error is returned in 'errors' along with the assets of the other chains
+   * @param  {string} publicAddress Account address
+   * @param  {Array<number>} chainIds ids of the chains, supported by the NFT API
+   * @param  {string} [includeMetadata=false] flag to include the metadata object in the results
+   * @param  {number} [maxItemsPerChain] maximum number of NFTs to get on each chain
+   * @returns {Promise<object>} NFTs of all the chains ({ total, assets, errors }), 'errors'
+   * lists the chains that failed ({ chainId, error })
+   */
+  async getNFTsForChains({ publicAddress, chainIds, includeMetadata = false, maxItemsPerChain }) {
+    if (!publicAddress || !utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.invalid_account_address,
         }),
-      };
+      );
     }
 
-    return data;
+    if (!Array.isArray(chainIds) || chainIds.length === 0) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.invalid_chainIds,
+        }),
+      );
+    }
+
+    const unsupported = chainIds.find(
+      chainId => !ChainRegistry.has(chainId) || !ChainRegistry.get(chainId).nftApi,
+    );
+    if (unsupported !== undefined) {
+      throw new ChainNotSupportedError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.nft_api_not_supported,
+          options: `${unsupported}`,
+        }),
+        { chainId: unsupported },
+      );
+    }
+
+    const isValidMaxItems = Number.isInteger(maxItemsPerChain) && maxItemsPerChain > 0;
+    if (maxItemsPerChain !== undefined && !isValidMaxItems) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.invalid_max_items,
+        }),
+      );
+    }
+
+    const uniqueChainIds = [...new Set(chainIds)];
+    const options = { publicAddress, includeMetadata, maxItemsPerChain };
+    const getChainNFTs = chainId => this.#getAllAccountNFTs({ ...options, chainId });
+    const results = await Promise.allSettled(uniqueChainIds.map(getChainNFTs));
+
+    const assets = [];
+    const errors = [];
+    results.forEach(({ status, value, reason }, index) => {
+      if (status === 'fulfilled') {
+        assets.push(...value);
+      } else {
+        errors.push({ chainId: uniqueChainIds[index], error: reason });
+      }
+    });
+
+    return { total: assets.length, assets, errors };
+  }
+
+  /**
+   * Iterate over all the NFTs of an account address, fetching the pages as they are needed
+   * @param  {string} address Account address
+   * @param  {string} [includeMetadata=false] flag to include the metadata object in the results
+   * @param  {number} [maxItems] maximum number of NFTs to iterate over
+   * @returns {AsyncIterable<object>} NFTs, to be consumed with 'for await...of'
+   */
+  iterateNFTs({ publicAddress, includeMetadata = false, maxItems }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_iterateNFTs);
+
+    if (!publicAddress || !utils.isAddress(publicAddress)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTs,
+          message: ERROR_LOG.message.invalid_account_address,
+        }),
+      );
+    }
+
+    if (maxItems !== undefined && !(Number.isInteger(maxItems) && maxItems > 0)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTs,
+          message: ERROR_LOG.message.invalid_max_items,
+        }),
+      );
+    }
+
+    return paginate(cursor => this.getNFTs({ publicAddress, includeMetadata, cursor }), maxItems);
   }
 
-  /** Get list of NFTs for the specified contract address
+  /** Get list of NFTs for the specified contract address. Results are paginated, pass the
+   * cursor returned with a page to get the next one (no cursor is returned with the last page)
    * @param {string} contractAddress address of the contract to get the list of NFTs
-   * @returns {Promise<object>} List of NFTs with metadata
+   * @param {string} [cursor] cursor of the page to get
+   * @returns {Promise<object>} Page of NFTs with metadata
    */
-  async getNFTsForCollection({ contractAddress }) {
+  async getNFTsForCollection({ contractAddress, cursor }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_getNFTsForCollection);
+
     if (!contractAddress || !utils.isAddress(contractAddress)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_getNFTsForCollection,
           message: ERROR_LOG.message.invalid_contract_address,
         }),
       );
     }
+
+    if (cursor !== undefined && !isValidString(cursor)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForCollection,
+          message: ERROR_LOG.message.invalid_cursor,
+        }),
+      );
+    }
+
     const apiUrl = `${this.#apiPath}/nfts/${contractAddress}/tokens`;
 
-    const { data } = await this.#httpClient.get(apiUrl);
+    const { data } = await this.#httpClient.get(apiUrl, { cursor });
     return data;
   }
 
+  /**
+   * Iterate over all the NFTs of a contract, fetching the pages as they are needed
+   * @param {string} contractAddress address of the contract to get the list of NFTs
+   * @param {number} [maxItems] maximum number of NFTs to iterate over
+   * @returns {AsyncIterable<object>} NFTs, to be consumed with 'for await...of'
+   */
+  iterateNFTsForCollection({ contractAddress, maxItems }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_iterateNFTsForCollection);
+
+    if (!contractAddress || !utils.isAddress(contractAddress)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTsForCollection,
+          message: ERROR_LOG.message.invalid_contract_address,
+        }),
+      );
+    }
+
+    if (maxItems !== undefined && !(Number.isInteger(maxItems) && maxItems > 0)) {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTsForCollection,
+          message: ERROR_LOG.message.invalid_max_items,
+        }),
+      );
+    }
+
+    return paginate(cursor => this.getNFTsForCollection({ contractAddress, cursor }), maxItems);
+  }
+
   /** Get a token metadata
    * @param {string} contractAddress address of the contract which holds the token
    * @param {number} tokenId ID of the token
    * @returns {Promise<object>} Token metadata
    */
   async getTokenMetadata({ contractAddress, tokenId }) {
+    this.#checkNftApi(ERROR_LOG.location.SDK_getTokenMetadata);
+
     if (!contractAddress || !utils.isAddress(contractAddress)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_getTokenMetadata,
           message: ERROR_LOG.message.invalid_contract_address,
@@ -189,7 +466,7 @@ export default class SDK {
     }
 
     if (!Number.isFinite(tokenId)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
           location: ERROR_LOG.location.SDK_getTokenMetadata,
           message: ERROR_LOG.message.no_tokenId_supplied,
@@ -205,20 +482,149 @@ export default class SDK {
 
   /** Get tx status
    * @param {string} txHash hash of the transaction
-   * @param {number} tokenId ID of the token
-   * @returns {Promise<object>} Transaction information
+   * @param {Array<object>} [abi] ABI of the contract called, to decode its events along with
+   * those of the templates
+   * @returns {Promise<object>} Transaction status ({ txHash, status, confirmations,
+   * blockNumber, gasUsed, effectiveGasPrice, fee, events, receipt, replacedBy, cancelled }),
+   * status being 'pending', 'mined', 'failed', 'dropped' or 'replaced'
+   */
+  async getStatus({ txHash, abi }) {
+    validateStatusParams({ txHash, abi, location: ERROR_LOG.location.SDK_getStatus });
+
+    const signer = await this.getProvider();
+    return getTransactionStatus(signer.provider, txHash, { abi });
+  }
+
+  /**
+   * Wait for a transaction to be mined, or to fail or be replaced, with a number of
+   * confirmations
+   * @param {string} txHash hash of the transaction
+   * @param {number} [confirmations] number of confirmations to wait for, 1 by default
+   * @param {number} [timeout] time to wait, in milliseconds, no limit by default
+   * @param {Function} [onProgress] called with the status (see getStatus) each time the status
+   * or the number of confirmations changes
+   * @param {number} [pollingInterval] time between two reads of the status, in milliseconds,
+   * the polling interval of the provider by default
+   * @param {Array<object>} [abi] ABI of the contract called, to decode its events
+   * @returns {Promise<object>} Final transaction status
    */
-  async getStatus({ txHash }) {
+  async waitFor({ txHash, confirmations, timeout, onProgress, pollingInterval, abi }) {
+    const location = ERROR_LOG.location.SDK_waitFor;
+    validateStatusParams({ txHash, abi, location });
+
+    const signer = await this.getProvider();
+    return waitForTransaction(signer.provider, txHash, {
+      confirmations,
+      timeout,
+      onProgress,
+      pollingInterval,
+      abi,
+      location,
+    });
+  }
+
+  /**
+   * Speed up a pending transaction of the SDK account: the same transaction is sent again,
+   * with the same nonce and higher fees
+   * @param {string} txHash hash of the pending transaction, or of one of its replacements
+   * @param {number} [bumpPercent] increase of the fees, in percent, 10 (the minimum accepted
+   * by the nodes) by default. The current fees of the network are used when they are higher
+   * @returns {Promise<ethers.providers.TransactionResponse>} Replacement transaction
+   */
+  async speedUpTransaction({ txHash, bumpPercent }) {
+    return this.#replaceTransaction({
+      txHash,
+      bumpPercent,
+      location: ERROR_LOG.location.SDK_speedUpTransaction,
+    });
+  }
+
+  /**
+   * Cancel a pending transaction of the SDK account: a transfer of 0 to the account itself is
+   * sent with the same nonce and higher fees
+   * @param {string} txHash hash of the pending transaction, or of one of its replacements
+   * @param {number} [bumpPercent] increase of the fees, in percent, 10 by default
+   * @returns {Promise<ethers.providers.TransactionResponse>} Cancel transaction
+   */
+  async cancelTransaction({ txHash, bumpPercent }) {
+    return this.#replaceTransaction({
+      txHash,
+      bumpPercent,
+      cancel: true,
+      location: ERROR_LOG.location.SDK_cancelTransaction,
+    });
+  }
+
+  /**
+   * Find which of a transaction and its speed ups or cancels was mined
+   * @param {string} txHash hash of the transaction, or of one of its replacements
+   * @returns {Promise<object|null>} Mined transaction ({ txHash, receipt, hashes, replaced,
+   * cancelled }), null while none is mined
+   */
+  async getMinedTransaction({ txHash }) {
     if (!utils.isHexString(txHash)) {
-      throw new Error(
+      throw new ValidationError(
         errorLogger({
-          location: ERROR_LOG.location.SDK_getStatus,
+          location: ERROR_LOG.location.SDK_getMinedTransaction,
           message: ERROR_LOG.message.invalid_transaction_hash,
         }),
       );
     }
 
     const signer = await this.getProvider();
-    return signer.provider.getTransactionReceipt(txHash);
+    return getMinedTransaction(signer.provider, txHash);
+  }
+
+  async #replaceTransaction({ txHash, bumpPercent, cancel, location }) {
+    if (!utils.isHexString(txHash)) {
+      throw new ValidationError(
+        errorLogger({ location, message: ERROR_LOG.message.invalid_transaction_hash }),
+      );
+    }
+
+    const signer = await this.getProvider();
+    return replaceTransaction(signer, { txHash, bumpPercent, cancel, location });
+  }
+
+  async #getAccountNFTs({ apiPath, publicAddress, includeMetadata, cursor }) {
+    const apiUrl = `${apiPath}/accounts/${publicAddress}/assets/nfts`;
+
+    const { data } = await this.#httpClient.get(apiUrl, { cursor });
+
+    if (!includeMetadata) {
+      return {
+        ...data,
+        assets: data.assets.map(asset => {
+          const { metadata, ...rest } = asset;
+          return rest;
+        }),
+      };
+    }
+
+    return data;
+  }
+
+  // All the pages of NFTs of an account on a chain, each asset tagged with the chainId
+  async #getAllAccountNFTs({ chainId, publicAddress, includeMetadata, maxItemsPerChain }) {
+    const apiPath = `/networks/${chainId}`;
+    const nfts = paginate(
+      cursor => this.#getAccountNFTs({ apiPath, publicAddress, includeMetadata, cursor }),
+      maxItemsPerChain,
+    );
+
+    const assets = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const asset of nfts) assets.push({ ...asset, chainId });
+    return assets;
+  }
+
+  // only part of the chains of the ChainRegistry are indexed by the NFT API
+  #checkNftApi(location) {
+    if (!this.#auth.getChain().nftApi) {
+      throw new ChainNotSupportedError(
+        errorLogger({ location, message: ERROR_LOG.message.nft_api_not_supported }),
+        { chainId: this.#auth.getChainId() },
+      );
+    }
   }
 }
@@ -0,0 +1,64 @@
+/*!
+ * Copyright(c) ConsenSys Software Inc.
+ * Copyright(c) https://consensys.net/
+ * MIT Licensed
+ */
+
+import { ethers, utils } from 'ethers';
+import { ValidationError } from '../error/errors.js';
+
+/**
+ * ethers Signer delegating the signatures to a signer adapter (see SignerAdapter), so the
+ * contracts and the SDK use external signers like any wallet
+ */
+export default class ExternalSigner extends ethers.Signer {
+  #adapter;
+
+  /**
+   * @param {SignerAdapter} adapter object implementing the signer interface
+   * @param {object} [provider] provider used to populate and send the transactions
+   */
+  constructor(adapter, provider) {
+    super();
+    this.#adapter = adapter;
+    utils.defineReadOnly(this, 'provider', provider || null);
+  }
+
+  getAddress() {
+    return this.#adapter.getAddress();
+  }
+
+  async signTransaction(transaction) {
+    const tx = await utils.resolveProperties(transaction);
+    const address = await this.getAddress();
+
+    if (tx.from !== undefined && tx.from !== null) {
+      if (utils.getAddress(tx.from) !== utils.getAddress(address)) {
+        throw new ValidationError(
+          '[ExternalSigner.signTransaction] Transaction from address mismatch.',
+        );
+      }
+      delete tx.from;
+    }
+
+    return this.#adapter.signTransaction(tx);
+  }
+
+  signMessage(message) {
+    return this.#adapter.signMessage(message);
+  }
+
+  // name of the EIP-712 signature method of the ethers signers
+  // eslint-disable-next-line no-underscore-dangle
+  _signTypedData(domain, types, value) {
+    return this.#adapter.signTypedData(domain, types, value);
+  }
+
+  signTypedData(domain, types, value) {
+    return this.#adapter.signTypedData(domain, types, value);
+  }
+
+  connect(provider) {
+    return new ExternalSigner(this.#adapter, provider);
+  }
+}
@@ -0,0 +1,40 @@
+/*!
+ * Copyright(c) ConsenSys Software Inc.
+ * Copyright(c) https://consensys.net/
+ * MIT Licensed
+ */
+
+import { ethers } from 'ethers';
+import SignerAdapter from './SignerAdapter.js';
+
+/**
+ * Reference signer adapter keeping its key in memory, for tests and local development
+ */
+export default class LocalSigner extends SignerAdapter {
+  #wallet;
+
+  /**
+   * @param {string} [privateKey] private key of the account, a random one by default
+   */
+  constructor(privateKey) {
+    super();
+    this.#wallet = privateKey ? new ethers.Wallet(privateKey) : ethers.Wallet.createRandom();
+  }
+
+  async getAddress() {
+    return this.#wallet.address;
+  }
+
+  async signTransaction(transaction) {
+    return this.#wallet.signTransaction(transaction);
+  }
+
+  async signMessage(message) {
+    return this.#wallet.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    // eslint-disable-next-line no-underscore-dangle
+    return this.#wallet._signTypedData(domain, types, value);
+  }
+}
@@ -5,11 +5,12 @@
  */
 
 import { ethers } from 'ethers';
+import { ValidationError } from '../error/errors.js';
 
 export default class Signer {
   static getWallet(privateKey, provider) {
-    if (!privateKey) throw new Error('[Signer.constructor] privateKey is missing!');
-    if (!provider) throw new Error('[Signer.constructor] provider is missing!');
+    if (!privateKey) throw new ValidationError('[Signer.constructor] privateKey is missing!');
+    if (!provider) throw new ValidationError('[Signer.constructor] provider is missing!');
     return new ethers.Wallet(privateKey, provider);
   }
 }
@@ -0,0 +1,69 @@
+/*!
+ * Copyright(c) ConsenSys Software Inc.
+ * Copyright(c) https://consensys.net/
+ * MIT Licensed
+ */
+
+import { SDKError } from '../error/errors.js';
+
+export const SIGNER_METHODS = ['getAddress', 'signTransaction', 'signMessage', 'signTypedData'];
+
+const notImplemented = (adapter, method) => {
+  const location = `[${adapter.constructor.name}.${method}]`;
+  return new SDKError(`${location} ${method} should be implemented by the signer adapter.`, {
+    code: 'NOT_IMPLEMENTED',
+  });
+};
+
+/**
+ * Base class of the signers holding keys the SDK never sees (cloud KMS, HSM, custody APIs...).
+ * Adapters implement the four methods below and are given to Auth as 'signer'. Any object
+ * implementing them is accepted, extending this class is not required.
+ */
+export default class SignerAdapter {
+  /**
+   * @returns {Promise<string>} Address of the account
+   */
+  async getAddress() {
+    throw notImplemented(this, 'getAddress');
+  }
+
+  /**
+   * Sign a transaction, populated by the SDK (nonce, gas, fees, chainId) without 'from'
+   * @param {object} transaction ethers TransactionRequest
+   * @returns {Promise<string>} Serialized signed transaction (hex string)
+   */
+  async signTransaction(transaction) {
+    throw notImplemented(this, 'signTransaction');
+  }
+
+  /**
+   * Sign a message with the EIP-191 prefix ('\x19Ethereum Signed Message:\n')
+   * @param {string|Uint8Array} message
+   * @returns {Promise<string>} Signature (hex string)
+   */
+  async signMessage(message) {
+    throw notImplemented(this, 'signMessage');
+  }
+
+  /**
+   * Sign EIP-712 typed data
+   * @param {object} domain EIP-712 domain
+   * @param {object} types types of the data, without EIP712Domain
+   * @param {object} value data to sign
+   * @returns {Promise<string>} Signature (hex string)
+   */
+  async signTypedData(domain, types, value) {
+    throw notImplemented(this, 'signTypedData');
+  }
+}
+
+/**
+ * Check an object implements the signer interface
+ * @param {object} signer
+ * @returns {boolean}
+ */
+export const isSignerAdapter = signer => {
+  if (!signer) return false;
+  return SIGNER_METHODS.every(method => typeof signer[method] === 'function');
+};
@@ -0,0 +1,150 @@
+// ethers codes and node messages of the transactions sent with a nonce already used
+const NONCE_ERROR_CODES = ['NONCE_EXPIRED'];
+const NONCE_ERROR_MESSAGES = [/nonce too low/i, /nonce has already been used/i];
+
+// the node has the same signed transaction in its mempool: it was sent by a previous attempt
+const ALREADY_KNOWN_MESSAGES = [/already known/i, /known transaction/i];
+
+// another transaction with the same nonce is pending, sending it again would replace it
+const NONCE_IN_USE_CODES = ['REPLACEMENT_UNDERPRICED'];
+const NONCE_IN_USE_MESSAGES = [/replacement transaction underpriced/i];
+
+const hasMessage = (regexes, value) => {
+  if (typeof value !== 'string') return false;
+  return regexes.some(regex => regex.test(value));
+};
+
+// The error and the errors it wraps (SDK errors 'cause', ethers 'error')
+const unwrap = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 5) return [];
+  return [error, ...unwrap(error.cause, depth + 1), ...unwrap(error.error, depth + 1)];
+};
+
+const matches = (error, codes, messages) => {
+  const isMatch = ({ code, message, body }) => {
+    if (codes.includes(code)) return true;
+    return hasMessage(messages, message) || hasMessage(messages, body);
+  };
+  return unwrap(error).some(isMatch);
+};
+
+/**
+ * Check whether an error, or the errors it wraps (SDK errors 'cause', ethers 'error'), is due
+ * to a nonce already used by a mined transaction
+ * @param {Error} error error thrown while sending a transaction
+ * @returns {boolean}
+ */
+export const isNonceError = error => matches(error, NONCE_ERROR_CODES, NONCE_ERROR_MESSAGES);
+
+/**
+ * Check whether an error is due to a transaction already in the mempool of the node
+ * @param {Error} error error thrown while sending a transaction
+ * @returns {boolean}
+ */
+export const isAlreadyKnown = error => matches(error, [], ALREADY_KNOWN_MESSAGES);
+
+/**
+ * Check whether an error is due to a nonce used by another pending transaction
+ * @param {Error} error error thrown while sending a transaction
+ * @returns {boolean}
+ */
+export const isNonceInUse = error => matches(error, NONCE_IN_USE_CODES, NONCE_IN_USE_MESSAGES);
+
+/**
+ * Get the hash of the signed transaction an error was thrown for, set by ethers on the
+ * errors of the transactions signed locally
+ * @param {Error} error error thrown while sending a transaction
+ * @returns {string|null} Hash of the transaction
+ */
+export const getTransactionHash = error => {
+  const hashes = unwrap(error).map(({ transactionHash, transaction }) => {
+    if (transactionHash) return transactionHash;
+    return transaction?.hash;
+  });
+  return hashes.find(hash => typeof hash === 'string') ?? null;
+};
+
+/**
+ * Allocate the nonces of the transactions of a signer locally, so that transactions sent in
+ * parallel don't collide. The next nonce is read from the pending transactions of the node
+ * on first use and after a resync
+ */
+export default class NonceManager {
+  #signer;
+
+  #nextNonce = null;
+
+  #released = [];
+
+  #syncing = null;
+
+  /**
+   * @param {object} signer ethers signer, connected to a provider
+   */
+  constructor(signer) {
+    this.#signer = signer;
+  }
+
+  /**
+   * Allocate the next nonce, the nonces released first
+   * @returns {Promise<number>} Nonce
+   */
+  async next() {
+    if (this.#syncing || this.#nextNonce === null) await this.resync();
+
+    if (this.#released.length > 0) return this.#released.shift();
+
+    const nonce = this.#nextNonce;
+    this.#nextNonce += 1;
+    return nonce;
+  }
+
+  /**
+   * Give back a nonce allocated to a transaction that was not sent. It is allocated again
+   * before the next ones: the transactions sent with the following nonces wait for it to be
+   * used
+   * @param {number} nonce nonce allocated by next()
+   * @returns void
+   */
+  release(nonce) {
+    if (this.#nextNonce === null) return;
+
+    if (this.#nextNonce === nonce + 1) {
+      this.#nextNonce = nonce;
+      return;
+    }
+    if (nonce < this.#nextNonce && !this.#released.includes(nonce)) {
+      this.#released = [...this.#released, nonce].sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Forget the allocated nonces, the next one is read from the node on next use
+   * @returns void
+   */
+  reset() {
+    this.#nextNonce = null;
+    this.#released = [];
+  }
+
+  /**
+   * Read the next nonce from the pending transactions of the node, after a 'nonce too low'
+   * error or transactions sent outside of the manager
+   * @returns {Promise<number>} Next nonce
+   */
+  async resync() {
+    if (!this.#syncing) {
+      this.#syncing = this.#signer
+        .getTransactionCount('pending')
+        .then(count => {
+          this.#nextNonce = count;
+          this.#released = [];
+          return count;
+        })
+        .finally(() => {
+          this.#syncing = null;
+        });
+    }
+    return this.#syncing;
+  }
+}
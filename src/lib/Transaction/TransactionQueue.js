@@ -0,0 +1,273 @@
+import NonceManager, {
+  getTransactionHash,
+  isAlreadyKnown,
+  isNonceError,
+  isNonceInUse,
+} from './NonceManager.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+import { isPositiveInteger } from '../utils.js';
+
+// queues of the signers being used, by chain and address: a queue is removed once drained
+const queues = new Map();
+
+const validateOptions = ({ concurrency, maxRetries }, location) => {
+  if (concurrency !== undefined && !isPositiveInteger(concurrency)) {
+    throw new ValidationError(
+      errorLogger({ location, message: ERROR_LOG.message.invalid_concurrency }),
+    );
+  }
+
+  if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+    throw new ValidationError(
+      errorLogger({ location, message: ERROR_LOG.message.invalid_max_retries }),
+    );
+  }
+};
+
+// public view of a queue item
+const formatItem = ({ id, label, status, nonce, attempts, error, hash }) => ({
+  id,
+  label,
+  status,
+  nonce,
+  attempts,
+  ...(error && { error }),
+  ...(hash && { hash }),
+});
+
+/**
+ * Ordered queue of the transactions of a signer. The nonces are allocated by the queue,
+ * in the order the transactions were added, and up to 'concurrency' transactions are sent
+ * at the same time. Transactions rejected with a 'nonce too low' error are sent again with
+ * a nonce read from the node. Transactions the node already has in its mempool are never
+ * sent again: they resolve with the pending transaction.
+ * The queues shared by forSigner are forgotten once drained, the next one reading its nonces
+ * from the node again, and registered again when a transaction is added to them.
+ */
+export default class TransactionQueue {
+  #provider;
+
+  #nonceManager;
+
+  #concurrency;
+
+  #maxRetries;
+
+  #queued = [];
+
+  #sending = new Set();
+
+  #failed = [];
+
+  #idle = [];
+
+  #nextId = 1;
+
+  #key = null;
+
+  /**
+   * @param {object} signer ethers signer sending the transactions
+   * @param {object} [options]
+   * @param {number} [options.concurrency=1] number of transactions sent at the same time
+   * @param {number} [options.maxRetries=3] number of resyncs of the nonce of a transaction
+   * rejected with a 'nonce too low' error
+   */
+  constructor(signer, { concurrency = 1, maxRetries = 3 } = {}) {
+    validateOptions({ concurrency, maxRetries }, ERROR_LOG.location.TransactionQueue_constructor);
+
+    this.#provider = signer.provider;
+    this.#nonceManager = new NonceManager(signer);
+    this.#concurrency = concurrency;
+    this.#maxRetries = maxRetries;
+  }
+
+  /**
+   * Get the queue of a signer, shared by all the callers using the same account on the same
+   * chain. The options update the concurrency and retries of an existing queue
+   * @param {object} signer ethers signer sending the transactions
+   * @param {object} [options] concurrency and maxRetries
+   * @returns {Promise<TransactionQueue>}
+   */
+  static async forSigner(signer, options = {}) {
+    const [chainId, address] = await Promise.all([signer.getChainId(), signer.getAddress()]);
+    const key = `${chainId}:${address.toLowerCase()}`;
+
+    if (!queues.has(key)) {
+      const queue = new TransactionQueue(signer, options);
+      queue.#key = key;
+      queues.set(key, queue);
+      return queue;
+    }
+
+    const queue = queues.get(key);
+    queue.setOptions(options);
+    return queue;
+  }
+
+  /**
+   * Update the concurrency and retries of the queue
+   * @param {number} [concurrency] number of transactions sent at the same time
+   * @param {number} [maxRetries] number of resyncs of the nonce of a transaction
+   * @returns void
+   */
+  setOptions({ concurrency, maxRetries } = {}) {
+    validateOptions({ concurrency, maxRetries }, ERROR_LOG.location.TransactionQueue_setOptions);
+
+    if (concurrency !== undefined) this.#concurrency = concurrency;
+    if (maxRetries !== undefined) this.#maxRetries = maxRetries;
+    this.#sendNext();
+  }
+
+  /**
+   * Add a transaction to the queue
+   * @param {Function} send sends the transaction with the txOptions it receives ({ nonce }),
+   * ie: txOptions => contract.mint({ publicAddress, tokenURI, txOptions })
+   * @param {object} [options]
+   * @param {string} [options.label] label of the transaction, listed with the pending and
+   * failed transactions
+   * @returns {Promise<ethers.providers.TransactionResponse>} Transaction, once sent
+   */
+  add(send, { label } = {}) {
+    if (typeof send !== 'function') {
+      throw new ValidationError(
+        errorLogger({
+          location: ERROR_LOG.location.TransactionQueue_add,
+          message: ERROR_LOG.message.invalid_send_function,
+        }),
+      );
+    }
+
+    // shared again by forSigner while it has transactions, unless replaced once drained
+    if (this.#key && !queues.has(this.#key)) queues.set(this.#key, this);
+
+    return new Promise((resolve, reject) => {
+      const id = this.#nextId;
+      this.#nextId += 1;
+      this.#queued.push({ id, label, send, status: 'queued', attempts: 0, resolve, reject });
+      this.#sendNext();
+    });
+  }
+
+  /**
+   * List the transactions queued or being sent, in the order they will be sent
+   * @returns {Array<object>} Transactions ({ id, label, status, nonce, attempts })
+   */
+  getPending() {
+    return [...this.#sending, ...this.#queued].map(formatItem);
+  }
+
+  /**
+   * List the transactions that could not be sent, with their error
+   * @returns {Array<object>} Transactions ({ id, label, status, nonce, attempts, error }), with
+   * the hash of those already pending in the node that could not be read
+   */
+  getFailed() {
+    return this.#failed.map(formatItem);
+  }
+
+  /**
+   * Forget the failed transactions
+   * @returns void
+   */
+  clearFailed() {
+    this.#failed = [];
+  }
+
+  /**
+   * Wait for all the transactions of the queue to be sent or to fail
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.#isIdle()) return Promise.resolve();
+    return new Promise(resolve => {
+      this.#idle.push(resolve);
+    });
+  }
+
+  #isIdle() {
+    return this.#queued.length === 0 && this.#sending.size === 0;
+  }
+
+  #sendNext() {
+    while (this.#sending.size < this.#concurrency && this.#queued.length > 0) {
+      const item = this.#queued.shift();
+      this.#sending.add(item);
+      this.#send(item);
+    }
+
+    if (this.#isIdle()) {
+      this.#idle.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  async #send(item) {
+    Object.assign(item, { status: 'sending', nonce: undefined, attempts: item.attempts + 1 });
+
+    try {
+      const nonce = await this.#nonceManager.next();
+      Object.assign(item, { nonce });
+      const tx = await item.send({ nonce });
+      this.#sending.delete(item);
+      item.resolve(tx);
+    } catch (error) {
+      this.#sending.delete(item);
+      await this.#handleError(item, error);
+    }
+    this.#sendNext();
+
+    // drained: forgotten by forSigner, so that the queues of the signers no longer used are freed
+    if (this.#isIdle() && queues.get(this.#key) === this) queues.delete(this.#key);
+  }
+
+  async #handleError(item, error) {
+    if (isAlreadyKnown(error)) {
+      // sent by a previous attempt: its nonce is used, sending it again would mint twice
+      const hash = getTransactionHash(error);
+      const tx = hash ? await this.#getTransaction(hash) : null;
+      if (tx) {
+        item.resolve(tx);
+        return;
+      }
+      this.#fail(item, error, hash);
+      return;
+    }
+
+    // the nonce is used by another pending transaction, read again for the next ones
+    if (isNonceInUse(error)) {
+      this.#nonceManager.reset();
+      this.#fail(item, error);
+      return;
+    }
+
+    const nonceError = isNonceError(error);
+
+    if (nonceError && item.attempts <= this.#maxRetries) {
+      // sent again first, with a nonce read from the node, keeping the order of the queue
+      Object.assign(item, { status: 'queued' });
+      this.#nonceManager.reset();
+      this.#queued.unshift(item);
+      return;
+    }
+
+    // the nonce of a transaction that was not sent is used by the next one, filling the gap
+    // before the nonces of the transactions already sent
+    if (!nonceError && item.nonce !== undefined) this.#nonceManager.release(item.nonce);
+
+    this.#fail(item, error);
+  }
+
+  #fail(item, error, hash = null) {
+    Object.assign(item, { status: 'failed', error, hash });
+    this.#failed.push(item);
+    item.reject(error);
+  }
+
+  async #getTransaction(hash) {
+    try {
+      return await this.#provider.getTransaction(hash);
+    } catch {
+      return null;
+    }
+  }
+}
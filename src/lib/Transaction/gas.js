@@ -0,0 +1,115 @@
+import { isQuantity } from '../utils.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+
+// percentage of the priority fee (EIP-1559) or of the gas price (legacy chains)
+// suggested by the node
+export const FEE_STRATEGIES = Object.freeze({ slow: 80, standard: 100, fast: 150 });
+
+export const DEFAULT_GAS_LIMIT_MULTIPLIER = 1.2;
+
+const FEE_KEYS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+const isValidFeeStrategy = feeStrategy => {
+  if (typeof feeStrategy === 'string') return feeStrategy in FEE_STRATEGIES;
+  if (!feeStrategy || typeof feeStrategy !== 'object') return false;
+
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, ...others } = feeStrategy;
+  if (Object.keys(others).length > 0) return false;
+  if (gasPrice !== undefined) {
+    return isQuantity(gasPrice) && maxFeePerGas === undefined && maxPriorityFeePerGas === undefined;
+  }
+  return isQuantity(maxFeePerGas) && isQuantity(maxPriorityFeePerGas);
+};
+
+const invalid = (location, message) => {
+  const log = errorLogger({ location, message: ERROR_LOG.message[message] });
+  return new ValidationError(log);
+};
+
+/**
+ * Validate gas options, either those of the SDK or those of a single call
+ * @param {object} [gasOptions] gas options ({ feeStrategy, gasLimitMultiplier, gasLimit })
+ * @param {string} location location of the caller, prefix of the error messages
+ * @returns void
+ */
+export const validateGasOptions = (gasOptions, location) => {
+  if (gasOptions === undefined) return;
+
+  if (!gasOptions || typeof gasOptions !== 'object') {
+    throw invalid(location, 'invalid_gas_options');
+  }
+
+  const { feeStrategy, gasLimitMultiplier, gasLimit } = gasOptions;
+
+  if (feeStrategy !== undefined && !isValidFeeStrategy(feeStrategy)) {
+    throw invalid(location, 'invalid_fee_strategy');
+  }
+
+  const isValidMultiplier = Number.isFinite(gasLimitMultiplier) && gasLimitMultiplier >= 1;
+  if (gasLimitMultiplier !== undefined && !isValidMultiplier) {
+    throw invalid(location, 'invalid_gas_limit_multiplier');
+  }
+
+  if (gasLimit !== undefined && (!isQuantity(gasLimit) || Number(gasLimit) === 0)) {
+    throw invalid(location, 'invalid_gas_limit');
+  }
+};
+
+/**
+ * Get the fees of a transaction for a fee strategy. Without strategy, the fees are left to
+ * the node, as ethers does
+ * @param {object} provider provider of the chain
+ * @param {string|object} [feeStrategy] 'slow', 'standard', 'fast', explicit EIP-1559 fees
+ * ({ maxFeePerGas, maxPriorityFeePerGas }) or legacy gas price ({ gasPrice })
+ * @returns {Promise<object>} Fee overrides of the transaction
+ */
+export const getFeeOverrides = async (provider, feeStrategy) => {
+  if (!feeStrategy) return {};
+  if (typeof feeStrategy === 'object') return { ...feeStrategy };
+
+  const percent = FEE_STRATEGIES[feeStrategy];
+  const { lastBaseFeePerGas, maxPriorityFeePerGas, gasPrice } = await provider.getFeeData();
+
+  // chains without EIP-1559
+  if (!lastBaseFeePerGas) {
+    return { gasPrice: gasPrice.mul(percent).div(100) };
+  }
+
+  const priorityFee = maxPriorityFeePerGas.mul(percent).div(100);
+  return {
+    maxFeePerGas: lastBaseFeePerGas.mul(2).add(priorityFee),
+    maxPriorityFeePerGas: priorityFee,
+  };
+};
+
+/**
+ * Build the overrides of a transaction: the fees of the fee strategy and its gas limit,
+ * estimated then raised by the safety multiplier. Fees and gas limit set in the overrides
+ * of the call (txOptions) are kept as they are
+ * @param {object} provider provider of the chain
+ * @param {Function} estimateGas estimates the gas of the transaction, given its overrides
+ * @param {object} [gasOptions] gas options ({ feeStrategy, gasLimitMultiplier, gasLimit })
+ * @param {object} [overrides] overrides of the call (nonce, value, fees...)
+ * @returns {Promise<object>} Overrides of the transaction ({ gasLimit, ...fees, ...overrides })
+ */
+export const buildGasOverrides = async ({
+  provider,
+  estimateGas,
+  gasOptions = {},
+  overrides = {},
+}) => {
+  const { feeStrategy, gasLimitMultiplier = DEFAULT_GAS_LIMIT_MULTIPLIER } = gasOptions;
+  const gasLimit = overrides.gasLimit ?? gasOptions.gasLimit;
+
+  const hasFees = FEE_KEYS.some(key => overrides[key] !== undefined);
+  const fees = hasFees ? {} : await getFeeOverrides(provider, feeStrategy);
+  const transaction = { ...fees, ...overrides };
+  if (gasLimit !== undefined) return { ...transaction, gasLimit };
+
+  const estimate = await estimateGas(transaction);
+  return {
+    ...transaction,
+    gasLimit: estimate.mul(Math.round(gasLimitMultiplier * 100)).div(100),
+  };
+};
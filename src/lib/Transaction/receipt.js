@@ -0,0 +1,35 @@
+import { constants } from 'ethers';
+
+/**
+ * Wait for the receipt of a transaction, or of the transaction that replaced it with the same
+ * call and higher fees (repriced)
+ * @param {object} tx transaction response
+ * @param {number} confirmations confirmations of the block of the transaction
+ * @returns {Promise<object>} Receipt of the transaction
+ */
+export const waitReceipt = async (tx, confirmations) => {
+  try {
+    return await tx.wait(confirmations);
+  } catch (error) {
+    const repriced = error?.code === 'TRANSACTION_REPLACED' && !error.cancelled;
+    if (repriced && error.receipt?.status === 1) return error.receipt;
+    throw error;
+  }
+};
+
+/**
+ * Get the transfer events of a contract minting tokens (transfers from the zero address),
+ * in the logs of a receipt
+ * @param {object} receipt receipt of the transaction
+ * @param {object} contract
+ * @param {string} contract.address address of the contract
+ * @param {object} contract.contractInterface ethers interface of the contract
+ * @param {Array<string>} contract.events names of the transfer events of the contract
+ * @returns {Array<object>} Parsed events, in the order of the logs
+ */
+export const getMintEvents = (receipt, { address, contractInterface, events }) => {
+  const logs = receipt.logs.filter(log => log.address.toLowerCase() === address.toLowerCase());
+  return logs
+    .map(log => contractInterface.parseLog(log))
+    .filter(event => events.includes(event.name) && event.args.from === constants.AddressZero);
+};
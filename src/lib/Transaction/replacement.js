@@ -0,0 +1,149 @@
+import { BigNumber } from 'ethers';
+import { errorLogger, ERROR_LOG, contractErrorHandler } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+
+// minimum increase of the fees, in percent, for the nodes to accept a transaction replacing a
+// pending one with the same nonce (txpool price bump of geth, besu, nethermind...)
+export const MIN_FEE_BUMP_PERCENT = 10;
+
+// gas of a transfer to an account, without data
+const CANCEL_GAS_LIMIT = 21000;
+
+// hashes sent for the nonce of a pending transaction, by hash of each of them, until the one
+// mined is waited for to its final status
+const replacements = new Map();
+
+const invalid = (location, message, options) => {
+  const log = errorLogger({ location, message: ERROR_LOG.message[message], options });
+  return new ValidationError(log);
+};
+
+// rounded up, the nodes reject a fee 1 wei below the bump
+const bump = (fee, percent) => {
+  const bumped = BigNumber.from(fee).mul(100 + percent);
+  return bumped.add(99).div(100);
+};
+
+const max = (a, b) => (b && b.gt(a) ? b : a);
+
+const track = (tx, replacement, cancel) => {
+  const record = replacements.get(tx.hash) ?? {
+    from: tx.from,
+    nonce: tx.nonce,
+    hashes: [tx.hash],
+    cancelled: [],
+  };
+
+  record.hashes.push(replacement.hash);
+  if (cancel) record.cancelled.push(replacement.hash);
+  record.hashes.forEach(hash => replacements.set(hash, record));
+};
+
+/**
+ * Compute the fees of a transaction replacing a pending one: its fees raised by bumpPercent,
+ * or the current fees of the network when they are higher. EIP-1559 transactions raise both
+ * maxFeePerGas and maxPriorityFeePerGas, legacy ones their gasPrice
+ * @param {object} provider provider of the chain
+ * @param {object} tx pending transaction
+ * @param {number} [bumpPercent=10] increase of the fees, in percent
+ * @returns {Promise<object>} Fees of the replacement ({ type, maxFeePerGas,
+ * maxPriorityFeePerGas } or { type, gasPrice })
+ */
+export const bumpFees = async (provider, tx, bumpPercent = MIN_FEE_BUMP_PERCENT) => {
+  const feeData = await provider.getFeeData();
+
+  if (tx.type === 2) {
+    const maxPriorityFeePerGas = max(
+      bump(tx.maxPriorityFeePerGas, bumpPercent),
+      feeData.maxPriorityFeePerGas,
+    );
+    const maxFeePerGas = max(bump(tx.maxFeePerGas, bumpPercent), feeData.maxFeePerGas);
+    return {
+      type: 2,
+      maxFeePerGas: max(maxFeePerGas, maxPriorityFeePerGas),
+      maxPriorityFeePerGas,
+    };
+  }
+
+  return { type: tx.type ?? 0, gasPrice: max(bump(tx.gasPrice, bumpPercent), feeData.gasPrice) };
+};
+
+/**
+ * Replace a pending transaction of the signer with a transaction using the same nonce and
+ * higher fees: the same call (speed up) or a transfer of 0 to the signer itself (cancel)
+ * @param {object} signer ethers signer that sent the pending transaction
+ * @param {object} options
+ * @param {string} options.txHash hash of the pending transaction, or of one of its replacements
+ * @param {boolean} [options.cancel=false] whether to cancel the transaction
+ * @param {number} [options.bumpPercent=10] increase of the fees, in percent, 10 at least
+ * @param {string} options.location location of the caller, prefix of the error messages
+ * @returns {Promise<ethers.providers.TransactionResponse>} Replacement transaction
+ */
+export const replaceTransaction = async (
+  signer,
+  { txHash, cancel = false, bumpPercent = MIN_FEE_BUMP_PERCENT, location },
+) => {
+  const isValidBump = Number.isInteger(bumpPercent) && bumpPercent >= MIN_FEE_BUMP_PERCENT;
+  if (!isValidBump) throw invalid(location, 'invalid_bump_percent');
+
+  const { provider } = signer;
+  const [tx, address] = await Promise.all([provider.getTransaction(txHash), signer.getAddress()]);
+
+  if (!tx) throw invalid(location, 'transaction_not_found', txHash);
+  if (tx.blockNumber) throw invalid(location, 'transaction_already_mined', txHash);
+  if (tx.from.toLowerCase() !== address.toLowerCase()) {
+    throw invalid(location, 'transaction_not_sent_by_signer', txHash);
+  }
+
+  // the access list of the call would cost more gas than the limit of a transfer
+  const call = cancel
+    ? { to: address, value: 0, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+    : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+  if (!cancel && tx.type) call.accessList = tx.accessList;
+
+  try {
+    const fees = await bumpFees(provider, tx, bumpPercent);
+    const replacement = await signer.sendTransaction({
+      ...call,
+      ...fees,
+      nonce: tx.nonce,
+      chainId: tx.chainId,
+    });
+    track(tx, replacement, cancel);
+    return replacement;
+  } catch (error) {
+    throw contractErrorHandler(error, location);
+  }
+};
+
+/**
+ * Find which of a transaction and its replacements sent through replaceTransaction was mined
+ * @param {object} provider provider of the chain
+ * @param {string} txHash hash of the transaction, or of one of its replacements
+ * @returns {Promise<object|null>} Mined transaction ({ txHash, receipt, hashes, replaced,
+ * cancelled }), null while none is mined
+ */
+export const getMinedTransaction = async (provider, txHash) => {
+  const record = replacements.get(txHash);
+  const hashes = record ? [...record.hashes] : [txHash];
+
+  const receipts = await Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash)));
+  const receipt = receipts.find(Boolean);
+  if (!receipt) return null;
+
+  return {
+    txHash: receipt.transactionHash,
+    receipt,
+    hashes,
+    replaced: receipt.transactionHash !== txHash,
+    cancelled: !!record?.cancelled.includes(receipt.transactionHash),
+  };
+};
+
+/**
+ * Forget the replacements of a transaction, once the one mined reached its final status
+ * @param {string} txHash hash of the transaction, or of one of its replacements
+ */
+export const forgetReplacements = txHash => {
+  replacements.get(txHash)?.hashes.forEach(hash => replacements.delete(hash));
+};
@@ -0,0 +1,322 @@
+import { utils } from 'ethers';
+import TemplateRegistry from '../NFT/templateRegistry.js';
+import { forgetReplacements, getMinedTransaction } from './replacement.js';
+import { sleep } from '../../services/tokenBucket.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { NetworkError, ValidationError } from '../error/errors.js';
+import { formatArgs, isPositiveInteger } from '../utils.js';
+
+export const TX_STATUS = Object.freeze({
+  pending: 'pending',
+  mined: 'mined',
+  failed: 'failed',
+  dropped: 'dropped',
+  replaced: 'replaced',
+});
+
+const DEFAULT_POLLING_INTERVAL = 4000;
+
+// errors of the node read again on next poll: network failures, timeouts, 429 and 5xx answers
+const TRANSIENT_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'];
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+// ethers interfaces of the ABIs used to decode the logs, by ABI
+const interfaces = new WeakMap();
+
+const getInterface = abi => {
+  if (!interfaces.has(abi)) interfaces.set(abi, new utils.Interface(abi));
+  return interfaces.get(abi);
+};
+
+const parseLog = (abis, log) => {
+  const found = abis.reduce((parsed, abi) => {
+    if (parsed) return parsed;
+    try {
+      return getInterface(abi).parseLog(log);
+    } catch {
+      return null;
+    }
+  }, null);
+
+  const { address, blockNumber, transactionHash, logIndex } = log;
+  if (!found) {
+    const { topics, data } = log;
+    return {
+      event: null,
+      signature: null,
+      args: null,
+      address,
+      blockNumber,
+      transactionHash,
+      logIndex,
+      topics,
+      data,
+    };
+  }
+
+  return {
+    event: found.name,
+    signature: found.signature,
+    args: formatArgs(found.eventFragment.inputs, found.args),
+    address,
+    blockNumber,
+    transactionHash,
+    logIndex,
+  };
+};
+
+/**
+ * Decode the logs of a receipt with the ABI given and those of the registered templates.
+ * The logs no ABI declares are returned undecoded, with a null 'event'
+ * @param {Array<object>} logs logs of the receipt
+ * @param {Array<object>} [abi] ABI of the contract called, tried first
+ * @returns {Array<object>} Events ({ event, signature, args, address, blockNumber,
+ * transactionHash, logIndex })
+ */
+export const decodeLogs = (logs, abi) => {
+  const templateAbis = TemplateRegistry.list().map(name => TemplateRegistry.get(name).abi);
+  const abis = abi ? [abi, ...templateAbis] : templateAbis;
+  return logs.map(log => parseLog(abis, log));
+};
+
+const emptyStatus = (txHash, status) => ({
+  txHash,
+  status,
+  confirmations: 0,
+  blockNumber: null,
+  gasUsed: null,
+  effectiveGasPrice: null,
+  fee: null,
+  events: [],
+  receipt: null,
+  replacedBy: null,
+  cancelled: false,
+});
+
+const minedStatus = async (provider, receipt, abi) => {
+  const { transactionHash, blockNumber, gasUsed } = receipt;
+
+  // nodes without EIP-1559 may not return the effective gas price
+  let { effectiveGasPrice } = receipt;
+  if (!effectiveGasPrice) {
+    ({ gasPrice: effectiveGasPrice } = await provider.getTransaction(transactionHash));
+  }
+  // the confirmations of the ethers receipts are computed from a cached block number
+  const confirmations = (await provider.getBlockNumber()) - blockNumber + 1;
+
+  return {
+    ...emptyStatus(transactionHash, receipt.status === 0 ? TX_STATUS.failed : TX_STATUS.mined),
+    confirmations,
+    blockNumber,
+    gasUsed,
+    effectiveGasPrice,
+    fee: gasUsed.mul(effectiveGasPrice),
+    events: decodeLogs(receipt.logs, abi),
+    receipt,
+  };
+};
+
+// Status of a transaction, with its sender ({ from, nonce }) when known: the sender of a
+// transaction replaced then removed from the mempool is needed to tell it from a dropped one
+const readStatus = async (provider, txHash, { abi, sender }) => {
+  const mined = await getMinedTransaction(provider, txHash);
+
+  if (mined && !mined.replaced) return { status: await minedStatus(provider, mined.receipt, abi) };
+
+  if (mined) {
+    const { confirmations } = await minedStatus(provider, mined.receipt, abi);
+    const status = {
+      ...emptyStatus(txHash, TX_STATUS.replaced),
+      confirmations,
+      replacedBy: mined.txHash,
+      cancelled: mined.cancelled,
+    };
+    return { status };
+  }
+
+  // still known to the node: in the mempool, or mined since its receipt was read and found on
+  // next call. Its nonce may already be used when it was mined in between
+  const tx = await provider.getTransaction(txHash);
+  if (tx) {
+    const status = emptyStatus(txHash, TX_STATUS.pending);
+    return { status, sender: { from: tx.from, nonce: tx.nonce } };
+  }
+  if (!sender) return { status: emptyStatus(txHash, TX_STATUS.dropped) };
+
+  const transactionCount = await provider.getTransactionCount(sender.from, 'latest');
+  const status = emptyStatus(
+    txHash,
+    transactionCount > sender.nonce ? TX_STATUS.replaced : TX_STATUS.dropped,
+  );
+  return { status, sender };
+};
+
+/**
+ * Get the status of a transaction:
+ * - 'pending': known to the node, waiting in the mempool
+ * - 'mined': mined and successful, with its confirmations, gas used, fee and decoded events
+ * - 'failed': mined and reverted
+ * - 'replaced': its nonce was used by another transaction, a speed up or cancel of the SDK
+ * ('replacedBy', 'cancelled') or a transaction sent outside of the SDK ('replacedBy' null)
+ * - 'dropped': unknown to the node
+ * A transaction replaced outside of the SDK is removed from the mempool of the node: once it
+ * is unknown, its sender and nonce tell it from a dropped one
+ * @param {object} provider provider of the chain
+ * @param {string} txHash hash of the transaction
+ * @param {object} [options]
+ * @param {Array<object>} [options.abi] ABI decoding the events, along with the templates ones
+ * @param {string} [options.from] sender of the transaction
+ * @param {number} [options.nonce] nonce of the transaction
+ * @returns {Promise<object>} Status ({ txHash, status, confirmations, blockNumber, gasUsed,
+ * effectiveGasPrice, fee, events, receipt, replacedBy, cancelled })
+ */
+export const getTransactionStatus = async (provider, txHash, { abi, from, nonce } = {}) => {
+  const sender = from !== undefined && nonce !== undefined ? { from, nonce } : null;
+  const { status } = await readStatus(provider, txHash, { abi, sender });
+  return status;
+};
+
+const invalid = (location, message) => {
+  const log = errorLogger({ location, message: ERROR_LOG.message[message] });
+  return new ValidationError(log);
+};
+
+const validateWaitOptions = ({ confirmations, timeout, onProgress, pollingInterval }, location) => {
+  if (!isPositiveInteger(confirmations)) throw invalid(location, 'invalid_confirmations');
+
+  const isValidTimeout = Number.isFinite(timeout) && timeout > 0;
+  if (timeout !== undefined && !isValidTimeout) throw invalid(location, 'invalid_timeout');
+
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    throw invalid(location, 'invalid_progress_callback');
+  }
+
+  if (!isPositiveInteger(pollingInterval)) throw invalid(location, 'invalid_polling_interval');
+};
+
+const hasChanged = (previous, status) => {
+  if (!previous) return true;
+  return previous.status !== status.status || previous.confirmations !== status.confirmations;
+};
+
+const notifyProgress = (onProgress, previous, status) => {
+  if (onProgress && hasChanged(previous, status)) onProgress(status);
+};
+
+// the confirmations of the transactions replaced outside of the SDK are unknown
+const isFinal = (status, confirmations, seen) => {
+  if (status.status === TX_STATUS.pending) return false;
+  if (status.status === TX_STATUS.dropped) return seen;
+  if (status.status === TX_STATUS.replaced && !status.replacedBy) return true;
+  return status.confirmations >= confirmations;
+};
+
+// ethers sets the HTTP status of the failed requests, the other errors are not transient
+const isTransient = error => {
+  if (!TRANSIENT_ERROR_CODES.includes(error?.code)) return false;
+  const { status } = error;
+  return status === undefined || status === 429 || status >= 500;
+};
+
+const statusError = (txHash, cause, location) => {
+  const log = errorLogger({
+    location,
+    message: ERROR_LOG.message.transaction_status_error,
+    options: txHash,
+  });
+  return new NetworkError(log, { cause });
+};
+
+// the transient errors are read again on next poll, up to MAX_CONSECUTIVE_ERRORS in a row
+const tryReadStatus = async (provider, txHash, { errors, location, ...options }) => {
+  try {
+    return { read: await readStatus(provider, txHash, options) };
+  } catch (error) {
+    if (!isTransient(error) || errors + 1 >= MAX_CONSECUTIVE_ERRORS) {
+      throw statusError(txHash, error, location);
+    }
+    return { error };
+  }
+};
+
+const timeoutError = (txHash, cause, location) => {
+  const log = errorLogger({
+    location,
+    message: ERROR_LOG.message.transaction_timeout,
+    options: txHash,
+  });
+  return new NetworkError(log, { code: 'TIMEOUT', ...(cause && { cause }) });
+};
+
+/**
+ * Wait for a transaction to be mined with a number of confirmations, or to fail or be
+ * replaced with as many confirmations. A transaction seen pending then unknown to the node
+ * is dropped; one never seen is waited for until the timeout, as the node may not know it yet.
+ * The network errors, timeouts, 429 and 5xx answers of the node are retried on next poll, until
+ * the timeout or 5 errors in a row; the other errors are thrown. The speed ups and cancels of
+ * the transaction are forgotten once its final status is returned
+ * @param {object} provider provider of the chain
+ * @param {string} txHash hash of the transaction
+ * @param {object} options
+ * @param {number} [options.confirmations=1] number of confirmations to wait for
+ * @param {number} [options.timeout] time to wait, in milliseconds, no limit by default
+ * @param {Function} [options.onProgress] called with the status each time it changes (status
+ * or number of confirmations)
+ * @param {number} [options.pollingInterval] time between two reads of the status, in
+ * milliseconds, the polling interval of the provider by default
+ * @param {Array<object>} [options.abi] ABI decoding the events, along with the templates ones
+ * @param {string} options.location location of the caller, prefix of the error messages
+ * @returns {Promise<object>} Final status (see getTransactionStatus)
+ */
+export const waitForTransaction = async (
+  provider,
+  txHash,
+  {
+    confirmations = 1,
+    timeout,
+    onProgress,
+    pollingInterval = provider.pollingInterval ?? DEFAULT_POLLING_INTERVAL,
+    abi,
+    location,
+  },
+) => {
+  validateWaitOptions({ confirmations, timeout, onProgress, pollingInterval }, location);
+
+  const deadline = timeout === undefined ? Infinity : Date.now() + timeout;
+  let previous = null;
+  let seen = false;
+  let sender = null;
+  let lastError = null;
+  let errors = 0;
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const { read, error } = await tryReadStatus(provider, txHash, {
+      abi,
+      sender,
+      errors,
+      location,
+    });
+    lastError = error ?? lastError;
+    errors = error ? errors + 1 : 0;
+
+    if (read) {
+      const { status } = read;
+      sender = read.sender ?? sender;
+      notifyProgress(onProgress, previous, status);
+      previous = status;
+
+      if (isFinal(status, confirmations, seen)) {
+        forgetReplacements(txHash);
+        return status;
+      }
+      seen = seen || status.status === TX_STATUS.pending;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw timeoutError(txHash, lastError, location);
+
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(Math.min(pollingInterval, remaining));
+  }
+};
@@ -0,0 +1,57 @@
+import { isBoolean, isQuantity } from '../utils.js';
+import { errorLogger, ERROR_LOG } from '../error/handler.js';
+import { ValidationError } from '../error/errors.js';
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// ethers overrides accepted in txOptions, with their validation
+const TX_OPTIONS = {
+  nonce: value => Number.isSafeInteger(value) && value >= 0,
+  value: isQuantity,
+  gasLimit: value => isQuantity(value) && Number(value) > 0,
+  gasPrice: isQuantity,
+  maxFeePerGas: isQuantity,
+  maxPriorityFeePerGas: isQuantity,
+  type: value => [0, 1, 2].includes(value),
+  accessList: value => Array.isArray(value) || isObject(value),
+  customData: isObject,
+  ccipReadEnabled: isBoolean,
+};
+
+const invalid = (location, message, options) => {
+  const log = errorLogger({ location, message: ERROR_LOG.message[message], options });
+  return new ValidationError(log);
+};
+
+/**
+ * Validate the ethers overrides of a call (txOptions): nonce, value, gasLimit, gasPrice,
+ * maxFeePerGas, maxPriorityFeePerGas, type, accessList, customData and ccipReadEnabled
+ * @param {object} [txOptions] overrides of the call
+ * @param {string} location location of the caller, prefix of the error messages
+ * @returns void
+ */
+const validateTxOptions = (txOptions, location) => {
+  if (txOptions === undefined) return;
+
+  if (!isObject(txOptions)) {
+    throw invalid(location, 'invalid_tx_options');
+  }
+
+  Object.entries(txOptions).forEach(([key, value]) => {
+    if (!(key in TX_OPTIONS)) {
+      throw invalid(location, 'unknown_tx_option', key);
+    }
+
+    if (value !== undefined && !TX_OPTIONS[key](value)) {
+      throw invalid(location, 'invalid_tx_option', key);
+    }
+  });
+
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = txOptions;
+  const hasEip1559Fees = maxFeePerGas !== undefined || maxPriorityFeePerGas !== undefined;
+  if (gasPrice !== undefined && hasEip1559Fees) {
+    throw invalid(location, 'gasPrice_with_eip1559_fees');
+  }
+};
+
+export default validateTxOptions;
@@ -0,0 +1,66 @@
+/* eslint-disable max-classes-per-file */
+
+// First '[Class.method]' tag of a message, the '[NETWORK.ERROR]' like type tags are skipped
+const LOCATION_TAG = /\[[A-Za-z0-9]+\.(?![A-Z]+\])[A-Za-z0-9#]+\]/;
+
+/**
+ * Base class of the errors thrown by the SDK
+ * @param {string} message error message
+ * @param {object} [details]
+ * @param {string} [details.code] machine readable code of the error
+ * @param {string} [details.location] '[Class.method]' where the error was thrown, read from
+ * the message when not provided
+ * @param {Error} [details.cause] error that caused this one
+ */
+export class SDKError extends Error {
+  constructor(message, { code = 'SDK_ERROR', location, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.location = location || message.match(LOCATION_TAG)?.[0] || null;
+    this.cause = cause;
+    // error thrown by ethers, axios, ... at the origin of the chain of causes
+    this.originalError = cause instanceof SDKError ? cause.originalError : cause;
+  }
+}
+
+/** Invalid parameters given to a method */
+export class ValidationError extends SDKError {
+  constructor(message, { code = 'INVALID_ARGUMENT', ...details } = {}) {
+    super(message, { code, ...details });
+  }
+}
+
+/** Chain not supported by the SDK or the NFT API */
+export class ChainNotSupportedError extends ValidationError {
+  constructor(message, { chainId, code = 'CHAIN_NOT_SUPPORTED', ...details } = {}) {
+    super(message, { code, ...details });
+    this.chainId = chainId;
+  }
+}
+
+/**
+ * Contract not deployed or loaded, transaction reverted or refused by the contract. 'revert'
+ * is the decoded revert reason or custom error ({ name, signature, args, reason }) when known
+ */
+export class ContractError extends SDKError {
+  constructor(message, { code = 'CONTRACT_ERROR', revert = null, ...details } = {}) {
+    super(message, { code, ...details });
+    this.revert = revert;
+  }
+}
+
+/** Node or network failure (timeout, server error, nonce, funds...) */
+export class NetworkError extends SDKError {
+  constructor(message, { code = 'NETWORK_ERROR', ...details } = {}) {
+    super(message, { code, ...details });
+  }
+}
+
+/** Error response of the NFT API, 'status' is the HTTP status of the response */
+export class ApiError extends SDKError {
+  constructor(message, { status, code = 'API_ERROR', ...details } = {}) {
+    super(message, { code, ...details });
+    this.status = status;
+  }
+}
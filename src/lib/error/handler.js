@@ -1,22 +1,96 @@
-/* eslint-disable */
 import { ERROR_MESSAGE, ERROR_LOCATION } from '../errorMessages.js';
+import { ContractError, NetworkError, SDKError } from './errors.js';
+import { decodeRevert, findRevertData, formatRevert } from './revert.js';
+
+// ethers error codes of the transactions rejected by the contract
+const REVERT_CODES = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'];
 
 export const networkErrorHandler = error => {
-  if (error['code'] !== undefined && error['reason'] !== undefined) {
+  if (error.code !== undefined && error.reason !== undefined) {
     return {
-      type: `[NETWORK.ERROR]`,
+      type: '[NETWORK.ERROR]',
       message: `code: ${error.code}, message: ${error.reason}`,
     };
   }
   return {
-    type: `[RUNTIME.ERROR]`,
+    type: '[RUNTIME.ERROR]',
     message: `code: UNKNOWN_ERROR, message: ${error}`,
   };
 };
 
+/**
+ * Wrap an error thrown while interacting with a contract in a typed SDK error. The revert
+ * data found in the error is decoded against the ABI and exposed in 'revert'
+ * @param {Error} error error thrown by ethers
+ * @param {string} location '[Class.method]' where the error was caught
+ * @param {Array<object>} [abi] ABI of the contract, to decode its custom errors
+ * @param {Error} [revertError] error holding the revert data, when it is not 'error'
+ * (replay of a mined transaction)
+ * @returns {SDKError} ContractError, NetworkError or SDKError (unknown errors)
+ */
+export const contractErrorHandler = (error, location, abi = [], revertError = error) => {
+  const { message, type } = networkErrorHandler(error);
+  const details = { location, code: error?.code || 'UNKNOWN_ERROR', cause: error };
+  const errorMessage = `${type}${location} An error occured: ${message}`;
+
+  // some nodes answer the reverted calls with a SERVER_ERROR, the revert data tells them apart
+  const revert = decodeRevert(findRevertData(revertError), abi);
+  if (revert) {
+    return new ContractError(`${errorMessage} | reverted with ${formatRevert(revert)}`, {
+      ...details,
+      revert,
+    });
+  }
+
+  if (type !== '[NETWORK.ERROR]') return new SDKError(errorMessage, details);
+  if (REVERT_CODES.includes(error.code)) return new ContractError(errorMessage, details);
+  return new NetworkError(errorMessage, details);
+};
+
+/**
+ * Decode the revert of mined transactions: 'tx.wait()' rejects with a ContractError holding
+ * the decoded revert, found by replaying the transaction on the state preceding its block
+ * @param {object} tx transaction response
+ * @param {object} options
+ * @param {object} [options.provider] provider used to replay the transaction
+ * @param {Array<object>} options.abi ABI of the contract, to decode its custom errors
+ * @param {string} options.location '[Class.method]' that sent the transaction
+ * @returns {object} the transaction
+ */
+export const withRevertDecoding = (tx, { provider, abi, location }) => {
+  if (!tx || typeof tx.wait !== 'function') return tx;
+
+  const wait = tx.wait.bind(tx);
+  const decodingWait = async (...args) => {
+    try {
+      return await wait(...args);
+    } catch (error) {
+      // only mined reverts have a receipt, replaced or timed out transactions are untouched
+      if (error?.code !== 'CALL_EXCEPTION' || !error.receipt) throw error;
+      if (!provider) throw contractErrorHandler(error, location, abi);
+
+      let revertError;
+      try {
+        const { from, to, data, value } = tx;
+        const result = await provider.call(
+          { from, to, data, value },
+          error.receipt.blockNumber - 1,
+        );
+        revertError = { data: result };
+      } catch (callError) {
+        revertError = callError;
+      }
+      throw contractErrorHandler(error, location, abi, revertError);
+    }
+  };
+  return Object.assign(tx, { wait: decodingWait });
+};
+
 export const ERROR_LOG = {
   message: ERROR_MESSAGE,
   location: ERROR_LOCATION,
 };
-export const errorLogger = ({ location, message, options = '' }) =>
-  `${location} ${message}${options && options.length > 0 ? ' | ' + options : ''}`;
+export const errorLogger = ({ location, message, options = '' }) => {
+  const details = options && options.length > 0 ? ` | ${options}` : '';
+  return `${location} ${message}${details}`;
+};
@@ -0,0 +1,101 @@
+import { utils } from 'ethers';
+import { formatArgs } from '../utils.js';
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to an uninitialized function',
+};
+
+// revert reason of the OpenZeppelin AccessControl checks
+const MISSING_ROLE = /^AccessControl: account (0x[0-9a-f]{40}) is missing role (0x[0-9a-f]{64})$/i;
+
+const isRevertData = value => typeof value === 'string' && /^0x([0-9a-fA-F]{2}){4,}$/.test(value);
+
+/**
+ * Find the revert data in an error thrown by ethers. Depending on the node and the
+ * call (estimateGas, call), it is nested in the 'error' properties, ganache 'data.result'
+ * or the JSON body of the RPC response
+ * @param {object} error error thrown by ethers
+ * @returns {string|null} Revert data (hex string)
+ */
+export const findRevertData = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 5) return null;
+
+  if (isRevertData(error.data)) return error.data;
+  if (isRevertData(error.data?.result)) return error.data.result;
+
+  const nested = findRevertData(error.error, depth + 1);
+  if (nested) return nested;
+
+  if (typeof error.body === 'string') {
+    try {
+      return findRevertData(JSON.parse(error.body), depth + 1);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode revert data: Error(string) reasons (AccessControl missing roles are decoded as
+ * MissingRole(account, role)), Panic(uint256) codes and the custom errors of the ABI
+ * @param {string} data revert data
+ * @param {Array<object>} [abi] ABI declaring the custom errors
+ * @returns {object|null} Revert ({ name, signature, args, reason }), null if unknown
+ */
+export const decodeRevert = (data, abi = []) => {
+  if (!isRevertData(data)) return null;
+
+  const selector = data.slice(0, 10);
+  const payload = utils.hexDataSlice(data, 4);
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = utils.defaultAbiCoder.decode(['string'], payload);
+      const missingRole = reason.match(MISSING_ROLE);
+      if (missingRole) {
+        const [, account, role] = missingRole;
+        return { name: 'MissingRole', signature: 'Error(string)', args: { account, role }, reason };
+      }
+      return { name: 'Error', signature: 'Error(string)', args: { reason }, reason };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = utils.defaultAbiCoder.decode(['uint256'], payload);
+      const reason = PANIC_REASONS[code.toNumber()] || 'Unknown panic';
+      return { name: 'Panic', signature: 'Panic(uint256)', args: { code }, reason };
+    }
+
+    const fragment = new utils.Interface(abi).getError(selector);
+    const args = utils.defaultAbiCoder.decode(fragment.inputs, payload);
+    return {
+      name: fragment.name,
+      signature: fragment.format(),
+      args: formatArgs(fragment.inputs, args),
+      reason: null,
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Format a decoded revert for error messages, ie: 'MissingRole(account: 0x.., role: 0x..)'
+ * @param {object} revert decoded revert
+ * @returns {string}
+ */
+export const formatRevert = ({ name, args }) => {
+  const values = Object.entries(args).map(([key, value]) => `${key}: ${value}`);
+  return `${name}(${values.join(', ')})`;
+};
@@ -18,6 +18,8 @@ export const ERROR_MESSAGE = {
   no_to_address: 'No to address.',
   no_rpcURL: 'No rpcURL.',
   no_privateKey: 'No privateKey.',
+  no_password_supplied: 'No password supplied for the keystore.',
+  no_provider_supplied: 'No provider supplied, the signer needs one to listen to events.',
 
   invalid_contract_address: 'Invalid contract address.',
   invalid_account_address: 'Invalid account address.',
@@ -27,6 +29,70 @@ export const ERROR_MESSAGE = {
   invalid_contractURI: 'Invalid contractURI.',
   invalid_template: 'Invalid template.',
   invalid_transaction_hash: 'Invalid transaction hash.',
+  invalid_template_name: 'Invalid template name.',
+  invalid_abi: 'Invalid ABI, an array of fragments is required.',
+  invalid_bytecode: 'Invalid bytecode, a hex string is required.',
+  invalid_wrapper: 'Invalid wrapper, a class is required.',
+  invalid_cursor: 'Invalid cursor, the cursor returned by the previous page is required.',
+  invalid_max_items: 'Invalid maxItems, a positive integer is required.',
+  invalid_chainId: 'Invalid chain id, a positive integer is required.',
+  invalid_mnemonic: 'Invalid mnemonic.',
+  invalid_derivation_path: "Invalid derivation path, a path starting with 'm/' is required.",
+  invalid_account_index: 'Invalid account index, a positive integer is required.',
+  invalid_keystore: 'Invalid keystore or password.',
+  invalid_signer:
+    'Invalid signer, getAddress, signTransaction, signMessage and signTypedData are required.',
+  single_account:
+    'The privateKey, keystore or signer holds a single account, no account index expected.',
+  invalid_chainIds: 'Invalid chainIds, a non-empty array of chain ids is required.',
+  invalid_chain_name: 'Invalid chain name.',
+  invalid_native_currency:
+    'Invalid native currency, { name, symbol, decimals } with an integer decimals is required.',
+  invalid_gas_options: 'Invalid gas options, an object is required.',
+  invalid_fee_strategy:
+    "Invalid fee strategy, 'slow', 'standard', 'fast', { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } is required.",
+  invalid_gas_limit_multiplier:
+    'Invalid gasLimitMultiplier, a number greater than or equal to 1 is required.',
+  invalid_gas_limit: 'Invalid gasLimit, a positive integer is required.',
+  invalid_tx_options: 'Invalid txOptions, an object of ethers overrides is required.',
+  invalid_tx_option: 'Invalid txOptions value.',
+  unknown_tx_option: 'Unknown txOptions key.',
+  invalid_concurrency: 'Invalid concurrency, a positive integer is required.',
+  invalid_max_retries: 'Invalid maxRetries, a positive integer or 0 is required.',
+  invalid_send_function:
+    'Invalid transaction, a function sending it with the txOptions it receives is required.',
+  invalid_bump_percent: 'Invalid bumpPercent, an integer greater than or equal to 10 is required.',
+  invalid_confirmations: 'Invalid confirmations, a positive integer is required.',
+  invalid_timeout: 'Invalid timeout, a positive number of milliseconds is required.',
+  invalid_progress_callback: 'Invalid onProgress, a function is required.',
+  invalid_polling_interval: 'Invalid pollingInterval, a positive integer is required.',
+  invalid_event: 'Invalid event, an event of the contract ABI is required.',
+  invalid_event_filter:
+    'Invalid filter, an object of values of the indexed parameters of the event is required.',
+  invalid_listener: 'Invalid listener, a function is required.',
+  invalid_error_callback: 'Invalid onError, a function is required.',
+  invalid_block_range:
+    "Invalid block range, block numbers (or 'latest' for toBlock) with fromBlock <= toBlock are required.",
+  unknown_deployment_block:
+    'Deployment block of the contract not found, a fromBlock is required to query its events.',
+  gasPrice_with_eip1559_fees:
+    'Invalid txOptions, gasPrice cannot be combined with maxFeePerGas or maxPriorityFeePerGas.',
+
+  transaction_not_found: 'Transaction not found.',
+  transaction_already_mined: 'Transaction already mined, it cannot be replaced.',
+  transaction_not_sent_by_signer: 'Transaction not sent by the signer account.',
+  transaction_timeout: 'Transaction not confirmed before the timeout.',
+  transaction_status_error: 'Transaction status could not be read from the node.',
+
+  template_already_registered: 'Template already registered.',
+  template_not_registered: 'Template not registered.',
+  builtin_template_cannot_be_unregistered: 'Built-in template cannot be unregistered.',
+
+  chain_already_registered: 'Chain already registered.',
+  chain_not_registered: 'Chain not registered.',
+  builtin_chain_cannot_be_unregistered: 'Built-in chain cannot be unregistered.',
+  infuraSubdomain_or_rpcUrl_required: 'An infuraSubdomain or a rpcUrl is required.',
+  nft_api_not_supported: 'The NFT API does not support this chain.',
 
   contract_already_deployed: 'Contract already deployed.',
   contract_already_loaded: 'Contract already loaded.',
@@ -38,7 +104,11 @@ export const ERROR_MESSAGE = {
   tokenId_must_be_integer: 'TokenId must be integer.',
   approvalStatus_must_be_boolean: 'approvalStatus must be boolean.',
   only_privateKey_or_provider_required: 'Only privateKey or provider required',
+  only_one_account_source_required:
+    'Only one of privateKey, mnemonic, keystore, signer or provider required.',
+  only_template_or_abi_required: 'Only template or abi required.',
   chain_not_supported: 'Chain not supported.',
+  chain_switch_failed: 'The injected provider could not switch to the chain.',
 };
 
 export const ERROR_LOCATION = {
@@ -48,7 +118,25 @@ export const ERROR_LOCATION = {
   SDK_getContractMetadata: '[SDK.getContractMetadata]',
   SDK_getNFTs: '[SDK.getNFTs]',
   SDK_getNFTsForCollection: '[SDK.getNFTsForCollection]',
+  SDK_iterateNFTs: '[SDK.iterateNFTs]',
+  SDK_getNFTsForChains: '[SDK.getNFTsForChains]',
+  SDK_iterateNFTsForCollection: '[SDK.iterateNFTsForCollection]',
   SDK_getTokenMetadata: '[SDK.getTokenMetadata]',
   SDK_getStatus: '[SDK.GetStatus]',
+  SDK_speedUpTransaction: '[SDK.speedUpTransaction]',
+  SDK_cancelTransaction: '[SDK.cancelTransaction]',
+  SDK_getMinedTransaction: '[SDK.getMinedTransaction]',
+  SDK_waitFor: '[SDK.waitFor]',
   Auth_constructor: '[Auth.constructor]',
+  Auth_getSigner: '[Auth.getSigner]',
+  Auth_withChain: '[Auth.withChain]',
+  TemplateRegistry_register: '[TemplateRegistry.register]',
+  TemplateRegistry_unregister: '[TemplateRegistry.unregister]',
+  TemplateRegistry_get: '[TemplateRegistry.get]',
+  ChainRegistry_register: '[ChainRegistry.register]',
+  ChainRegistry_unregister: '[ChainRegistry.unregister]',
+  ChainRegistry_get: '[ChainRegistry.get]',
+  TransactionQueue_constructor: '[TransactionQueue.constructor]',
+  TransactionQueue_setOptions: '[TransactionQueue.setOptions]',
+  TransactionQueue_add: '[TransactionQueue.add]',
 };
@@ -1,14 +1,56 @@
-/* eslint-disable */
-export const isBoolean = val =>
-  typeof val === 'boolean' ||
-  (typeof val === 'object' && val !== null && typeof val.valueOf() === 'boolean');
+import { BigNumber, utils } from 'ethers';
 
-export const isValidString = variable =>
-  variable !== undefined && variable !== null && variable !== '' && typeof variable === 'string';
+export const isBoolean = val => {
+  if (typeof val === 'boolean') return true;
+  return typeof val === 'object' && val !== null && typeof val.valueOf() === 'boolean';
+};
+
+export const isValidString = variable => typeof variable === 'string' && variable !== '';
 
 export const isDefined = variable => variable !== undefined && variable !== null && variable !== '';
 
+export const isValidPrice = price => {
+  const value = Number(price);
+  return isDefined(price) && !Number.isNaN(value) && value >= 0;
+};
+
+export const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// token IDs are integers, or decimal strings for those exceeding the safe integers
+export const isTokenId = value => {
+  if (typeof value === 'string') return /^\d+$/.test(value);
+  return Number.isInteger(value);
+};
+
+// Convert an ethers Result to a plain object keyed by the parameter names (or their index)
+export const formatArgs = (inputs, result) => {
+  const entries = inputs.map((input, index) => [input.name || index, result[index]]);
+  return Object.fromEntries(entries);
+};
+
+// non-negative integer quantity, as accepted by ethers (wei, gas, nonce)
+export const isQuantity = value => {
+  if (BigNumber.isBigNumber(value)) return !value.isNegative();
+  if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0;
+  return typeof value === 'string' && /^(\d+|0x[0-9a-fA-F]+)$/.test(value);
+};
+
+export const isValidAbi = abi => {
+  if (!Array.isArray(abi) || abi.length === 0) return false;
+  if (!abi.every(fragment => fragment && isValidString(fragment.type))) return false;
+
+  try {
+    // ethers throws on the fragments it cannot parse
+    const contractInterface = new utils.Interface(abi);
+    return !!contractInterface;
+  } catch {
+    return false;
+  }
+};
+
 export const isURI = URI => !!URI.match(/^(ipfs|http|https):\/\//gi);
 
-export const formatRpcUrl = ({ chainName, projectId }) =>
-  `https://${chainName}.infura.io/v3/${projectId}`;
+export const formatRpcUrl = ({ chainName, projectId }) => {
+  const host = `${chainName}.infura.io`;
+  return `https://${host}/v3/${projectId}`;
+};
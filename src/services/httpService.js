@@ -4,34 +4,137 @@
  * MIT Licensed
  */
 
-/* eslint-disable */
-
 import axios from 'axios';
+import { TokenBucket, sleep } from './tokenBucket.js';
+import { ApiError, NetworkError, ValidationError } from '../lib/error/errors.js';
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+export const DEFAULT_HTTP_OPTIONS = {
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 30000,
+  timeout: 30000,
+  rateLimit: null,
+};
+
+// Network errors (no response, timeout) and throttled or unavailable responses are retried
+const isRetryable = error => !error.response || RETRYABLE_STATUS.includes(error.response.status);
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = header => {
+  if (header === undefined || header === null) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+};
+
+// Errors without response never reached the API (timeout, DNS, connection reset...)
+const toApiError = error => {
+  const message = `[API.ERROR][httpService.get] An error occured: ${error}`;
+  const details = { location: '[httpService.get]', cause: error };
+
+  if (!error.response) {
+    return new NetworkError(message, { ...details, code: error.code || 'NETWORK_ERROR' });
+  }
+  return new ApiError(message, { ...details, status: error.response.status });
+};
 
 export class HttpService {
-  constructor(baseURL, apiKey) {
-    if (!baseURL) throw new Error('[httpService.constructor] baseURL is missing!');
-    if (!apiKey) throw new Error('[httpService.constructor] apiKey is missing!');
+  #options;
+
+  #rateLimiter;
+
+  /**
+   * @param {string} baseURL
+   * @param {string} apiKey
+   * @param {object} [options]
+   * @param {number} [options.retries=3] number of retries of a failed GET request
+   * @param {number} [options.retryDelay=500] base delay (ms) of the exponential backoff
+   * @param {number} [options.maxRetryDelay=30000] maximum delay (ms) between two retries
+   * @param {number} [options.timeout=30000] timeout (ms) of each request
+   * @param {object} [options.rateLimit] client-side rate limit ({ requestsPerSecond, burst }),
+   * to match the limits of your Infura plan
+   */
+  constructor(baseURL, apiKey, options = {}) {
+    if (!baseURL) throw new ValidationError('[httpService.constructor] baseURL is missing!');
+    if (!apiKey) throw new ValidationError('[httpService.constructor] apiKey is missing!');
+
+    this.#options = { ...DEFAULT_HTTP_OPTIONS, ...options };
+    const { retries, retryDelay, maxRetryDelay, timeout, rateLimit } = this.#options;
+
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new ValidationError('[httpService.constructor] retries should be a positive integer!');
+    }
+    if (!(retryDelay >= 0) || !(maxRetryDelay >= 0)) {
+      throw new ValidationError(
+        '[httpService.constructor] retry delays should be positive numbers!',
+      );
+    }
+    if (!(timeout >= 0)) {
+      throw new ValidationError('[httpService.constructor] timeout should be a positive number!');
+    }
+
+    this.#rateLimiter = rateLimit ? new TokenBucket(rateLimit) : null;
 
     // TODO: read from pkg.json the version info
     this.instance = axios.create({
-      baseURL: baseURL,
+      baseURL,
+      timeout,
       headers: {
         Authorization: `Basic ${apiKey}`,
-        'X-Infura-User-Agent': `infura/sdk-js 1.0.2`,
+        'X-Infura-User-Agent': 'infura/sdk-js 1.0.2',
       },
     });
   }
 
-  async get(uri) {
+  // Exponential backoff with jitter, unless the server told us how long to wait (up to the
+  // maximum delay, a server asking for hours would stall the whole batch)
+  #getRetryDelay(error, attempt) {
+    const { retryDelay, maxRetryDelay } = this.#options;
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, maxRetryDelay);
+
+    const delay = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  async #request(send) {
+    if (this.#rateLimiter) await this.#rateLimiter.removeToken();
+    return send();
+  }
+
+  /**
+   * GET request, retried on network errors, 429 and 5xx responses
+   * @param {string} uri
+   * @param {object} [params] query parameters
+   * @param {object} [options] per-request options ({ timeout })
+   * @returns {Promise<object>} axios response
+   */
+  async get(uri, params, { timeout } = {}) {
+    const config = { params };
+    if (timeout !== undefined) config.timeout = timeout;
+
+    return this.#getWithRetries(uri, config, 0);
+  }
+
+  async #getWithRetries(uri, config, attempt) {
     try {
-      return await this.instance.get(uri);
+      return await this.#request(() => this.instance.get(uri, config));
     } catch (error) {
-      throw new Error(`[API.ERROR][httpService.get] An error occured: ${error}`);
+      if (attempt >= this.#options.retries || !isRetryable(error)) throw toApiError(error);
+
+      await sleep(this.#getRetryDelay(error, attempt));
+      return this.#getWithRetries(uri, config, attempt + 1);
     }
   }
 
   async post(uri, params) {
-    return this.instance.post(uri, params);
+    return this.#request(() => this.instance.post(uri, params));
   }
 }
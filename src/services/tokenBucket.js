@@ -0,0 +1,72 @@
+/*!
+ * Copyright(c) ConsenSys Software Inc.
+ * Copyright(c) https://consensys.net/
+ * MIT Licensed
+ */
+
+import { ValidationError } from '../lib/error/errors.js';
+
+export const sleep = ms => {
+  const timer = resolve => {
+    setTimeout(resolve, ms);
+  };
+  return new Promise(timer);
+};
+
+/**
+ * Client-side rate limiter: the bucket holds up to 'burst' tokens and is refilled at
+ * 'requestsPerSecond' tokens per second, each request consumes one token.
+ */
+export class TokenBucket {
+  #capacity;
+
+  #refillRate;
+
+  #tokens;
+
+  #lastRefill;
+
+  #queue = Promise.resolve();
+
+  constructor({ requestsPerSecond, burst = requestsPerSecond }) {
+    if (!(requestsPerSecond > 0)) {
+      throw new ValidationError(
+        '[tokenBucket.constructor] requestsPerSecond should be a positive number!',
+      );
+    }
+    if (!(burst >= 1)) {
+      throw new ValidationError('[tokenBucket.constructor] burst should be at least 1!');
+    }
+
+    this.#capacity = burst;
+    this.#refillRate = requestsPerSecond / 1000;
+    this.#tokens = burst;
+    this.#lastRefill = Date.now();
+  }
+
+  #refill() {
+    const now = Date.now();
+    this.#tokens = Math.min(
+      this.#capacity,
+      this.#tokens + (now - this.#lastRefill) * this.#refillRate,
+    );
+    this.#lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available and consume it. Callers are served in order.
+   * @returns {Promise<void>}
+   */
+  removeToken() {
+    this.#queue = this.#queue.then(async () => {
+      this.#refill();
+      if (this.#tokens < 1) {
+        await sleep(Math.ceil((1 - this.#tokens) / this.#refillRate));
+        this.#refill();
+      }
+      this.#tokens -= 1;
+    });
+
+    return this.#queue;
+  }
+}
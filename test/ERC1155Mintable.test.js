@@ -0,0 +1,543 @@
+import { ContractFactory, ethers } from 'ethers';
+import ERC1155Mintable from '../src/lib/ContractTemplates/ERC1155Mintable';
+import {
+  ACCOUNT_ADDRESS,
+  CONTRACT_ADDRESS,
+  ACCOUNT_ADDRESS_2,
+  estimateGasMock,
+  signerMock,
+} from './__mocks__/utils';
+
+let eRC1155Mintable;
+let signer;
+
+jest.mock('ethers');
+
+const deployParams = {
+  name: 'name',
+  symbol: 'symbol',
+  contractURI: 'URI',
+  baseURI: 'https://infura.io/{id}.json',
+};
+
+describe('ERC1155Mintable', () => {
+  const contractFactoryMock = jest
+    .spyOn(ContractFactory.prototype, 'deploy')
+    .mockImplementation(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        mint: jest.fn(),
+        mintBatch: jest.fn(),
+        safeTransferFrom: jest.fn(),
+        safeBatchTransferFrom: jest.fn(),
+        setURI: jest.fn(),
+        setContractURI: jest.fn(),
+        grantRole: jest.fn(),
+        renounceRole: jest.fn(),
+        revokeRole: jest.fn(),
+        hasRole: jest.fn(),
+        setApprovalForAll: jest.fn(),
+        setRoyalties: jest.fn(),
+        royaltyInfo: jest.fn(),
+        renounceOwnership: jest.fn(),
+      }),
+    }));
+
+  jest.spyOn(ethers.utils, 'isAddress').mockImplementation(() => true);
+  jest.spyOn(ethers, 'Contract').mockImplementation(() => ({}));
+
+  beforeAll(() => {
+    signer = signerMock();
+  });
+
+  afterEach(() => {
+    contractFactoryMock.mockClear();
+  });
+
+  it('should create "ERC1155Mintable" instance', () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    expect(eRC1155Mintable).not.toBe(null);
+    expect(eRC1155Mintable.getTemplate()).toBe('ERC1155Mintable');
+  });
+
+  it('[Deploy] - should return an Error if signer not defined ', async () => {
+    eRC1155Mintable = new ERC1155Mintable(null);
+
+    await expect(() => eRC1155Mintable.deploy(deployParams)).rejects.toThrow(
+      '[ERC1155Mintable.deploy] Signer instance is required to interact with contract.',
+    );
+  });
+
+  it('[Deploy] - should return an Error if Name is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() => eRC1155Mintable.deploy({ ...deployParams, name: '' })).rejects.toThrow(
+      '[ERC1155Mintable.deploy] Name cannot be empty',
+    );
+  });
+
+  it('[Deploy] - should return an Error if baseURI is undefined', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() =>
+      eRC1155Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' }),
+    ).rejects.toThrow('[ERC1155Mintable.deploy] baseURI cannot be undefined');
+  });
+
+  it('[Deploy] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => {
+      throw new Error('test error');
+    });
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() => eRC1155Mintable.deploy(deployParams)).rejects.toThrow(
+      '[ERC1155Mintable.deploy] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[Deploy] - should return a contract', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await eRC1155Mintable.deploy(deployParams);
+
+    expect(ContractFactory.prototype.deploy).toHaveBeenCalledTimes(1);
+  });
+
+  it('[Deploy] - should return an Error if contract is already deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() => eRC1155Mintable.deploy(deployParams)).rejects.toThrow(
+      '[ERC1155Mintable.deploy] The contract has already been deployed!',
+    );
+  });
+
+  it('[LoadContract] - should return an Error if the address is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() => eRC1155Mintable.loadContract({ contractAddress: '' })).rejects.toThrow(
+      '[ERC1155Mintable.loadContract] A valid contract address is required to load a contract.',
+    );
+  });
+
+  it('[LoadContract] - should load the contract', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await eRC1155Mintable.loadContract({ contractAddress: CONTRACT_ADDRESS });
+
+    expect(ethers.Contract).toHaveBeenCalledTimes(1);
+    expect(eRC1155Mintable.contractAddress).toBe(CONTRACT_ADDRESS);
+  });
+
+  it('[Mint] - should return an Error if contract is not deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() =>
+      eRC1155Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenId: 1, quantity: 1 }),
+    ).rejects.toThrow('[ERC1155Mintable.mint] A contract should be deployed or loaded first');
+  });
+
+  it('[Mint] - should return an Error if the address is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mint({ publicAddress: '', tokenId: 1, quantity: 1 }),
+    ).rejects.toThrow('[ERC1155Mintable.mint] A valid address is required to mint.');
+  });
+
+  it('[Mint] - should return an Error if the tokenId is not an integer', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenId: 'one', quantity: 1 }),
+    ).rejects.toThrow('[ERC1155Mintable.mint] TokenId should be an integer or a decimal string.');
+  });
+
+  it('[Mint] - should return an Error if the quantity is not a positive integer', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenId: 1, quantity: 0 }),
+    ).rejects.toThrow('[ERC1155Mintable.mint] Quantity should be a positive integer.');
+  });
+
+  it('[Mint] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        mint: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenId: 1, quantity: 1 }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.mint] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[Mint] - should mint tokens', async () => {
+    const mint = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), mint }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenId: 1, quantity: 10 });
+
+    expect(mint).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 1, 10, { gasLimit: 120000 });
+  });
+
+  it('[MintBatch] - should return an Error if contract is not deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() =>
+      eRC1155Mintable.mintBatch({ publicAddress: ACCOUNT_ADDRESS, ids: [1], quantities: [1] }),
+    ).rejects.toThrow('[ERC1155Mintable.mintBatch] A contract should be deployed or loaded first');
+  });
+
+  it('[MintBatch] - should return an Error if ids is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mintBatch({ publicAddress: ACCOUNT_ADDRESS, ids: [], quantities: [] }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.mintBatch] Ids should be a non empty array of integers or decimal strings.',
+    );
+  });
+
+  it('[MintBatch] - should return an Error if quantities are not positive integers', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mintBatch({ publicAddress: ACCOUNT_ADDRESS, ids: [1], quantities: [-1] }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.mintBatch] Quantities should be an array of positive integers.',
+    );
+  });
+
+  it('[MintBatch] - should return an Error if ids and quantities lengths differ', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mintBatch({ publicAddress: ACCOUNT_ADDRESS, ids: [1, 2], quantities: [1] }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.mintBatch] Ids and quantities should have the same length.',
+    );
+  });
+
+  it('[MintBatch] - should mint a batch of tokens', async () => {
+    const mintBatch = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), mintBatch }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.mintBatch({
+      publicAddress: ACCOUNT_ADDRESS,
+      ids: [1, 2],
+      quantities: [10, 20],
+    });
+
+    expect(mintBatch).toHaveBeenCalledWith(ACCOUNT_ADDRESS, [1, 2], [10, 20], {
+      gasLimit: 120000,
+    });
+  });
+
+  it('[MintAndWait] - should return the tokens minted by the transactions', async () => {
+    const { AddressZero } = ethers.constants;
+    // amounts as parsed by the contract interface: a Result array, with its named keys
+    const amount = value => ({ toString: () => String(value) });
+    const transfer = (name, id, value) => ({
+      address: CONTRACT_ADDRESS,
+      parsed: {
+        name,
+        args: Object.assign([ACCOUNT_ADDRESS, AddressZero, ACCOUNT_ADDRESS, id, value], {
+          from: AddressZero,
+        }),
+      },
+    });
+    const single = {
+      transactionHash: '0x1',
+      logs: [transfer('TransferSingle', amount(1), amount(5))],
+    };
+    const batch = {
+      transactionHash: '0x2',
+      logs: [
+        transfer('TransferBatch', [amount(2), amount(3)], [amount(10), amount(20)]),
+        { address: ACCOUNT_ADDRESS_2, parsed: { name: 'TransferSingle' } },
+      ],
+    };
+    const wait = jest.fn().mockResolvedValueOnce(single).mockResolvedValueOnce(batch);
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      address: CONTRACT_ADDRESS,
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        mint: jest.fn(async () => ({ hash: '0x1', wait })),
+        mintBatch: jest.fn(async () => ({ hash: '0x2', wait })),
+        interface: { parseLog: log => log.parsed },
+      }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    const minted = await eRC1155Mintable.mintAndWait({
+      publicAddress: ACCOUNT_ADDRESS,
+      tokenId: 1,
+      quantity: 5,
+    });
+    const batchMinted = await eRC1155Mintable.mintBatchAndWait({
+      publicAddress: ACCOUNT_ADDRESS,
+      ids: [2, 3],
+      quantities: [10, 20],
+      confirmations: 2,
+    });
+
+    expect(minted).toEqual({
+      tokens: [{ tokenId: '1', quantity: '5' }],
+      txHash: '0x1',
+      receipt: single,
+    });
+    expect(batchMinted.tokens).toEqual([
+      { tokenId: '2', quantity: '10' },
+      { tokenId: '3', quantity: '20' },
+    ]);
+    expect(wait).toHaveBeenLastCalledWith(2);
+  });
+
+  it('[MintAndWait] - should return an Error if the confirmations are invalid', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.mintBatchAndWait({
+        publicAddress: ACCOUNT_ADDRESS,
+        ids: [1],
+        quantities: [1],
+        confirmations: 0,
+      }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.mintBatchAndWait] The confirmations should be a positive integer.',
+    );
+  });
+
+  it('[Transfer] - should return an Error if contract is not deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() =>
+      eRC1155Mintable.transfer({
+        from: ACCOUNT_ADDRESS,
+        to: ACCOUNT_ADDRESS_2,
+        tokenId: 1,
+        quantity: 1,
+      }),
+    ).rejects.toThrow('[ERC1155Mintable.transfer] A contract should be deployed or loaded first');
+  });
+
+  it('[Transfer] - should return an Error if from address is not valid', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.transfer({ from: '', to: ACCOUNT_ADDRESS_2, tokenId: 1, quantity: 1 }),
+    ).rejects.toThrow('[ERC1155Mintable.transfer] A valid address "from" is required to transfer.');
+  });
+
+  it('[Transfer] - should return an Error if quantity is not valid', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.transfer({
+        from: ACCOUNT_ADDRESS,
+        to: ACCOUNT_ADDRESS_2,
+        tokenId: 1,
+        quantity: 'test',
+      }),
+    ).rejects.toThrow('[ERC1155Mintable.transfer] Quantity should be a positive integer.');
+  });
+
+  it('[Transfer] - should transfer tokens', async () => {
+    const safeTransferFrom = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), safeTransferFrom }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.transfer({
+      from: ACCOUNT_ADDRESS,
+      to: ACCOUNT_ADDRESS_2,
+      tokenId: 1,
+      quantity: 5,
+    });
+
+    expect(safeTransferFrom).toHaveBeenCalledWith(ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2, 1, 5, '0x', {
+      gasLimit: 120000,
+    });
+  });
+
+  it('[TransferBatch] - should return an Error if ids and quantities lengths differ', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.transferBatch({
+        from: ACCOUNT_ADDRESS,
+        to: ACCOUNT_ADDRESS_2,
+        ids: [1],
+        quantities: [1, 2],
+      }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.transferBatch] Ids and quantities should have the same length.',
+    );
+  });
+
+  it('[TransferBatch] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        safeBatchTransferFrom: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.transferBatch({
+        from: ACCOUNT_ADDRESS,
+        to: ACCOUNT_ADDRESS_2,
+        ids: [1, 2],
+        quantities: [1, 2],
+      }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.transferBatch] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[TransferBatch] - should transfer a batch of tokens', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.transferBatch({
+      from: ACCOUNT_ADDRESS,
+      to: ACCOUNT_ADDRESS_2,
+      ids: [1, 2],
+      quantities: [1, 2],
+    });
+
+    expect(contractFactoryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('[SetURI] - should return an Error if contract is not deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() =>
+      eRC1155Mintable.setURI({ baseURI: 'https://infura.io/{id}.json' }),
+    ).rejects.toThrow('[ERC1155Mintable.setURI] A contract should be deployed or loaded first!');
+  });
+
+  it('[SetURI] - should return an Error if the baseURI is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() => eRC1155Mintable.setURI({ baseURI: '' })).rejects.toThrow(
+      '[ERC1155Mintable.setURI] A valid base uri is required!',
+    );
+  });
+
+  it('[SetURI] - should console.warn if baseURI is not a link ', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    const logSpy = jest.spyOn(console, 'warn');
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.setURI({ baseURI: 'URI' });
+
+    expect(logSpy).toHaveBeenCalledWith('WARNING: The BaseURI "URI" is not a link.');
+  });
+
+  it('[setRoyalties] - should throw when "fee" is not between 0 and 10000', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC1155Mintable.setRoyalties({ publicAddress: ACCOUNT_ADDRESS, fee: 10001 }),
+    ).rejects.toThrow(
+      '[ERC1155Mintable.setRoyalties] Fee as numeric value between 0 and 10000 is required',
+    );
+  });
+
+  it('[setRoyalties] - should set royalties', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.setRoyalties({ publicAddress: ACCOUNT_ADDRESS, fee: 1 });
+
+    expect(contractFactoryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('[addMinter] - should return an Error if the address is empty', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() => eRC1155Mintable.addMinter({ publicAddress: '' })).rejects.toThrow(
+      '[ERC1155Mintable.addMinter] A valid address is required to add the minter role.',
+    );
+  });
+
+  it('[addMinter] - should add minter role to an address', async () => {
+    const grantRole = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), grantRole }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await eRC1155Mintable.addMinter({ publicAddress: ACCOUNT_ADDRESS });
+
+    expect(grantRole).toHaveBeenCalledWith(eRC1155Mintable.MINTER_ROLE, ACCOUNT_ADDRESS, {
+      gasLimit: 120000,
+    });
+  });
+
+  it('[isAdmin] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        hasRole: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC1155Mintable = new ERC1155Mintable(signer);
+    await eRC1155Mintable.deploy(deployParams);
+
+    await expect(() => eRC1155Mintable.isAdmin({ publicAddress: ACCOUNT_ADDRESS })).rejects.toThrow(
+      '[ERC1155Mintable.isAdmin] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[renounceOwnership] - should throw if contract not deployed', async () => {
+    eRC1155Mintable = new ERC1155Mintable(signer);
+
+    await expect(() => eRC1155Mintable.renounceOwnership()).rejects.toThrow(
+      '[ERC1155Mintable.renounceOwnership] Contract needs to be deployed',
+    );
+  });
+});
@@ -1,6 +1,15 @@
 import { ContractFactory, ethers } from 'ethers';
 import ERC721Mintable from '../src/lib/ContractTemplates/ERC721Mintable';
-import { ACCOUNT_ADDRESS, CONTRACT_ADDRESS, ACCOUNT_ADDRESS_2 } from './__mocks__/utils';
+import {
+  ACCOUNT_ADDRESS,
+  CONTRACT_ADDRESS,
+  ACCOUNT_ADDRESS_2,
+  estimateGasMock,
+  signerMock,
+} from './__mocks__/utils';
+import { ContractError, NetworkError, SDKError, ValidationError } from '../src/lib/error/errors';
+import TransactionQueue from '../src/lib/Transaction/TransactionQueue';
+import ContractEvents from '../src/lib/Event/ContractEvents';
 
 let eRC721Mintable;
 let signer;
@@ -13,6 +22,7 @@ describe('SDK', () => {
     .spyOn(ContractFactory.prototype, 'deploy')
     .mockImplementation(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         mintWithTokenURI: jest.fn(),
         'safeTransferFrom(address,address,uint256)': jest.fn(),
         setContractURI: jest.fn(),
@@ -25,6 +35,16 @@ describe('SDK', () => {
         setRoyalties: jest.fn(),
         royaltyInfo: jest.fn(),
         renounceOwnership: jest.fn(),
+        balanceOf: jest.fn(),
+        ownerOf: jest.fn(),
+        tokenURI: jest.fn(),
+        getApproved: jest.fn(),
+        isApprovedForAll: jest.fn(),
+        owner: jest.fn(),
+        name: jest.fn(),
+        symbol: jest.fn(),
+        contractURI: jest.fn(),
+        supportsInterface: jest.fn(),
       }),
     }));
 
@@ -32,7 +52,7 @@ describe('SDK', () => {
   jest.spyOn(ethers, 'Contract').mockImplementation(() => ({}));
 
   beforeAll(() => {
-    signer = 'signer';
+    signer = signerMock();
   });
 
   afterEach(() => {
@@ -170,6 +190,7 @@ describe('SDK', () => {
   it('[Mint] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         mintWithTokenURI: () => {
           throw new Error('test error');
         },
@@ -299,7 +320,9 @@ describe('SDK', () => {
         tokenId: 'test',
       });
     };
-    expect(transferNft).rejects.toThrow('[ERC721Mintable.transfer] TokenId should be an integer.');
+    expect(transferNft).rejects.toThrow(
+      '[ERC721Mintable.transfer] TokenId should be an integer or a decimal string.',
+    );
   });
 
   it('[Transfer] - should transfer nft', async () => {
@@ -315,9 +338,66 @@ describe('SDK', () => {
     expect(contractFactoryMock).toHaveBeenCalledTimes(1);
   });
 
+  it('[Mint] - should estimate the gas limit of the mint', async () => {
+    const mintWithTokenURI = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), mintWithTokenURI }),
+    }));
+    eRC721Mintable = new ERC721Mintable(signer);
+    await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+    await eRC721Mintable.mint({ publicAddress: ACCOUNT_ADDRESS, tokenURI: 'https://infura.io' });
+
+    expect(mintWithTokenURI).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 'https://infura.io', {
+      gasLimit: 120000,
+    });
+  });
+
+  it('[Mint] - should override the gas options of the instance with those of the call', async () => {
+    const mintWithTokenURI = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), mintWithTokenURI }),
+    }));
+    eRC721Mintable = new ERC721Mintable(signer, {
+      gasOptions: { feeStrategy: { gasPrice: 10 }, gasLimitMultiplier: 1.5 },
+    });
+    await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+    await eRC721Mintable.mint({
+      publicAddress: ACCOUNT_ADDRESS,
+      tokenURI: 'https://infura.io',
+      gasOptions: { gasLimitMultiplier: 2 },
+    });
+
+    expect(mintWithTokenURI).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 'https://infura.io', {
+      gasPrice: 10,
+      gasLimit: 200000,
+    });
+  });
+
+  it('[Mint] - should throw when the gas options are invalid', async () => {
+    eRC721Mintable = new ERC721Mintable(signer);
+    await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+    await expect(() =>
+      eRC721Mintable.mint({
+        publicAddress: ACCOUNT_ADDRESS,
+        tokenURI: 'https://infura.io',
+        gasOptions: { feeStrategy: 'fastest' },
+      }),
+    ).rejects.toThrow('[ERC721Mintable.mint] Invalid fee strategy');
+  });
+
+  it('[Constructor] - should throw when the gas options are invalid', () => {
+    expect(() => new ERC721Mintable(signer, { gasOptions: { gasLimitMultiplier: 0 } })).toThrow(
+      '[ERC721Mintable.constructor] Invalid gasLimitMultiplier',
+    );
+  });
+
   it('[Transfer] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         'safeTransferFrom(address,address,uint256)': () => {
           throw new Error('test error');
         },
@@ -391,6 +471,7 @@ describe('SDK', () => {
   it('[SetContractURI] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         setContractURI: () => {
           throw new Error('test error');
         },
@@ -413,6 +494,7 @@ describe('SDK', () => {
   it('[SetContractURI] - should return an Error if there is runtime error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         setContractURI: () => {
           throw new RuntimeException('runtime exception');
         },
@@ -465,6 +547,7 @@ describe('SDK', () => {
   it('[addMinter] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         grantRole: () => {
           throw new Error('test error');
         },
@@ -544,6 +627,7 @@ describe('SDK', () => {
   it('[renounceMinter] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         renounceRole: () => {
           throw new Error('test error');
         },
@@ -593,6 +677,7 @@ describe('SDK', () => {
   it('[isMinter] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         hasRole: () => {
           throw new Error('test error');
         },
@@ -646,18 +731,16 @@ describe('SDK', () => {
   it('[SetApprovalForAll] - should set approval for all when all params are correct', async () => {
     eRC721Mintable = new ERC721Mintable(signer);
 
-    const approval = async () => {
-      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
-      await eRC721Mintable.setApprovalForAll({ to: ACCOUNT_ADDRESS, approvalStatus: true });
-    };
+    await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+    await eRC721Mintable.setApprovalForAll({ to: ACCOUNT_ADDRESS, approvalStatus: true });
 
-    expect(approval).not.toThrow();
     expect(contractFactoryMock).toHaveBeenCalledTimes(1);
   });
 
   it('[SetApprovalForAll] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         setApprovalForAll: () => {
           throw new Error('test error');
         },
@@ -705,6 +788,7 @@ describe('SDK', () => {
   it('[addAdmin] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         grantRole: () => {
           throw new Error('test error');
         },
@@ -758,6 +842,7 @@ describe('SDK', () => {
   it('[removeAdmin] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         revokeRole: () => {
           throw new Error('test error');
         },
@@ -811,6 +896,7 @@ describe('SDK', () => {
   it('[renounceAdmin] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         renounceRole: () => {
           throw new Error('test error');
         },
@@ -859,6 +945,7 @@ describe('SDK', () => {
   it('[isAdmin] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         hasRole: () => {
           throw new Error('test error');
         },
@@ -907,7 +994,7 @@ describe('SDK', () => {
     };
 
     expect(approveTransfer).rejects.toThrow(
-      '[ERC721Mintable.approveTransfer] TokenId should be an integer.',
+      '[ERC721Mintable.approveTransfer] TokenId should be an integer or a decimal string.',
     );
   });
 
@@ -923,6 +1010,7 @@ describe('SDK', () => {
   it('[ApproveTransfer] - should return an Error if there is a network error', async () => {
     jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
       deployed: () => ({
+        estimateGas: estimateGasMock(),
         approve: () => {
           throw new Error('test error');
         },
@@ -996,6 +1084,7 @@ describe('SDK', () => {
     it('[setRoyalties] - should return an Error if there is a network error', async () => {
       jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
         deployed: () => ({
+          estimateGas: estimateGasMock(),
           setRoyalties: () => {
             throw new Error('test error');
           },
@@ -1059,6 +1148,7 @@ describe('SDK', () => {
     it('[royaltyInfo] - should return an Error if there is a network error', async () => {
       jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
         deployed: () => ({
+          estimateGas: estimateGasMock(),
           royaltyInfo: () => {
             throw new Error('test error');
           },
@@ -1097,6 +1187,7 @@ describe('SDK', () => {
     it('[renounceOwnership] - should return an Error if there is a network error', async () => {
       jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
         deployed: () => ({
+          estimateGas: estimateGasMock(),
           renounceOwnership: () => {
             throw new Error('test error');
           },
@@ -1113,4 +1204,1306 @@ describe('SDK', () => {
       );
     });
   });
+
+  describe('read methods', () => {
+    const isHexStringMock = jest
+      .spyOn(ethers.utils, 'isHexString')
+      .mockImplementation(
+        (value, length) => /^0x[0-9a-f]*$/.test(value) && value.length === 2 + length * 2,
+      );
+
+    afterAll(() => {
+      isHexStringMock.mockRestore();
+    });
+
+    it('[balanceOf] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() =>
+        eRC721Mintable.balanceOf({ publicAddress: ACCOUNT_ADDRESS }),
+      ).rejects.toThrow('[ERC721Mintable.balanceOf] A contract should be deployed or loaded first');
+    });
+
+    it('[balanceOf] - should return an Error if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.balanceOf({ publicAddress: '' })).rejects.toThrow(
+        '[ERC721Mintable.balanceOf] A valid address is required to get the balance.',
+      );
+    });
+
+    it('[balanceOf] - should call balanceOf on the contract', async () => {
+      const balanceOfMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ balanceOf: balanceOfMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.balanceOf({ publicAddress: ACCOUNT_ADDRESS });
+
+      expect(balanceOfMock).toHaveBeenCalledWith(...[ACCOUNT_ADDRESS]);
+    });
+
+    it('[balanceOf] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          balanceOf: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() =>
+        eRC721Mintable.balanceOf({ publicAddress: ACCOUNT_ADDRESS }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.balanceOf] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[ownerOf] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.ownerOf({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.ownerOf] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[ownerOf] - should return an Error if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.ownerOf({ tokenId: 'abc' })).rejects.toThrow(
+        '[ERC721Mintable.ownerOf] TokenId should be an integer or a decimal string.',
+      );
+    });
+
+    it('[ownerOf] - should call ownerOf on the contract', async () => {
+      const ownerOfMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ ownerOf: ownerOfMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.ownerOf({ tokenId: 1 });
+
+      expect(ownerOfMock).toHaveBeenCalledWith(...[1]);
+    });
+
+    it('[ownerOf] - should accept the token IDs given as decimal strings', async () => {
+      const ownerOfMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ estimateGas: estimateGasMock(), ownerOf: ownerOfMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.ownerOf({ tokenId: '9007199254740993' });
+
+      expect(ownerOfMock).toHaveBeenCalledWith('9007199254740993');
+    });
+
+    it('[ownerOf] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          ownerOf: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.ownerOf({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.ownerOf] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[tokenURI] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.tokenURI({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.tokenURI] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[tokenURI] - should return an Error if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.tokenURI({ tokenId: null })).rejects.toThrow(
+        '[ERC721Mintable.tokenURI] TokenId should be an integer or a decimal string.',
+      );
+    });
+
+    it('[tokenURI] - should call tokenURI on the contract', async () => {
+      const tokenURIMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ tokenURI: tokenURIMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.tokenURI({ tokenId: 1 });
+
+      expect(tokenURIMock).toHaveBeenCalledWith(...[1]);
+    });
+
+    it('[tokenURI] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          tokenURI: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.tokenURI({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.tokenURI] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[getApproved] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.getApproved({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.getApproved] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[getApproved] - should return an Error if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.getApproved({ tokenId: 1.5 })).rejects.toThrow(
+        '[ERC721Mintable.getApproved] TokenId should be an integer or a decimal string.',
+      );
+    });
+
+    it('[getApproved] - should call getApproved on the contract', async () => {
+      const getApprovedMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ getApproved: getApprovedMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.getApproved({ tokenId: 1 });
+
+      expect(getApprovedMock).toHaveBeenCalledWith(...[1]);
+    });
+
+    it('[getApproved] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          getApproved: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.getApproved({ tokenId: 1 })).rejects.toThrow(
+        '[ERC721Mintable.getApproved] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[isApprovedForAll] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() =>
+        eRC721Mintable.isApprovedForAll({ owner: ACCOUNT_ADDRESS, operator: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.isApprovedForAll] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[isApprovedForAll] - should return an Error if the owner is not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() =>
+        eRC721Mintable.isApprovedForAll({ owner: '', operator: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow('[ERC721Mintable.isApprovedForAll] A valid "owner" address is required.');
+    });
+
+    it('[isApprovedForAll] - should return an Error if the operator is not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() =>
+        eRC721Mintable.isApprovedForAll({ owner: ACCOUNT_ADDRESS, operator: '' }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.isApprovedForAll] A valid "operator" address is required.',
+      );
+    });
+
+    it('[isApprovedForAll] - should call isApprovedForAll on the contract', async () => {
+      const isApprovedForAllMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ isApprovedForAll: isApprovedForAllMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.isApprovedForAll({
+        owner: ACCOUNT_ADDRESS,
+        operator: ACCOUNT_ADDRESS_2,
+      });
+
+      expect(isApprovedForAllMock).toHaveBeenCalledWith(...[ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2]);
+    });
+
+    it('[isApprovedForAll] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          isApprovedForAll: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() =>
+        eRC721Mintable.isApprovedForAll({ owner: ACCOUNT_ADDRESS, operator: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.isApprovedForAll] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[owner] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.owner()).rejects.toThrow(
+        '[ERC721Mintable.owner] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[owner] - should call owner on the contract', async () => {
+      const ownerMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ owner: ownerMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.owner();
+
+      expect(ownerMock).toHaveBeenCalledWith(...[]);
+    });
+
+    it('[owner] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          owner: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.owner()).rejects.toThrow(
+        '[ERC721Mintable.owner] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[name] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.name()).rejects.toThrow(
+        '[ERC721Mintable.name] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[name] - should call name on the contract', async () => {
+      const nameMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ name: nameMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.name();
+
+      expect(nameMock).toHaveBeenCalledWith(...[]);
+    });
+
+    it('[name] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          name: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.name()).rejects.toThrow(
+        '[ERC721Mintable.name] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[symbol] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.symbol()).rejects.toThrow(
+        '[ERC721Mintable.symbol] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[symbol] - should call symbol on the contract', async () => {
+      const symbolMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ symbol: symbolMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.symbol();
+
+      expect(symbolMock).toHaveBeenCalledWith(...[]);
+    });
+
+    it('[symbol] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          symbol: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.symbol()).rejects.toThrow(
+        '[ERC721Mintable.symbol] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[contractURI] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.contractURI()).rejects.toThrow(
+        '[ERC721Mintable.contractURI] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[contractURI] - should call contractURI on the contract', async () => {
+      const contractURIMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ contractURI: contractURIMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.contractURI();
+
+      expect(contractURIMock).toHaveBeenCalledWith(...[]);
+    });
+
+    it('[contractURI] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          contractURI: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() => eRC721Mintable.contractURI()).rejects.toThrow(
+        '[ERC721Mintable.contractURI] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[supportsInterface] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() =>
+        eRC721Mintable.supportsInterface({ interfaceId: '0x80ac58cd' }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.supportsInterface] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[supportsInterface] - should return an Error if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() =>
+        eRC721Mintable.supportsInterface({ interfaceId: '0x80ac' }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.supportsInterface] interfaceId should be a 4 bytes hex string.',
+      );
+    });
+
+    it('[supportsInterface] - should call supportsInterface on the contract', async () => {
+      const supportsInterfaceMock = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ supportsInterface: supportsInterfaceMock }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await eRC721Mintable.supportsInterface({ interfaceId: '0x80ac58cd' });
+
+      expect(supportsInterfaceMock).toHaveBeenCalledWith(...['0x80ac58cd']);
+    });
+
+    it('[supportsInterface] - should return an Error if there is a network error', async () => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          supportsInterface: () => {
+            throw new Error('test error');
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      await expect(() =>
+        eRC721Mintable.supportsInterface({ interfaceId: '0x80ac58cd' }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.supportsInterface] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+  });
+
+  describe('ownership', () => {
+    const ownerSigner = { ...signerMock(), getAddress: () => ACCOUNT_ADDRESS };
+    let contractMock;
+
+    beforeEach(() => {
+      contractMock = {
+        estimateGas: estimateGasMock(),
+        owner: jest.fn(() => ACCOUNT_ADDRESS),
+        hasRole: jest.fn(() => true),
+        transferOwnership: jest.fn(() => ({ hash: '0xhash' })),
+      };
+    });
+
+    const deployContract = async contractSigner => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => contractMock,
+      }));
+      eRC721Mintable = new ERC721Mintable(contractSigner);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+    };
+
+    it('[transferOwnership] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() =>
+        eRC721Mintable.transferOwnership({ publicAddress: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.transferOwnership] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[transferOwnership] - should return an Error if the address is not valid', async () => {
+      await deployContract(signer);
+
+      await expect(() => eRC721Mintable.transferOwnership({ publicAddress: '' })).rejects.toThrow(
+        '[ERC721Mintable.transferOwnership] A valid address is required to transfer the ownership.',
+      );
+    });
+
+    it('[transferOwnership] - should return an Error if the address is the zero address', async () => {
+      await deployContract(signer);
+
+      await expect(() =>
+        eRC721Mintable.transferOwnership({ publicAddress: ethers.constants.AddressZero }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.transferOwnership] The ownership cannot be given to the zero address, use renounceOwnership instead.',
+      );
+    });
+
+    it('[transferOwnership] - should transfer the ownership', async () => {
+      await deployContract(signer);
+
+      await eRC721Mintable.transferOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      expect(contractMock.transferOwnership).toHaveBeenCalledWith(ACCOUNT_ADDRESS_2, {
+        gasLimit: 120000,
+      });
+    });
+
+    it('[transferOwnership] - should return an Error if there is a network error', async () => {
+      contractMock.transferOwnership = () => {
+        throw new Error('test error');
+      };
+      await deployContract(signer);
+
+      await expect(() =>
+        eRC721Mintable.transferOwnership({ publicAddress: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.transferOwnership] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+    });
+
+    it('[getOwner] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.getOwner()).rejects.toThrow(
+        '[ERC721Mintable.owner] A contract should be deployed or loaded first',
+      );
+    });
+
+    it('[getOwner] - should return the owner', async () => {
+      await deployContract(signer);
+
+      expect(await eRC721Mintable.getOwner()).toBe(ACCOUNT_ADDRESS);
+    });
+
+    it('[proposeOwnership] - should return an Error if the address is not valid', async () => {
+      await deployContract(ownerSigner);
+
+      await expect(() => eRC721Mintable.proposeOwnership({ publicAddress: '' })).rejects.toThrow(
+        '[ERC721Mintable.proposeOwnership] A valid address is required to propose the ownership.',
+      );
+    });
+
+    it('[proposeOwnership] - should return an Error if the signer is not the owner', async () => {
+      contractMock.owner = jest.fn(() => ACCOUNT_ADDRESS_2);
+      await deployContract(ownerSigner);
+
+      await expect(() =>
+        eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.proposeOwnership] Only the current owner can propose a new owner.',
+      );
+      expect(eRC721Mintable.getPendingOwner()).toBe(null);
+    });
+
+    it('[proposeOwnership] - should return an Error if the address is already the owner', async () => {
+      await deployContract(ownerSigner);
+
+      await expect(() =>
+        eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS }),
+      ).rejects.toThrow('[ERC721Mintable.proposeOwnership] This address is already the owner.');
+    });
+
+    it('[proposeOwnership] - should record the proposed owner without sending a transaction', async () => {
+      await deployContract(ownerSigner);
+
+      await eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      expect(eRC721Mintable.getPendingOwner()).toBe(ACCOUNT_ADDRESS_2);
+      expect(contractMock.transferOwnership).not.toHaveBeenCalled();
+    });
+
+    it('[cancelOwnershipProposal] - should return an Error if no proposal is pending', () => {
+      eRC721Mintable = new ERC721Mintable(ownerSigner);
+
+      expect(() => eRC721Mintable.cancelOwnershipProposal()).toThrow(
+        '[ERC721Mintable.cancelOwnershipProposal] No ownership proposal is pending.',
+      );
+    });
+
+    it('[cancelOwnershipProposal] - should clear the pending proposal', async () => {
+      await deployContract(ownerSigner);
+      await eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      eRC721Mintable.cancelOwnershipProposal();
+
+      expect(eRC721Mintable.getPendingOwner()).toBe(null);
+    });
+
+    it('[acceptOwnership] - should return an Error if no proposal is pending', async () => {
+      await deployContract(ownerSigner);
+
+      await expect(() => eRC721Mintable.acceptOwnership()).rejects.toThrow(
+        '[ERC721Mintable.acceptOwnership] No ownership proposal is pending.',
+      );
+    });
+
+    it('[acceptOwnership] - should return an Error if the proposed owner is not an admin', async () => {
+      contractMock.hasRole = jest.fn(() => false);
+      await deployContract(ownerSigner);
+      await eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      await expect(() => eRC721Mintable.acceptOwnership()).rejects.toThrow(
+        `[ERC721Mintable.acceptOwnership] The proposed owner ${ACCOUNT_ADDRESS_2} must have the admin role before accepting the ownership.`,
+      );
+      expect(contractMock.hasRole).toHaveBeenCalledWith(
+        eRC721Mintable.ADMIN_ROLE,
+        ACCOUNT_ADDRESS_2,
+      );
+      expect(contractMock.transferOwnership).not.toHaveBeenCalled();
+      expect(eRC721Mintable.getPendingOwner()).toBe(ACCOUNT_ADDRESS_2);
+    });
+
+    it('[acceptOwnership] - should transfer the ownership to the proposed owner', async () => {
+      await deployContract(ownerSigner);
+      await eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      const tx = await eRC721Mintable.acceptOwnership();
+
+      expect(tx).toEqual({ hash: '0xhash' });
+      expect(contractMock.transferOwnership).toHaveBeenCalledWith(ACCOUNT_ADDRESS_2, {
+        gasLimit: 120000,
+      });
+      expect(eRC721Mintable.getPendingOwner()).toBe(null);
+    });
+
+    it('[acceptOwnership] - should keep the proposal if there is a network error', async () => {
+      contractMock.transferOwnership = () => {
+        throw new Error('test error');
+      };
+      await deployContract(ownerSigner);
+      await eRC721Mintable.proposeOwnership({ publicAddress: ACCOUNT_ADDRESS_2 });
+
+      await expect(() => eRC721Mintable.acceptOwnership()).rejects.toThrow(
+        '[ERC721Mintable.acceptOwnership] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+      expect(eRC721Mintable.getPendingOwner()).toBe(ACCOUNT_ADDRESS_2);
+    });
+  });
+
+  describe('txOptions', () => {
+    it('[deploy] - should forward the txOptions to the deployment', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await eRC721Mintable.deploy({
+        name: 'name',
+        symbol: 'symbol',
+        contractURI: 'URI',
+        txOptions: { nonce: 3 },
+      });
+
+      expect(contractFactoryMock).toHaveBeenCalledWith('name', 'symbol', 'URI', {
+        nonce: 3,
+        gasLimit: 120000,
+      });
+    });
+
+    it('[deploy] - should estimate the gas of the deployment with the gasOptions', async () => {
+      const deploySigner = signerMock();
+      eRC721Mintable = new ERC721Mintable(deploySigner);
+
+      await eRC721Mintable.deploy({
+        name: 'name',
+        symbol: 'symbol',
+        contractURI: 'URI',
+        gasOptions: { gasLimitMultiplier: 1.5 },
+      });
+
+      expect(deploySigner.estimateGas).toHaveBeenCalledTimes(1);
+      expect(contractFactoryMock).toHaveBeenCalledWith('name', 'symbol', 'URI', {
+        gasLimit: 150000,
+      });
+    });
+
+    it('[addMinter] - should forward the txOptions to the contract call', async () => {
+      const grantRole = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ estimateGas: estimateGasMock(), grantRole }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await eRC721Mintable.addMinter({
+        publicAddress: ACCOUNT_ADDRESS,
+        txOptions: { nonce: 4, customData: { paymaster: ACCOUNT_ADDRESS_2 } },
+      });
+
+      expect(grantRole).toHaveBeenCalledWith(eRC721Mintable.MINTER_ROLE, ACCOUNT_ADDRESS, {
+        nonce: 4,
+        customData: { paymaster: ACCOUNT_ADDRESS_2 },
+        gasLimit: 120000,
+      });
+    });
+
+    it('[renounceOwnership] - should forward the txOptions to the contract call', async () => {
+      const renounceOwnership = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ renounceOwnership }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await eRC721Mintable.renounceOwnership({ txOptions: { gasLimit: 50000 } });
+
+      expect(renounceOwnership).toHaveBeenCalledWith({ gasLimit: 50000 });
+    });
+
+    it('[mint] - should estimate the gas with the txOptions and keep their fees', async () => {
+      const estimateGas = estimateGasMock();
+      const mintWithTokenURI = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({ estimateGas, mintWithTokenURI }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer, { gasOptions: { feeStrategy: { gasPrice: 1 } } });
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await eRC721Mintable.mint({
+        publicAddress: ACCOUNT_ADDRESS,
+        tokenURI: 'https://infura.io',
+        txOptions: { nonce: 5, maxFeePerGas: 20, maxPriorityFeePerGas: 2 },
+      });
+
+      const transaction = { nonce: 5, maxFeePerGas: 20, maxPriorityFeePerGas: 2 };
+      expect(estimateGas.mintWithTokenURI).toHaveBeenCalledWith(
+        ACCOUNT_ADDRESS,
+        'https://infura.io',
+        transaction,
+      );
+      expect(mintWithTokenURI).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 'https://infura.io', {
+        ...transaction,
+        gasLimit: 120000,
+      });
+    });
+
+    it('[transfer] - should not estimate the gas when the txOptions set a gas limit', async () => {
+      const estimateGas = estimateGasMock();
+      const safeTransferFrom = jest.fn();
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas,
+          'safeTransferFrom(address,address,uint256)': safeTransferFrom,
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await eRC721Mintable.transfer({
+        from: ACCOUNT_ADDRESS,
+        to: ACCOUNT_ADDRESS_2,
+        tokenId: 1,
+        txOptions: { gasLimit: 70000 },
+      });
+
+      expect(estimateGas['safeTransferFrom(address,address,uint256)']).not.toHaveBeenCalled();
+      expect(safeTransferFrom).toHaveBeenCalledWith(ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2, 1, {
+        gasLimit: 70000,
+      });
+    });
+
+    it('[setContractURI] - should throw when the txOptions are invalid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() =>
+        eRC721Mintable.setContractURI({ contractURI: 'URI', txOptions: { nonce: -1 } }),
+      ).rejects.toThrow('[ERC721Mintable.setContractURI] Invalid txOptions value. | nonce');
+      await expect(() =>
+        eRC721Mintable.setContractURI({ contractURI: 'URI', txOptions: { to: ACCOUNT_ADDRESS } }),
+      ).rejects.toThrow('[ERC721Mintable.setContractURI] Unknown txOptions key. | to');
+    });
+  });
+
+  describe('errors', () => {
+    it('should throw a ContractError if the contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(() => eRC721Mintable.getOwner()).rejects.toThrow(ContractError);
+    });
+
+    it('should throw a ValidationError if the params are not valid', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.ownerOf({ tokenId: 'abc' })).rejects.toMatchObject({
+        constructor: ValidationError,
+        code: 'INVALID_ARGUMENT',
+        location: '[ERC721Mintable.ownerOf]',
+      });
+    });
+
+    it('should throw a NetworkError carrying the ethers error', async () => {
+      const ethersError = { code: 'SERVER_ERROR', reason: 'bad response' };
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          ownerOf: () => {
+            throw ethersError;
+          },
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      await expect(() => eRC721Mintable.ownerOf({ tokenId: 1 })).rejects.toMatchObject({
+        constructor: NetworkError,
+        code: 'SERVER_ERROR',
+        location: '[ERC721Mintable.ownerOf]',
+        cause: ethersError,
+      });
+    });
+
+    it('should reject wait() with a ContractError when the mint transaction reverts', async () => {
+      const minedRevert = {
+        code: 'CALL_EXCEPTION',
+        reason: 'transaction failed',
+        receipt: { blockNumber: 2, status: 0 },
+      };
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          mintWithTokenURI: () => ({ wait: () => Promise.reject(minedRevert) }),
+        }),
+      }));
+      eRC721Mintable = new ERC721Mintable(signer);
+      await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+      const tx = await eRC721Mintable.mint({
+        publicAddress: '0xE26a682fa90322eC48eB9F3FA66E8961D799177C',
+        tokenURI: 'https://infura.io/images/404.png',
+      });
+
+      await expect(() => tx.wait()).rejects.toMatchObject({
+        constructor: ContractError,
+        code: 'CALL_EXCEPTION',
+        location: '[ERC721Mintable.mint]',
+        cause: minedRevert,
+      });
+    });
+  });
+
+  it('[on] - should return an Error if contract is not deployed', async () => {
+    eRC721Mintable = new ERC721Mintable(signer);
+
+    await expect(eRC721Mintable.on({ event: 'Transfer', listener: jest.fn() })).rejects.toThrow(
+      '[ERC721Mintable.on] A contract should be deployed or loaded first',
+    );
+  });
+
+  it('[on] - should return an Error if the signer has no provider', async () => {
+    eRC721Mintable = new ERC721Mintable(signer);
+    await eRC721Mintable.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+
+    await expect(eRC721Mintable.once({ event: 'Transfer', listener: jest.fn() })).rejects.toThrow(
+      '[ERC721Mintable.once] No provider supplied, the signer needs one to listen to events.',
+    );
+    expect(() => eRC721Mintable.off()).not.toThrow();
+  });
+
+  describe('listRoleMembers', () => {
+    const MINTER_ROLE = '0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6';
+    const THIRD_ADDRESS = '0x3F2D5d10Cf4aDB2d2D0A98C7A6dEAa60CF4Aa1a4';
+
+    const roleEvent = (event, account, blockNumber, logIndex = 0) => ({
+      event,
+      args: { account },
+      blockNumber,
+      logIndex,
+    });
+
+    let queryMock;
+
+    const deployRoleContract = async hasRole => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        address: CONTRACT_ADDRESS,
+        deployed: () => ({ hasRole }),
+      }));
+      const contract = new ERC721Mintable(signer);
+      await contract.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      return contract;
+    };
+
+    let blockNumberMock;
+
+    beforeEach(() => {
+      // the events of both types, ordered by block
+      queryMock = jest
+        .spyOn(ContractEvents.prototype, 'query')
+        .mockResolvedValue([
+          roleEvent('RoleGranted', ACCOUNT_ADDRESS, 1),
+          roleEvent('RoleGranted', ACCOUNT_ADDRESS_2, 2),
+          roleEvent('RoleRevoked', ACCOUNT_ADDRESS, 3),
+          roleEvent('RoleGranted', THIRD_ADDRESS, 3, 1),
+        ]);
+      blockNumberMock = jest
+        .spyOn(ContractEvents.prototype, 'getBlockNumber')
+        .mockResolvedValue(42);
+    });
+
+    afterEach(() => {
+      queryMock.mockRestore();
+      blockNumberMock.mockRestore();
+    });
+
+    it('[listRoleMembers] - should replay the role events and check the members', async () => {
+      const hasRole = jest.fn(async (role, account) => account !== ACCOUNT_ADDRESS);
+      const contract = await deployRoleContract(hasRole);
+      jest.spyOn(ethers.utils, 'isHexString').mockImplementationOnce(() => true);
+
+      const members = await contract.listRoleMembers({ role: MINTER_ROLE, fromBlock: 1 });
+
+      expect(queryMock).toHaveBeenCalledTimes(1);
+      expect(queryMock).toHaveBeenCalledWith(
+        {
+          event: ['RoleGranted', 'RoleRevoked'],
+          filter: { role: MINTER_ROLE },
+          fromBlock: 1,
+          toBlock: 42,
+        },
+        '[ERC721Mintable.listRoleMembers]',
+      );
+      expect(hasRole).toHaveBeenCalledTimes(3);
+      expect(hasRole).toHaveBeenCalledWith(MINTER_ROLE, THIRD_ADDRESS, { blockTag: 42 });
+      expect(members).toEqual([ACCOUNT_ADDRESS_2, THIRD_ADDRESS]);
+    });
+
+    it('[listMinters] - should only return the addresses that still have the role', async () => {
+      const hasRole = jest.fn(async (role, account) => account === ACCOUNT_ADDRESS_2);
+      const contract = await deployRoleContract(hasRole);
+
+      expect(await contract.listMinters()).toEqual([ACCOUNT_ADDRESS_2]);
+      expect(queryMock.mock.calls[0][0]).toMatchObject({ filter: { role: MINTER_ROLE } });
+      expect(queryMock.mock.calls[0][0].fromBlock).toBeUndefined();
+      expect(await contract.listAdmins()).toEqual([ACCOUNT_ADDRESS_2]);
+      expect(hasRole).toHaveBeenLastCalledWith(contract.ADMIN_ROLE, THIRD_ADDRESS, {
+        blockTag: 42,
+      });
+    });
+
+    it('[listRoleMembers] - should return an Error if the role is not valid', async () => {
+      const contract = await deployRoleContract(jest.fn());
+      jest.spyOn(ethers.utils, 'isHexString').mockImplementationOnce(() => false);
+
+      await expect(contract.listRoleMembers({ role: 'MINTER' })).rejects.toThrow(
+        '[ERC721Mintable.listRoleMembers] A valid role (bytes32 hex string) is required.',
+      );
+    });
+
+    it('[listMinters] - should return an Error if contract is not deployed', async () => {
+      eRC721Mintable = new ERC721Mintable(signer);
+
+      await expect(eRC721Mintable.listMinters()).rejects.toThrow(
+        '[ERC721Mintable.listMinters] A contract should be deployed or loaded first',
+      );
+    });
+  });
+
+  describe('mintAndWait', () => {
+    const transferLog = {
+      address: CONTRACT_ADDRESS,
+      parsed: {
+        name: 'Transfer',
+        args: { from: ethers.constants.AddressZero, tokenId: { toString: () => '7' } },
+      },
+    };
+    const receipt = { transactionHash: '0x7', status: 1, logs: [transferLog] };
+
+    const deployWaitContract = async wait => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        address: CONTRACT_ADDRESS,
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          mintWithTokenURI: jest.fn(async () => ({ hash: '0x7', wait })),
+          interface: { parseLog: log => log.parsed },
+        }),
+      }));
+      const contract = new ERC721Mintable(signer);
+      await contract.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      return contract;
+    };
+
+    it('[mintAndWait] - should return the ID of the minted token', async () => {
+      const wait = jest.fn(async () => receipt);
+      const contract = await deployWaitContract(wait);
+
+      const minted = await contract.mintAndWait({
+        publicAddress: ACCOUNT_ADDRESS,
+        tokenURI: 'https://infura.io/7',
+        confirmations: 2,
+      });
+
+      expect(wait).toHaveBeenCalledWith(2);
+      expect(minted).toEqual({ tokenId: '7', txHash: '0x7', receipt });
+    });
+
+    it('[mintAndWait] - should return the receipt of the transaction sped up', async () => {
+      const sped = { ...receipt, transactionHash: '0x8' };
+      const contract = await deployWaitContract(async () => {
+        throw Object.assign(new Error('transaction was replaced'), {
+          code: 'TRANSACTION_REPLACED',
+          cancelled: false,
+          receipt: sped,
+        });
+      });
+
+      const minted = await contract.mintAndWait({
+        publicAddress: ACCOUNT_ADDRESS,
+        tokenURI: 'https://infura.io/7',
+      });
+
+      expect(minted).toEqual({ tokenId: '7', txHash: '0x8', receipt: sped });
+    });
+
+    it('[mintAndWait] - should throw when the transaction is cancelled', async () => {
+      const cancelled = Object.assign(new Error('transaction was replaced'), {
+        code: 'TRANSACTION_REPLACED',
+        cancelled: true,
+        receipt: { ...receipt, logs: [] },
+      });
+      const contract = await deployWaitContract(() => Promise.reject(cancelled));
+
+      await expect(
+        contract.mintAndWait({ publicAddress: ACCOUNT_ADDRESS, tokenURI: 'https://infura.io/7' }),
+      ).rejects.toBe(cancelled);
+    });
+
+    it('[mintAndWait] - should throw when the confirmations are invalid', async () => {
+      const contract = await deployWaitContract(jest.fn());
+
+      await expect(
+        contract.mintAndWait({
+          publicAddress: ACCOUNT_ADDRESS,
+          tokenURI: 'https://infura.io/7',
+          confirmations: 0,
+        }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.mintAndWait] The confirmations should be a positive integer.',
+      );
+    });
+  });
+
+  describe('mintBatch', () => {
+    const recipients = [ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2, ACCOUNT_ADDRESS];
+    const tokenURIs = ['https://infura.io/0', 'https://infura.io/1', 'https://infura.io/2'];
+
+    // Transfer event of the token minted, as parsed by the contract interface
+    const mintedReceipt = tokenId => ({
+      logs: [
+        {
+          address: CONTRACT_ADDRESS,
+          parsed: {
+            name: 'Transfer',
+            args: {
+              from: ethers.constants.AddressZero,
+              tokenId: { toString: () => String(tokenId) },
+            },
+          },
+        },
+      ],
+    });
+
+    let steps;
+    let provider;
+    let queueMock;
+
+    const deployBatchContract = async mintWithTokenURI => {
+      jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+        address: CONTRACT_ADDRESS,
+        deployed: () => ({
+          estimateGas: estimateGasMock(),
+          mintWithTokenURI,
+          interface: { parseLog: log => log.parsed },
+        }),
+      }));
+      const contract = new ERC721Mintable({ ...signerMock(), provider });
+      await contract.deploy({ name: 'name', symbol: 'symbol', contractURI: 'URI' });
+      return contract;
+    };
+
+    const mintMock = () =>
+      jest.fn(async (publicAddress, tokenURI) => {
+        const index = tokenURIs.indexOf(tokenURI);
+        steps.push(`send ${index}`);
+        return {
+          hash: `0x${index}`,
+          wait: async () => {
+            steps.push(`mined ${index}`);
+            return mintedReceipt(index + 10);
+          },
+        };
+      });
+
+    beforeEach(() => {
+      steps = [];
+      provider = { getTransaction: jest.fn() };
+      queueMock = jest
+        .spyOn(TransactionQueue, 'forSigner')
+        .mockResolvedValue({ add: send => send({ nonce: 1 }) });
+    });
+
+    afterEach(() => {
+      queueMock.mockRestore();
+    });
+
+    it('[mintBatch] - should mint the tokens chunk by chunk through the queue', async () => {
+      const mintWithTokenURI = mintMock();
+      const contract = await deployBatchContract(mintWithTokenURI);
+      const onProgress = jest.fn();
+
+      const results = await contract.mintBatch({
+        recipients,
+        tokenURIs,
+        chunkSize: 2,
+        concurrency: 2,
+        onProgress,
+      });
+
+      expect(queueMock).toHaveBeenCalledWith(expect.objectContaining({ provider }), {
+        concurrency: 2,
+      });
+      expect(mintWithTokenURI).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 'https://infura.io/0', {
+        nonce: 1,
+        gasLimit: 120000,
+      });
+      expect(steps).toEqual(['send 0', 'send 1', 'mined 0', 'mined 1', 'send 2', 'mined 2']);
+      expect(results).toEqual([
+        {
+          index: 0,
+          recipient: ACCOUNT_ADDRESS,
+          tokenURI: 'https://infura.io/0',
+          status: 'minted',
+          txHash: '0x0',
+          tokenId: '10',
+          error: null,
+        },
+        expect.objectContaining({ index: 1, status: 'minted', txHash: '0x1', tokenId: '11' }),
+        expect.objectContaining({ index: 2, status: 'minted', txHash: '0x2', tokenId: '12' }),
+      ]);
+      expect(onProgress.mock.calls.map(([{ index, status }]) => `${status} ${index}`)).toEqual([
+        'sent 0',
+        'sent 1',
+        'minted 0',
+        'minted 1',
+        'sent 2',
+        'minted 2',
+      ]);
+    });
+
+    it('[mintBatch] - should report the tokens that failed', async () => {
+      const reverted = new Error('reverted');
+      const mintWithTokenURI = jest
+        .fn()
+        .mockResolvedValueOnce({ hash: '0x0', wait: async () => mintedReceipt(10) })
+        .mockRejectedValueOnce(new Error('insufficient funds'))
+        .mockResolvedValueOnce({ hash: '0x2', wait: () => Promise.reject(reverted) });
+      const contract = await deployBatchContract(mintWithTokenURI);
+
+      const results = await contract.mintBatch({ recipients, tokenURIs });
+
+      expect(results.map(({ status }) => status)).toEqual(['minted', 'failed', 'failed']);
+      expect(results[1].error).toBeInstanceOf(SDKError);
+      expect(results[1].txHash).toBe(null);
+      expect(results[2].error).toBe(reverted);
+      expect(results[2].txHash).toBe('0x2');
+    });
+
+    it('[mintBatch] - should resume a batch without minting the tokens twice', async () => {
+      const mintWithTokenURI = mintMock();
+      const contract = await deployBatchContract(mintWithTokenURI);
+      provider.getTransaction.mockResolvedValue({
+        hash: '0x1',
+        wait: async () => mintedReceipt(11),
+      });
+      const previous = index => ({
+        index,
+        recipient: recipients[index],
+        tokenURI: tokenURIs[index],
+      });
+
+      const results = await contract.mintBatch({
+        recipients,
+        tokenURIs,
+        resume: [
+          { ...previous(0), status: 'minted', txHash: '0x0', tokenId: '10' },
+          { ...previous(1), status: 'sent', txHash: '0x1' },
+          { ...previous(2), status: 'failed', error: {} },
+        ],
+      });
+
+      expect(provider.getTransaction).toHaveBeenCalledWith('0x1');
+      expect(steps).toEqual(['send 2', 'mined 2']);
+      expect(results.map(({ status, tokenId }) => [status, tokenId])).toEqual([
+        ['minted', '10'],
+        ['minted', '11'],
+        ['minted', '12'],
+      ]);
+    });
+
+    it('[mintBatch] - should send again the transactions lost by the node', async () => {
+      const mintWithTokenURI = mintMock();
+      const contract = await deployBatchContract(mintWithTokenURI);
+      provider.getTransaction.mockResolvedValue(null);
+
+      const results = await contract.mintBatch({
+        recipients: [ACCOUNT_ADDRESS],
+        tokenURIs: ['https://infura.io/0'],
+        resume: [
+          {
+            index: 0,
+            recipient: ACCOUNT_ADDRESS,
+            tokenURI: 'https://infura.io/0',
+            status: 'sent',
+            txHash: '0x9',
+          },
+        ],
+      });
+
+      expect(steps).toEqual(['send 0', 'mined 0']);
+      expect(results[0]).toEqual(expect.objectContaining({ status: 'minted', txHash: '0x0' }));
+    });
+
+    it('[mintBatch] - should throw when the params are invalid', async () => {
+      const contract = await deployBatchContract(mintMock());
+
+      await expect(contract.mintBatch({ recipients: [], tokenURIs: [] })).rejects.toThrow(
+        '[ERC721Mintable.mintBatch] A non-empty array of valid addresses is required.',
+      );
+      await expect(
+        contract.mintBatch({ recipients, tokenURIs: tokenURIs.slice(1) }),
+      ).rejects.toThrow('[ERC721Mintable.mintBatch] A tokenURI is required for each recipient.');
+      await expect(contract.mintBatch({ recipients, tokenURIs, chunkSize: 0 })).rejects.toThrow(
+        '[ERC721Mintable.mintBatch] The chunkSize should be a positive integer.',
+      );
+      await expect(
+        contract.mintBatch({
+          recipients,
+          tokenURIs,
+          resume: [{ index: 0, recipient: ACCOUNT_ADDRESS_2, tokenURI: tokenURIs[0] }],
+        }),
+      ).rejects.toThrow(
+        '[ERC721Mintable.mintBatch] The resumed items should be those of the same recipients and tokenURIs.',
+      );
+    });
+
+    it('[mintBatch] - should throw when a resumed item is not at an index of the batch', async () => {
+      const contract = await deployBatchContract(mintMock());
+
+      await Promise.all(
+        [-1, 0.5, '0', recipients.length].map(index =>
+          expect(
+            contract.mintBatch({ recipients, tokenURIs, resume: [{ index }] }),
+          ).rejects.toThrow(
+            '[ERC721Mintable.mintBatch] The resumed items should be those of the same recipients and tokenURIs.',
+          ),
+        ),
+      );
+    });
+
+    it('[mintBatch] - should throw if the contract is not deployed', async () => {
+      const contract = new ERC721Mintable({ ...signerMock(), provider });
+
+      await expect(contract.mintBatch({ recipients, tokenURIs })).rejects.toThrow(
+        '[ERC721Mintable.mintBatch] A contract should be deployed or loaded first',
+      );
+    });
+  });
 });
@@ -0,0 +1,424 @@
+import { ContractFactory, ethers, utils } from 'ethers';
+import ERC721UserMintable from '../src/lib/ContractTemplates/ERC721UserMintable';
+import { ContractError } from '../src/lib/error/errors';
+import {
+  ACCOUNT_ADDRESS,
+  CONTRACT_ADDRESS,
+  ACCOUNT_ADDRESS_2,
+  estimateGasMock,
+  signerMock,
+} from './__mocks__/utils';
+
+let eRC721UserMintable;
+let signer;
+
+jest.mock('ethers');
+
+const deployParams = {
+  name: 'name',
+  symbol: 'symbol',
+  contractURI: 'URI',
+  baseURI: 'https://infura.io/tokens/',
+  maxSupply: 100,
+  price: '0.01',
+};
+
+describe('ERC721UserMintable', () => {
+  const contractFactoryMock = jest
+    .spyOn(ContractFactory.prototype, 'deploy')
+    .mockImplementation(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        mint: jest.fn(),
+        price: () => ({ mul: quantity => quantity * 10 }),
+        reserve: jest.fn(),
+        setPrice: jest.fn(),
+        toggleSale: jest.fn(),
+        saleIsActive: jest.fn(async () => true),
+        maxSupply: jest.fn(async () => 100),
+        totalSupply: jest.fn(async () => 3),
+        withdraw: jest.fn(),
+        setBaseURI: jest.fn(),
+        setContractURI: jest.fn(),
+        'safeTransferFrom(address,address,uint256)': jest.fn(),
+        grantRole: jest.fn(),
+        renounceRole: jest.fn(),
+        revokeRole: jest.fn(),
+        hasRole: jest.fn(),
+        setApprovalForAll: jest.fn(),
+        approve: jest.fn(),
+        setRoyalties: jest.fn(),
+        royaltyInfo: jest.fn(),
+        renounceOwnership: jest.fn(),
+      }),
+    }));
+
+  jest.spyOn(ethers.utils, 'isAddress').mockImplementation(() => true);
+  jest.spyOn(utils, 'parseEther').mockImplementation(value => `${value}:wei`);
+  jest.spyOn(ethers, 'Contract').mockImplementation(() => ({}));
+
+  beforeAll(() => {
+    signer = signerMock();
+  });
+
+  afterEach(() => {
+    contractFactoryMock.mockClear();
+  });
+
+  it('should create "ERC721UserMintable" instance', () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    expect(eRC721UserMintable).not.toBe(null);
+    expect(eRC721UserMintable.getTemplate()).toBe('ERC721UserMintable');
+  });
+
+  it('[Deploy] - should return an Error if signer not defined ', async () => {
+    eRC721UserMintable = new ERC721UserMintable(null);
+
+    await expect(() => eRC721UserMintable.deploy(deployParams)).rejects.toThrow(
+      '[ERC721UserMintable.deploy] Signer instance is required to interact with contract.',
+    );
+  });
+
+  it('[Deploy] - should return an Error if Name is empty', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.deploy({ ...deployParams, name: '' })).rejects.toThrow(
+      '[ERC721UserMintable.deploy] Name cannot be empty',
+    );
+  });
+
+  it('[Deploy] - should return an Error if baseURI is undefined', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() =>
+      eRC721UserMintable.deploy({ ...deployParams, baseURI: undefined }),
+    ).rejects.toThrow('[ERC721UserMintable.deploy] baseURI cannot be undefined');
+  });
+
+  it('[Deploy] - should return an Error if maxSupply is not a positive integer', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() =>
+      eRC721UserMintable.deploy({ ...deployParams, maxSupply: 0 }),
+    ).rejects.toThrow('[ERC721UserMintable.deploy] maxSupply should be a positive integer');
+  });
+
+  it('[Deploy] - should return an Error if price is not valid', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() =>
+      eRC721UserMintable.deploy({ ...deployParams, price: 'free' }),
+    ).rejects.toThrow('[ERC721UserMintable.deploy] price should be a positive number');
+  });
+
+  it('[Deploy] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => {
+      throw new Error('test error');
+    });
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.deploy(deployParams)).rejects.toThrow(
+      '[ERC721UserMintable.deploy] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[Deploy] - should deploy the contract with the price in wei', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await eRC721UserMintable.deploy(deployParams);
+
+    expect(ContractFactory.prototype.deploy).toHaveBeenCalledWith(
+      'name',
+      'symbol',
+      'URI',
+      'https://infura.io/tokens/',
+      100,
+      '0.01:wei',
+      { gasLimit: 120000 },
+    );
+  });
+
+  it('[LoadContract] - should return an Error if the address is empty', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.loadContract({ contractAddress: '' })).rejects.toThrow(
+      '[ERC721UserMintable.loadContract] A valid contract address is required to load a contract.',
+    );
+  });
+
+  it('[LoadContract] - should load the contract', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await eRC721UserMintable.loadContract({ contractAddress: CONTRACT_ADDRESS });
+
+    expect(ethers.Contract).toHaveBeenCalledTimes(1);
+  });
+
+  it('[Mint] - should return an Error if contract is not deployed', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.mint({ quantity: 1 })).rejects.toThrow(
+      '[ERC721UserMintable.mint] A contract should be deployed or loaded first',
+    );
+  });
+
+  it('[Mint] - should return an Error if quantity is not a positive integer', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.mint({ quantity: 0 })).rejects.toThrow(
+      '[ERC721UserMintable.mint] Quantity should be a positive integer.',
+    );
+  });
+
+  it('[Mint] - should mint paying the price of the tokens', async () => {
+    const mint = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        mint,
+        price: () => ({ mul: quantity => quantity * 10 }),
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await eRC721UserMintable.mint({ quantity: 3 });
+
+    expect(mint).toHaveBeenCalledWith(3, { value: 30, gasLimit: 120000 });
+  });
+
+  it('[Mint] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        price: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.mint({ quantity: 1 })).rejects.toThrow(
+      '[ERC721UserMintable.mint] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[Reserve] - should return an Error if the address is empty', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC721UserMintable.reserve({ publicAddress: '', quantity: 1 }),
+    ).rejects.toThrow('[ERC721UserMintable.reserve] A valid address is required to reserve.');
+  });
+
+  it('[Reserve] - should reserve tokens', async () => {
+    const reserve = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), reserve }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await eRC721UserMintable.reserve({ publicAddress: ACCOUNT_ADDRESS, quantity: 2 });
+
+    expect(reserve).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 2, { gasLimit: 120000 });
+  });
+
+  it('[MintAndWait] - should return the IDs of the minted tokens', async () => {
+    const transfer = tokenId => ({
+      address: CONTRACT_ADDRESS,
+      parsed: {
+        name: 'Transfer',
+        args: { from: ethers.constants.AddressZero, tokenId: { toString: () => String(tokenId) } },
+      },
+    });
+    const receipt = { transactionHash: '0x1', status: 1, logs: [transfer(4), transfer(5)] };
+    const wait = jest.fn(async () => receipt);
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      address: CONTRACT_ADDRESS,
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        price: () => ({ mul: quantity => quantity * 10 }),
+        mint: jest.fn(async () => ({ hash: '0x1', wait })),
+        reserve: jest.fn(async () => ({ hash: '0x1', wait })),
+        interface: { parseLog: log => log.parsed },
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    const minted = await eRC721UserMintable.mintAndWait({ quantity: 2 });
+    const reserved = await eRC721UserMintable.reserveAndWait({
+      publicAddress: ACCOUNT_ADDRESS,
+      quantity: 2,
+      confirmations: 3,
+    });
+
+    expect(minted).toEqual({ tokenIds: ['4', '5'], txHash: '0x1', receipt });
+    expect(reserved.tokenIds).toEqual(['4', '5']);
+    expect(wait).toHaveBeenLastCalledWith(3);
+  });
+
+  it('[MintAndWait] - should return an Error if the confirmations are invalid', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC721UserMintable.mintAndWait({ quantity: 1, confirmations: 1.5 }),
+    ).rejects.toThrow(
+      '[ERC721UserMintable.mintAndWait] The confirmations should be a positive integer.',
+    );
+  });
+
+  it('[SetPrice] - should return an Error if price is negative', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.setPrice({ price: -1 })).rejects.toThrow(
+      '[ERC721UserMintable.setPrice] Price should be a positive number.',
+    );
+  });
+
+  it('[SetPrice] - should set the price in wei', async () => {
+    const setPrice = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ estimateGas: estimateGasMock(), setPrice }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await eRC721UserMintable.setPrice({ price: 0 });
+
+    expect(setPrice).toHaveBeenCalledWith('0:wei', { gasLimit: 120000 });
+  });
+
+  it('[ToggleSale] - should return an Error if contract is not deployed', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.toggleSale()).rejects.toThrow(
+      '[ERC721UserMintable.toggleSale] A contract should be deployed or loaded first',
+    );
+  });
+
+  it('[ToggleSale] - should toggle the sale', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await eRC721UserMintable.toggleSale();
+
+    expect(contractFactoryMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('[ToggleSale] - should reject wait() with a ContractError when the transaction reverts', async () => {
+    const minedRevert = {
+      code: 'CALL_EXCEPTION',
+      reason: 'transaction failed',
+      receipt: { blockNumber: 2, status: 0 },
+    };
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        toggleSale: () => ({ wait: () => Promise.reject(minedRevert) }),
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    const tx = await eRC721UserMintable.toggleSale();
+
+    await expect(() => tx.wait()).rejects.toMatchObject({
+      constructor: ContractError,
+      code: 'CALL_EXCEPTION',
+      location: '[ERC721UserMintable.toggleSale]',
+      cause: minedRevert,
+    });
+  });
+
+  it('[SaleReads] - should return an Error if contract is not deployed', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+
+    await expect(() => eRC721UserMintable.saleActive()).rejects.toThrow(
+      '[ERC721UserMintable.saleActive] A contract should be deployed or loaded first',
+    );
+  });
+
+  it('[SaleReads] - should read the price, the sale status and the supplies', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    expect((await eRC721UserMintable.price()).mul(2)).toBe(20);
+    expect(await eRC721UserMintable.saleActive()).toBe(true);
+    expect(await eRC721UserMintable.maxSupply()).toBe(100);
+    expect(await eRC721UserMintable.totalSupply()).toBe(3);
+  });
+
+  it('[SaleReads] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        totalSupply: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.totalSupply()).rejects.toThrow(
+      '[ERC721UserMintable.totalSupply] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[Withdraw] - should return an Error if there is a network error', async () => {
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({
+        estimateGas: estimateGasMock(),
+        withdraw: () => {
+          throw new Error('test error');
+        },
+      }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.withdraw()).rejects.toThrow(
+      '[ERC721UserMintable.withdraw] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('[SetBaseURI] - should return an Error if the baseURI is empty', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() => eRC721UserMintable.setBaseURI({ baseURI: '' })).rejects.toThrow(
+      '[ERC721UserMintable.setBaseURI] A valid base uri is required!',
+    );
+  });
+
+  it('[Transfer] - should return an Error if tokenId is not valid', async () => {
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await expect(() =>
+      eRC721UserMintable.transfer({ from: ACCOUNT_ADDRESS, to: ACCOUNT_ADDRESS_2, tokenId: 'a' }),
+    ).rejects.toThrow(
+      '[ERC721UserMintable.transfer] TokenId should be an integer or a decimal string.',
+    );
+  });
+
+  it('[isAdmin] - should check if an address has the admin role', async () => {
+    const hasRole = jest.fn();
+    jest.spyOn(ContractFactory.prototype, 'deploy').mockImplementationOnce(() => ({
+      deployed: () => ({ hasRole }),
+    }));
+    eRC721UserMintable = new ERC721UserMintable(signer);
+    await eRC721UserMintable.deploy(deployParams);
+
+    await eRC721UserMintable.isAdmin({ publicAddress: ACCOUNT_ADDRESS });
+
+    expect(hasRole).toHaveBeenCalledWith(eRC721UserMintable.ADMIN_ROLE, ACCOUNT_ADDRESS);
+  });
+});
@@ -0,0 +1,336 @@
+import { ContractFactory, ethers } from 'ethers';
+import GenericContract from '../src/lib/ContractTemplates/GenericContract';
+import ContractEvents from '../src/lib/Event/ContractEvents';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+import { ACCOUNT_ADDRESS, CONTRACT_ADDRESS, estimateGasMock, signerMock } from './__mocks__/utils';
+
+const template = {
+  name: 'MyToken',
+  abi: ERC721MintableArtifact.abi,
+  bytecode: ERC721MintableArtifact.bytecode,
+};
+
+// wallet estimating the gas of the deployments at 100000
+const walletMock = () => Object.assign(ethers.Wallet.createRandom(), signerMock());
+
+describe('GenericContract', () => {
+  let genericContract;
+  const contractMock = {
+    estimateGas: estimateGasMock(),
+    name: jest.fn(() => 'MyToken'),
+    mintWithTokenURI: jest.fn(),
+    'safeTransferFrom(address,address,uint256)': jest.fn(),
+    balanceOf: jest.fn(() => 1),
+  };
+  const contractFactoryMock = jest
+    .spyOn(ContractFactory.prototype, 'deploy')
+    .mockImplementation(() => ({
+      address: CONTRACT_ADDRESS,
+      deployed: () => contractMock,
+    }));
+  const signer = walletMock();
+
+  afterEach(() => {
+    contractFactoryMock.mockClear();
+  });
+
+  it('should return the template name', () => {
+    genericContract = new GenericContract(signer, template);
+
+    expect(genericContract.getTemplate()).toBe('MyToken');
+  });
+
+  it('[Deploy] - should return an Error if signer not defined', async () => {
+    genericContract = new GenericContract(null, template);
+
+    await expect(() => genericContract.deploy({})).rejects.toThrow(
+      '[GenericContract.deploy] Signer instance is required to interact with contract.',
+    );
+  });
+
+  it('[Deploy] - should return an Error if the template has no bytecode', async () => {
+    genericContract = new GenericContract(signer, { ...template, bytecode: undefined });
+
+    await expect(() => genericContract.deploy({})).rejects.toThrow(
+      '[GenericContract.deploy] Template "MyToken" has no bytecode and can only be loaded.',
+    );
+  });
+
+  it('[Deploy] - should return an Error if a constructor parameter is missing', async () => {
+    genericContract = new GenericContract(signer, template);
+
+    await expect(() => genericContract.deploy({ name: 'name', symbol: 'SYM' })).rejects.toThrow(
+      '[GenericContract.deploy] Missing constructor parameter "contractURI_".',
+    );
+  });
+
+  it('[Deploy] - should deploy with the constructor parameters in the ABI order', async () => {
+    genericContract = new GenericContract(signer, template);
+
+    await genericContract.deploy({ contractURI: 'URI', symbol_: 'SYM', name: 'name' });
+
+    expect(contractFactoryMock).toHaveBeenCalledWith('name', 'SYM', 'URI', { gasLimit: 120000 });
+    expect(genericContract.contractAddress).toBe(CONTRACT_ADDRESS);
+  });
+
+  it('[Deploy] - should deploy with the gasOptions and txOptions', async () => {
+    const deploySigner = walletMock();
+    genericContract = new GenericContract(deploySigner, {
+      ...template,
+      gasOptions: { feeStrategy: { gasPrice: 10 }, gasLimitMultiplier: 2 },
+    });
+
+    await genericContract.deploy({
+      name: 'name',
+      symbol: 'SYM',
+      contractURI: 'URI',
+      gasOptions: { gasLimitMultiplier: 1.5 },
+      txOptions: { nonce: 3 },
+    });
+
+    expect(deploySigner.estimateGas).toHaveBeenCalledWith(
+      expect.objectContaining({ gasPrice: 10, nonce: 3 }),
+    );
+    expect(contractFactoryMock).toHaveBeenCalledWith('name', 'SYM', 'URI', {
+      gasPrice: 10,
+      nonce: 3,
+      gasLimit: 150000,
+    });
+  });
+
+  it('[Deploy] - should return an Error if the txOptions are invalid', async () => {
+    genericContract = new GenericContract(signer, template);
+
+    await expect(() =>
+      genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI', txOptions: 1 }),
+    ).rejects.toThrow('[GenericContract.deploy] Invalid txOptions');
+  });
+
+  it('[LoadContract] - should return an Error if the address is not valid', async () => {
+    genericContract = new GenericContract(signer, template);
+
+    await expect(() => genericContract.loadContract({ contractAddress: 'test' })).rejects.toThrow(
+      '[GenericContract.loadContract] A valid contract address is required to load a contract.',
+    );
+  });
+
+  it('[LoadContract] - should load the contract', async () => {
+    const ethersContractMock = jest.spyOn(ethers, 'Contract').mockImplementationOnce(() => ({}));
+    genericContract = new GenericContract(signer, template);
+
+    await genericContract.loadContract({ contractAddress: CONTRACT_ADDRESS });
+
+    expect(ethersContractMock).toHaveBeenCalledWith(CONTRACT_ADDRESS, template.abi, signer);
+  });
+
+  it('[Read] - should return an Error if contract is not deployed', async () => {
+    genericContract = new GenericContract(signer, template);
+
+    await expect(() => genericContract.read({ method: 'name' })).rejects.toThrow(
+      '[GenericContract.read] A contract should be deployed or loaded first',
+    );
+  });
+
+  it('[Read] - should return an Error if the function is not in the ABI', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() => genericContract.read({ method: 'unknown' })).rejects.toThrow(
+      '[GenericContract.read] Function "unknown" not found in the ABI',
+    );
+  });
+
+  it('[Read] - should return an Error if the function is not read-only', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() => genericContract.read({ method: 'mintWithTokenURI' })).rejects.toThrow(
+      '[GenericContract.read] Function "mintWithTokenURI" is not read-only.',
+    );
+  });
+
+  it('[Read] - should call a read-only function', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    const name = await genericContract.read({ method: 'name' });
+
+    expect(name).toBe('MyToken');
+  });
+
+  it('[Write] - should return an Error if the function is read-only', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() => genericContract.write({ method: 'name' })).rejects.toThrow(
+      '[GenericContract.write] Function "name" is read-only.',
+    );
+  });
+
+  it('[Write] - should call an overloaded function by its signature', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await genericContract.write({
+      method: 'safeTransferFrom(address,address,uint256)',
+      args: [ACCOUNT_ADDRESS, CONTRACT_ADDRESS, 1],
+    });
+
+    expect(contractMock['safeTransferFrom(address,address,uint256)']).toHaveBeenCalledWith(
+      ACCOUNT_ADDRESS,
+      CONTRACT_ADDRESS,
+      1,
+      { gasLimit: 120000 },
+    );
+  });
+
+  it('[Write] - should send the call with the txOptions and the gas options', async () => {
+    genericContract = new GenericContract(signer, {
+      ...template,
+      gasOptions: { feeStrategy: { gasPrice: 10 } },
+    });
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await genericContract.write({
+      method: 'mintWithTokenURI',
+      args: [ACCOUNT_ADDRESS, 'URI'],
+      gasOptions: { gasLimitMultiplier: 1.5 },
+      txOptions: { nonce: 3, value: '0x01' },
+    });
+
+    expect(contractMock.mintWithTokenURI).toHaveBeenLastCalledWith(ACCOUNT_ADDRESS, 'URI', {
+      gasPrice: 10,
+      nonce: 3,
+      value: '0x01',
+      gasLimit: 150000,
+    });
+  });
+
+  it('[Write] - should return an Error if the txOptions are invalid', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() =>
+      genericContract.write({
+        method: 'mintWithTokenURI',
+        args: [ACCOUNT_ADDRESS, 'URI'],
+        txOptions: { from: ACCOUNT_ADDRESS },
+      }),
+    ).rejects.toThrow('[GenericContract.write] Unknown txOptions key. | from');
+  });
+
+  it('[Write] - should return an Error if there is a network error', async () => {
+    contractMock.mintWithTokenURI.mockImplementationOnce(() => {
+      throw new Error('test error');
+    });
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() =>
+      genericContract.write({ method: 'mintWithTokenURI', args: [ACCOUNT_ADDRESS, 'URI'] }),
+    ).rejects.toThrow(
+      '[GenericContract.write] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+    );
+  });
+
+  it('should list the functions of the ABI', () => {
+    genericContract = new GenericContract(signer, template);
+
+    const { read, write } = genericContract.getFunctions();
+
+    expect(read).toContain('balanceOf(address)');
+    expect(write).toContain('mintWithTokenURI(address,string)');
+    expect(write).not.toContain('balanceOf(address)');
+  });
+
+  it('should list the events of the ABI', () => {
+    genericContract = new GenericContract(signer, template);
+
+    expect(genericContract.getEvents()).toContain('Transfer');
+  });
+
+  it('[Read] - should accept arguments keyed by name', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await genericContract.read({ method: 'balanceOf', args: { owner: ACCOUNT_ADDRESS } });
+
+    expect(contractMock.balanceOf).toHaveBeenCalledWith(ACCOUNT_ADDRESS);
+  });
+
+  it('[Read] - should return an Error if a named argument is missing', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() =>
+      genericContract.read({ method: 'balanceOf', args: { account: ACCOUNT_ADDRESS } }),
+    ).rejects.toThrow('[GenericContract.read] Missing parameter "owner" for function "balanceOf".');
+  });
+
+  it('[Read] - should return an Error if the number of arguments is wrong', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() => genericContract.read({ method: 'balanceOf' })).rejects.toThrow(
+      '[GenericContract.read] Function "balanceOf" expects 1 arguments, 0 given.',
+    );
+  });
+
+  it('[Write] - should return an Error if an argument does not match the ABI type', async () => {
+    contractMock.mintWithTokenURI.mockClear();
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() =>
+      genericContract.write({ method: 'mintWithTokenURI', args: ['notAnAddress', 'URI'] }),
+    ).rejects.toThrow(
+      '[GenericContract.write] Invalid arguments for function "mintWithTokenURI(address,string)"',
+    );
+    expect(contractMock.mintWithTokenURI).not.toHaveBeenCalled();
+  });
+
+  it('[QueryEvents] - should return an Error if the event is not in the ABI', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() => genericContract.queryEvents({ event: 'Unknown' })).rejects.toThrow(
+      '[GenericContract.queryEvents] Event "Unknown" not found in the ABI.',
+    );
+  });
+
+  it('[QueryEvents] - should return an Error if the filter is not an indexed parameter', async () => {
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    await expect(() =>
+      genericContract.queryEvents({ event: 'ApprovalForAll', filter: { approved: true } }),
+    ).rejects.toThrow(
+      '[GenericContract.queryEvents] "approved" is not an indexed parameter of event "ApprovalForAll".',
+    );
+  });
+
+  it('[QueryEvents] - should query the events matching the filter by chunks', async () => {
+    const decoded = [{ event: 'Transfer', args: { tokenId: 1 }, blockNumber: 10, logIndex: 0 }];
+    const queryMock = jest.spyOn(ContractEvents.prototype, 'query').mockResolvedValue(decoded);
+    genericContract = new GenericContract(signer, template);
+    await genericContract.deploy({ name: 'name', symbol: 'SYM', contractURI: 'URI' });
+
+    const events = await genericContract.queryEvents({
+      event: 'Transfer',
+      filter: { _to: CONTRACT_ADDRESS },
+      fromBlock: 5,
+    });
+
+    expect(queryMock).toHaveBeenCalledWith(
+      {
+        event: 'Transfer(address,address,uint256)',
+        filter: { to: CONTRACT_ADDRESS },
+        fromBlock: 5,
+        toBlock: undefined,
+      },
+      '[GenericContract.queryEvents]',
+    );
+    expect(events).toBe(decoded);
+    queryMock.mockRestore();
+  });
+});
@@ -1,4 +1,5 @@
 import { config as loadEnv } from 'dotenv';
+import { BigNumber } from 'ethers';
 import Sdk from '../src/lib/SDK/sdk';
 import Auth from '../src/lib/Auth/Auth';
 import { HttpService } from '../src/services/httpService';
@@ -8,11 +9,15 @@ import {
   accountNFTsMock,
   collectionNFTsMock,
   contractMetadataMock,
+  pageMock,
   tokenMetadataMock,
 } from './__mocks__/api';
 import { CONTRACT_ADDRESS, generateTestPrivateKeyOrHash } from './__mocks__/utils';
 import { TEMPLATES } from '../src/lib/NFT/constants';
 import ContractFactory from '../src/lib/NFT/contractFactory';
+import { ChainNotSupportedError, ValidationError } from '../src/lib/error/errors';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+import TransactionQueue from '../src/lib/Transaction/TransactionQueue';
 
 loadEnv();
 
@@ -62,6 +67,94 @@ describe('Sdk', () => {
     );
   });
 
+  it('should pass the http options to the NFT API client', () => {
+    const auth = new Auth({
+      privateKey: generateTestPrivateKeyOrHash(),
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: process.env.EVM_RPC_URL,
+      chainId: 5,
+    });
+
+    expect(() => new Sdk(auth, { httpOptions: { retries: -1 } })).toThrow(
+      '[httpService.constructor] retries should be a positive integer!',
+    );
+  });
+
+  it('should throw when the gas options are invalid', () => {
+    const auth = new Auth({
+      privateKey: generateTestPrivateKeyOrHash(),
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: process.env.EVM_RPC_URL,
+      chainId: 5,
+    });
+
+    expect(() => new Sdk(auth, { gasOptions: { feeStrategy: 'fastest' } })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.SDK_constructor,
+        message: ERROR_LOG.message.invalid_fee_strategy,
+      }),
+    );
+  });
+
+  it('should throw a ChainNotSupportedError when the NFT API does not support the chain', async () => {
+    const localSdk = new Sdk(
+      new Auth({
+        privateKey: generateTestPrivateKeyOrHash(),
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 1337,
+      }),
+    );
+
+    await expect(() =>
+      localSdk.getNFTs({ publicAddress: '0xE26a682fa90322eC48eB9F3FA66E8961D799177C' }),
+    ).rejects.toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.SDK_getNFTs,
+        message: ERROR_LOG.message.nft_api_not_supported,
+      }),
+    );
+    expect(() =>
+      localSdk.iterateNFTsForCollection({
+        contractAddress: '0xE26a682fa90322eC48eB9F3FA66E8961D799177C',
+      }),
+    ).toThrow(ChainNotSupportedError);
+    expect(HttpServiceMock).not.toHaveBeenCalled();
+  });
+
+  describe('withChain', () => {
+    it('should return a SDK querying the NFT API of the chain', async () => {
+      HttpServiceMock.mockResolvedValueOnce(pageMock([1]));
+      const polygonSdk = await sdk.withChain(137);
+
+      await polygonSdk.getNFTsForCollection({
+        contractAddress: '0xE26a682fa90322eC48eB9F3FA66E8961D799177C',
+      });
+
+      expect(polygonSdk).toBeInstanceOf(Sdk);
+      expect(polygonSdk).not.toBe(sdk);
+      expect(HttpServiceMock).toHaveBeenCalledWith(
+        '/networks/137/nfts/0xE26a682fa90322eC48eB9F3FA66E8961D799177C/tokens',
+        { cursor: undefined },
+      );
+    });
+
+    it('should share the NFT API client, and its rate limit, with the SDK of the chain', async () => {
+      HttpServiceMock.mockResolvedValue(pageMock([1]));
+      const polygonSdk = await sdk.withChain(137);
+      const contractAddress = '0xE26a682fa90322eC48eB9F3FA66E8961D799177C';
+
+      await sdk.getNFTsForCollection({ contractAddress });
+      await polygonSdk.getNFTsForCollection({ contractAddress });
+
+      const [client, polygonClient] = HttpServiceMock.mock.instances;
+      expect(polygonClient).toBe(client);
+      HttpServiceMock.mockImplementation(() => jest.fn());
+    });
+  });
+
   describe('getContractMetadata', () => {
     it('should throw when args are missing (contractAddress)', async () => {
       await expect(() => sdk.getContractMetadata({})).rejects.toThrow(
@@ -103,6 +196,13 @@ describe('Sdk', () => {
       );
     });
 
+    it('should throw a ValidationError when args are not valid', async () => {
+      await expect(() => sdk.getNFTs({})).rejects.toMatchObject({
+        constructor: ValidationError,
+        location: ERROR_LOG.location.SDK_getNFTs,
+      });
+    });
+
     it('should throw when "address" is not a valid address', async () => {
       await expect(() => sdk.getNFTs({ publicAddress: 'notAValidAddress' })).rejects.toThrow(
         errorLogger({
@@ -128,6 +228,189 @@ describe('Sdk', () => {
       expect(HttpServiceMock).toHaveBeenCalledTimes(1);
       expect(accountNFTs.assets[0]).toHaveProperty('metadata');
     });
+
+    it('should throw when "cursor" is not valid', async () => {
+      await expect(() =>
+        sdk.getNFTs({ publicAddress: CONTRACT_ADDRESS, cursor: '' }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTs,
+          message: ERROR_LOG.message.invalid_cursor,
+        }),
+      );
+    });
+
+    it('should request the page of the cursor', async () => {
+      HttpServiceMock.mockResolvedValueOnce(accountNFTsMock);
+      await sdk.getNFTs({ publicAddress: CONTRACT_ADDRESS, cursor: 'nextPage' });
+      expect(HttpServiceMock).toHaveBeenCalledWith(
+        `/networks/5/accounts/${CONTRACT_ADDRESS}/assets/nfts`,
+        { cursor: 'nextPage' },
+      );
+    });
+  });
+
+  describe('getNFTsForChains', () => {
+    const mockChains = pages => {
+      HttpServiceMock.mockImplementation(async (url, { cursor }) => {
+        const chainId = url.split('/')[2];
+        const page = pages[`${chainId}:${cursor ?? ''}`];
+        if (page instanceof Error) throw page;
+        return page;
+      });
+    };
+
+    afterEach(() => {
+      HttpServiceMock.mockImplementation(() => jest.fn());
+    });
+
+    it('should throw when "address" is not a valid address', async () => {
+      await expect(() =>
+        sdk.getNFTsForChains({ publicAddress: 'notAValidAddress', chainIds: [1] }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.invalid_account_address,
+        }),
+      );
+    });
+
+    it('should throw when "chainIds" is empty', async () => {
+      await expect(() =>
+        sdk.getNFTsForChains({ publicAddress: CONTRACT_ADDRESS, chainIds: [] }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForChains,
+          message: ERROR_LOG.message.invalid_chainIds,
+        }),
+      );
+    });
+
+    it('should throw a ChainNotSupportedError when the NFT API does not support a chain', async () => {
+      await expect(() =>
+        sdk.getNFTsForChains({ publicAddress: CONTRACT_ADDRESS, chainIds: [1, 1337] }),
+      ).rejects.toMatchObject({
+        constructor: ChainNotSupportedError,
+        chainId: 1337,
+      });
+      expect(HttpServiceMock).not.toHaveBeenCalled();
+    });
+
+    it('should merge the NFTs of all the chains, tagged with their chainId', async () => {
+      mockChains({
+        '1:': pageMock(['1', '2'], 'next'),
+        '1:next': pageMock(['3']),
+        '137:': pageMock(['4']),
+      });
+
+      const result = await sdk.getNFTsForChains({
+        publicAddress: CONTRACT_ADDRESS,
+        chainIds: [1, 137],
+      });
+
+      expect(result.total).toBe(4);
+      expect(result.errors).toEqual([]);
+      expect(result.assets.map(({ chainId, tokenId }) => [chainId, tokenId])).toEqual([
+        [1, '1'],
+        [1, '2'],
+        [1, '3'],
+        [137, '4'],
+      ]);
+      expect(result.assets[0]).not.toHaveProperty('metadata');
+    });
+
+    it('should include the metadata', async () => {
+      mockChains({ '1:': pageMock(['1']) });
+
+      const result = await sdk.getNFTsForChains({
+        publicAddress: CONTRACT_ADDRESS,
+        chainIds: [1],
+        includeMetadata: true,
+      });
+
+      expect(result.assets[0]).toHaveProperty('metadata');
+    });
+
+    it('should return the NFTs of the other chains when a chain fails', async () => {
+      const apiError = new Error('API error');
+      mockChains({ '1:': pageMock(['1']), '137:': apiError });
+
+      const result = await sdk.getNFTsForChains({
+        publicAddress: CONTRACT_ADDRESS,
+        chainIds: [1, 137],
+      });
+
+      expect(result.total).toBe(1);
+      expect(result.assets[0].chainId).toBe(1);
+      expect(result.errors).toEqual([{ chainId: 137, error: apiError }]);
+    });
+
+    it('should stop at maxItemsPerChain', async () => {
+      mockChains({ '1:': pageMock(['1', '2'], 'next'), '137:': pageMock(['3', '4']) });
+
+      const result = await sdk.getNFTsForChains({
+        publicAddress: CONTRACT_ADDRESS,
+        chainIds: [1, 137],
+        maxItemsPerChain: 1,
+      });
+
+      expect(result.assets.map(({ tokenId }) => tokenId)).toEqual(['1', '3']);
+      expect(HttpServiceMock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('iterateNFTs', () => {
+    it('should throw when "address" is not a valid address', () => {
+      expect(() => sdk.iterateNFTs({ publicAddress: 'notAValidAddress' })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTs,
+          message: ERROR_LOG.message.invalid_account_address,
+        }),
+      );
+    });
+
+    it('should throw when "maxItems" is not a positive integer', () => {
+      expect(() => sdk.iterateNFTs({ publicAddress: CONTRACT_ADDRESS, maxItems: 0 })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTs,
+          message: ERROR_LOG.message.invalid_max_items,
+        }),
+      );
+    });
+
+    it('should iterate over all the pages', async () => {
+      HttpServiceMock.mockResolvedValueOnce(pageMock(['1', '2'], 'page2'))
+        .mockResolvedValueOnce(pageMock(['3', '4'], 'page3'))
+        .mockResolvedValueOnce(pageMock(['5']));
+
+      const tokenIds = [];
+      for await (const nft of sdk.iterateNFTs({ publicAddress: CONTRACT_ADDRESS })) {
+        tokenIds.push(nft.tokenId);
+        expect(nft).not.toHaveProperty('metadata');
+      }
+
+      expect(tokenIds).toEqual(['1', '2', '3', '4', '5']);
+      expect(HttpServiceMock).toHaveBeenCalledTimes(3);
+      expect(HttpServiceMock).toHaveBeenNthCalledWith(
+        2,
+        `/networks/5/accounts/${CONTRACT_ADDRESS}/assets/nfts`,
+        { cursor: 'page2' },
+      );
+    });
+
+    it('should stop fetching pages once "maxItems" is reached', async () => {
+      HttpServiceMock.mockResolvedValueOnce(pageMock(['1', '2'], 'page2')).mockResolvedValueOnce(
+        pageMock(['3', '4'], 'page3'),
+      );
+
+      const tokenIds = [];
+      for await (const nft of sdk.iterateNFTs({ publicAddress: CONTRACT_ADDRESS, maxItems: 3 })) {
+        tokenIds.push(nft.tokenId);
+      }
+
+      expect(tokenIds).toEqual(['1', '2', '3']);
+      expect(HttpServiceMock).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('getNFTsForCollection', () => {
@@ -156,6 +439,56 @@ describe('Sdk', () => {
       await sdk.getNFTsForCollection({ contractAddress: CONTRACT_ADDRESS });
       expect(HttpServiceMock).toHaveBeenCalledTimes(1);
     });
+
+    it('should throw when "cursor" is not valid', async () => {
+      await expect(() =>
+        sdk.getNFTsForCollection({ contractAddress: CONTRACT_ADDRESS, cursor: 1 }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getNFTsForCollection,
+          message: ERROR_LOG.message.invalid_cursor,
+        }),
+      );
+    });
+  });
+
+  describe('iterateNFTsForCollection', () => {
+    it('should throw when "contractAddress" is not a valid address', () => {
+      expect(() => sdk.iterateNFTsForCollection({ contractAddress: 'notAValidAddress' })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTsForCollection,
+          message: ERROR_LOG.message.invalid_contract_address,
+        }),
+      );
+    });
+
+    it('should throw when "maxItems" is not a positive integer', () => {
+      expect(() =>
+        sdk.iterateNFTsForCollection({ contractAddress: CONTRACT_ADDRESS, maxItems: 1.5 }),
+      ).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_iterateNFTsForCollection,
+          message: ERROR_LOG.message.invalid_max_items,
+        }),
+      );
+    });
+
+    it('should iterate over all the pages', async () => {
+      HttpServiceMock.mockResolvedValueOnce(pageMock(['1'], 'page2')).mockResolvedValueOnce(
+        pageMock(['2']),
+      );
+
+      const tokenIds = [];
+      for await (const nft of sdk.iterateNFTsForCollection({ contractAddress: CONTRACT_ADDRESS })) {
+        tokenIds.push(nft.tokenId);
+      }
+
+      expect(tokenIds).toEqual(['1', '2']);
+      expect(HttpServiceMock).toHaveBeenLastCalledWith(
+        `/networks/5/nfts/${CONTRACT_ADDRESS}/tokens`,
+        { cursor: 'page2' },
+      );
+    });
   });
 
   describe('getTokenMetadata', () => {
@@ -211,8 +544,111 @@ describe('Sdk', () => {
     });
 
     it('should return transaction status and details', async () => {
-      await sdk.getStatus({ txHash: generateTestPrivateKeyOrHash() });
+      const txHash = generateTestPrivateKeyOrHash();
+      signerMock.mockImplementationOnce(() => ({
+        provider: {
+          getTransactionReceipt: () => ({
+            transactionHash: txHash,
+            status: 1,
+            blockNumber: 1,
+            gasUsed: BigNumber.from(21000),
+            effectiveGasPrice: BigNumber.from(10),
+            logs: [],
+          }),
+          getBlockNumber: () => 1,
+        },
+      }));
+
+      const status = await sdk.getStatus({ txHash });
+
       expect(signerMock).toHaveBeenCalledTimes(1);
+      expect(status.status).toBe('mined');
+      expect(status.fee.toNumber()).toBe(210000);
+    });
+
+    it('should throw when the abi is not valid', async () => {
+      await expect(() =>
+        sdk.getStatus({ txHash: generateTestPrivateKeyOrHash(), abi: [{ name: 'foo' }] }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getStatus,
+          message: ERROR_LOG.message.invalid_abi,
+        }),
+      );
+    });
+  });
+
+  describe('waitFor', () => {
+    it('should throw when transaction hash argument is not valid', async () => {
+      await expect(() => sdk.waitFor({ txHash: 'test' })).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_waitFor,
+          message: ERROR_LOG.message.invalid_transaction_hash,
+        }),
+      );
+    });
+
+    it('should throw when the confirmations are invalid', async () => {
+      await expect(() =>
+        sdk.waitFor({ txHash: generateTestPrivateKeyOrHash(), confirmations: 0 }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_waitFor,
+          message: ERROR_LOG.message.invalid_confirmations,
+        }),
+      );
+    });
+  });
+
+  describe('speedUpTransaction', () => {
+    it('should throw when transaction hash argument is not valid', async () => {
+      await expect(() => sdk.speedUpTransaction({ txHash: 'test' })).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_speedUpTransaction,
+          message: ERROR_LOG.message.invalid_transaction_hash,
+        }),
+      );
+    });
+
+    it('should throw when the bump is lower than 10 percent', async () => {
+      await expect(() =>
+        sdk.speedUpTransaction({ txHash: generateTestPrivateKeyOrHash(), bumpPercent: 5 }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_speedUpTransaction,
+          message: ERROR_LOG.message.invalid_bump_percent,
+        }),
+      );
+    });
+  });
+
+  describe('cancelTransaction', () => {
+    it('should throw when transaction hash argument is not valid', async () => {
+      await expect(() => sdk.cancelTransaction({ txHash: 'test' })).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_cancelTransaction,
+          message: ERROR_LOG.message.invalid_transaction_hash,
+        }),
+      );
+    });
+  });
+
+  describe('getMinedTransaction', () => {
+    it('should throw when transaction hash argument is not valid', async () => {
+      await expect(() => sdk.getMinedTransaction({ txHash: 'test' })).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_getMinedTransaction,
+          message: ERROR_LOG.message.invalid_transaction_hash,
+        }),
+      );
+    });
+
+    it('should return null while the transaction is not mined', async () => {
+      signerMock.mockImplementationOnce(() => ({
+        provider: { getTransactionReceipt: async () => null },
+      }));
+
+      expect(await sdk.getMinedTransaction({ txHash: generateTestPrivateKeyOrHash() })).toBe(null);
     });
   });
 
@@ -270,6 +706,87 @@ describe('Sdk', () => {
       });
       expect(contractFactoryMock).toHaveBeenCalledTimes(1);
     });
+
+    it('should pass the gas options of the SDK to the contract', async () => {
+      const gasOptions = { feeStrategy: 'fast', gasLimitMultiplier: 1.5 };
+      const gasSdk = new Sdk(
+        new Auth({
+          privateKey: generateTestPrivateKeyOrHash(),
+          projectId: process.env.INFURA_PROJECT_ID,
+          secretId: process.env.INFURA_PROJECT_SECRET,
+          rpcUrl: process.env.EVM_RPC_URL,
+          chainId: 5,
+        }),
+        { gasOptions },
+      );
+
+      await gasSdk.deploy({
+        template: TEMPLATES.ERC721Mintable,
+        params: { name: 'TestContractFinal', symbol: 'TOC', contractURI: 'URI' },
+      });
+
+      expect(contractFactoryMock).toHaveBeenCalledWith(
+        TEMPLATES.ERC721Mintable,
+        expect.anything(),
+        { gasOptions },
+      );
+    });
+  });
+
+  describe('loadContract', () => {
+    it('should throw error when neither template nor abi is provided', async () => {
+      await expect(() => sdk.loadContract({ contractAddress: CONTRACT_ADDRESS })).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_loadContract,
+          message: ERROR_LOG.message.no_template_type_supplied,
+        }),
+      );
+    });
+
+    it('should throw error when both template and abi are provided', async () => {
+      await expect(() =>
+        sdk.loadContract({
+          template: TEMPLATES.ERC721Mintable,
+          abi: ERC721MintableArtifact.abi,
+          contractAddress: CONTRACT_ADDRESS,
+        }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_loadContract,
+          message: ERROR_LOG.message.only_template_or_abi_required,
+        }),
+      );
+    });
+
+    it('should throw error when the abi is not valid', async () => {
+      await expect(() =>
+        sdk.loadContract({ abi: [{ name: 'foo' }], contractAddress: CONTRACT_ADDRESS }),
+      ).rejects.toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.SDK_loadContract,
+          message: ERROR_LOG.message.invalid_abi,
+        }),
+      );
+    });
+
+    it('should load a contract from its abi with the generic wrapper', async () => {
+      const loadContract = jest.fn();
+      const genericMock = jest
+        .spyOn(ContractFactory, 'generic')
+        .mockImplementation(() => ({ loadContract }));
+
+      await sdk.loadContract({
+        abi: ERC721MintableArtifact.abi,
+        contractAddress: CONTRACT_ADDRESS,
+      });
+
+      expect(genericMock).toHaveBeenCalledWith(ERC721MintableArtifact.abi, expect.anything(), {
+        gasOptions: undefined,
+      });
+      expect(loadContract).toHaveBeenCalledWith({ contractAddress: CONTRACT_ADDRESS });
+      expect(contractFactoryMock).not.toHaveBeenCalled();
+      genericMock.mockRestore();
+    });
   });
 
   describe('getProvider', () => {
@@ -279,4 +796,18 @@ describe('Sdk', () => {
       expect(signerMock).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('getTransactionQueue', () => {
+    it('should return the queue of the signer', async () => {
+      const queue = {};
+      const forSignerMock = jest.spyOn(TransactionQueue, 'forSigner').mockResolvedValue(queue);
+
+      expect(await sdk.getTransactionQueue({ concurrency: 3 })).toBe(queue);
+      expect(forSignerMock).toHaveBeenCalledWith(expect.anything(), {
+        concurrency: 3,
+        maxRetries: undefined,
+      });
+      forSignerMock.mockRestore();
+    });
+  });
 });
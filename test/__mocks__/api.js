@@ -55,6 +55,15 @@ export const collectionNFTsMock = {
   },
 };
 
+export const pageMock = (tokenIds, cursor = null) => ({
+  data: {
+    ...accountNFTsMock.data,
+    total: tokenIds.length,
+    cursor,
+    assets: tokenIds.map(tokenId => ({ ...assetMock, tokenId })),
+  },
+});
+
 export const tokenMetadataMock = {
   data: {
     contract: CONTRACT_ADDRESS,
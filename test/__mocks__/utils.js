@@ -8,3 +8,25 @@ export const generateTestPrivateKeyOrHash = () => {
   return `0x${randomBytes(32).toString('hex')}`;
 };
 export const ACCOUNT_ADDRESS_2 = '0x077f655630329c0de9fe02e715d9d4ddacaa2cbc';
+
+// contract.estimateGas of the mocked contracts (ethers is mocked): every call is estimated
+// at 'gas', with the BigNumber operations applied to the gas limit
+const gasEstimate = gas => ({
+  mul: multiplier => ({ div: divisor => (gas * multiplier) / divisor }),
+});
+
+export const estimateGasMock = (gas = 100000) => {
+  const estimate = gasEstimate(gas);
+  const estimates = {};
+  return new Proxy(estimates, {
+    get: (target, method) => {
+      target[method] = target[method] || jest.fn(async () => estimate);
+      return target[method];
+    },
+  });
+};
+
+// signer of the mocked deployments, estimating the gas of the contract creation at 'gas'
+export const signerMock = (gas = 100000) => ({
+  estimateGas: jest.fn(async () => gasEstimate(gas)),
+});
@@ -4,8 +4,9 @@ import Auth from '../src/lib/Auth/Auth.js';
 import Provider from '../src/lib/Provider/Provider.js';
 import { generateTestPrivateKeyOrHash } from './__mocks__/utils.js';
 import ganache from 'ganache';
-import { getChainName } from '../src/lib/Auth/availableChains.js';
+import { ChainRegistry, getChainName } from '../src/lib/Auth/availableChains.js';
 import { errorLogger, ERROR_LOG } from '../src/lib/error/handler.js';
+import { ChainNotSupportedError, NetworkError, ValidationError } from '../src/lib/error/errors.js';
 
 loadEnv();
 
@@ -137,6 +138,23 @@ describe('Auth', () => {
     );
   });
 
+  it('should throw a ChainNotSupportedError carrying the chainId', () => {
+    expect.assertions(4);
+    try {
+      new Auth({
+        privateKey: 'privateKey',
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 6,
+      });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ChainNotSupportedError);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.chainId).toBe(6);
+      expect(error.location).toBe(ERROR_LOG.location.Auth_constructor);
+    }
+  });
+
   describe('getSigner', () => {
     let ganacheProvider;
     beforeAll(async () => {
@@ -243,6 +261,67 @@ describe('Auth', () => {
 
       expect(account.getRpcUrl()).toStrictEqual(defaultRpcUrl);
     });
+
+    it('should use the Infura subdomain of the chain', () => {
+      const account = new Auth({
+        privateKey: 'privateKey',
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 137,
+      });
+
+      expect(account.getRpcUrl()).toStrictEqual(
+        `https://polygon-mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+      );
+    });
+
+    it('should use the default rpcUrl of the chains not served by Infura', () => {
+      ChainRegistry.register({ chainId: 31337, name: 'hardhat', rpcUrl: 'http://127.0.0.1:8546' });
+
+      const account = new Auth({
+        privateKey: 'privateKey',
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 31337,
+      });
+      ChainRegistry.unregister(31337);
+
+      expect(account.getRpcUrl()).toStrictEqual('http://127.0.0.1:8546');
+    });
+  });
+
+  describe('getChain', () => {
+    it('should return the chain definition', () => {
+      const account = new Auth({
+        privateKey: 'privateKey',
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 1337,
+      });
+
+      expect(account.getChain()).toMatchObject({
+        chainId: 1337,
+        name: 'localhost',
+        rpcUrl: 'http://127.0.0.1:8545',
+        nftApi: false,
+      });
+      expect(account.getRpcUrl()).toStrictEqual('http://127.0.0.1:8545');
+    });
+
+    it('should warn when the chain is deprecated', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      // eslint-disable-next-line no-new
+      new Auth({
+        privateKey: 'privateKey',
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 4,
+      });
+
+      expect(warn).toHaveBeenCalledWith('WARNING: The chain "rinkeby" (4) is deprecated.');
+      warn.mockRestore();
+    });
   });
 
   describe('getApiAuthHeader', () => {
@@ -262,4 +341,265 @@ describe('Auth', () => {
       });
     });
   });
+
+  describe('withChain', () => {
+    const injectedProvider = request => ({ request: jest.fn(async args => request(args)) });
+
+    it('should return an Auth bound to the chain with the same credentials', async () => {
+      const privateKey = generateTestPrivateKeyOrHash();
+      const account = new Auth({
+        privateKey,
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        rpcUrl: process.env.EVM_RPC_URL,
+        chainId: 5,
+      });
+
+      const polygon = await account.withChain(137);
+
+      expect(polygon).toBeInstanceOf(Auth);
+      expect(polygon.getChainId()).toBe(137);
+      expect(polygon.getRpcUrl()).toBe(
+        `https://polygon-mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+      );
+      expect(polygon.getApiAuth()).toBe(account.getApiAuth());
+      expect((await polygon.getSigner()).address).toBe((await account.getSigner()).address);
+      expect(account.getChainId()).toBe(5);
+    });
+
+    it('should use the rpcUrl given', async () => {
+      const account = new Auth({
+        privateKey: generateTestPrivateKeyOrHash(),
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 5,
+      });
+
+      const local = await account.withChain(1337, { rpcUrl: 'http://localhost:7545' });
+
+      expect(local.getRpcUrl()).toBe('http://localhost:7545');
+    });
+
+    it('should throw a ChainNotSupportedError for an unknown chain', async () => {
+      const account = new Auth({
+        privateKey: generateTestPrivateKeyOrHash(),
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 5,
+      });
+
+      await expect(() => account.withChain(6)).rejects.toThrow(ChainNotSupportedError);
+    });
+
+    it('should ask the injected provider to switch chain', async () => {
+      const provider = injectedProvider(() => null);
+      const account = new Auth({
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 5,
+        provider,
+      });
+
+      const polygon = await account.withChain(137);
+
+      expect(polygon.getChainId()).toBe(137);
+      expect(provider.request).toHaveBeenCalledTimes(1);
+      expect(provider.request).toHaveBeenCalledWith({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: '0x89' }],
+      });
+    });
+
+    it('should ask the injected provider to add the chain it does not know', async () => {
+      const provider = injectedProvider(({ method }) => {
+        if (method === 'wallet_switchEthereumChain') {
+          throw Object.assign(new Error('Unrecognized chain'), { code: 4902 });
+        }
+        return null;
+      });
+      const account = new Auth({
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 5,
+        provider,
+      });
+
+      await account.withChain(137);
+
+      expect(provider.request).toHaveBeenLastCalledWith({
+        method: 'wallet_addEthereumChain',
+        params: [
+          {
+            chainId: '0x89',
+            chainName: 'polygon',
+            nativeCurrency: { name: 'Matic', symbol: 'MATIC', decimals: 18 },
+            rpcUrls: [`https://polygon-mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`],
+            blockExplorerUrls: ['https://polygonscan.com'],
+          },
+        ],
+      });
+    });
+
+    it('should throw a NetworkError when the switch is rejected', async () => {
+      const rejection = Object.assign(new Error('User rejected the request.'), { code: 4001 });
+      const account = new Auth({
+        projectId: process.env.INFURA_PROJECT_ID,
+        secretId: process.env.INFURA_PROJECT_SECRET,
+        chainId: 5,
+        provider: injectedProvider(() => {
+          throw rejection;
+        }),
+      });
+
+      await expect(() => account.withChain(137)).rejects.toMatchObject({
+        constructor: NetworkError,
+        code: 'CHAIN_SWITCH_FAILED',
+        location: ERROR_LOG.location.Auth_withChain,
+        cause: rejection,
+      });
+    });
+  });
+
+  describe('mnemonic and keystore', () => {
+    const mnemonic = 'test test test test test test test test test test test junk';
+    const credentials = {
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: process.env.EVM_RPC_URL,
+      chainId: 5,
+    };
+
+    it('should throw when several account sources are supplied', () => {
+      expect(() => new Auth({ ...credentials, mnemonic, keystore: '{}', password: '' })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.only_one_account_source_required,
+        }),
+      );
+    });
+
+    it('should throw when the mnemonic is invalid', () => {
+      expect(() => new Auth({ ...credentials, mnemonic: 'not a mnemonic' })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.invalid_mnemonic,
+        }),
+      );
+    });
+
+    it('should throw when the derivation path or the account index is invalid', () => {
+      expect(() => new Auth({ ...credentials, mnemonic, derivationPath: "44'/60'" })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.invalid_derivation_path,
+        }),
+      );
+      expect(() => new Auth({ ...credentials, mnemonic, accountIndex: -1 })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.invalid_account_index,
+        }),
+      );
+    });
+
+    it('should derive the accounts of the mnemonic', async () => {
+      const account = new Auth({ ...credentials, mnemonic });
+
+      expect((await account.getSigner()).address).toBe(
+        '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+      );
+      expect((await account.getSigner({ accountIndex: 1 })).address).toBe(
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      );
+    });
+
+    it('should use the account index and derivation path given', async () => {
+      const account = new Auth({ ...credentials, mnemonic, accountIndex: 1 });
+      const custom = new Auth({ ...credentials, mnemonic, derivationPath: "m/44'/60'/1'/0" });
+
+      expect((await account.getSigner()).address).toBe(
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      );
+      expect((await custom.getSigner()).address).toBe(
+        ethers.Wallet.fromMnemonic(mnemonic, "m/44'/60'/1'/0/0").address,
+      );
+    });
+
+    it('should keep the mnemonic accounts when switching chain', async () => {
+      const account = new Auth({ ...credentials, mnemonic, accountIndex: 1 });
+
+      const polygon = await account.withChain(137);
+
+      expect((await polygon.getSigner()).address).toBe(
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      );
+    });
+
+    describe('keystore', () => {
+      const wallet = ethers.Wallet.createRandom();
+      let keystore;
+
+      beforeAll(async () => {
+        // low scrypt cost to keep the test fast
+        keystore = await wallet.encrypt('password', { scrypt: { N: 2 } });
+      });
+
+      it('should throw when the password is missing', () => {
+        expect(() => new Auth({ ...credentials, keystore })).toThrow(
+          errorLogger({
+            location: ERROR_LOG.location.Auth_constructor,
+            message: ERROR_LOG.message.no_password_supplied,
+          }),
+        );
+      });
+
+      it('should decrypt the keystore', async () => {
+        const account = new Auth({ ...credentials, keystore, password: 'password' });
+
+        expect((await account.getSigner()).address).toBe(wallet.address);
+      });
+
+      it('should accept the keystore as an object', async () => {
+        const account = new Auth({
+          ...credentials,
+          keystore: JSON.parse(keystore),
+          password: 'password',
+        });
+
+        expect((await account.getSigner()).address).toBe(wallet.address);
+      });
+
+      it('should decrypt the keystore once for the chains of the account', async () => {
+        const decryptMock = jest.spyOn(ethers.Wallet, 'fromEncryptedJson');
+        const account = new Auth({ ...credentials, keystore, password: 'password' });
+
+        const polygon = await account.withChain(137);
+        const signers = await Promise.all([account.getSigner(), polygon.getSigner()]);
+
+        expect(signers.map(signer => signer.address)).toEqual([wallet.address, wallet.address]);
+        expect(decryptMock).toHaveBeenCalledTimes(1);
+        decryptMock.mockRestore();
+      });
+
+      it('should throw a ValidationError when the password is wrong', async () => {
+        const account = new Auth({ ...credentials, keystore, password: 'wrong' });
+
+        await expect(() => account.getSigner()).rejects.toMatchObject({
+          constructor: ValidationError,
+          location: ERROR_LOG.location.Auth_getSigner,
+        });
+      });
+
+      it('should not accept an account index', async () => {
+        const account = new Auth({ ...credentials, keystore, password: 'password' });
+
+        await expect(() => account.getSigner({ accountIndex: 1 })).rejects.toThrow(
+          errorLogger({
+            location: ERROR_LOG.location.Auth_getSigner,
+            message: ERROR_LOG.message.single_account,
+          }),
+        );
+      });
+    });
+  });
 });
@@ -0,0 +1,147 @@
+import { ChainRegistry, Chains, getChainName } from '../src/lib/Auth/availableChains';
+import { errorLogger, ERROR_LOG } from '../src/lib/error/handler';
+import { ChainNotSupportedError } from '../src/lib/error/errors';
+
+const customChain = {
+  chainId: 31337,
+  name: 'hardhat',
+  rpcUrl: 'http://127.0.0.1:8545',
+};
+
+describe('ChainRegistry', () => {
+  afterEach(() => {
+    ChainRegistry.list()
+      .filter(({ builtIn }) => !builtIn)
+      .forEach(({ chainId }) => ChainRegistry.unregister(chainId));
+  });
+
+  it('should list the built-in chains', () => {
+    const chainIds = ChainRegistry.list().map(({ chainId }) => chainId);
+
+    expect(chainIds).toEqual(
+      expect.arrayContaining([1, 5, 11155111, 137, 80001, 42161, 10, 59144, 1337]),
+    );
+    expect(ChainRegistry.list().every(({ builtIn }) => builtIn)).toBe(true);
+  });
+
+  it('should return a built-in chain definition', () => {
+    expect(ChainRegistry.get(137)).toEqual({
+      chainId: 137,
+      name: 'polygon',
+      infuraSubdomain: 'polygon-mainnet',
+      rpcUrl: null,
+      nativeCurrency: { name: 'Matic', symbol: 'MATIC', decimals: 18 },
+      blockExplorerUrl: 'https://polygonscan.com',
+      nftApi: true,
+      deprecated: false,
+      builtIn: true,
+    });
+  });
+
+  it('should flag the deprecated chains', () => {
+    expect(ChainRegistry.get(Chains.rinkeby).deprecated).toBe(true);
+    expect(ChainRegistry.get(Chains.ropsten).deprecated).toBe(true);
+  });
+
+  it('should keep the names of the chains', () => {
+    expect(Chains.mainnet).toBe(1);
+    expect(getChainName(5)).toBe('goerli');
+    expect(getChainName(6)).toBeUndefined();
+  });
+
+  it('should register a custom chain', () => {
+    const chain = ChainRegistry.register(customChain);
+
+    expect(ChainRegistry.has(31337)).toBe(true);
+    expect(chain).toEqual({
+      ...customChain,
+      infuraSubdomain: null,
+      nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+      blockExplorerUrl: null,
+      nftApi: false,
+      deprecated: false,
+      builtIn: false,
+    });
+  });
+
+  it('should register a custom chain served by Infura', () => {
+    const chain = ChainRegistry.register({
+      chainId: 43114,
+      name: 'avalanche',
+      infuraSubdomain: 'avalanche-mainnet',
+      nativeCurrency: { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
+    });
+
+    expect(chain.infuraSubdomain).toBe('avalanche-mainnet');
+    expect(chain.nativeCurrency.symbol).toBe('AVAX');
+  });
+
+  it('should throw when the chainId is invalid', () => {
+    expect(() => ChainRegistry.register({ ...customChain, chainId: '31337' })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_register,
+        message: ERROR_LOG.message.invalid_chainId,
+      }),
+    );
+  });
+
+  it('should throw when the chain is already registered', () => {
+    expect(() => ChainRegistry.register({ ...customChain, chainId: 1 })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_register,
+        message: ERROR_LOG.message.chain_already_registered,
+        options: '1',
+      }),
+    );
+  });
+
+  it('should throw when the name is missing', () => {
+    expect(() => ChainRegistry.register({ ...customChain, name: '' })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_register,
+        message: ERROR_LOG.message.invalid_chain_name,
+      }),
+    );
+  });
+
+  it('should throw without infuraSubdomain nor rpcUrl', () => {
+    expect(() => ChainRegistry.register({ chainId: 31337, name: 'hardhat' })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_register,
+        message: ERROR_LOG.message.infuraSubdomain_or_rpcUrl_required,
+      }),
+    );
+  });
+
+  it('should throw when the native currency is invalid', () => {
+    expect(() =>
+      ChainRegistry.register({ ...customChain, nativeCurrency: { symbol: 'ETH' } }),
+    ).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_register,
+        message: ERROR_LOG.message.invalid_native_currency,
+      }),
+    );
+  });
+
+  it('should not unregister a built-in chain', () => {
+    expect(() => ChainRegistry.unregister(1)).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.ChainRegistry_unregister,
+        message: ERROR_LOG.message.builtin_chain_cannot_be_unregistered,
+        options: '1',
+      }),
+    );
+  });
+
+  it('should unregister a custom chain', () => {
+    ChainRegistry.register(customChain);
+    ChainRegistry.unregister(31337);
+
+    expect(ChainRegistry.has(31337)).toBe(false);
+  });
+
+  it('should throw a ChainNotSupportedError when getting an unknown chain', () => {
+    expect(() => ChainRegistry.get(6)).toThrow(ChainNotSupportedError);
+  });
+});
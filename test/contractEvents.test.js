@@ -0,0 +1,461 @@
+import { constants, ethers, utils } from 'ethers';
+import ContractEvents from '../src/lib/Event/ContractEvents';
+import { NetworkError } from '../src/lib/error/errors';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+import { ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2, CONTRACT_ADDRESS } from './__mocks__/utils';
+
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers');
+  return {
+    ...actual,
+    ethers: {
+      ...actual.ethers,
+      providers: { ...actual.ethers.providers, WebSocketProvider: jest.fn() },
+    },
+  };
+});
+
+const location = '[Test]';
+const contractInterface = new utils.Interface(ERC721MintableArtifact.abi);
+
+const transferLog = (to, tokenId, blockNumber) => ({
+  ...contractInterface.encodeEventLog('Transfer', [constants.AddressZero, to, tokenId]),
+  address: CONTRACT_ADDRESS,
+  blockNumber,
+  blockHash: `0x${String(blockNumber).repeat(64).slice(0, 64)}`,
+  transactionHash: `0x${String(tokenId).repeat(64).slice(0, 64)}`,
+  logIndex: 0,
+});
+
+// resolves once the logs read on a block are delivered
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const providerMock = ({ blockNumber = 10, logs = [] } = {}) => {
+  const provider = {
+    getBlockNumber: jest.fn(async () => blockNumber),
+    getLogs: jest.fn(async () => logs),
+    on: jest.fn((eventName, listener) => {
+      provider.emitBlock = async block => {
+        listener(block);
+        await flush();
+      };
+    }),
+    off: jest.fn(),
+  };
+  return provider;
+};
+
+const queriedRanges = provider =>
+  provider.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock]);
+
+const createEvents = provider =>
+  new ContractEvents({ provider, address: CONTRACT_ADDRESS, abi: ERC721MintableArtifact.abi });
+
+describe('ContractEvents', () => {
+  it('should deliver the decoded events of the blocks mined after the subscription', async () => {
+    const provider = providerMock({ logs: [transferLog(ACCOUNT_ADDRESS, 3, 11)] });
+    const listener = jest.fn();
+
+    await createEvents(provider).subscribe({ event: 'Transfer', listener }, location);
+    await provider.emitBlock(11);
+
+    expect(provider.on).toHaveBeenCalledWith('block', expect.any(Function));
+    expect(provider.getLogs).toHaveBeenCalledWith({
+      address: CONTRACT_ADDRESS,
+      topics: [contractInterface.getEventTopic('Transfer')],
+      fromBlock: 11,
+      toBlock: 11,
+    });
+    expect(listener).toHaveBeenCalledWith({
+      event: 'Transfer',
+      signature: 'Transfer(address,address,uint256)',
+      args: {
+        from: constants.AddressZero,
+        to: utils.getAddress(ACCOUNT_ADDRESS),
+        tokenId: ethers.BigNumber.from(3),
+      },
+      address: CONTRACT_ADDRESS,
+      blockNumber: 11,
+      blockHash: transferLog(ACCOUNT_ADDRESS, 3, 11).blockHash,
+      transactionHash: transferLog(ACCOUNT_ADDRESS, 3, 11).transactionHash,
+      logIndex: 0,
+    });
+  });
+
+  it('should filter the events by their indexed parameters', async () => {
+    const provider = providerMock();
+
+    await createEvents(provider).subscribe(
+      { event: 'Transfer', filter: { to: ACCOUNT_ADDRESS }, listener: jest.fn() },
+      location,
+    );
+    await provider.emitBlock(11);
+
+    expect(provider.getLogs.mock.calls[0][0].topics).toEqual([
+      contractInterface.getEventTopic('Transfer'),
+      null,
+      utils.hexZeroPad(ACCOUNT_ADDRESS, 32).toLowerCase(),
+    ]);
+  });
+
+  it('should wait for the confirmations before reading the logs of a block', async () => {
+    const provider = providerMock();
+
+    await createEvents(provider).subscribe(
+      { event: 'Transfer', confirmations: 3, listener: jest.fn() },
+      location,
+    );
+    await provider.emitBlock(11);
+    await provider.emitBlock(12);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+
+    await provider.emitBlock(14);
+    expect(provider.getLogs).toHaveBeenCalledWith(
+      expect.objectContaining({ fromBlock: 11, toBlock: 12 }),
+    );
+  });
+
+  it('should read again the logs of the blocks that failed', async () => {
+    const provider = providerMock();
+    provider.getLogs.mockRejectedValueOnce({ code: 'SERVER_ERROR', reason: 'bad response' });
+    const onError = jest.fn();
+
+    await createEvents(provider).subscribe(
+      { event: 'Transfer', listener: jest.fn(), onError },
+      location,
+    );
+    await provider.emitBlock(11);
+    await provider.emitBlock(12);
+
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(NetworkError);
+    expect(provider.getLogs).toHaveBeenLastCalledWith(
+      expect.objectContaining({ fromBlock: 11, toBlock: 12 }),
+    );
+  });
+
+  it('should read the blocks missed by chunks, from the last chunk read', async () => {
+    const provider = providerMock();
+    provider.getLogs
+      .mockRejectedValueOnce({ message: 'query returned more than 10000 results' })
+      .mockResolvedValueOnce([transferLog(ACCOUNT_ADDRESS, 3, 20)])
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce({ code: 'SERVER_ERROR', reason: 'bad response' });
+    const listener = jest.fn();
+    const onError = jest.fn();
+    const events = createEvents(provider);
+
+    await events.subscribe({ event: 'Transfer', listener, onError }, location);
+    await provider.emitBlock(12000);
+    await provider.emitBlock(12001);
+
+    expect(queriedRanges(provider)).toEqual([
+      [11, 5010],
+      [11, 2510],
+      [2511, 5010],
+      [5011, 7510],
+      [5011, 10010],
+      [10011, 12001],
+    ]);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(NetworkError);
+    events.unsubscribe({}, location);
+  });
+
+  it('should deliver a single event to the listeners of once', async () => {
+    const provider = providerMock({
+      logs: [transferLog(ACCOUNT_ADDRESS, 3, 11), transferLog(ACCOUNT_ADDRESS_2, 4, 11)],
+    });
+    const events = createEvents(provider);
+    const listener = jest.fn();
+
+    await events.subscribe({ event: 'Transfer', listener, once: true }, location);
+    await provider.emitBlock(11);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(events.getSubscriptionCount()).toBe(0);
+    expect(provider.off).toHaveBeenCalledWith('block', expect.any(Function));
+  });
+
+  it('should remove the subscriptions of an event or a listener', async () => {
+    const events = createEvents(providerMock());
+    const listener = jest.fn();
+
+    const unsubscribe = await events.subscribe({ event: 'Transfer', listener }, location);
+    await events.subscribe({ event: 'Approval', listener }, location);
+    await events.subscribe({ event: 'Approval', listener: jest.fn() }, location);
+
+    unsubscribe();
+    expect(events.getSubscriptionCount()).toBe(2);
+    events.unsubscribe({ event: 'Approval', listener }, location);
+    expect(events.getSubscriptionCount()).toBe(1);
+    events.unsubscribe({}, location);
+    expect(events.getSubscriptionCount()).toBe(0);
+  });
+
+  it('should throw when the subscription is invalid', async () => {
+    const events = createEvents(providerMock());
+    const listener = jest.fn();
+
+    await expect(events.subscribe({ event: 'Unknown', listener }, location)).rejects.toThrow(
+      '[Test] Invalid event, an event of the contract ABI is required. | Unknown',
+    );
+    await expect(
+      events.subscribe({ event: 'Transfer', filter: { tokenIds: 1 }, listener }, location),
+    ).rejects.toThrow('[Test] Invalid filter');
+    await expect(
+      events.subscribe({ event: 'Transfer', filter: { to: 'address' }, listener }, location),
+    ).rejects.toThrow('[Test] Invalid filter');
+    await expect(events.subscribe({ event: 'Transfer' }, location)).rejects.toThrow(
+      '[Test] Invalid listener, a function is required.',
+    );
+    await expect(
+      events.subscribe({ event: 'Transfer', confirmations: 0, listener }, location),
+    ).rejects.toThrow('[Test] Invalid confirmations, a positive integer is required.');
+    expect(() => events.unsubscribe({ event: 'Unknown' }, location)).toThrow(
+      '[Test] Invalid event',
+    );
+  });
+
+  it('should query the past events by chunks of blocks, in order', async () => {
+    const provider = providerMock({ blockNumber: 20000 });
+    provider.getLogs
+      .mockResolvedValueOnce([
+        transferLog(ACCOUNT_ADDRESS, 2, 40),
+        transferLog(ACCOUNT_ADDRESS, 1, 7),
+      ])
+      .mockResolvedValueOnce([transferLog(ACCOUNT_ADDRESS_2, 3, 11000)])
+      .mockResolvedValueOnce([]);
+
+    const events = await createEvents(provider).query(
+      { event: 'Transfer', filter: { to: [ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2] }, fromBlock: 0 },
+      location,
+    );
+
+    // the chunks answered whole are followed by chunks twice as large
+    expect(queriedRanges(provider)).toEqual([
+      [0, 4999],
+      [5000, 14999],
+      [15000, 20000],
+    ]);
+    expect(events.map(({ blockNumber, args }) => [blockNumber, args.tokenId.toNumber()])).toEqual([
+      [7, 1],
+      [40, 2],
+      [11000, 3],
+    ]);
+  });
+
+  it('should split the ranges with too many results', async () => {
+    const provider = providerMock();
+    provider.getLogs
+      .mockRejectedValueOnce({ error: { message: 'query returned more than 10000 results' } })
+      .mockResolvedValueOnce([transferLog(ACCOUNT_ADDRESS, 1, 100)])
+      .mockResolvedValueOnce([transferLog(ACCOUNT_ADDRESS, 2, 103)]);
+
+    const events = await createEvents(provider).query(
+      { event: 'Transfer', fromBlock: 100, toBlock: 103 },
+      location,
+    );
+
+    expect(queriedRanges(provider)).toEqual([
+      [100, 103],
+      [100, 101],
+      [102, 103],
+    ]);
+    expect(events).toHaveLength(2);
+  });
+
+  it('should query several events sharing the filter of their indexed parameters', async () => {
+    const provider = providerMock();
+    const role = utils.id('MINTER_ROLE');
+    const events = createEvents(provider);
+
+    await events.query(
+      { event: ['RoleGranted', 'RoleRevoked'], filter: { role }, fromBlock: 0, toBlock: 10 },
+      location,
+    );
+
+    expect(provider.getLogs).toHaveBeenCalledTimes(1);
+    expect(provider.getLogs.mock.calls[0][0].topics).toEqual([
+      [
+        contractInterface.getEventTopic('RoleGranted'),
+        contractInterface.getEventTopic('RoleRevoked'),
+      ],
+      role,
+    ]);
+    await expect(
+      events.query(
+        { event: ['Transfer', 'Approval'], filter: { to: ACCOUNT_ADDRESS }, fromBlock: 0 },
+        location,
+      ),
+    ).rejects.toThrow('[Test] Invalid filter');
+  });
+
+  it('should read the next chunks with the size of the parts answered', async () => {
+    const provider = providerMock({ blockNumber: 12000 });
+    provider.getLogs.mockRejectedValueOnce({ message: 'query exceeds max block range 3000' });
+
+    await createEvents(provider).query({ event: 'Transfer', fromBlock: 0 }, location);
+
+    expect(queriedRanges(provider)).toEqual([
+      [0, 4999],
+      [0, 2499],
+      [2500, 4999],
+      [5000, 7499],
+      [7500, 12000],
+    ]);
+  });
+
+  it('should query the events from the block of the deployment transaction', async () => {
+    const provider = {
+      ...providerMock({ blockNumber: 12000 }),
+      getTransactionReceipt: jest.fn(async () => ({ blockNumber: 9000 })),
+    };
+    const events = new ContractEvents({
+      provider,
+      address: CONTRACT_ADDRESS,
+      abi: ERC721MintableArtifact.abi,
+      deployTransaction: '0xdeploy',
+    });
+
+    await events.query({ event: 'Transfer' }, location);
+    await events.query({ event: 'Approval' }, location);
+
+    expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(1);
+    expect(provider.getTransactionReceipt).toHaveBeenCalledWith('0xdeploy');
+    expect(queriedRanges(provider)).toEqual([
+      [9000, 12000],
+      [9000, 12000],
+    ]);
+  });
+
+  it('should search the first block having the code of a loaded contract', async () => {
+    const provider = {
+      ...providerMock({ blockNumber: 100 }),
+      getCode: jest.fn(async (address, blockTag) => (blockTag >= 37 ? '0x6080' : '0x')),
+    };
+
+    await createEvents(provider).query({ event: 'Transfer' }, location);
+
+    expect(provider.getCode).toHaveBeenCalledWith(CONTRACT_ADDRESS, 50);
+    expect(queriedRanges(provider)).toEqual([[37, 100]]);
+  });
+
+  it('should require a fromBlock when the deployment block is not found', async () => {
+    const provider = {
+      ...providerMock(),
+      getCode: jest
+        .fn()
+        .mockRejectedValueOnce({ code: 'SERVER_ERROR', reason: 'missing trie node' }),
+    };
+    const events = createEvents(provider);
+
+    await expect(events.query({ event: 'Transfer' }, location)).rejects.toMatchObject({
+      message: expect.stringContaining('[Test] Deployment block of the contract not found'),
+      cause: expect.any(NetworkError),
+    });
+    provider.getCode.mockResolvedValue('0x6080');
+    await expect(events.query({ event: 'Transfer' }, location)).resolves.toEqual([]);
+  });
+
+  it('should throw the errors of the queries that cannot be split', async () => {
+    const provider = providerMock();
+    provider.getLogs.mockRejectedValue({
+      code: 'SERVER_ERROR',
+      reason: 'bad response',
+      error: { message: 'query returned more than 10000 results' },
+    });
+
+    await expect(
+      createEvents(provider).query({ event: 'Transfer', fromBlock: 5, toBlock: 5 }, location),
+    ).rejects.toThrow(NetworkError);
+    await expect(
+      createEvents(provider).query({ event: 'Transfer', fromBlock: 5, toBlock: 4 }, location),
+    ).rejects.toThrow('[Test] Invalid block range');
+    await expect(
+      createEvents(provider).query({ event: 'Transfer', toBlock: 'pending' }, location),
+    ).rejects.toThrow('[Test] Invalid block range');
+  });
+
+  it('should reconnect the websocket providers and deliver the events missed', async () => {
+    const listeners = {};
+    const provider = {
+      ...providerMock(),
+      connection: { url: 'wss://infura.io/ws' },
+      network: { chainId: 5 },
+      websocket: { addEventListener: (eventName, listener) => (listeners[eventName] = listener) },
+    };
+    const reconnected = providerMock({ logs: [transferLog(ACCOUNT_ADDRESS, 3, 11)] });
+    ethers.providers.WebSocketProvider.mockImplementationOnce(() => reconnected);
+    const listener = jest.fn();
+
+    await createEvents(provider).subscribe({ event: 'Transfer', listener }, location);
+    listeners.close();
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await reconnected.emitBlock(12);
+
+    expect(ethers.providers.WebSocketProvider).toHaveBeenCalledWith('wss://infura.io/ws', {
+      chainId: 5,
+    });
+    expect(provider.off).toHaveBeenCalledWith('block', expect.any(Function));
+    expect(reconnected.getLogs).toHaveBeenCalledWith(
+      expect.objectContaining({ fromBlock: 11, toBlock: 12 }),
+    );
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should destroy the provider reconnected with the last subscription', async () => {
+    const listeners = {};
+    const provider = {
+      ...providerMock(),
+      connection: { url: 'wss://infura.io/ws' },
+      network: { chainId: 5 },
+      websocket: { addEventListener: (eventName, listener) => (listeners[eventName] = listener) },
+    };
+    const reconnected = { ...providerMock(), destroy: jest.fn(async () => {}) };
+    ethers.providers.WebSocketProvider.mockImplementationOnce(() => reconnected);
+    const events = createEvents(provider);
+
+    await events.subscribe({ event: 'Transfer', listener: jest.fn() }, location);
+    listeners.close();
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    events.unsubscribe({}, location);
+
+    expect(reconnected.off).toHaveBeenCalledWith('block', expect.any(Function));
+    expect(reconnected.destroy).toHaveBeenCalledTimes(1);
+    await expect(events.query({ event: 'Transfer', fromBlock: 1 }, location)).rejects.toThrow(
+      '[Test] No provider',
+    );
+  });
+
+  it('should remove the listeners of the websocket with the last subscription', async () => {
+    const websocket = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    const provider = { ...providerMock(), websocket };
+    const events = createEvents(provider);
+
+    await events.query({ event: 'Transfer', fromBlock: 1, toBlock: 1 }, location);
+    expect(websocket.addEventListener).not.toHaveBeenCalled();
+
+    const unsubscribe = await events.subscribe(
+      { event: 'Transfer', listener: jest.fn() },
+      location,
+    );
+    await events.subscribe({ event: 'Approval', listener: jest.fn() }, location);
+    unsubscribe();
+    expect(websocket.removeEventListener).not.toHaveBeenCalled();
+
+    events.unsubscribe({}, location);
+    expect(websocket.removeEventListener.mock.calls).toEqual(websocket.addEventListener.mock.calls);
+    expect(websocket.addEventListener).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reconnect the websocket closed while nothing was listening to it', async () => {
+    const provider = { ...providerMock(), websocket: { readyState: 3 } };
+    const events = createEvents(provider);
+
+    await events.subscribe({ event: 'Transfer', listener: jest.fn() }, location);
+
+    expect(provider.getBlockNumber).not.toHaveBeenCalled();
+    expect(provider.on).not.toHaveBeenCalled();
+    events.unsubscribe({}, location);
+  });
+});
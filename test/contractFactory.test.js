@@ -1,6 +1,11 @@
 import ERC721Mintable from '../src/lib/ContractTemplates/ERC721Mintable';
+import ERC721UserMintable from '../src/lib/ContractTemplates/ERC721UserMintable';
+import ERC1155Mintable from '../src/lib/ContractTemplates/ERC1155Mintable';
 import { TEMPLATES } from '../src/lib/NFT/constants';
 import ContractFactory from '../src/lib/NFT/contractFactory';
+import TemplateRegistry from '../src/lib/NFT/templateRegistry';
+import GenericContract from '../src/lib/ContractTemplates/GenericContract';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
 
 describe('ContractFactory', () => {
   it('should return "ERC721Mintable" instance', async () => {
@@ -12,6 +17,69 @@ describe('ContractFactory', () => {
     expect(contract instanceof ERC721Mintable).toBe(true);
   });
 
+  it('should return "ERC721UserMintable" instance', async () => {
+    const template = TEMPLATES.ERC721UserMintable;
+    const signer = '';
+
+    const contract = ContractFactory.factory(template, signer);
+
+    expect(contract instanceof ERC721UserMintable).toBe(true);
+  });
+
+  it('should return "ERC1155Mintable" instance', async () => {
+    const template = TEMPLATES.ERC1155Mintable;
+    const signer = '';
+
+    const contract = ContractFactory.factory(template, signer);
+
+    expect(contract instanceof ERC1155Mintable).toBe(true);
+  });
+
+  it('should return the wrapper of a registered template', async () => {
+    class MyTokenWrapper {
+      constructor(signer, template) {
+        this.signer = signer;
+        this.template = template;
+      }
+    }
+    TemplateRegistry.register({
+      name: 'MyToken',
+      abi: ERC721MintableArtifact.abi,
+      wrapper: MyTokenWrapper,
+    });
+
+    const contract = ContractFactory.factory('MyToken', 'signer');
+    TemplateRegistry.unregister('MyToken');
+
+    expect(contract instanceof MyTokenWrapper).toBe(true);
+    expect(contract.signer).toBe('signer');
+    expect(contract.template.name).toBe('MyToken');
+  });
+
+  it('should return a generic wrapper for a template registered without wrapper', async () => {
+    TemplateRegistry.register({ name: 'MyToken', abi: ERC721MintableArtifact.abi });
+
+    const contract = ContractFactory.factory('MyToken', 'signer');
+    TemplateRegistry.unregister('MyToken');
+
+    expect(contract instanceof GenericContract).toBe(true);
+    expect(contract.getTemplate()).toBe('MyToken');
+  });
+
+  it('should return a generic wrapper with the gas options given', async () => {
+    const contract = ContractFactory.generic(ERC721MintableArtifact.abi, 'signer', {
+      gasOptions: { feeStrategy: 'fast' },
+    });
+
+    expect(contract instanceof GenericContract).toBe(true);
+    // the gas options are validated by the wrapper
+    expect(() =>
+      ContractFactory.generic(ERC721MintableArtifact.abi, 'signer', {
+        gasOptions: { feeStrategy: 'fastest' },
+      }),
+    ).toThrow('[GenericContract.constructor] Invalid fee strategy');
+  });
+
   it('should return an Error', async () => {
     const template = null;
     const signer = null;
@@ -1,4 +1,13 @@
-import { networkErrorHandler, errorLogger } from '../src/lib/error/handler';
+import {
+  networkErrorHandler,
+  errorLogger,
+  contractErrorHandler,
+  withRevertDecoding,
+} from '../src/lib/error/handler';
+import { ContractError, NetworkError, SDKError } from '../src/lib/error/errors';
+import smartContractArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+
+const { abi } = smartContractArtifact;
 
 describe('handlerError', () => {
   const networkError = {
@@ -34,4 +43,124 @@ describe('handlerError', () => {
 
     expect(errorLoggerFormat).toEqual('Test test');
   });
+
+  describe('contractErrorHandler', () => {
+    it('should return a ContractError when the transaction is reverted', () => {
+      const error = contractErrorHandler(networkError, '[ERC721Mintable.mint]');
+
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.message).toBe(
+        `[NETWORK.ERROR][ERC721Mintable.mint] An error occured: code: ${networkError.code}, message: ${networkError.reason}`,
+      );
+      expect(error.code).toBe('UNPREDICTABLE_GAS_LIMIT');
+      expect(error.location).toBe('[ERC721Mintable.mint]');
+      expect(error.cause).toBe(networkError);
+    });
+
+    it('should return a NetworkError for the other ethers errors', () => {
+      const timeout = { code: 'TIMEOUT', reason: 'timeout' };
+      const error = contractErrorHandler(timeout, '[ERC721Mintable.mint]');
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.code).toBe('TIMEOUT');
+    });
+
+    it('should return a SDKError for unknown errors', () => {
+      const error = contractErrorHandler(new Error('test error'), '[ERC721Mintable.mint]');
+
+      expect(error).toBeInstanceOf(SDKError);
+      expect(error).not.toBeInstanceOf(NetworkError);
+      expect(error.message).toBe(
+        '[RUNTIME.ERROR][ERC721Mintable.mint] An error occured: code: UNKNOWN_ERROR, message: Error: test error',
+      );
+      expect(error.code).toBe('UNKNOWN_ERROR');
+    });
+
+    it('should decode the revert data against the ABI', () => {
+      const serverError = {
+        code: 'SERVER_ERROR',
+        reason: 'processing response error',
+        error: { code: -32000, data: { result: '0xf2364a6b', message: 'revert' } },
+      };
+      const error = contractErrorHandler(serverError, '[ERC721Mintable.mint]', abi);
+
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.message).toBe(
+        '[NETWORK.ERROR][ERC721Mintable.mint] An error occured: code: SERVER_ERROR, message: processing response error | reverted with TokenURIIsEmpty()',
+      );
+      expect(error.code).toBe('SERVER_ERROR');
+      expect(error.revert).toEqual({
+        name: 'TokenURIIsEmpty',
+        signature: 'TokenURIIsEmpty()',
+        args: {},
+        reason: null,
+      });
+    });
+
+    it('should not set the revert without revert data', () => {
+      const error = contractErrorHandler(networkError, '[ERC721Mintable.mint]', abi);
+
+      expect(error.revert).toBeNull();
+    });
+  });
+
+  describe('withRevertDecoding', () => {
+    const minedRevert = {
+      code: 'CALL_EXCEPTION',
+      reason: 'transaction failed',
+      receipt: { blockNumber: 10, status: 0 },
+    };
+    const tx = () => ({
+      from: '0x3bcf8e8e42ab2ec4d8bbd2f2b2afb1ab9de6cf6e',
+      to: '0x12c4cb8e2fbc4a8bf2d0ec2bc2c2a6b2f5a8f8ee',
+      data: '0x1234',
+      value: 0,
+      wait: jest.fn().mockRejectedValue(minedRevert),
+    });
+
+    it('should decode the revert of the mined transactions', async () => {
+      const provider = { call: jest.fn().mockRejectedValue({ error: { data: '0xf2364a6b' } }) };
+      const transaction = withRevertDecoding(tx(), {
+        provider,
+        abi,
+        location: '[ERC721Mintable.mint]',
+      });
+
+      const error = await transaction.wait().catch(e => e);
+
+      expect(provider.call).toHaveBeenCalledWith(
+        {
+          from: transaction.from,
+          to: transaction.to,
+          data: transaction.data,
+          value: transaction.value,
+        },
+        9,
+      );
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.revert.name).toBe('TokenURIIsEmpty');
+      expect(error.cause).toBe(minedRevert);
+    });
+
+    it('should return a ContractError when the revert cannot be replayed', async () => {
+      const transaction = withRevertDecoding(tx(), { abi, location: '[ERC721Mintable.mint]' });
+
+      const error = await transaction.wait().catch(e => e);
+
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.revert).toBeNull();
+    });
+
+    it('should not change the other errors and results of wait', async () => {
+      const replaced = { code: 'TRANSACTION_REPLACED', reason: 'replaced' };
+      const provider = { call: jest.fn() };
+      const transaction = tx();
+      transaction.wait.mockRejectedValueOnce(replaced).mockResolvedValueOnce({ status: 1 });
+      withRevertDecoding(transaction, { provider, abi, location: '[ERC721Mintable.mint]' });
+
+      await expect(transaction.wait()).rejects.toBe(replaced);
+      await expect(transaction.wait()).resolves.toEqual({ status: 1 });
+      expect(provider.call).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,59 @@
+import {
+  SDKError,
+  ValidationError,
+  ChainNotSupportedError,
+  ContractError,
+  NetworkError,
+  ApiError,
+} from '../src/lib/error/errors';
+
+describe('errors', () => {
+  it('should be instances of Error and SDKError', () => {
+    [ValidationError, ChainNotSupportedError, ContractError, NetworkError, ApiError].forEach(
+      ErrorClass => {
+        const error = new ErrorClass('test');
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBeInstanceOf(SDKError);
+        expect(error.name).toBe(ErrorClass.name);
+      },
+    );
+  });
+
+  it('should have a default code per class', () => {
+    expect(new SDKError('test').code).toBe('SDK_ERROR');
+    expect(new ValidationError('test').code).toBe('INVALID_ARGUMENT');
+    expect(new ChainNotSupportedError('test').code).toBe('CHAIN_NOT_SUPPORTED');
+    expect(new ContractError('test').code).toBe('CONTRACT_ERROR');
+    expect(new NetworkError('test').code).toBe('NETWORK_ERROR');
+    expect(new ApiError('test').code).toBe('API_ERROR');
+    expect(new ApiError('test', { code: 'ECONNRESET' }).code).toBe('ECONNRESET');
+  });
+
+  it('should read the location from the message', () => {
+    expect(new ValidationError('[ERC721Mintable.mint] A valid address is required').location).toBe(
+      '[ERC721Mintable.mint]',
+    );
+    expect(new SDKError('[NETWORK.ERROR][ERC721Mintable.mint] An error occured').location).toBe(
+      '[ERC721Mintable.mint]',
+    );
+    expect(new SDKError('No location').location).toBe(null);
+    expect(new SDKError('[SDK.getNFTs] test', { location: '[Test.test]' }).location).toBe(
+      '[Test.test]',
+    );
+  });
+
+  it('should keep the original error of the chain of causes', () => {
+    const original = new Error('original');
+    const cause = new NetworkError('network', { cause: original });
+    const error = new ContractError('contract', { cause });
+
+    expect(error.cause).toBe(cause);
+    expect(error.originalError).toBe(original);
+  });
+
+  it('should carry the specific fields', () => {
+    expect(new ApiError('test', { status: 429 }).status).toBe(429);
+    expect(new ChainNotSupportedError('test', { chainId: 6 }).chainId).toBe(6);
+  });
+});
@@ -0,0 +1,171 @@
+import { config as loadEnv } from 'dotenv';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import SignerAdapter, { isSignerAdapter } from '../src/lib/Signer/SignerAdapter.js';
+import LocalSigner from '../src/lib/Signer/LocalSigner.js';
+import ExternalSigner from '../src/lib/Signer/ExternalSigner.js';
+import Auth from '../src/lib/Auth/Auth.js';
+import { errorLogger, ERROR_LOG } from '../src/lib/error/handler.js';
+import { SDKError, ValidationError } from '../src/lib/error/errors.js';
+import { generateTestPrivateKeyOrHash } from './__mocks__/utils.js';
+
+loadEnv();
+
+const domain = { name: 'Test', version: '1', chainId: 1337 };
+const types = { Mail: [{ name: 'contents', type: 'string' }] };
+const value = { contents: 'hello' };
+
+describe('External signers', () => {
+  describe('SignerAdapter', () => {
+    it('should throw for the methods not implemented by the adapter', async () => {
+      class KmsSigner extends SignerAdapter {}
+
+      await expect(() => new KmsSigner().getAddress()).rejects.toMatchObject({
+        constructor: SDKError,
+        code: 'NOT_IMPLEMENTED',
+        location: '[KmsSigner.getAddress]',
+      });
+      await expect(() => new KmsSigner().signTransaction({})).rejects.toThrow(SDKError);
+    });
+
+    it('should recognize the objects implementing the signer interface', () => {
+      expect(isSignerAdapter(new LocalSigner())).toBe(true);
+      expect(
+        isSignerAdapter({
+          getAddress: () => {},
+          signTransaction: () => {},
+          signMessage: () => {},
+          signTypedData: () => {},
+        }),
+      ).toBe(true);
+      expect(isSignerAdapter({ getAddress: () => {} })).toBe(false);
+      expect(isSignerAdapter(null)).toBe(false);
+    });
+  });
+
+  describe('LocalSigner', () => {
+    it('should sign like a wallet of the same key', async () => {
+      const privateKey = generateTestPrivateKeyOrHash();
+      const wallet = new ethers.Wallet(privateKey);
+      const signer = new LocalSigner(privateKey);
+
+      expect(await signer.getAddress()).toBe(wallet.address);
+      expect(await signer.signMessage('hello')).toBe(await wallet.signMessage('hello'));
+      expect(await signer.signTypedData(domain, types, value)).toBe(
+        // eslint-disable-next-line no-underscore-dangle
+        await wallet._signTypedData(domain, types, value),
+      );
+    });
+
+    it('should generate a random key by default', async () => {
+      expect(ethers.utils.isAddress(await new LocalSigner().getAddress())).toBe(true);
+    });
+  });
+
+  describe('ExternalSigner', () => {
+    const privateKey = generateTestPrivateKeyOrHash();
+    let ganacheProvider;
+    let provider;
+
+    beforeAll(async () => {
+      ganacheProvider = ganache.provider({
+        logging: { quiet: true },
+        wallet: { accounts: [{ secretKey: privateKey, balance: '0xde0b6b3a7640000' }] },
+      });
+      await ganacheProvider.once('connect');
+      provider = new ethers.providers.Web3Provider(ganacheProvider);
+    });
+
+    afterAll(async () => {
+      ganacheProvider.clearListeners();
+      await ganacheProvider.disconnect();
+    });
+
+    it('should send the transactions signed by the adapter', async () => {
+      const adapter = new LocalSigner(privateKey);
+      const signTransaction = jest.spyOn(adapter, 'signTransaction');
+      const signer = new ExternalSigner(adapter, provider);
+      const to = ethers.Wallet.createRandom().address;
+
+      const tx = await signer.sendTransaction({ to, value: 1000 });
+      await tx.wait();
+
+      expect(signTransaction).toHaveBeenCalledTimes(1);
+      expect(signTransaction.mock.calls[0][0]).not.toHaveProperty('from');
+      expect(tx.from).toBe(await adapter.getAddress());
+      expect((await provider.getBalance(to)).toNumber()).toBe(1000);
+    });
+
+    it('should delegate the message and typed data signatures', async () => {
+      const adapter = new LocalSigner(privateKey);
+      const signer = new ExternalSigner(adapter);
+
+      expect(await signer.signMessage('hello')).toBe(await adapter.signMessage('hello'));
+      // eslint-disable-next-line no-underscore-dangle
+      expect(await signer._signTypedData(domain, types, value)).toBe(
+        await adapter.signTypedData(domain, types, value),
+      );
+    });
+
+    it('should refuse to sign a transaction from another address', async () => {
+      const signer = new ExternalSigner(new LocalSigner(privateKey), provider);
+
+      await expect(() =>
+        signer.signTransaction({ from: ethers.Wallet.createRandom().address }),
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it('should connect to another provider', () => {
+      const signer = new ExternalSigner(new LocalSigner(privateKey));
+
+      expect(signer.provider).toBe(null);
+      expect(signer.connect(provider).provider).toBe(provider);
+    });
+  });
+
+  describe('Auth', () => {
+    const credentials = {
+      projectId: process.env.INFURA_PROJECT_ID,
+      secretId: process.env.INFURA_PROJECT_SECRET,
+      rpcUrl: 'http://127.0.0.1:8545',
+      chainId: 5,
+    };
+
+    it('should return an ExternalSigner for the signer adapter', async () => {
+      const adapter = new LocalSigner();
+      const auth = new Auth({ ...credentials, signer: adapter });
+
+      const signer = await auth.getSigner();
+
+      expect(signer).toBeInstanceOf(ExternalSigner);
+      expect(await signer.getAddress()).toBe(await adapter.getAddress());
+      expect(signer.provider).not.toBe(null);
+    });
+
+    it('should throw when the signer does not implement the interface', () => {
+      expect(() => new Auth({ ...credentials, signer: { getAddress: () => {} } })).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.invalid_signer,
+        }),
+      );
+    });
+
+    it('should throw when a signer and a privateKey are supplied', () => {
+      expect(
+        () =>
+          // eslint-disable-next-line implicit-arrow-linebreak
+          new Auth({
+            ...credentials,
+            signer: new LocalSigner(),
+            privateKey: generateTestPrivateKeyOrHash(),
+          }),
+      ).toThrow(
+        errorLogger({
+          location: ERROR_LOG.location.Auth_constructor,
+          message: ERROR_LOG.message.only_one_account_source_required,
+        }),
+      );
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { BigNumber } from 'ethers';
+import { buildGasOverrides, getFeeOverrides, validateGasOptions } from '../src/lib/Transaction/gas';
+
+const gwei = value => BigNumber.from(value).mul(1e9);
+
+const eip1559Provider = {
+  getFeeData: jest.fn(async () => ({
+    lastBaseFeePerGas: gwei(10),
+    maxPriorityFeePerGas: gwei(2),
+    maxFeePerGas: gwei(22),
+    gasPrice: gwei(11),
+  })),
+};
+
+const legacyProvider = {
+  getFeeData: jest.fn(async () => ({
+    lastBaseFeePerGas: null,
+    maxPriorityFeePerGas: null,
+    maxFeePerGas: null,
+    gasPrice: gwei(20),
+  })),
+};
+
+describe('gas', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateGasOptions', () => {
+    it('should accept valid gas options', () => {
+      expect(() => validateGasOptions(undefined, '[Test]')).not.toThrow();
+      expect(() =>
+        validateGasOptions({ feeStrategy: 'fast', gasLimitMultiplier: 1.5 }, '[Test]'),
+      ).not.toThrow();
+      expect(() =>
+        validateGasOptions(
+          { feeStrategy: { maxFeePerGas: gwei(30), maxPriorityFeePerGas: '2000000000' } },
+          '[Test]',
+        ),
+      ).not.toThrow();
+      expect(() =>
+        validateGasOptions(
+          { feeStrategy: { gasPrice: '0x04a817c800' }, gasLimit: 90000 },
+          '[Test]',
+        ),
+      ).not.toThrow();
+    });
+
+    it('should throw when the gas options are not an object', () => {
+      expect(() => validateGasOptions('fast', '[Test]')).toThrow(
+        '[Test] Invalid gas options, an object is required.',
+      );
+    });
+
+    it('should throw when the fee strategy is invalid', () => {
+      expect(() => validateGasOptions({ feeStrategy: 'fastest' }, '[Test]')).toThrow(
+        '[Test] Invalid fee strategy',
+      );
+      expect(() =>
+        validateGasOptions({ feeStrategy: { maxFeePerGas: gwei(30) } }, '[Test]'),
+      ).toThrow('[Test] Invalid fee strategy');
+      expect(() =>
+        validateGasOptions({ feeStrategy: { gasPrice: 1, maxFeePerGas: 1 } }, '[Test]'),
+      ).toThrow('[Test] Invalid fee strategy');
+      expect(() => validateGasOptions({ feeStrategy: { gasPrice: -1 } }, '[Test]')).toThrow(
+        '[Test] Invalid fee strategy',
+      );
+    });
+
+    it('should throw when the gas limit multiplier is lower than 1', () => {
+      expect(() => validateGasOptions({ gasLimitMultiplier: 0.9 }, '[Test]')).toThrow(
+        '[Test] Invalid gasLimitMultiplier, a number greater than or equal to 1 is required.',
+      );
+      expect(() => validateGasOptions({ gasLimitMultiplier: '2' }, '[Test]')).toThrow(
+        '[Test] Invalid gasLimitMultiplier',
+      );
+    });
+
+    it('should throw when the gas limit is invalid', () => {
+      expect(() => validateGasOptions({ gasLimit: 0 }, '[Test]')).toThrow(
+        '[Test] Invalid gasLimit, a positive integer is required.',
+      );
+      expect(() => validateGasOptions({ gasLimit: 1.5 }, '[Test]')).toThrow(
+        '[Test] Invalid gasLimit',
+      );
+    });
+  });
+
+  describe('getFeeOverrides', () => {
+    it('should leave the fees to the node without fee strategy', async () => {
+      expect(await getFeeOverrides(eip1559Provider)).toEqual({});
+      expect(eip1559Provider.getFeeData).not.toHaveBeenCalled();
+    });
+
+    it('should return the explicit fees', async () => {
+      const feeStrategy = { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(3) };
+
+      expect(await getFeeOverrides(eip1559Provider, feeStrategy)).toEqual(feeStrategy);
+      expect(await getFeeOverrides(eip1559Provider, { gasPrice: 10 })).toEqual({ gasPrice: 10 });
+    });
+
+    it('should compute the EIP-1559 fees of the strategies', async () => {
+      const slow = await getFeeOverrides(eip1559Provider, 'slow');
+      const standard = await getFeeOverrides(eip1559Provider, 'standard');
+      const fast = await getFeeOverrides(eip1559Provider, 'fast');
+
+      expect(slow.maxPriorityFeePerGas.toString()).toBe(gwei(16).div(10).toString());
+      expect(slow.maxFeePerGas.toString()).toBe(gwei(216).div(10).toString());
+      expect(standard.maxPriorityFeePerGas.toString()).toBe(gwei(2).toString());
+      expect(standard.maxFeePerGas.toString()).toBe(gwei(22).toString());
+      expect(fast.maxPriorityFeePerGas.toString()).toBe(gwei(3).toString());
+      expect(fast.maxFeePerGas.toString()).toBe(gwei(23).toString());
+    });
+
+    it('should compute a legacy gas price on chains without EIP-1559', async () => {
+      const fast = await getFeeOverrides(legacyProvider, 'fast');
+
+      expect(Object.keys(fast)).toEqual(['gasPrice']);
+      expect(fast.gasPrice.toString()).toBe(gwei(30).toString());
+    });
+  });
+
+  describe('buildGasOverrides', () => {
+    it('should raise the estimated gas by the default multiplier', async () => {
+      const estimateGas = jest.fn(async () => BigNumber.from(100000));
+
+      const overrides = await buildGasOverrides({ provider: eip1559Provider, estimateGas });
+
+      expect(estimateGas).toHaveBeenCalledWith({});
+      expect(overrides.gasLimit.toNumber()).toBe(120000);
+    });
+
+    it('should estimate the gas with the fees of the strategy', async () => {
+      const estimateGas = jest.fn(async () => BigNumber.from(100000));
+
+      const overrides = await buildGasOverrides({
+        provider: legacyProvider,
+        estimateGas,
+        gasOptions: { feeStrategy: 'slow', gasLimitMultiplier: 1.5 },
+      });
+
+      expect(estimateGas).toHaveBeenCalledWith({ gasPrice: gwei(16) });
+      expect(overrides.gasLimit.toNumber()).toBe(150000);
+      expect(overrides.gasPrice.toString()).toBe(gwei(16).toString());
+    });
+
+    it('should not estimate the gas when a gas limit is given', async () => {
+      const estimateGas = jest.fn();
+
+      const overrides = await buildGasOverrides({
+        provider: eip1559Provider,
+        estimateGas,
+        gasOptions: { gasLimit: 90000, feeStrategy: { gasPrice: 10 } },
+      });
+
+      expect(estimateGas).not.toHaveBeenCalled();
+      expect(overrides).toEqual({ gasPrice: 10, gasLimit: 90000 });
+    });
+
+    it('should keep the fees and gas limit of the overrides of the call', async () => {
+      const estimateGas = jest.fn(async () => BigNumber.from(100000));
+
+      const overrides = await buildGasOverrides({
+        provider: eip1559Provider,
+        estimateGas,
+        gasOptions: { feeStrategy: 'fast' },
+        overrides: { nonce: 1, maxFeePerGas: 30, maxPriorityFeePerGas: 3 },
+      });
+
+      expect(eip1559Provider.getFeeData).not.toHaveBeenCalled();
+      expect(estimateGas).toHaveBeenCalledWith({
+        nonce: 1,
+        maxFeePerGas: 30,
+        maxPriorityFeePerGas: 3,
+      });
+      expect(overrides.gasLimit.toNumber()).toBe(120000);
+
+      const withGasLimit = await buildGasOverrides({
+        provider: eip1559Provider,
+        estimateGas,
+        gasOptions: { gasLimit: 90000 },
+        overrides: { gasLimit: 80000 },
+      });
+      expect(withGasLimit).toEqual({ gasLimit: 80000 });
+    });
+  });
+});
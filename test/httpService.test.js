@@ -1,4 +1,5 @@
 import { HttpService } from '../src/services/httpService';
+import { ApiError, NetworkError } from '../src/lib/error/errors';
 
 // Constant
 const BASEURL = 'http://base.url.com';
@@ -36,3 +37,162 @@ describe('httpService', () => {
     expect(pushHttpService).toHaveBeenCalled();
   });
 });
+
+describe('httpService retries', () => {
+  const axiosError = (status, headers = {}) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+  };
+  let timeoutMock;
+
+  beforeAll(() => {
+    gethHttpService.mockRestore();
+  });
+
+  beforeEach(() => {
+    timeoutMock = jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+  });
+
+  afterEach(() => {
+    timeoutMock.mockRestore();
+  });
+
+  it('should throw when the retries option is not valid', () => {
+    expect(() => new HttpService(BASEURL, APIKEY, { retries: -1 })).toThrow(
+      '[httpService.constructor] retries should be a positive integer!',
+    );
+  });
+
+  it('should throw when the timeout option is not valid', () => {
+    expect(() => new HttpService(BASEURL, APIKEY, { timeout: 'soon' })).toThrow(
+      '[httpService.constructor] timeout should be a positive number!',
+    );
+  });
+
+  it('should pass the timeout to axios', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, { timeout: 1000 });
+    const axiosGet = jest.spyOn(instance.instance, 'get').mockResolvedValue({ status: 200 });
+
+    await instance.get('/api/people/1', { cursor: 'abc' }, { timeout: 50 });
+
+    expect(instance.instance.defaults.timeout).toBe(1000);
+    expect(axiosGet).toHaveBeenCalledWith('/api/people/1', {
+      params: { cursor: 'abc' },
+      timeout: 50,
+    });
+  });
+
+  it('should retry on 5xx responses with an exponential backoff', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, { retryDelay: 100 });
+    const axiosGet = jest
+      .spyOn(instance.instance, 'get')
+      .mockRejectedValueOnce(axiosError(503))
+      .mockRejectedValueOnce(axiosError(502))
+      .mockResolvedValueOnce({ status: 200 });
+
+    const res = await instance.get('/api/people/1');
+
+    expect(res.status).toBe(200);
+    expect(axiosGet).toHaveBeenCalledTimes(3);
+    const [first, second] = timeoutMock.mock.calls.map(([, delay]) => delay);
+    expect(first).toBeGreaterThanOrEqual(50);
+    expect(first).toBeLessThanOrEqual(100);
+    expect(second).toBeGreaterThanOrEqual(100);
+    expect(second).toBeLessThanOrEqual(200);
+  });
+
+  it('should honor the Retry-After header of a 429 response', async () => {
+    const instance = new HttpService(BASEURL, APIKEY);
+    jest
+      .spyOn(instance.instance, 'get')
+      .mockRejectedValueOnce(axiosError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce({ status: 200 });
+
+    await instance.get('/api/people/1');
+
+    expect(timeoutMock).toHaveBeenCalledWith(expect.any(Function), 2000);
+  });
+
+  it('should cap the Retry-After delay at the maximum retry delay', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, { maxRetryDelay: 5000 });
+    jest
+      .spyOn(instance.instance, 'get')
+      .mockRejectedValueOnce(axiosError(429, { 'retry-after': '7200' }))
+      .mockResolvedValueOnce({ status: 200 });
+
+    await instance.get('/api/people/1');
+
+    expect(timeoutMock).toHaveBeenCalledWith(expect.any(Function), 5000);
+  });
+
+  it('should retry on network errors', async () => {
+    const instance = new HttpService(BASEURL, APIKEY);
+    const axiosGet = jest
+      .spyOn(instance.instance, 'get')
+      .mockRejectedValueOnce(new Error('timeout of 30000ms exceeded'))
+      .mockResolvedValueOnce({ status: 200 });
+
+    await instance.get('/api/people/1');
+
+    expect(axiosGet).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry on 4xx responses', async () => {
+    const instance = new HttpService(BASEURL, APIKEY);
+    const axiosGet = jest.spyOn(instance.instance, 'get').mockRejectedValue(axiosError(404));
+
+    await expect(() => instance.get('/api/people/1')).rejects.toThrow(
+      '[API.ERROR][httpService.get] An error occured: Error: Request failed with status code 404',
+    );
+    expect(axiosGet).toHaveBeenCalledTimes(1);
+  });
+
+  it('should throw an ApiError with the status of the response', async () => {
+    const instance = new HttpService(BASEURL, APIKEY);
+    const notFound = axiosError(404);
+    jest.spyOn(instance.instance, 'get').mockRejectedValue(notFound);
+
+    await expect(() => instance.get('/api/people/1')).rejects.toMatchObject({
+      constructor: ApiError,
+      status: 404,
+      location: '[httpService.get]',
+      cause: notFound,
+    });
+  });
+
+  it('should throw a NetworkError when the API is not reached', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, { retries: 0 });
+    const timeout = new Error('timeout of 30000ms exceeded');
+    timeout.code = 'ECONNABORTED';
+    jest.spyOn(instance.instance, 'get').mockRejectedValue(timeout);
+
+    await expect(() => instance.get('/api/people/1')).rejects.toMatchObject({
+      constructor: NetworkError,
+      code: 'ECONNABORTED',
+    });
+  });
+
+  it('should throw once the retries are exhausted', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, { retries: 2 });
+    const axiosGet = jest.spyOn(instance.instance, 'get').mockRejectedValue(axiosError(500));
+
+    await expect(() => instance.get('/api/people/1')).rejects.toThrow(
+      '[API.ERROR][httpService.get] An error occured: Error: Request failed with status code 500',
+    );
+    expect(axiosGet).toHaveBeenCalledTimes(3);
+  });
+
+  it('should wait for the rate limiter before sending requests', async () => {
+    const instance = new HttpService(BASEURL, APIKEY, {
+      rateLimit: { requestsPerSecond: 10, burst: 2 },
+    });
+    jest.spyOn(instance.instance, 'get').mockResolvedValue({ status: 200 });
+
+    await Promise.all([1, 2, 3].map(id => instance.get(`/api/people/${id}`)));
+
+    expect(timeoutMock).toHaveBeenCalledTimes(1);
+    expect(timeoutMock.mock.calls[0][1]).toBeGreaterThan(0);
+    expect(timeoutMock.mock.calls[0][1]).toBeLessThanOrEqual(100);
+  });
+});
@@ -0,0 +1,208 @@
+import { BigNumber } from 'ethers';
+import {
+  bumpFees,
+  forgetReplacements,
+  getMinedTransaction,
+  replaceTransaction,
+} from '../src/lib/Transaction/replacement';
+import { NetworkError } from '../src/lib/error/errors';
+import { ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2, CONTRACT_ADDRESS } from './__mocks__/utils';
+
+const gwei = value => BigNumber.from(value).mul(1e9);
+
+const HASH = `0x${'1'.repeat(64)}`;
+const SPEED_UP_HASH = `0x${'2'.repeat(64)}`;
+const CANCEL_HASH = `0x${'3'.repeat(64)}`;
+const location = '[Test]';
+
+const pendingTx = {
+  hash: HASH,
+  type: 2,
+  from: ACCOUNT_ADDRESS,
+  to: CONTRACT_ADDRESS,
+  data: '0x40c10f19',
+  value: BigNumber.from(0),
+  nonce: 7,
+  chainId: 5,
+  gasLimit: BigNumber.from(120000),
+  maxFeePerGas: gwei(20),
+  maxPriorityFeePerGas: gwei(1),
+  accessList: [],
+  blockNumber: null,
+};
+
+const providerMock = (tx = pendingTx) => ({
+  getTransaction: jest.fn(async () => tx),
+  getTransactionReceipt: jest.fn(async () => null),
+  getFeeData: jest.fn(async () => ({
+    lastBaseFeePerGas: gwei(5),
+    maxPriorityFeePerGas: gwei(1),
+    maxFeePerGas: gwei(11),
+    gasPrice: gwei(6),
+  })),
+});
+
+const signerMock = (provider, hash = SPEED_UP_HASH) => ({
+  provider,
+  getAddress: jest.fn(async () => ACCOUNT_ADDRESS),
+  sendTransaction: jest.fn(async transaction => ({ ...transaction, hash })),
+});
+
+describe('replacement', () => {
+  describe('bumpFees', () => {
+    it('should raise both EIP-1559 fees by the bump', async () => {
+      const fees = await bumpFees(providerMock(), pendingTx);
+
+      expect(fees.type).toBe(2);
+      expect(fees.maxFeePerGas.toString()).toBe(gwei(22).toString());
+      expect(fees.maxPriorityFeePerGas.toString()).toBe(gwei(11).div(10).toString());
+    });
+
+    it('should use the fees of the network when they are higher', async () => {
+      const provider = providerMock();
+      provider.getFeeData.mockResolvedValueOnce({
+        maxPriorityFeePerGas: gwei(3),
+        maxFeePerGas: gwei(40),
+        gasPrice: gwei(20),
+      });
+
+      const fees = await bumpFees(provider, pendingTx, 20);
+
+      expect(fees.maxFeePerGas.toString()).toBe(gwei(40).toString());
+      expect(fees.maxPriorityFeePerGas.toString()).toBe(gwei(3).toString());
+    });
+
+    it('should round the bumped fees up', async () => {
+      const fees = await bumpFees(providerMock(), {
+        type: 0,
+        gasPrice: BigNumber.from(15),
+      });
+
+      expect(fees).toEqual({ type: 0, gasPrice: gwei(6) });
+
+      const { gasPrice } = await bumpFees(
+        { getFeeData: async () => ({ gasPrice: BigNumber.from(1) }) },
+        { type: 0, gasPrice: BigNumber.from(15) },
+      );
+      expect(gasPrice.toNumber()).toBe(17);
+    });
+  });
+
+  describe('replaceTransaction', () => {
+    it('should send the same call with the same nonce and higher fees', async () => {
+      const signer = signerMock(providerMock());
+
+      const replacement = await replaceTransaction(signer, { txHash: HASH, location });
+
+      expect(replacement.hash).toBe(SPEED_UP_HASH);
+      expect(signer.sendTransaction).toHaveBeenCalledWith({
+        to: CONTRACT_ADDRESS,
+        value: pendingTx.value,
+        data: pendingTx.data,
+        gasLimit: pendingTx.gasLimit,
+        type: 2,
+        maxFeePerGas: gwei(22),
+        maxPriorityFeePerGas: gwei(11).div(10),
+        accessList: [],
+        nonce: 7,
+        chainId: 5,
+      });
+    });
+
+    it('should cancel with a transfer of 0 to the signer', async () => {
+      const signer = signerMock(providerMock(), CANCEL_HASH);
+
+      await replaceTransaction(signer, { txHash: HASH, cancel: true, location });
+
+      expect(signer.sendTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: ACCOUNT_ADDRESS,
+          value: 0,
+          data: '0x',
+          gasLimit: 21000,
+          nonce: 7,
+        }),
+      );
+      expect(signer.sendTransaction.mock.calls[0][0]).not.toHaveProperty('accessList');
+    });
+
+    it('should throw when the bump is lower than 10 percent', async () => {
+      await expect(
+        replaceTransaction(signerMock(providerMock()), { txHash: HASH, bumpPercent: 5, location }),
+      ).rejects.toThrow(
+        '[Test] Invalid bumpPercent, an integer greater than or equal to 10 is required.',
+      );
+    });
+
+    it('should throw when the transaction cannot be replaced', async () => {
+      await expect(
+        replaceTransaction(signerMock(providerMock(null)), { txHash: HASH, location }),
+      ).rejects.toThrow(`[Test] Transaction not found. | ${HASH}`);
+      await expect(
+        replaceTransaction(signerMock(providerMock({ ...pendingTx, blockNumber: 12 })), {
+          txHash: HASH,
+          location,
+        }),
+      ).rejects.toThrow('[Test] Transaction already mined, it cannot be replaced.');
+      await expect(
+        replaceTransaction(signerMock(providerMock({ ...pendingTx, from: ACCOUNT_ADDRESS_2 })), {
+          txHash: HASH,
+          location,
+        }),
+      ).rejects.toThrow('[Test] Transaction not sent by the signer account.');
+    });
+
+    it('should wrap the errors of the node', async () => {
+      const signer = signerMock(providerMock());
+      signer.sendTransaction.mockRejectedValueOnce({
+        code: 'REPLACEMENT_UNDERPRICED',
+        reason: 'replacement fee too low',
+      });
+
+      await expect(replaceTransaction(signer, { txHash: HASH, location })).rejects.toThrow(
+        NetworkError,
+      );
+    });
+  });
+
+  describe('getMinedTransaction', () => {
+    it('should return null while the transaction is pending', async () => {
+      const provider = providerMock();
+
+      expect(await getMinedTransaction(provider, `0x${'4'.repeat(64)}`)).toBe(null);
+    });
+
+    it('should find the replacement that was mined', async () => {
+      // hashes not replaced by the previous tests
+      const hash = `0x${'5'.repeat(64)}`;
+      const speedUpHash = `0x${'6'.repeat(64)}`;
+      const cancelHash = `0x${'7'.repeat(64)}`;
+      const provider = providerMock({ ...pendingTx, hash });
+      await replaceTransaction(signerMock(provider, speedUpHash), { txHash: hash, location });
+      await replaceTransaction(signerMock(provider, cancelHash), {
+        txHash: speedUpHash,
+        cancel: true,
+        location,
+      });
+      const receipt = { transactionHash: cancelHash, status: 1 };
+      provider.getTransactionReceipt.mockImplementation(async txHash =>
+        txHash === cancelHash ? receipt : null,
+      );
+
+      expect(await getMinedTransaction(provider, hash)).toEqual({
+        txHash: cancelHash,
+        receipt,
+        hashes: [hash, speedUpHash, cancelHash],
+        replaced: true,
+        cancelled: true,
+      });
+      // reading the mined transaction keeps the replacements
+      expect((await getMinedTransaction(provider, hash)).txHash).toBe(cancelHash);
+      expect((await getMinedTransaction(provider, cancelHash)).replaced).toBe(false);
+
+      forgetReplacements(speedUpHash);
+
+      expect(await getMinedTransaction(provider, hash)).toBe(null);
+    });
+  });
+});
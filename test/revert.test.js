@@ -0,0 +1,123 @@
+import { utils } from 'ethers';
+import { decodeRevert, findRevertData, formatRevert } from '../src/lib/error/revert';
+import smartContractArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+
+const { abi } = smartContractArtifact;
+
+const encodeError = (signature, types, values) =>
+  utils.hexConcat([
+    utils.hexDataSlice(utils.id(signature), 0, 4),
+    utils.defaultAbiCoder.encode(types, values),
+  ]);
+
+const ACCOUNT = '0x3bcf8e8e42ab2ec4d8bbd2f2b2afb1ab9de6cf6e';
+const ROLE = '0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6';
+
+describe('revert', () => {
+  describe('findRevertData', () => {
+    it('should find the revert data of an UNPREDICTABLE_GAS_LIMIT error', () => {
+      const error = {
+        code: 'UNPREDICTABLE_GAS_LIMIT',
+        error: { error: { code: 3, data: '0xf2364a6b' } },
+      };
+
+      expect(findRevertData(error)).toBe('0xf2364a6b');
+    });
+
+    it('should find the revert data of a ganache error', () => {
+      const error = {
+        code: 'SERVER_ERROR',
+        error: { code: -32000, data: { result: '0xf2364a6b', message: 'revert' } },
+      };
+
+      expect(findRevertData(error)).toBe('0xf2364a6b');
+    });
+
+    it('should find the revert data in the body of the RPC response', () => {
+      const error = {
+        code: 'SERVER_ERROR',
+        body: JSON.stringify({ error: { code: -32000, data: '0xf2364a6b' } }),
+      };
+
+      expect(findRevertData(error)).toBe('0xf2364a6b');
+    });
+
+    it('should return null without revert data', () => {
+      expect(findRevertData({ code: 'TIMEOUT', data: '0x' })).toBeNull();
+      expect(findRevertData({ body: 'not json' })).toBeNull();
+      expect(findRevertData('unknown error')).toBeNull();
+    });
+  });
+
+  describe('decodeRevert', () => {
+    it('should decode the custom errors of the ABI', () => {
+      expect(decodeRevert('0xf2364a6b', abi)).toEqual({
+        name: 'TokenURIIsEmpty',
+        signature: 'TokenURIIsEmpty()',
+        args: {},
+        reason: null,
+      });
+    });
+
+    it('should decode the arguments of the custom errors', () => {
+      const customAbi = ['error InsufficientBalance(address account, uint256 needed)'];
+      const data = encodeError(
+        'InsufficientBalance(address,uint256)',
+        ['address', 'uint256'],
+        [ACCOUNT, 5],
+      );
+
+      const revert = decodeRevert(data, customAbi);
+
+      expect(revert.name).toBe('InsufficientBalance');
+      expect(revert.args.account.toLowerCase()).toBe(ACCOUNT);
+      expect(revert.args.needed.toNumber()).toBe(5);
+    });
+
+    it('should decode the missing roles of AccessControl', () => {
+      const reason = `AccessControl: account ${ACCOUNT} is missing role ${ROLE}`;
+      const data = encodeError('Error(string)', ['string'], [reason]);
+
+      expect(decodeRevert(data, abi)).toEqual({
+        name: 'MissingRole',
+        signature: 'Error(string)',
+        args: { account: ACCOUNT, role: ROLE },
+        reason,
+      });
+    });
+
+    it('should decode the revert reasons', () => {
+      const data = encodeError('Error(string)', ['string'], ['Ownable: caller is not the owner']);
+
+      expect(decodeRevert(data)).toEqual({
+        name: 'Error',
+        signature: 'Error(string)',
+        args: { reason: 'Ownable: caller is not the owner' },
+        reason: 'Ownable: caller is not the owner',
+      });
+    });
+
+    it('should decode the panics', () => {
+      const data = encodeError('Panic(uint256)', ['uint256'], [0x11]);
+
+      const revert = decodeRevert(data);
+
+      expect(revert.name).toBe('Panic');
+      expect(revert.args.code.toNumber()).toBe(0x11);
+      expect(revert.reason).toBe('Arithmetic overflow or underflow');
+    });
+
+    it('should return null for unknown or invalid revert data', () => {
+      expect(decodeRevert('0x12345678', abi)).toBeNull();
+      expect(decodeRevert('0x', abi)).toBeNull();
+      expect(decodeRevert(null, abi)).toBeNull();
+    });
+  });
+
+  it('should format the decoded reverts', () => {
+    expect(formatRevert({ name: 'MissingRole', args: { account: ACCOUNT, role: ROLE } })).toBe(
+      `MissingRole(account: ${ACCOUNT}, role: ${ROLE})`,
+    );
+    expect(formatRevert({ name: 'TokenURIIsEmpty', args: {} })).toBe('TokenURIIsEmpty()');
+  });
+});
@@ -0,0 +1,160 @@
+import TemplateRegistry from '../src/lib/NFT/templateRegistry';
+import ERC721Mintable from '../src/lib/ContractTemplates/ERC721Mintable';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+import { TEMPLATES } from '../src/lib/NFT/constants';
+import { errorLogger, ERROR_LOG } from '../src/lib/error/handler';
+
+class CustomWrapper {}
+
+describe('TemplateRegistry', () => {
+  afterEach(() => {
+    TemplateRegistry.list()
+      .filter(name => !TemplateRegistry.get(name).builtIn)
+      .forEach(name => TemplateRegistry.unregister(name));
+  });
+
+  it('should list the built-in templates', () => {
+    expect(TemplateRegistry.list()).toEqual(Object.values(TEMPLATES));
+  });
+
+  it('should return a built-in template definition', () => {
+    const template = TemplateRegistry.get(TEMPLATES.ERC721Mintable);
+
+    expect(template).toEqual({
+      name: TEMPLATES.ERC721Mintable,
+      abi: ERC721MintableArtifact.abi,
+      bytecode: ERC721MintableArtifact.bytecode,
+      wrapper: ERC721Mintable,
+      builtIn: true,
+    });
+  });
+
+  it('should register a custom template', () => {
+    TemplateRegistry.register({
+      name: 'MyToken',
+      abi: ERC721MintableArtifact.abi,
+      bytecode: ERC721MintableArtifact.bytecode,
+      wrapper: CustomWrapper,
+    });
+
+    expect(TemplateRegistry.has('MyToken')).toBe(true);
+    expect(TemplateRegistry.list()).toContain('MyToken');
+    expect(TemplateRegistry.get('MyToken').wrapper).toBe(CustomWrapper);
+    expect(TemplateRegistry.get('MyToken').builtIn).toBe(false);
+  });
+
+  it('should register a template without bytecode nor wrapper', () => {
+    const template = TemplateRegistry.register({
+      name: 'LoadOnly',
+      abi: ERC721MintableArtifact.abi,
+    });
+
+    expect(template.bytecode).toBeUndefined();
+    expect(template.wrapper).toBeUndefined();
+  });
+
+  it('should throw when the name is missing', () => {
+    expect(() => TemplateRegistry.register({ abi: ERC721MintableArtifact.abi })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.invalid_template_name,
+      }),
+    );
+  });
+
+  it('should throw when the template is already registered', () => {
+    expect(() =>
+      TemplateRegistry.register({
+        name: TEMPLATES.ERC721Mintable,
+        abi: ERC721MintableArtifact.abi,
+      }),
+    ).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.template_already_registered,
+        options: TEMPLATES.ERC721Mintable,
+      }),
+    );
+  });
+
+  it('should throw when the ABI is not an array of fragments', () => {
+    expect(() => TemplateRegistry.register({ name: 'MyToken', abi: [{ name: 'foo' }] })).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.invalid_abi,
+      }),
+    );
+  });
+
+  it('should throw when the ABI cannot be parsed', () => {
+    expect(() =>
+      TemplateRegistry.register({
+        name: 'MyToken',
+        abi: [{ type: 'function', name: 'foo', inputs: [{ type: 'notAType' }] }],
+      }),
+    ).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.invalid_abi,
+      }),
+    );
+  });
+
+  it('should throw when the bytecode is not a hex string', () => {
+    expect(() =>
+      TemplateRegistry.register({
+        name: 'MyToken',
+        abi: ERC721MintableArtifact.abi,
+        bytecode: 'bytecode',
+      }),
+    ).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.invalid_bytecode,
+      }),
+    );
+  });
+
+  it('should throw when the wrapper is not a class', () => {
+    expect(() =>
+      TemplateRegistry.register({
+        name: 'MyToken',
+        abi: ERC721MintableArtifact.abi,
+        wrapper: {},
+      }),
+    ).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_register,
+        message: ERROR_LOG.message.invalid_wrapper,
+      }),
+    );
+  });
+
+  it('should unregister a custom template', () => {
+    TemplateRegistry.register({ name: 'MyToken', abi: ERC721MintableArtifact.abi });
+
+    TemplateRegistry.unregister('MyToken');
+
+    expect(TemplateRegistry.has('MyToken')).toBe(false);
+  });
+
+  it('should throw when unregistering a built-in template', () => {
+    expect(() => TemplateRegistry.unregister(TEMPLATES.ERC721Mintable)).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_unregister,
+        message: ERROR_LOG.message.builtin_template_cannot_be_unregistered,
+        options: TEMPLATES.ERC721Mintable,
+      }),
+    );
+  });
+
+  it('should throw when getting an unknown template', () => {
+    expect(() => TemplateRegistry.get('Unknown')).toThrow(
+      errorLogger({
+        location: ERROR_LOG.location.TemplateRegistry_get,
+        message: ERROR_LOG.message.template_not_registered,
+        options: 'Unknown',
+      }),
+    );
+  });
+});
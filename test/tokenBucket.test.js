@@ -0,0 +1,58 @@
+import { TokenBucket } from '../src/services/tokenBucket';
+
+describe('TokenBucket', () => {
+  let timeoutMock;
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    timeoutMock = jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+      now += delay;
+      callback();
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should throw when requestsPerSecond is not valid', () => {
+    expect(() => new TokenBucket({ requestsPerSecond: 0 })).toThrow(
+      '[tokenBucket.constructor] requestsPerSecond should be a positive number!',
+    );
+  });
+
+  it('should throw when burst is not valid', () => {
+    expect(() => new TokenBucket({ requestsPerSecond: 5, burst: 0 })).toThrow(
+      '[tokenBucket.constructor] burst should be at least 1!',
+    );
+  });
+
+  it('should serve the burst without waiting', async () => {
+    const bucket = new TokenBucket({ requestsPerSecond: 1, burst: 3 });
+
+    await Promise.all([bucket.removeToken(), bucket.removeToken(), bucket.removeToken()]);
+
+    expect(timeoutMock).not.toHaveBeenCalled();
+  });
+
+  it('should wait for the bucket to refill once empty', async () => {
+    const bucket = new TokenBucket({ requestsPerSecond: 4 });
+
+    await Promise.all([1, 2, 3, 4, 5, 6].map(() => bucket.removeToken()));
+
+    expect(timeoutMock).toHaveBeenCalledTimes(2);
+    expect(timeoutMock.mock.calls.map(([, delay]) => delay)).toEqual([250, 250]);
+  });
+
+  it('should refill with the elapsed time', async () => {
+    const bucket = new TokenBucket({ requestsPerSecond: 2, burst: 1 });
+
+    await bucket.removeToken();
+    now += 500;
+    await bucket.removeToken();
+
+    expect(timeoutMock).not.toHaveBeenCalled();
+  });
+});
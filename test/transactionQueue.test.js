@@ -0,0 +1,260 @@
+import TransactionQueue from '../src/lib/Transaction/TransactionQueue';
+import NonceManager, { isNonceError } from '../src/lib/Transaction/NonceManager';
+import { ContractError } from '../src/lib/error/errors';
+import { ACCOUNT_ADDRESS, ACCOUNT_ADDRESS_2 } from './__mocks__/utils';
+
+const signerMock = (address = ACCOUNT_ADDRESS, transactionCount = 5) => ({
+  getAddress: jest.fn(async () => address),
+  getChainId: jest.fn(async () => 5),
+  getTransactionCount: jest.fn(async () => transactionCount),
+  provider: { getTransaction: jest.fn(async hash => ({ hash, wait: jest.fn() })) },
+});
+
+// promise resolved from the test, to control when a transaction is sent
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+const nonceTooLow = new ContractError('[ERC721Mintable.mint] An error occured', {
+  cause: { code: 'NONCE_EXPIRED', message: 'nonce has already been used' },
+});
+
+const alreadyKnown = new ContractError('[ERC721Mintable.mint] An error occured', {
+  cause: { code: 'SERVER_ERROR', error: { message: 'already known' }, transactionHash: '0x5' },
+});
+
+const underpriced = new ContractError('[ERC721Mintable.mint] An error occured', {
+  cause: { code: 'REPLACEMENT_UNDERPRICED', message: 'replacement fee too low' },
+});
+
+describe('NonceManager', () => {
+  it('should allocate the nonces from the pending transaction count', async () => {
+    const signer = signerMock();
+    const nonceManager = new NonceManager(signer);
+
+    const nonces = await Promise.all([nonceManager.next(), nonceManager.next()]);
+
+    expect(nonces).toEqual([5, 6]);
+    expect(signer.getTransactionCount).toHaveBeenCalledTimes(1);
+    expect(signer.getTransactionCount).toHaveBeenCalledWith('pending');
+  });
+
+  it('should reuse the last nonce released', async () => {
+    const nonceManager = new NonceManager(signerMock());
+    await nonceManager.next();
+    const nonce = await nonceManager.next();
+
+    nonceManager.release(nonce);
+
+    expect(await nonceManager.next()).toBe(6);
+  });
+
+  it('should allocate a nonce released in the middle before the next ones', async () => {
+    const signer = signerMock();
+    const nonceManager = new NonceManager(signer);
+    const first = await nonceManager.next();
+    await nonceManager.next();
+
+    nonceManager.release(first);
+
+    expect(await nonceManager.next()).toBe(5);
+    expect(await nonceManager.next()).toBe(7);
+    expect(signer.getTransactionCount).toHaveBeenCalledTimes(1);
+  });
+
+  it('should detect the nonce errors wrapped in SDK errors', () => {
+    expect(isNonceError(nonceTooLow)).toBe(true);
+    expect(isNonceError({ error: { message: 'Nonce too low' } })).toBe(true);
+    expect(isNonceError(new ContractError('reverted', { cause: { code: 'CALL_EXCEPTION' } }))).toBe(
+      false,
+    );
+    expect(isNonceError(alreadyKnown)).toBe(false);
+    expect(isNonceError(underpriced)).toBe(false);
+  });
+});
+
+describe('TransactionQueue', () => {
+  it('should send the transactions in order with consecutive nonces', async () => {
+    const queue = new TransactionQueue(signerMock());
+    const sent = [];
+    const send = jest.fn(async ({ nonce }) => {
+      sent.push(nonce);
+      return { nonce };
+    });
+
+    const txs = await Promise.all([queue.add(send), queue.add(send), queue.add(send)]);
+
+    expect(txs).toEqual([{ nonce: 5 }, { nonce: 6 }, { nonce: 7 }]);
+    expect(sent).toEqual([5, 6, 7]);
+  });
+
+  it('should not send more transactions than the concurrency at the same time', async () => {
+    const queue = new TransactionQueue(signerMock(), { concurrency: 2 });
+    const sends = [deferred(), deferred(), deferred()];
+    const send = index => jest.fn(() => sends[index].promise);
+
+    const txs = sends.map((_, index) => queue.add(send(index), { label: `mint ${index}` }));
+    await new Promise(setImmediate);
+
+    expect(queue.getPending()).toEqual([
+      { id: 1, label: 'mint 0', status: 'sending', nonce: 5, attempts: 1 },
+      { id: 2, label: 'mint 1', status: 'sending', nonce: 6, attempts: 1 },
+      { id: 3, label: 'mint 2', status: 'queued', nonce: undefined, attempts: 0 },
+    ]);
+
+    sends.forEach(({ resolve }, index) => resolve({ hash: `0x${index}` }));
+    await Promise.all(txs);
+    await queue.onIdle();
+
+    expect(queue.getPending()).toEqual([]);
+  });
+
+  it('should resync the nonce and send again the transactions rejected with nonce too low', async () => {
+    const signer = signerMock();
+    const queue = new TransactionQueue(signer);
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(nonceTooLow)
+      .mockImplementation(async ({ nonce }) => ({ nonce }));
+    signer.getTransactionCount.mockResolvedValueOnce(5).mockResolvedValueOnce(8);
+
+    const first = queue.add(send);
+    const second = queue.add(send);
+
+    expect(await first).toEqual({ nonce: 8 });
+    expect(await second).toEqual({ nonce: 9 });
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(queue.getFailed()).toEqual([]);
+  });
+
+  it('should list the transactions that failed and reuse their nonce', async () => {
+    const queue = new TransactionQueue(signerMock(), { maxRetries: 0 });
+    const reverted = new ContractError('[ERC721Mintable.mint] reverted');
+
+    const failed = queue.add(
+      jest.fn(() => Promise.reject(reverted)),
+      { label: 'mint' },
+    );
+    const next = queue.add(async ({ nonce }) => ({ nonce }));
+
+    await expect(failed).rejects.toBe(reverted);
+    expect(await next).toEqual({ nonce: 5 });
+    expect(queue.getFailed()).toEqual([
+      { id: 1, label: 'mint', status: 'failed', nonce: 5, attempts: 1, error: reverted },
+    ]);
+
+    queue.clearFailed();
+    expect(queue.getFailed()).toEqual([]);
+  });
+
+  it('should fill the gap of a failed nonce when later transactions were already sent', async () => {
+    const queue = new TransactionQueue(signerMock(), { concurrency: 2 });
+    const reverted = new ContractError('[ERC721Mintable.mint] reverted');
+    const first = deferred();
+
+    const failed = queue.add(() => first.promise.then(() => Promise.reject(reverted)));
+    const sent = queue.add(async ({ nonce }) => ({ nonce }));
+    expect(await sent).toEqual({ nonce: 6 });
+
+    first.resolve();
+    await expect(failed).rejects.toBe(reverted);
+
+    expect(await queue.add(async ({ nonce }) => ({ nonce }))).toEqual({ nonce: 5 });
+    expect(await queue.add(async ({ nonce }) => ({ nonce }))).toEqual({ nonce: 7 });
+  });
+
+  it('should resolve with the pending transaction when the node already knows it', async () => {
+    const signer = signerMock();
+    const queue = new TransactionQueue(signer);
+    const send = jest.fn(() => Promise.reject(alreadyKnown));
+
+    const tx = await queue.add(send);
+
+    expect(tx.hash).toBe('0x5');
+    expect(signer.provider.getTransaction).toHaveBeenCalledWith('0x5');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await queue.add(async ({ nonce }) => ({ nonce }))).toEqual({ nonce: 6 });
+  });
+
+  it('should not send again the transactions already known or replacing a pending one', async () => {
+    const signer = signerMock();
+    signer.provider.getTransaction.mockResolvedValueOnce(null);
+    const queue = new TransactionQueue(signer);
+    const send = jest.fn().mockRejectedValueOnce(alreadyKnown).mockRejectedValueOnce(underpriced);
+
+    await expect(queue.add(send, { label: 'mint 0' })).rejects.toBe(alreadyKnown);
+    await expect(queue.add(send, { label: 'mint 1' })).rejects.toBe(underpriced);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(queue.getFailed()).toEqual([
+      expect.objectContaining({ label: 'mint 0', nonce: 5, hash: '0x5' }),
+      expect.objectContaining({ label: 'mint 1', nonce: 6 }),
+    ]);
+    expect(signer.getTransactionCount).toHaveBeenCalledTimes(1);
+
+    await queue.add(async ({ nonce }) => ({ nonce }));
+    expect(signer.getTransactionCount).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail after maxRetries nonce errors', async () => {
+    const queue = new TransactionQueue(signerMock(), { maxRetries: 2 });
+    const send = jest.fn(() => Promise.reject(nonceTooLow));
+
+    await expect(queue.add(send)).rejects.toBe(nonceTooLow);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(queue.getFailed()[0].attempts).toBe(3);
+  });
+
+  it('should share the queue of a signer', async () => {
+    const queue = await TransactionQueue.forSigner(signerMock(), { concurrency: 2 });
+
+    expect(await TransactionQueue.forSigner(signerMock())).toBe(queue);
+    expect(await TransactionQueue.forSigner(signerMock(ACCOUNT_ADDRESS_2))).not.toBe(queue);
+  });
+
+  it('should forget the queue of a signer once drained', async () => {
+    const signer = signerMock(ACCOUNT_ADDRESS_2);
+    const queue = await TransactionQueue.forSigner(signer);
+    const sent = deferred();
+    const tx = queue.add(() => sent.promise);
+
+    expect(await TransactionQueue.forSigner(signer)).toBe(queue);
+
+    sent.resolve({ hash: '0x1' });
+    await tx;
+    await queue.onIdle();
+    const next = await TransactionQueue.forSigner(signer);
+
+    expect(next).not.toBe(queue);
+    expect(await next.add(async ({ nonce }) => ({ nonce }))).toEqual({ nonce: 5 });
+  });
+
+  it('should share again a drained queue when a transaction is added to it', async () => {
+    const signer = signerMock(ACCOUNT_ADDRESS_2);
+    const queue = await TransactionQueue.forSigner(signer);
+    await queue.add(async () => ({ hash: '0x1' }));
+
+    const sent = deferred();
+    const tx = queue.add(() => sent.promise);
+
+    expect(await TransactionQueue.forSigner(signer)).toBe(queue);
+    sent.resolve({ hash: '0x2' });
+    await tx;
+  });
+
+  it('should throw when the options are invalid', () => {
+    expect(() => new TransactionQueue(signerMock(), { concurrency: 0 })).toThrow(
+      '[TransactionQueue.constructor] Invalid concurrency, a positive integer is required.',
+    );
+    expect(() => new TransactionQueue(signerMock(), { maxRetries: -1 })).toThrow(
+      '[TransactionQueue.constructor] Invalid maxRetries',
+    );
+    expect(() => new TransactionQueue(signerMock()).add('mint')).toThrow(
+      '[TransactionQueue.add] Invalid transaction',
+    );
+  });
+});
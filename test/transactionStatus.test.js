@@ -0,0 +1,372 @@
+import { BigNumber, constants, utils } from 'ethers';
+import {
+  decodeLogs,
+  getTransactionStatus,
+  TX_STATUS,
+  waitForTransaction,
+} from '../src/lib/Transaction/status';
+import { replaceTransaction } from '../src/lib/Transaction/replacement';
+import { NetworkError } from '../src/lib/error/errors';
+import ERC721MintableArtifact from '../src/lib/ContractTemplates/artifacts/ERC721Mintable';
+import { ACCOUNT_ADDRESS, CONTRACT_ADDRESS } from './__mocks__/utils';
+
+const HASH = `0x${'a'.repeat(64)}`;
+const location = '[Test]';
+
+const transferLog = {
+  ...new utils.Interface(ERC721MintableArtifact.abi).encodeEventLog('Transfer', [
+    constants.AddressZero,
+    ACCOUNT_ADDRESS,
+    3,
+  ]),
+  address: CONTRACT_ADDRESS,
+  blockNumber: 10,
+  transactionHash: HASH,
+  logIndex: 0,
+};
+
+const unknownLog = {
+  topics: [utils.id('Unknown(uint256)')],
+  data: '0x',
+  address: CONTRACT_ADDRESS,
+  blockNumber: 10,
+  transactionHash: HASH,
+  logIndex: 1,
+};
+
+// mined 'confirmations' blocks before block 12, the current block of the provider
+const receiptOf = (txHash, { status = 1, confirmations = 1 } = {}) => ({
+  transactionHash: txHash,
+  status,
+  blockNumber: 13 - confirmations,
+  gasUsed: BigNumber.from(50000),
+  effectiveGasPrice: BigNumber.from(2000000000),
+  logs: [transferLog, unknownLog],
+});
+
+const pendingTx = { hash: HASH, from: ACCOUNT_ADDRESS, nonce: 4, blockNumber: null };
+
+const providerMock = ({ receipt = null, tx = pendingTx, transactionCount = 4 } = {}) => ({
+  getTransactionReceipt: jest.fn(async () => receipt),
+  getTransaction: jest.fn(async () => tx),
+  getTransactionCount: jest.fn(async () => transactionCount),
+  getBlockNumber: jest.fn(async () => 12),
+});
+
+// error of an ethers provider, with the HTTP status of the request
+const nodeError = status =>
+  Object.assign(new Error('bad response'), { code: 'SERVER_ERROR', status });
+
+// provider of a transaction sped up by the SDK, the speed up mined 2 blocks ago
+const speedUp = async (txHash, speedUpHash) => {
+  const provider = {
+    ...providerMock({ tx: { ...pendingTx, hash: txHash, type: 0, gasPrice: 10 } }),
+    getFeeData: async () => ({ gasPrice: BigNumber.from(10) }),
+  };
+  await replaceTransaction(
+    {
+      provider,
+      getAddress: async () => ACCOUNT_ADDRESS,
+      sendTransaction: async () => ({ hash: speedUpHash }),
+    },
+    { txHash, location },
+  );
+  provider.getTransactionReceipt.mockImplementation(async hash =>
+    hash === speedUpHash ? receiptOf(speedUpHash, { confirmations: 2 }) : null,
+  );
+  return provider;
+};
+
+describe('transaction status', () => {
+  describe('decodeLogs', () => {
+    it('should decode the events of the templates and keep the unknown logs', () => {
+      const [transfer, unknown] = decodeLogs([transferLog, unknownLog]);
+
+      expect(transfer).toEqual({
+        event: 'Transfer',
+        signature: 'Transfer(address,address,uint256)',
+        args: {
+          from: constants.AddressZero,
+          to: utils.getAddress(ACCOUNT_ADDRESS),
+          tokenId: BigNumber.from(3),
+        },
+        address: CONTRACT_ADDRESS,
+        blockNumber: 10,
+        transactionHash: HASH,
+        logIndex: 0,
+      });
+      expect(unknown).toEqual(
+        expect.objectContaining({ event: null, args: null, topics: unknownLog.topics }),
+      );
+    });
+
+    it('should decode the events of the ABI given', () => {
+      const abi = [
+        {
+          type: 'event',
+          name: 'Unknown',
+          inputs: [{ name: 'value', type: 'uint256', indexed: false }],
+        },
+      ];
+      const log = { ...unknownLog, data: utils.defaultAbiCoder.encode(['uint256'], [7]) };
+
+      const [event] = decodeLogs([log], abi);
+
+      expect(event.event).toBe('Unknown');
+      expect(event.args.value.toNumber()).toBe(7);
+    });
+  });
+
+  describe('getTransactionStatus', () => {
+    it('should return the status of a mined transaction', async () => {
+      const provider = providerMock({ receipt: receiptOf(HASH, { confirmations: 3 }) });
+
+      const status = await getTransactionStatus(provider, HASH);
+
+      expect(status).toEqual(
+        expect.objectContaining({
+          txHash: HASH,
+          status: TX_STATUS.mined,
+          confirmations: 3,
+          blockNumber: 10,
+          replacedBy: null,
+        }),
+      );
+      expect(status.gasUsed.toNumber()).toBe(50000);
+      expect(status.fee.toString()).toBe('100000000000000');
+      expect(status.events.map(({ event }) => event)).toEqual(['Transfer', null]);
+    });
+
+    it('should return the status of a reverted transaction', async () => {
+      const provider = providerMock({ receipt: receiptOf(HASH, { status: 0 }) });
+
+      expect((await getTransactionStatus(provider, HASH)).status).toBe(TX_STATUS.failed);
+    });
+
+    it('should read the gas price missing from the receipt', async () => {
+      const { effectiveGasPrice, ...receipt } = receiptOf(HASH, { confirmations: 3 });
+      const provider = providerMock({
+        receipt,
+        tx: { ...pendingTx, gasPrice: BigNumber.from(10) },
+      });
+
+      const status = await getTransactionStatus(provider, HASH);
+
+      expect(status.confirmations).toBe(3);
+      expect(status.fee.toNumber()).toBe(500000);
+    });
+
+    it('should return the status of a pending transaction', async () => {
+      const status = await getTransactionStatus(providerMock(), HASH);
+
+      expect(status).toEqual({
+        txHash: HASH,
+        status: TX_STATUS.pending,
+        confirmations: 0,
+        blockNumber: null,
+        gasUsed: null,
+        effectiveGasPrice: null,
+        fee: null,
+        events: [],
+        receipt: null,
+        replacedBy: null,
+        cancelled: false,
+      });
+    });
+
+    it('should return the transactions still known to the node as pending once their nonce is used', async () => {
+      // mined between the reads of its receipt and of the transaction count
+      const provider = providerMock({ transactionCount: 5 });
+
+      const status = await getTransactionStatus(provider, HASH);
+
+      expect(status.status).toBe(TX_STATUS.pending);
+      expect(provider.getTransactionCount).not.toHaveBeenCalled();
+    });
+
+    it('should detect the replaced transactions removed from the mempool, given their sender', async () => {
+      const provider = providerMock({ tx: null, transactionCount: 5 });
+
+      const status = await getTransactionStatus(provider, HASH, {
+        from: ACCOUNT_ADDRESS,
+        nonce: 4,
+      });
+
+      expect(status.status).toBe(TX_STATUS.replaced);
+      expect(status.replacedBy).toBe(null);
+      expect(provider.getTransactionCount).toHaveBeenCalledWith(ACCOUNT_ADDRESS, 'latest');
+    });
+
+    it('should detect the transactions dropped', async () => {
+      const status = await getTransactionStatus(providerMock({ tx: null }), HASH);
+
+      expect(status.status).toBe(TX_STATUS.dropped);
+    });
+
+    it('should return the replacement of a transaction sped up by the SDK', async () => {
+      const txHash = `0x${'b'.repeat(64)}`;
+      const speedUpHash = `0x${'c'.repeat(64)}`;
+      const provider = await speedUp(txHash, speedUpHash);
+
+      const status = await getTransactionStatus(provider, txHash);
+
+      expect(status).toEqual(
+        expect.objectContaining({
+          status: TX_STATUS.replaced,
+          confirmations: 2,
+          replacedBy: speedUpHash,
+          cancelled: false,
+        }),
+      );
+    });
+
+    it('should keep the replacement of a transaction read again', async () => {
+      const txHash = `0x${'d'.repeat(64)}`;
+      const speedUpHash = `0x${'e'.repeat(64)}`;
+      const provider = await speedUp(txHash, speedUpHash);
+
+      await getTransactionStatus(provider, txHash);
+      const status = await getTransactionStatus(provider, txHash);
+
+      expect(status.status).toBe(TX_STATUS.replaced);
+      expect(status.replacedBy).toBe(speedUpHash);
+    });
+  });
+
+  describe('waitForTransaction', () => {
+    it('should report the progress until the confirmations are reached', async () => {
+      const provider = providerMock();
+      provider.getTransactionReceipt
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(receiptOf(HASH))
+        .mockResolvedValueOnce(receiptOf(HASH))
+        .mockResolvedValue(receiptOf(HASH, { confirmations: 2 }));
+      const onProgress = jest.fn();
+
+      const status = await waitForTransaction(provider, HASH, {
+        confirmations: 2,
+        onProgress,
+        pollingInterval: 1,
+        location,
+      });
+
+      expect(status.status).toBe(TX_STATUS.mined);
+      expect(status.confirmations).toBe(2);
+      expect(
+        onProgress.mock.calls.map(([{ status: s, confirmations }]) => [s, confirmations]),
+      ).toEqual([
+        [TX_STATUS.pending, 0],
+        [TX_STATUS.mined, 1],
+        [TX_STATUS.mined, 2],
+      ]);
+    });
+
+    it('should return the transactions dropped after being pending', async () => {
+      const provider = providerMock();
+      provider.getTransaction.mockResolvedValueOnce(pendingTx).mockResolvedValue(null);
+
+      const status = await waitForTransaction(provider, HASH, { pollingInterval: 1, location });
+
+      expect(status.status).toBe(TX_STATUS.dropped);
+    });
+
+    it('should remember the sender of the transactions replaced then removed from the mempool', async () => {
+      const provider = providerMock();
+      provider.getTransaction.mockResolvedValueOnce(pendingTx).mockResolvedValue(null);
+      provider.getTransactionCount.mockResolvedValue(5);
+
+      const status = await waitForTransaction(provider, HASH, { pollingInterval: 1, location });
+
+      expect(status.status).toBe(TX_STATUS.replaced);
+    });
+
+    it('should wait for the confirmations of the replacement of a transaction', async () => {
+      const txHash = `0x${'f'.repeat(64)}`;
+      const speedUpHash = `0x${'1'.repeat(64)}`;
+      const provider = await speedUp(txHash, speedUpHash);
+      provider.getBlockNumber.mockResolvedValueOnce(12).mockResolvedValue(13);
+
+      const status = await waitForTransaction(provider, txHash, {
+        confirmations: 3,
+        pollingInterval: 1,
+        location,
+      });
+
+      expect(status.status).toBe(TX_STATUS.replaced);
+      expect(status.confirmations).toBe(3);
+      expect(status.replacedBy).toBe(speedUpHash);
+      // forgotten once final
+      expect((await getTransactionStatus(provider, txHash)).replacedBy).toBe(null);
+    });
+
+    it('should read the status again after an error of the node', async () => {
+      const provider = providerMock();
+      provider.getTransactionReceipt
+        .mockRejectedValueOnce(nodeError(503))
+        .mockRejectedValueOnce(nodeError())
+        .mockResolvedValue(receiptOf(HASH));
+
+      const status = await waitForTransaction(provider, HASH, { pollingInterval: 1, location });
+
+      expect(status.status).toBe(TX_STATUS.mined);
+      expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(3);
+    });
+
+    it('should throw the errors of the node that are not transient', async () => {
+      const provider = providerMock();
+      const cause = nodeError(401);
+      provider.getTransactionReceipt.mockRejectedValue(cause);
+
+      const error = await waitForTransaction(provider, HASH, {
+        pollingInterval: 1,
+        location,
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toBe(
+        `[Test] Transaction status could not be read from the node. | ${HASH}`,
+      );
+      expect(error.cause).toBe(cause);
+      expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw after 5 errors of the node in a row', async () => {
+      const provider = providerMock();
+      provider.getTransactionReceipt.mockRejectedValue(nodeError(502));
+
+      await expect(
+        waitForTransaction(provider, HASH, { pollingInterval: 1, location }),
+      ).rejects.toThrow('[Test] Transaction status could not be read from the node.');
+      expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(5);
+    });
+
+    it('should throw when the transaction is not confirmed before the timeout', async () => {
+      const error = await waitForTransaction(providerMock(), HASH, {
+        timeout: 20,
+        pollingInterval: 5,
+        location,
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.code).toBe('TIMEOUT');
+      expect(error.message).toBe(`[Test] Transaction not confirmed before the timeout. | ${HASH}`);
+    });
+
+    it('should throw when the options are invalid', async () => {
+      const provider = providerMock();
+
+      await expect(
+        waitForTransaction(provider, HASH, { confirmations: 0, location }),
+      ).rejects.toThrow('[Test] Invalid confirmations, a positive integer is required.');
+      await expect(waitForTransaction(provider, HASH, { timeout: -1, location })).rejects.toThrow(
+        '[Test] Invalid timeout',
+      );
+      await expect(
+        waitForTransaction(provider, HASH, { onProgress: 'log', location }),
+      ).rejects.toThrow('[Test] Invalid onProgress, a function is required.');
+      await expect(
+        waitForTransaction(provider, HASH, { pollingInterval: 0.5, location }),
+      ).rejects.toThrow('[Test] Invalid pollingInterval');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { BigNumber } from 'ethers';
+import validateTxOptions from '../src/lib/Transaction/txOptions';
+
+describe('validateTxOptions', () => {
+  it('should accept the ethers overrides', () => {
+    expect(() => validateTxOptions(undefined, '[Test]')).not.toThrow();
+    expect(() =>
+      validateTxOptions(
+        {
+          nonce: 0,
+          value: BigNumber.from(10),
+          gasLimit: '0x5208',
+          maxFeePerGas: '30000000000',
+          maxPriorityFeePerGas: 2000000000,
+          type: 2,
+          accessList: [],
+          customData: { paymaster: '0x' },
+          ccipReadEnabled: false,
+        },
+        '[Test]',
+      ),
+    ).not.toThrow();
+    expect(() => validateTxOptions({ gasPrice: 10, type: 0 }, '[Test]')).not.toThrow();
+  });
+
+  it('should throw when the txOptions are not an object', () => {
+    expect(() => validateTxOptions(null, '[Test]')).toThrow(
+      '[Test] Invalid txOptions, an object of ethers overrides is required.',
+    );
+    expect(() => validateTxOptions([], '[Test]')).toThrow('[Test] Invalid txOptions');
+  });
+
+  it('should throw on unknown keys', () => {
+    expect(() => validateTxOptions({ from: '0x' }, '[Test]')).toThrow(
+      '[Test] Unknown txOptions key. | from',
+    );
+  });
+
+  it('should throw on invalid values', () => {
+    expect(() => validateTxOptions({ nonce: 1.5 }, '[Test]')).toThrow(
+      '[Test] Invalid txOptions value. | nonce',
+    );
+    expect(() => validateTxOptions({ value: -1 }, '[Test]')).toThrow('| value');
+    expect(() => validateTxOptions({ value: BigNumber.from(-1) }, '[Test]')).toThrow('| value');
+    expect(() => validateTxOptions({ gasPrice: BigNumber.from(-10) }, '[Test]')).toThrow(
+      '| gasPrice',
+    );
+    expect(() => validateTxOptions({ gasLimit: 0 }, '[Test]')).toThrow('| gasLimit');
+    expect(() => validateTxOptions({ type: 3 }, '[Test]')).toThrow('| type');
+    expect(() => validateTxOptions({ customData: 'data' }, '[Test]')).toThrow('| customData');
+  });
+
+  it('should throw when gasPrice is combined with EIP-1559 fees', () => {
+    expect(() => validateTxOptions({ gasPrice: 10, maxFeePerGas: 20 }, '[Test]')).toThrow(
+      '[Test] Invalid txOptions, gasPrice cannot be combined with maxFeePerGas or maxPriorityFeePerGas.',
+    );
+  });
+});